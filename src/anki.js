@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { ZipWriter } = require('./zip');
+
+/**
+ * Anki packages (.apkg): a zip of collection.anki2, the SQLite collection
+ * in Anki's legacy schema (version 11, which current Anki versions still import),
+ * a "media" JSON map of numbered entries to file names, and the media
+ * files themselves stored under those numbers.
+ *
+ * Notes get a stable guid, so importing a newer export of the same deck
+ * updates the existing cards instead of duplicating them.
+ */
+
+const COLLECTION_SCHEMA = `
+  CREATE TABLE col (
+    id INTEGER PRIMARY KEY, crt INTEGER NOT NULL, mod INTEGER NOT NULL, scm INTEGER NOT NULL,
+    ver INTEGER NOT NULL, dty INTEGER NOT NULL, usn INTEGER NOT NULL, ls INTEGER NOT NULL,
+    conf TEXT NOT NULL, models TEXT NOT NULL, decks TEXT NOT NULL, dconf TEXT NOT NULL, tags TEXT NOT NULL
+  );
+  CREATE TABLE notes (
+    id INTEGER PRIMARY KEY, guid TEXT NOT NULL, mid INTEGER NOT NULL, mod INTEGER NOT NULL,
+    usn INTEGER NOT NULL, tags TEXT NOT NULL, flds TEXT NOT NULL, sfld INTEGER NOT NULL,
+    csum INTEGER NOT NULL, flags INTEGER NOT NULL, data TEXT NOT NULL
+  );
+  CREATE TABLE cards (
+    id INTEGER PRIMARY KEY, nid INTEGER NOT NULL, did INTEGER NOT NULL, ord INTEGER NOT NULL,
+    mod INTEGER NOT NULL, usn INTEGER NOT NULL, type INTEGER NOT NULL, queue INTEGER NOT NULL,
+    due INTEGER NOT NULL, ivl INTEGER NOT NULL, factor INTEGER NOT NULL, reps INTEGER NOT NULL,
+    lapses INTEGER NOT NULL, left INTEGER NOT NULL, odue INTEGER NOT NULL, odid INTEGER NOT NULL,
+    flags INTEGER NOT NULL, data TEXT NOT NULL
+  );
+  CREATE TABLE revlog (
+    id INTEGER PRIMARY KEY, cid INTEGER NOT NULL, usn INTEGER NOT NULL, ease INTEGER NOT NULL,
+    ivl INTEGER NOT NULL, lastIvl INTEGER NOT NULL, factor INTEGER NOT NULL, time INTEGER NOT NULL,
+    type INTEGER NOT NULL
+  );
+  CREATE TABLE graves (usn INTEGER NOT NULL, oid INTEGER NOT NULL, type INTEGER NOT NULL);
+  CREATE INDEX ix_notes_usn ON notes (usn);
+  CREATE INDEX ix_cards_usn ON cards (usn);
+  CREATE INDEX ix_revlog_usn ON revlog (usn);
+  CREATE INDEX ix_cards_nid ON cards (nid);
+  CREATE INDEX ix_cards_sched ON cards (did, queue, due);
+  CREATE INDEX ix_revlog_cid ON revlog (cid);
+  CREATE INDEX ix_notes_csum ON notes (csum);
+`;
+
+// Anki's defaults for a new collection and deck options group
+const COLLECTION_CONF = {
+    activeDecks: [1],
+    curDeck: 1,
+    newSpread: 0,
+    collapseTime: 1200,
+    timeLim: 0,
+    estTimes: true,
+    dueCounts: true,
+    curModel: null,
+    nextPos: 1,
+    sortType: 'noteFld',
+    sortBackwards: false,
+    addToCur: true
+};
+const DECK_CONF = {
+    id: 1,
+    name: 'Default',
+    mod: 0,
+    usn: 0,
+    maxTaken: 60,
+    autoplay: true,
+    timer: 0,
+    replayq: true,
+    dyn: false,
+    new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, order: 1, perDay: 20, bury: true, separate: true },
+    rev: { perDay: 200, ease4: 1.3, fuzz: 0.05, maxIvl: 36500, ivlFct: 1, bury: true, minSpace: 1 },
+    lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 }
+};
+const LATEX_PRE = '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n' +
+    '\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n';
+
+/**
+ * A stable positive ID from a name, so the same deck or note type keeps
+ * its ID across exports (Anki merges them on import)
+ */
+function stableId(name) {
+    return parseInt(crypto.createHash('sha1').update(name).digest('hex').slice(0, 12), 16);
+}
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&nbsp;': ' ' };
+
+/**
+ * A field as the text Anki sorts and compares it by
+ */
+function stripHtml(html) {
+    return String(html).replace(/<[^>]*>/g, '').replace(/&(?:amp|lt|gt|quot|nbsp);/g, (e) => ENTITIES[e]);
+}
+
+/**
+ * Anki's duplicate check key: the first 8 hex digits of the SHA-1 of the
+ * sort field without HTML
+ */
+function fieldChecksum(field) {
+    return parseInt(crypto.createHash('sha1').update(stripHtml(field)).digest('hex').slice(0, 8), 16);
+}
+
+function deck(id, name, description, mod) {
+    return {
+        id,
+        name,
+        desc: description,
+        mod,
+        usn: -1,
+        dyn: 0,
+        collapsed: false,
+        browserCollapsed: false,
+        newToday: [0, 0],
+        revToday: [0, 0],
+        lrnToday: [0, 0],
+        timeToday: [0, 0],
+        conf: 1,
+        extendNew: 10,
+        extendRev: 50
+    };
+}
+
+/**
+ * Write an Anki package with one deck and one note type
+ * @param {Object} options
+ * @param {string} options.file - The .apkg to create
+ * @param {Object} options.deck - { name, description }
+ * @param {Object} options.model - Note type: { name, fields: [names], templates: [{ name, front, back }], css }
+ * @param {Array<Object>} options.notes - [{ guid, fields: [values in model order], tags: [...] }]
+ * @param {Array<string>} options.media - Files to bundle; notes refer to them by base name
+ * @returns {Promise<Object>} { notes, cards, media }
+ */
+async function writeApkg({ file, deck: { name, description = '' }, model, notes, media = [] }) {
+    // Loaded here so the rest of the exporters work without the native module
+    const SqliteDatabase = require('./sqlite');
+
+    const now = Date.now();
+    const seconds = Math.floor(now / 1000);
+    const deckId = stableId(`deck:${name}`);
+    const modelId = stableId(`model:${model.name}`);
+
+    const models = {
+        [modelId]: {
+            id: modelId,
+            name: model.name,
+            type: 0,
+            mod: seconds,
+            usn: -1,
+            sortf: 0,
+            did: deckId,
+            tmpls: model.templates.map((t, ord) => ({ name: t.name, ord, qfmt: t.front, afmt: t.back, bqfmt: '', bafmt: '', did: null })),
+            flds: model.fields.map((field, ord) => ({ name: field, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] })),
+            css: model.css,
+            latexPre: LATEX_PRE,
+            latexPost: '\\end{document}',
+            tags: [],
+            vers: [],
+            // Every template needs the first field (the word) to make a card
+            req: model.templates.map((t, ord) => [ord, 'any', [0]])
+        }
+    };
+    const decks = {
+        1: deck(1, 'Default', '', seconds),
+        [deckId]: deck(deckId, name, description, seconds)
+    };
+
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'apkg-'));
+    const collectionFile = path.join(workDir, 'collection.anki2');
+    const db = new SqliteDatabase(collectionFile);
+    let cards = 0;
+    try {
+        await db.open();
+        await db.exec(COLLECTION_SCHEMA);
+        await db.transaction(async () => {
+            await db.run(
+                'INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)',
+                [seconds - (seconds % 86400), now, now, JSON.stringify(COLLECTION_CONF), JSON.stringify(models),
+                    JSON.stringify(decks), JSON.stringify({ 1: DECK_CONF }), '{}']
+            );
+
+            for (const [i, note] of notes.entries()) {
+                const id = now + i;
+                const tags = note.tags.length > 0 ? ` ${note.tags.join(' ')} ` : '';
+                await db.run(
+                    'INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')',
+                    [id, note.guid, modelId, seconds, tags, note.fields.join('\x1f'), stripHtml(note.fields[0]), fieldChecksum(note.fields[0])]
+                );
+                for (const ord of model.templates.keys()) {
+                    // New cards, shown in note order
+                    await db.run(
+                        'INSERT INTO cards VALUES (?, ?, ?, ?, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, \'\')',
+                        [now + cards, id, deckId, ord, seconds, i + 1]
+                    );
+                    cards++;
+                }
+            }
+        });
+        await db.close();
+
+        const zip = new ZipWriter(file);
+        await zip.add('collection.anki2', await fs.readFile(collectionFile));
+        const files = [...new Set(media)];
+        const names = {};
+        for (const [i, mediaFile] of files.entries()) {
+            names[i] = path.basename(mediaFile);
+            await zip.add(String(i), await fs.readFile(mediaFile), { compress: false });
+        }
+        await zip.add('media', Buffer.from(JSON.stringify(names)));
+        await zip.close();
+
+        return { notes: notes.length, cards, media: files.length };
+    } finally {
+        await db.close();
+        await fs.remove(workDir);
+    }
+}
+
+module.exports = { writeApkg, fieldChecksum, stableId, COLLECTION_SCHEMA };
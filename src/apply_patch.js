@@ -0,0 +1,336 @@
+const crypto = require("crypto");
+const fs = require("fs-extra");
+const path = require("path");
+const SqliteDatabase = require("./sqlite");
+const {
+  deleteContent,
+  indexWord,
+  resolveRelations,
+} = require("./convert_to_sqlite");
+const {
+  groupRows,
+  contentChecksum,
+  patchColumns,
+  mediaPaths,
+  wordKey,
+  WORD_TABLES,
+  WORD_COLUMNS,
+} = require("./changeset");
+const { readZip } = require("./zip");
+
+/**
+ * Upgrade a released dictionary.db in place with patches from
+ * src/release.js, the way the app does it on the device:
+ *
+ * 1. Every file in the patch must match the SHA-256 in its manifest.json.
+ * 2. The database must be the release the patch starts from: same version
+ *    in the meta table and same content checksum (see changeset.js).
+ * 3. In one transaction, removed words are deleted and added or changed
+ *    words are written with their new rows, relations are resolved again,
+ *    and the result must have the checksum of the new release; otherwise
+ *    everything is rolled back.
+ * 4. New and changed media files are written next to the database (or to
+ *    --media), removed ones deleted.
+ *
+ * isFavorite and isHistory are never touched. A removed word the user
+ * starred or looked up stays, with its last content; its key is listed in
+ * meta.kept_words and left out of later checksums.
+ *
+ * Usage: node src/apply_patch.js <dictionary.db> <patch.zip>... [--media <dir>]
+ */
+
+const PATCH_FORMAT = 1;
+
+function sha256(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+/**
+ * A media path from a manifest that stays inside the media directory
+ */
+function isSafePath(file) {
+  return (
+    typeof file === "string" &&
+    path.posix.normalize(file) === file &&
+    !path.posix.isAbsolute(file) &&
+    !file.startsWith("../")
+  );
+}
+
+/**
+ * Read a patch and check it against its manifest
+ * @param {string} patchFile - <from>-<to>.zip from release.js
+ * @returns {Promise<Object>} { manifest, changes, files: Map(name -> Buffer) }
+ */
+async function readPatch(patchFile) {
+  const files = await readZip(patchFile);
+  if (!files.has("manifest.json")) {
+    throw new Error(`${patchFile} has no manifest.json`);
+  }
+  const manifest = JSON.parse(files.get("manifest.json"));
+  if (manifest.format !== PATCH_FORMAT) {
+    throw new Error(`${patchFile}: unsupported patch format ${manifest.format}`);
+  }
+
+  for (const [name, digest] of Object.entries(manifest.files)) {
+    if (!files.has(name) || sha256(files.get(name)) !== digest) {
+      throw new Error(`${patchFile}: ${name} is missing or corrupt`);
+    }
+  }
+  const { added, changed, removed } = manifest.media;
+  for (const file of [...added, ...changed, ...removed]) {
+    if (!isSafePath(file)) throw new Error(`${patchFile}: bad media path ${file}`);
+  }
+  for (const file of [...added, ...changed]) {
+    if (!(`media/${file}` in manifest.files)) {
+      throw new Error(`${patchFile}: media/${file} is missing`);
+    }
+  }
+
+  return { manifest, changes: JSON.parse(files.get("changes.json")), files };
+}
+
+/**
+ * The meta table as an object; {} for a database that has none
+ */
+async function readMeta(db) {
+  const table = await db.get(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'meta'"
+  );
+  if (!table) return {};
+  const rows = await db.all("SELECT key, value FROM meta");
+  return Object.fromEntries(rows.map((row) => [row.key, row.value]));
+}
+
+/**
+ * Set meta keys, keeping the others
+ */
+async function writeMeta(db, values) {
+  for (const [key, value] of Object.entries(values)) {
+    await db.run(
+      `INSERT INTO meta (key, value) VALUES (?, ?)
+       ON CONFLICT (key) DO UPDATE SET value = excluded.value`,
+      [key, value]
+    );
+  }
+}
+
+/**
+ * A database's dictionary content, grouped by word
+ * @param {SqliteDatabase} db - Open database
+ * @returns {Promise<Object>} groupRows() result plus the columns it used
+ */
+async function readSnapshot(db) {
+  const columns = {};
+  for (const table of [...WORD_TABLES, "audio"]) {
+    const names = (await db.all(`PRAGMA table_info(${table})`)).map((c) => c.name);
+    columns[table] = table === "audio" ? names : patchColumns(table, names);
+  }
+
+  const rows = {
+    words: await db.all("SELECT id, word, type, word_key, sound FROM words"),
+    audio: columns.audio.length > 0 ? await db.all("SELECT * FROM audio") : [],
+  };
+  for (const table of WORD_TABLES) {
+    rows[table] = await db.all(`SELECT * FROM ${table} ORDER BY word_id, id`);
+  }
+
+  return { ...groupRows(rows, columns), columns };
+}
+
+/**
+ * Write the row and content of an added or changed word
+ * @param {SqliteDatabase} db - Open database, inside the transaction
+ * @param {Object} columns - changes.columns of the patch
+ * @param {Object} entry - { word: [values], <table>: [[values], ...] }
+ */
+async function writeWord(db, columns, entry) {
+  const [word, type] = entry.word;
+  const updates = columns.words
+    .filter((c) => c !== "word" && c !== "type")
+    .map((c) => `${c} = excluded.${c}`);
+  await db.run(
+    `INSERT INTO words (${columns.words.join(", ")})
+     VALUES (${columns.words.map(() => "?").join(", ")})
+     ON CONFLICT (word, type) DO UPDATE SET ${updates.join(", ")}`,
+    entry.word
+  );
+  const { id } = await db.get(
+    "SELECT id FROM words WHERE word = ? AND type = ?",
+    [word, type]
+  );
+
+  await deleteContent(db, id);
+  const definitionIds = [];
+  for (const table of WORD_TABLES) {
+    // Glosses name their definition by position; it has a new ID here
+    const names =
+      table === "glosses"
+        ? ["definition_id", ...columns.glosses.slice(1)]
+        : columns[table];
+    for (const values of entry[table] || []) {
+      const row =
+        table === "glosses"
+          ? [definitionIds[values[0]], ...values.slice(1)]
+          : values;
+      const { lastID } = await db.run(
+        `INSERT INTO ${table} (word_id, ${names.join(", ")})
+         VALUES (?, ${names.map(() => "?").join(", ")})`,
+        [id, ...row]
+      );
+      if (table === "definitions") definitionIds.push(lastID);
+    }
+  }
+  await indexWord(db, id);
+}
+
+/**
+ * Apply one patch to a database
+ * @param {string} dbFile - A release from release.js, or one patched up to
+ *   the release this patch starts from
+ * @param {string} patchFile - <from>-<to>.zip from release.js
+ * @param {Object} options - { mediaDir: where the media files live
+ *   (default: the database's directory) }
+ * @returns {Promise<Object>} { from, to, upserted, removed, kept, media: { written, removed } }
+ */
+async function applyPatch(dbFile, patchFile, { mediaDir = path.dirname(dbFile) } = {}) {
+  const { manifest, changes, files } = await readPatch(patchFile);
+  const report = {
+    from: manifest.from.version,
+    to: manifest.to.version,
+    upserted: changes.words.upserted.length,
+    removed: 0,
+    kept: 0,
+    media: { written: 0, removed: 0 },
+  };
+
+  const db = await new SqliteDatabase(dbFile).open();
+  let keptMedia;
+  try {
+    const meta = await readMeta(db);
+    // meta values are text; release versions are numbers
+    if (meta.version !== String(manifest.from.version)) {
+      throw new Error(
+        `${dbFile} is release ${meta.version || "(none)"}, the patch upgrades release ${manifest.from.version}`
+      );
+    }
+    const kept = new Set(JSON.parse(meta.kept_words || "[]"));
+    const base = await readSnapshot(db);
+    if (contentChecksum(base, kept) !== manifest.from.checksum) {
+      throw new Error(
+        `${dbFile} does not hold release ${manifest.from.version} as published; download the full database`
+      );
+    }
+    for (const [table, names] of Object.entries(changes.columns)) {
+      const local = table === "words" ? WORD_COLUMNS : base.columns[table];
+      const missing = names.filter((name) => !local.includes(name));
+      if (missing.length > 0) {
+        throw new Error(
+          `${dbFile} has no ${table}.${missing.join(", ")}; download the full database`
+        );
+      }
+    }
+
+    await db.transaction(async () => {
+      for (const [word, type] of changes.words.removed) {
+        const row = await db.get(
+          "SELECT id, isFavorite, isHistory FROM words WHERE word = ? AND type = ?",
+          [word, type]
+        );
+        if (!row) continue;
+        if (row.isFavorite || row.isHistory) {
+          kept.add(wordKey(word, type));
+          continue;
+        }
+        await deleteContent(db, row.id);
+        await db.run("DELETE FROM words WHERE id = ?", [row.id]);
+        report.removed++;
+      }
+
+      for (const entry of changes.words.upserted) {
+        await writeWord(db, changes.columns, entry);
+        kept.delete(wordKey(entry.word[0], entry.word[1]));
+      }
+
+      for (const file of changes.audio.removed) {
+        await db.run("DELETE FROM audio WHERE path = ?", [file]);
+      }
+      for (const values of changes.audio.upserted) {
+        await db.run(
+          `INSERT OR REPLACE INTO audio (${changes.columns.audio.join(", ")})
+           VALUES (${changes.columns.audio.map(() => "?").join(", ")})`,
+          values
+        );
+      }
+
+      await resolveRelations(db, changes.inferred);
+
+      const result = await readSnapshot(db);
+      if (contentChecksum(result, kept) !== manifest.to.checksum) {
+        throw new Error(
+          `${dbFile} does not match release ${manifest.to.version} after patching; nothing was changed`
+        );
+      }
+      await writeMeta(db, {
+        version: manifest.to.version,
+        released_at: manifest.to.released_at,
+        content_checksum: manifest.to.checksum,
+        kept_words: JSON.stringify([...kept].sort()),
+      });
+
+      report.kept = kept.size;
+      // Media of kept words stays even if the release dropped it
+      const keptWords = [...result.words].filter(([key]) => kept.has(key));
+      keptMedia = new Set(mediaPaths({ words: new Map(keptWords) }, result.columns));
+    });
+  } finally {
+    await db.close();
+  }
+
+  // Written after the commit: a failed patch leaves the old files in place
+  for (const file of [...manifest.media.added, ...manifest.media.changed]) {
+    const dest = path.join(mediaDir, file);
+    await fs.outputFile(`${dest}.tmp`, files.get(`media/${file}`));
+    await fs.move(`${dest}.tmp`, dest, { overwrite: true });
+    report.media.written++;
+  }
+  for (const file of manifest.media.removed) {
+    if (keptMedia.has(file)) continue;
+    await fs.remove(path.join(mediaDir, file));
+    report.media.removed++;
+  }
+
+  return report;
+}
+
+module.exports = { applyPatch, readPatch, readSnapshot, readMeta, writeMeta, PATCH_FORMAT };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const mediaIndex = args.indexOf("--media");
+  const mediaDir = mediaIndex === -1 ? undefined : args[mediaIndex + 1];
+  const [dbFile, ...patches] = args.filter(
+    (arg, i) => !arg.startsWith("--") && args[i - 1] !== "--media"
+  );
+
+  if (!dbFile || patches.length === 0) {
+    console.log("Usage: node src/apply_patch.js <dictionary.db> <patch.zip>... [--media <dir>]");
+    console.log("\nPatches are applied in the order given, e.g. 3-4.zip 4-5.zip");
+    process.exit(0);
+  }
+
+  (async () => {
+    for (const patch of patches) {
+      const report = await applyPatch(dbFile, patch, { mediaDir });
+      console.log(
+        `${path.basename(patch)}: release ${report.from} -> ${report.to}, ` +
+          `${report.upserted} words written, ${report.removed} removed` +
+          `${report.kept ? ` (${report.kept} kept for favorites/history)` : ""}, ` +
+          `${report.media.written} media files written, ${report.media.removed} deleted`
+      );
+    }
+  })().catch((err) => {
+    console.error("Patch failed:", err.message);
+    process.exit(1);
+  });
+}
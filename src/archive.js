@@ -0,0 +1,92 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
+const SqliteDatabase = require('./sqlite');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * Compressed store of every index.php response, keyed by mode + exact word.
+ * Lets us rebuild data/<mode>/*.json with a newer parser without re-fetching.
+ */
+class HtmlArchive {
+  constructor(file) {
+    this.db = new SqliteDatabase(file);
+  }
+
+  async open() {
+    await this.db.open();
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS pages (
+        mode INTEGER NOT NULL,
+        word TEXT NOT NULL,
+        url TEXT NOT NULL,
+        status INTEGER,
+        fetched_at TEXT NOT NULL,
+        html BLOB NOT NULL,
+        PRIMARY KEY (mode, word)
+      );
+    `);
+    return this;
+  }
+
+  /**
+   * Store (or replace) the latest response for a word
+   * @param {number} mode - 1 (En-Kh), 2 (Kh-Kh) or 3 (Kh-En)
+   * @param {string} word - The word exactly as requested
+   * @param {Object} page - { url, status, html }
+   */
+  async put(mode, word, { url, status, html }) {
+    const compressed = await gzip(Buffer.from(html, 'utf-8'));
+    await this.db.run(
+      `INSERT OR REPLACE INTO pages (mode, word, url, status, fetched_at, html)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [mode, word.trim(), url, status, new Date().toISOString(), compressed]
+    );
+  }
+
+  /**
+   * Get the archived response for a word
+   * @returns {Promise<Object|null>} { mode, word, url, status, fetched_at, html }
+   */
+  async get(mode, word) {
+    const row = await this.db.get(
+      'SELECT * FROM pages WHERE mode = ? AND word = ?',
+      [mode, word.trim()]
+    );
+    return row ? this.inflate(row) : null;
+  }
+
+  /**
+   * Visit every archived page, optionally for a single mode
+   * @param {number|null} mode - Restrict to one mode
+   * @param {Function} onPage - Called with each decompressed page
+   * @returns {Promise<number>} Number of pages visited
+   */
+  forEach(mode, onPage) {
+    const where = mode ? 'WHERE mode = ?' : '';
+    const params = mode ? [mode] : [];
+    return this.db.each(
+      `SELECT * FROM pages ${where} ORDER BY mode, word`,
+      params,
+      async (row) => onPage(await this.inflate(row))
+    );
+  }
+
+  async count(mode = null) {
+    const row = mode
+      ? await this.db.get('SELECT COUNT(*) AS count FROM pages WHERE mode = ?', [mode])
+      : await this.db.get('SELECT COUNT(*) AS count FROM pages');
+    return row.count;
+  }
+
+  async inflate(row) {
+    return { ...row, html: (await gunzip(row.html)).toString('utf-8') };
+  }
+
+  close() {
+    return this.db.close();
+  }
+}
+
+module.exports = HtmlArchive;
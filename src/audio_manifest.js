@@ -0,0 +1,147 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { parseMp3 } = require('./mp3');
+const { DATA_DIR } = require('./config');
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Describe every MP3 in data/sounds (duration, bitrate, sample rate, and
+ * whether it is truncated or not audio at all) in data/audio_manifest.json,
+ * and find the en_kh words that have a `sound_url` but no audio file.
+ * convert_to_sqlite.js copies the file descriptions into the `audio` table.
+ *
+ * Files whose size and mtime haven't changed since the last run are not
+ * parsed again.
+ *
+ * Usage:
+ *   node src/audio_manifest.js            - Build the manifest and show a summary
+ *   node src/audio_manifest.js missing    - en_kh words whose sound_url has no audio file
+ *   node src/audio_manifest.js invalid    - Truncated, empty, HTML or unreadable files
+ */
+
+function manifestFile(dataDir) {
+    return path.join(dataDir, 'audio_manifest.json');
+}
+
+async function loadAudioManifest(dataDir = DATA_DIR) {
+    const file = manifestFile(dataDir);
+    return (await fs.pathExists(file)) ? fs.readJson(file) : null;
+}
+
+/**
+ * Parse data/sounds/*.mp3 and check the en_kh entries' sounds
+ * @param {Object} options - { dataDir }
+ * @returns {Promise<Object>} { version, generated_at, files: { "sounds/x.mp3":
+ *   { bytes, mtime_ms, status, problem, duration_ms, bitrate, sample_rate,
+ *   channels, frames } }, missing: [{ word, file, sound_url, local_sound_path }] }
+ */
+async function buildAudioManifest({ dataDir = DATA_DIR } = {}) {
+    const previous = (await loadAudioManifest(dataDir)) || { files: {} };
+    const manifest = { version: MANIFEST_VERSION, generated_at: new Date().toISOString(), files: {}, missing: [] };
+
+    const soundsDir = path.join(dataDir, 'sounds');
+    const names = (await fs.pathExists(soundsDir)) ? (await fs.readdir(soundsDir)).filter((f) => f.endsWith('.mp3')).sort() : [];
+    for (const name of names) {
+        const relativePath = `sounds/${name}`;
+        const filePath = path.join(soundsDir, name);
+        const stat = await fs.stat(filePath);
+        const mtimeMs = Math.floor(stat.mtimeMs);
+        const known = previous.files[relativePath];
+        if (known && known.bytes === stat.size && known.mtime_ms === mtimeMs) {
+            manifest.files[relativePath] = known;
+            continue;
+        }
+
+        const { status, problem, duration_ms, bitrate, sample_rate, channels, frames } = parseMp3(await fs.readFile(filePath));
+        manifest.files[relativePath] = {
+            bytes: stat.size,
+            mtime_ms: mtimeMs,
+            status,
+            problem,
+            duration_ms,
+            bitrate,
+            sample_rate,
+            channels,
+            frames
+        };
+    }
+
+    const enKhDir = path.join(dataDir, 'en_kh');
+    const files = (await fs.pathExists(enKhDir)) ? (await fs.readdir(enKhDir)).filter((f) => f.endsWith('.json')).sort() : [];
+    for (const name of files) {
+        const entry = await fs.readJson(path.join(enKhDir, name)).catch(() => null);
+        if (!entry || !entry.sound_url) continue;
+        const localPath = entry.local_sound_path || null;
+        if (localPath && manifest.files[localPath]) continue;
+        manifest.missing.push({
+            word: entry.word,
+            file: `en_kh/${name}`,
+            sound_url: entry.sound_url,
+            local_sound_path: localPath
+        });
+    }
+
+    await fs.writeJson(manifestFile(dataDir), manifest);
+    return manifest;
+}
+
+/**
+ * Manifest records that aren't playable MP3s
+ * @returns {Array} [{ path, status, problem, ... }]
+ */
+function invalidFiles(manifest) {
+    return Object.entries(manifest.files)
+        .filter(([, record]) => record.status !== 'ok')
+        .map(([relativePath, record]) => ({ path: relativePath, ...record }));
+}
+
+module.exports = { buildAudioManifest, loadAudioManifest, invalidFiles };
+
+if (require.main === module) {
+    const command = process.argv[2];
+
+    if (command && !['missing', 'invalid'].includes(command)) {
+        console.log('Usage:');
+        console.log('  node src/audio_manifest.js            - Describe data/sounds in data/audio_manifest.json');
+        console.log('  node src/audio_manifest.js missing    - en_kh words whose sound_url has no audio file');
+        console.log('  node src/audio_manifest.js invalid    - Truncated, empty, HTML or unreadable files');
+        process.exit(command === '--help' ? 0 : 1);
+    }
+
+    buildAudioManifest().then((manifest) => {
+        const records = Object.values(manifest.files);
+        const invalid = invalidFiles(manifest);
+
+        if (command === 'missing') {
+            manifest.missing.forEach((m) => console.log(`${m.word}  ${m.local_sound_path || '(no local path)'}  ${m.sound_url}`));
+            console.log(`\n${manifest.missing.length} en_kh word(s) without their audio file.`);
+            return;
+        }
+        if (command === 'invalid') {
+            invalid.forEach((f) => console.log(`${f.status.padEnd(9)}  ${f.path}  ${f.problem}`));
+            console.log(`\n${invalid.length} invalid audio file(s).`);
+            return;
+        }
+
+        const ok = records.filter((r) => r.status === 'ok');
+        const seconds = ok.reduce((sum, r) => sum + r.duration_ms, 0) / 1000;
+        const counts = {};
+        invalid.forEach((f) => { counts[f.status] = (counts[f.status] || 0) + 1; });
+
+        console.log('\n=== Audio Summary ===');
+        console.log(`Files: ${records.length} (${ok.length} ok)`);
+        Object.entries(counts).forEach(([status, count]) => console.log(`  ${status}: ${count}`));
+        if (ok.length > 0) {
+            console.log(`Total duration: ${(seconds / 60).toFixed(1)} min, average ${(seconds / ok.length).toFixed(2)} s`);
+        }
+        console.log(`en_kh words with a sound_url but no audio: ${manifest.missing.length}`);
+        console.log(`\nManifest: ${manifestFile(DATA_DIR)}`);
+        if (manifest.missing.length > 0 || invalid.length > 0) {
+            console.log('Fetch them again with: node src/media_store.js scan && node src/media_store.js repair');
+        }
+    }).catch((err) => {
+        console.error('Audio manifest failed:', err);
+        process.exit(1);
+    });
+}
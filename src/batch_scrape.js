@@ -1,26 +1,22 @@
-const axios = require('axios');
 const cheerio = require('cheerio');
-const fs = require('fs-extra');
-const path = require('path');
 const DictionaryScraper = require('./scraper');
+const { BASE_URL, MODE_DIRS } = require('./parsers');
+const CrawlFrontier = require('./frontier');
+const { scheduler } = require('./scheduler');
+const { WorkerControl } = require('./control');
+const { logger } = require('./logger');
+const { config } = require('./config');
 
-const BASE_URL = 'http://www.english-khmer.com';
 const EN_ALPHABET = 'abcdefghijklmnopqrstuvwxyz'.split('');
 const KH_CONSONANTS = ['ក', 'ខ', 'គ', 'ឃ', 'ង', 'ច', 'ឆ', 'ជ', 'ឈ', 'ញ', 'ដ', 'ឋ', 'ឌ', 'ឍ', 'ណ', 'ត', 'ថ', 'ទ', 'ធ', 'ន', 'ប', 'ផ', 'ព', 'ភ', 'ម', 'យ', 'រ', 'ល', 'វ', 'ស', 'ហ', 'ឡ', 'អ'];
 // Independent vowels are the only vowels that can start a word in Khmer
 const KH_VOWELS = ['ឥ', 'ឦ', 'ឧ', 'ឩ', 'ឪ', 'ឫ', 'ឬ', 'ឭ', 'ឮ', 'ឯ', 'ឰ', 'ឱ', 'ឳ'];
 const KH_ALL_SEEDS = [...KH_CONSONANTS, ...KH_VOWELS];
 
-// Logging setup
-const LOG_FILE = path.join(__dirname, '..', 'scraping_log.txt');
-const PID_FILE = path.join(__dirname, '..', 'worker_pid.txt');
+const log = logger.child({ component: 'batch' });
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
-function log(message) {
-    const timestamp = new Date().toISOString();
-    const logMessage = `[${timestamp}] ${message}\n`;
-    console.log(message);
-    fs.appendFileSync(LOG_FILE, logMessage);
-}
+const control = new WorkerControl();
 
 async function discoverWords(prefix, mode) {
     // Mode 1 (En-Kh) uses livesearch1.php
@@ -28,113 +24,217 @@ async function discoverWords(prefix, mode) {
     const endpoint = mode === 1 ? 'livesearch1.php' : 'livesearch2.php';
     
     const url = `${BASE_URL}/${endpoint}?q=${encodeURIComponent(prefix)}`;
-    try {
-        const { data } = await axios.get(url);
-        // Returns HTML with <br> separated links: <a href="...">...</a>
-        const $ = cheerio.load(data);
-        const words = [];
-        $('a').each((i, el) => {
-            const w = $(el).text().trim();
-            if (w) words.push(w);
-        });
-        return words;
-    } catch (e) {
-        return [];
-    }
+    const { data } = await scheduler.get(url);
+    // Returns HTML with <br> separated links: <a href="...">...</a>
+    const $ = cheerio.load(data);
+    const words = [];
+    $('a').each((i, el) => {
+        const w = $(el).text().trim();
+        if (w) words.push(w);
+    });
+    return words;
 }
 
-async function runBatch(seeds, mode, depth, limitPerSeed) {
+/**
+ * Discover and scrape one dictionary, resuming from the frontier
+ * @param {Array<string>} seeds - First search prefixes
+ * @param {number} mode - 1 (En-Kh), 2 (Kh-Kh) or 3 (Kh-En)
+ * @param {number} depth - 1 = discovered words only, 2 = their related words too, ...
+ * @param {Object} budget - { left: words this run may still scrape }, shared by the modes
+ */
+async function runBatch(seeds, mode, depth, budget) {
     const scraper = new DictionaryScraper();
     await scraper.init();
+    const frontier = await new CrawlFrontier().open();
 
     let modeName = mode === 1 ? 'EN-KH' : (mode === 2 ? 'KH-KH' : 'KH-EN');
-    log(`\n>>> Starting Batch for ${modeName} <<<`);
-
-    const wordQueue = new Set(seeds);
-    const discovered = new Set();
-    const processed = new Set();
-
-    // Recursive discovery function to get every word
-    async function deepDiscover(prefix, currentMode) {
-        process.stdout.write(`Discovering: ${prefix} ... queue: ${wordQueue.size} \r`);
-        const found = await discoverWords(prefix, currentMode);
-        
-        // Add words to queue and SCRAPE IMMEDIATELY
-        for (const w of found) {
-            const visitedKey = `${currentMode}:${w.trim().toLowerCase()}`;
-            if (!processed.has(visitedKey)) {
-                wordQueue.add(w);
-                
-                // Scrape the discovered word immediately
-                const data = await scraper.scrapeWord(w, currentMode);
-                processed.add(visitedKey);
-                totalScraped++;
-                
-                // Polite delay after each scrape
-                await new Promise(r => setTimeout(r, 400));
-
-                // If depth > 1, handle relations immediately too (recursive crawling)
-                if (depth > 1 && data) {
-                    const relations = [
-                        ...(data.synonyms || []), 
-                        ...(data.similar_words || []), 
-                        ...(data.antonyms || [])
-                    ];
-                    for (const rel of relations) {
-                        const relKey = `${currentMode}:${rel.trim().toLowerCase()}`;
-                        if (!processed.has(relKey)) {
-                            await scraper.scrapeWord(rel, currentMode);
-                            processed.add(relKey);
-                            totalScraped++;
-                            await new Promise(r => setTimeout(r, 400));
-                        }
-                    }
-                }
+    log.info(`>>> Starting Batch for ${modeName} <<<`, { mode: MODE_DIRS[mode] });
+    control.update({ mode: modeName, prefix: null });
+
+    // Seed once; afterwards the frontier carries on from where the last run stopped
+    if (!(await frontier.hasMode(mode))) {
+        // Reversed so the depth-first prefix order starts at the first seed
+        for (const char of [...seeds].reverse()) {
+            await frontier.add('prefix', mode, char);
+        }
+    } else {
+        log.info(`Resuming ${modeName} from the saved frontier...`, { mode: MODE_DIRS[mode] });
+    }
+
+    // Discovery Depth Settings:
+    const maxDepth = mode === 1 ? config.batch.maxPrefixLength.en : config.batch.maxPrefixLength.kh;
+    const nextChars = mode === 1 ? EN_ALPHABET : seeds;
+    let totalScraped = 0;
+
+    async function scrapeItem(item) {
+        let data;
+        control.wordStarted(item.value);
+        try {
+            data = await scraper.scrapeWord(item.value, mode, { rethrow: true });
+        } catch (err) {
+            control.wordFinished(item.value, err);
+            await frontier.fail(item, err);
+            return;
+        }
+        control.wordFinished(item.value);
+        totalScraped++;
+        budget.left--;
+
+        // If depth > 1, queue relations too (recursive crawling)
+        if (item.depth < depth && data) {
+            const relations = [
+                ...(data.synonyms || []), 
+                ...(data.similar_words || []), 
+                ...(data.antonyms || [])
+            ];
+            for (const rel of relations) {
+                await frontier.add('word', mode, rel, item.depth + 1);
             }
         }
+        await frontier.done(item);
+    }
+
+    // Pacing is left to the shared scheduler; we just keep it busy
+    // A stop request or a spent budget lets the words in flight finish, then leaves the rest pending
+    const done = () => control.stopping || budget.left <= 0;
+    async function scrapeQueuedWords() {
+        let batch;
+        while (!done()) {
+            await control.waitIfPaused();
+            if (done()) break;
+            batch = await frontier.nextBatch('word', mode, Math.min(scheduler.concurrency, budget.left));
+            if (batch.length === 0) break;
+            await Promise.all(batch.map(scrapeItem));
+        }
+    }
+
+    // Failed items wait out their backoff in the frontier; sleep until the first is due
+    async function waitForRetry(kind) {
+        const at = await frontier.nextRetryAt(kind, mode);
+        if (!at) return false;
+        log.info(`Waiting until ${at.toISOString()} to retry failed ${kind}s`, { mode: MODE_DIRS[mode], kind, retry_after: at.toISOString() });
+        while (!done() && Date.now() < at.getTime()) {
+            await sleep(Math.min(1000, at.getTime() - Date.now()));
+        }
+        return true;
+    }
+
+    log.info(`Deep Discovering & Scraping words for ${modeName}...`, { mode: MODE_DIRS[mode] });
+
+    // Words left over from an interrupted run go first
+    await scrapeQueuedWords();
+
+    while (!done()) {
+        await control.waitIfPaused();
+        if (done()) break;
+        const prefixItem = await frontier.next('prefix', mode);
+        if (!prefixItem) {
+            // Only prefixes waiting to be retried are left
+            if (await waitForRetry('prefix')) continue;
+            break;
+        }
+
+        const prefix = prefixItem.value;
+        control.update({ prefix });
+        process.stdout.write(`Discovering: ${prefix} ... \r`);
+
+        let found;
+        const started = Date.now();
+        try {
+            found = await discoverWords(prefix, mode);
+            log.debug(`Discovered ${found.length} word(s) for ${prefix}`, { mode: MODE_DIRS[mode], prefix, found: found.length, duration_ms: Date.now() - started });
+        } catch (err) {
+            log.error(`Error discovering ${prefix} (Mode ${mode}): ${err.message}`, { mode: MODE_DIRS[mode], prefix, duration_ms: Date.now() - started, error: err });
+            await frontier.fail(prefixItem, err);
+            continue;
+        }
 
-        // Discovery Depth Settings:
-        const maxDepth = currentMode === 1 ? 4 : 5;
+        for (const w of found) {
+            await frontier.add('word', mode, w, 1);
+        }
 
         // If we found many words, there's likely more hidden. 
         if (found.length >= 9 && prefix.length < maxDepth) {
-            const list = currentMode === 1 ? EN_ALPHABET : seeds;
-            for (const nextChar of list) {
-                await deepDiscover(prefix + nextChar, currentMode);
+            for (const nextChar of [...nextChars].reverse()) {
+                await frontier.add('prefix', mode, prefix + nextChar);
             }
         }
+        await frontier.done(prefixItem);
+
+        // Scrape the discovered words immediately
+        await scrapeQueuedWords();
     }
 
-    log(`Deep Discovering & Scraping words for ${modeName}...`);
-    let totalScraped = 0;
-    for (const char of seeds) {
-        await deepDiscover(char, mode);
+    // Then the words that failed recently, once they are due
+    while (!done() && await waitForRetry('word')) {
+        await scrapeQueuedWords();
     }
 
-    log(`\nProcessing complete for ${modeName}. Total unique words saved: ${totalScraped}`);
+    await frontier.close();
+    await scraper.close();
+    if (control.stopping) {
+        log.info(`Stopped ${modeName} on request. Words processed this run: ${totalScraped}`, { mode: MODE_DIRS[mode], total: totalScraped });
+    } else if (budget.left <= 0) {
+        log.info(`Word budget reached in ${modeName}. Words processed this run: ${totalScraped}; the next run continues from the frontier`, { mode: MODE_DIRS[mode], total: totalScraped });
+    } else {
+        log.info(`Processing complete for ${modeName}. Total words processed this run: ${totalScraped}`, { mode: MODE_DIRS[mode], total: totalScraped });
+    }
 }
 
-(async () => {
-    // Write worker PID to file
-    await fs.writeFile(PID_FILE, process.pid.toString());
-    log(`Worker started with PID: ${process.pid}`);
-    
-    const type = process.argv[2]; // 'en' or 'kh' or 'all'
-    const depth = parseInt(process.argv[3] || '2', 10);
-    const limitPerSeed = parseInt(process.argv[4] || '10', 10);
+/**
+ * Crawl whole dictionaries as a controllable worker (see src/workerctl.js)
+ *
+ * Usage: node src/batch_scrape.js <en|kh|all> [depth]  (or: dict batch, see src/dict.js)
+ *
+ * @param {string} type - 'en' (En-Kh), 'kh' (Kh-Kh and Kh-En) or 'all'
+ * @param {Object} options - { depth: relation depth (config batch.depth),
+ *   maxWords: stop after this many words, null for no limit (config batch.maxWords) }
+ */
+async function batch(type, { depth = config.batch.depth, maxWords = config.batch.maxWords } = {}) {
+    // Control channel for node src/workerctl.js status|pause|resume|stop
+    const port = await control.start(parseInt(process.env.WORKER_CONTROL_PORT || '0', 10));
+    log.info(`Worker started with PID: ${process.pid} (control port ${port})`, { pid: process.pid, port, type, depth, max_words: maxWords });
+
+    // Ctrl+C / kill behave like "stop": finish the current words first
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.once(signal, () => {
+            log.warn(`Received ${signal}, stopping after the current words...`, { signal });
+            control.stop();
+        });
+    }
+
+    const budget = { left: maxWords === null ? Infinity : maxWords };
 
     if (type === 'en' || type === 'all') {
         // Mode 1: En-Kh
-        await runBatch(EN_ALPHABET, 1, depth, limitPerSeed);
+        await runBatch(EN_ALPHABET, 1, depth, budget);
     }
 
     if (type === 'kh' || type === 'all') {
         // Mode 2: Kh-Kh
-        await runBatch(KH_ALL_SEEDS, 2, depth, limitPerSeed);
+        if (!control.stopping && budget.left > 0) await runBatch(KH_ALL_SEEDS, 2, depth, budget);
         // Mode 3: Kh-En
-        await runBatch(KH_ALL_SEEDS, 3, depth, limitPerSeed);
+        if (!control.stopping && budget.left > 0) await runBatch(KH_ALL_SEEDS, 3, depth, budget);
+    }
+
+    await control.close();
+    if (control.stopping) {
+        log.info(`Worker with PID ${process.pid} stopped gracefully`, { pid: process.pid });
+    } else {
+        log.info('Batch processing complete!');
+        log.info(`Worker with PID ${process.pid} finished successfully`, { pid: process.pid });
     }
+    await log.close();
+}
+
+module.exports = { batch, discoverWords };
 
-    log('\nBatch processing complete!');
-    log(`Worker with PID ${process.pid} finished successfully`);
-})();
+if (require.main === module) {
+    const type = process.argv[2]; // 'en' or 'kh' or 'all'
+    const depth = parseInt(process.argv[3] || String(config.batch.depth), 10);
+
+    batch(type, { depth }).catch((err) => {
+        log.error(`Batch failed: ${err.message}`, { error: err });
+        process.exit(1);
+    });
+}
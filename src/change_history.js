@@ -0,0 +1,193 @@
+const path = require('path');
+const SqliteDatabase = require('./sqlite');
+const { MODE_DIRS } = require('./parsers');
+const { contentHash, entryChanges, parseAge } = require('./freshness');
+const { DATA_DIR } = require('./config');
+
+const HISTORY_FILE = path.join(DATA_DIR, 'history.db');
+
+/**
+ * What the site changed in each entry between crawls, keyed by mode + exact
+ * word. The scraper records a row whenever a word it had saved is fetched
+ * again with different content (kind 'changed', see freshness.js
+ * entryChanges()) or is no longer found (kind 'not_found', once until it is
+ * found again). Refreshes that
+ * find nothing new only update the entry's scraped_at.
+ *
+ * Usage:
+ *   node src/change_history.js word <word> [type]   - Changes recorded for a word
+ *   node src/change_history.js recent [type] [--since 7d] [--limit 50]
+ */
+class ChangeHistory {
+  constructor(file = HISTORY_FILE) {
+    this.db = new SqliteDatabase(file);
+  }
+
+  async open() {
+    await this.db.open();
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS changes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        mode INTEGER NOT NULL,
+        word TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        scraped_at TEXT NOT NULL,
+        previous_scraped_at TEXT,
+        previous_hash TEXT,
+        content_hash TEXT,
+        changes TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_changes_word ON changes(mode, word);
+      CREATE INDEX IF NOT EXISTS idx_changes_scraped_at ON changes(scraped_at);
+    `);
+    return this;
+  }
+
+  /**
+   * Compare a word's saved entry with what a new crawl found and record the
+   * difference, if any
+   * @param {number} mode - 1 (En-Kh), 2 (Kh-Kh) or 3 (Kh-En)
+   * @param {string} word - The word exactly as requested
+   * @param {Object} previous - The saved entry
+   * @param {Object|null} entry - The new entry (stamped), null if the site no longer has the word
+   * @param {string} scrapedAt - When the page was fetched
+   * @returns {Promise<Object|null>} The recorded row, null if nothing changed (or the
+   *   word was already missing)
+   */
+  async record(mode, word, previous, entry, scrapedAt = entry ? entry.scraped_at : new Date().toISOString()) {
+    const previousHash = previous.content_hash || contentHash(previous);
+    if (entry && entry.content_hash === previousHash) return null;
+    if (!entry && previous.missing_since) return null;
+
+    const row = {
+      mode,
+      word: word.trim(),
+      kind: entry ? 'changed' : 'not_found',
+      scraped_at: scrapedAt,
+      previous_scraped_at: previous.scraped_at || null,
+      previous_hash: previousHash,
+      content_hash: entry ? entry.content_hash : null,
+      changes: entry ? entryChanges(previous, entry) : {}
+    };
+    await this.db.run(
+      `INSERT INTO changes (mode, word, kind, scraped_at, previous_scraped_at, previous_hash, content_hash, changes)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [row.mode, row.word, row.kind, row.scraped_at, row.previous_scraped_at, row.previous_hash,
+        row.content_hash, JSON.stringify(row.changes)]
+    );
+    return row;
+  }
+
+  /**
+   * Every change recorded for a word, oldest first
+   * @param {number|null} mode - Restrict to one mode
+   */
+  async forWord(word, mode = null) {
+    const rows = mode
+      ? await this.db.all('SELECT * FROM changes WHERE word = ? AND mode = ? ORDER BY id', [word.trim(), mode])
+      : await this.db.all('SELECT * FROM changes WHERE word = ? ORDER BY mode, id', [word.trim()]);
+    return rows.map(parseRow);
+  }
+
+  /**
+   * Latest changes, newest first
+   * @param {Object} options - { since: ISO time, mode, limit }
+   */
+  async recent({ since = null, mode = null, limit = 50 } = {}) {
+    const where = [];
+    const params = [];
+    if (since) {
+      where.push('scraped_at >= ?');
+      params.push(since);
+    }
+    if (mode) {
+      where.push('mode = ?');
+      params.push(mode);
+    }
+    const rows = await this.db.all(
+      `SELECT * FROM changes ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY scraped_at DESC, id DESC LIMIT ?`,
+      [...params, limit]
+    );
+    return rows.map(parseRow);
+  }
+
+  close() {
+    return this.db.close();
+  }
+}
+
+function parseRow(row) {
+  return { ...row, changes: JSON.parse(row.changes) };
+}
+
+/**
+ * A recorded change as indented lines: "+ added", "- removed", "~ field: before -> after"
+ */
+function describeChange(row) {
+  if (row.kind === 'not_found') return ['  word no longer found on the site'];
+  const lines = [];
+  const show = (value) => (typeof value === 'string' ? value : JSON.stringify(value));
+  const { definitions, fields, ...relations } = row.changes;
+  if (definitions) {
+    definitions.removed.forEach((def) => lines.push(`  - definition ${show(def)}`));
+    definitions.added.forEach((def) => lines.push(`  + definition ${show(def)}`));
+  }
+  for (const [field, { added, removed }] of Object.entries(relations)) {
+    if (removed.length > 0) lines.push(`  - ${field}: ${removed.join(', ')}`);
+    if (added.length > 0) lines.push(`  + ${field}: ${added.join(', ')}`);
+  }
+  for (const [field, [before, after]] of Object.entries(fields || {})) {
+    lines.push(`  ~ ${field}: ${show(before)} -> ${show(after)}`);
+  }
+  return lines;
+}
+
+module.exports = { ChangeHistory, describeChange, HISTORY_FILE };
+
+// Command line interface: query the history
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const option = (name) => {
+    const i = args.indexOf(name);
+    return i === -1 ? null : args[i + 1];
+  };
+  const positional = args.slice(1).filter((arg, i, rest) => !arg.startsWith('--') && !(rest[i - 1] || '').startsWith('--'));
+  const typeToMode = (type) =>
+    Number(Object.keys(MODE_DIRS).find((m) => MODE_DIRS[m] === type)) || null;
+
+  const type = command === 'word' ? positional[1] : positional[0];
+  const since = option('--since');
+  const sinceMs = since === null ? null : parseAge(since);
+  if ((command !== 'word' && command !== 'recent') || (command === 'word' && !positional[0]) ||
+      (type && !typeToMode(type)) || (since !== null && sinceMs === null)) {
+    console.log('Usage:');
+    console.log('  node src/change_history.js word <word> [type]                       - Changes recorded for a word');
+    console.log('  node src/change_history.js recent [type] [--since 7d] [--limit 50]  - Latest changes');
+    console.log('\nTypes: en_kh, kh_kh, kh_en');
+    process.exit(0);
+  }
+
+  (async () => {
+    const history = await new ChangeHistory().open();
+    const rows = command === 'word'
+      ? await history.forWord(positional[0], typeToMode(type))
+      : await history.recent({
+        since: sinceMs === null ? null : new Date(Date.now() - sinceMs).toISOString(),
+        mode: typeToMode(type),
+        limit: parseInt(option('--limit'), 10) || 50
+      });
+    await history.close();
+
+    for (const row of rows) {
+      console.log(`${row.scraped_at}  ${MODE_DIRS[row.mode]}/${row.word}  ${row.kind}` +
+        `${row.previous_scraped_at ? ` (last scraped ${row.previous_scraped_at})` : ''}`);
+      describeChange(row).forEach((line) => console.log(line));
+    }
+    console.log(`\n${rows.length} change(s)`);
+  })().catch((err) => {
+    console.error('Error:', err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,243 @@
+const crypto = require("crypto");
+const path = require("path");
+
+/**
+ * Row-level changesets between two releases of dictionary.db.
+ *
+ * Row IDs differ between databases (a full rebuild renumbers everything, and
+ * an app's copy has been patched before), so a word is identified by
+ * (word, type) and its content rows by their position under the word. Each
+ * word gets a hash of its row and all its content rows; a patch carries the
+ * complete new content of every word whose hash changed, and the content
+ * checksum over all hashes tells whether two databases hold the same
+ * dictionary.
+ */
+
+// Content tables of a word, in the order they are written back
+const WORD_TABLES = [
+  "definitions",
+  "glosses",
+  "synonyms",
+  "antonyms",
+  "similar_words",
+  "relations",
+];
+
+// Columns local to one database: row IDs and links re-resolved on apply
+const LOCAL_COLUMNS = ["id", "word_id", "definition_id", "target_id"];
+
+// words columns carried by a patch; isFavorite/isHistory belong to the user
+const WORD_COLUMNS = ["word", "type", "word_key", "sound"];
+
+/**
+ * Identity of a word across databases
+ */
+function wordKey(word, type) {
+  return `${type}\t${word}`;
+}
+
+/**
+ * Columns of a content table a patch carries
+ * @param {string} table - Table name
+ * @param {Array<string>} names - All its columns (PRAGMA table_info)
+ */
+function patchColumns(table, names) {
+  const columns = names.filter((name) => !LOCAL_COLUMNS.includes(name));
+  // Glosses point at a definition of the same word by its position
+  return table === "glosses" ? ["definition", ...columns] : columns;
+}
+
+/**
+ * Group the rows of one database by word
+ * @param {Object} rows - { words, audio, <table>: rows } as selected by
+ *   apply_patch.js, content rows ordered by word_id and id
+ * @param {Object} columns - { <table>: patchColumns(), audio: [...] }
+ * @returns {Object} { words: Map(key -> { id, values, content, hash }),
+ *   audio: Map(path -> values), inferred: whether reverse links were inferred }
+ */
+function groupRows(rows, columns) {
+  const words = new Map();
+  const byId = new Map();
+  for (const row of rows.words) {
+    const word = {
+      id: row.id,
+      values: WORD_COLUMNS.map((c) => row[c] ?? null),
+      content: {},
+      definitionIds: [],
+    };
+    for (const table of WORD_TABLES) word.content[table] = [];
+    words.set(wordKey(row.word, row.type), word);
+    byId.set(row.id, word);
+  }
+
+  let inferred = false;
+  for (const table of WORD_TABLES) {
+    for (const row of rows[table] || []) {
+      const word = byId.get(row.word_id);
+      if (!word) continue;
+      if (table === "definitions") word.definitionIds.push(row.id);
+      // Reverse links are derived, like target_id: resolveRelations() redoes them
+      if (table === "relations" && row.inferred) {
+        inferred = true;
+        continue;
+      }
+      const values = table === "glosses"
+        ? { ...row, definition: word.definitionIds.indexOf(row.definition_id) }
+        : row;
+      word.content[table].push(columns[table].map((c) => values[c] ?? null));
+    }
+  }
+
+  for (const word of words.values()) {
+    word.hash = crypto
+      .createHash("sha1")
+      .update(JSON.stringify([word.values, word.content]))
+      .digest("hex");
+    delete word.definitionIds;
+  }
+
+  const audio = new Map(
+    (rows.audio || []).map((row) => [row.path, columns.audio.map((c) => row[c] ?? null)])
+  );
+  return { words, audio, inferred };
+}
+
+/**
+ * SHA-256 over every word hash and audio row, in key order
+ * @param {Object} snapshot - groupRows() result
+ * @param {Set<string>} exclude - Word keys to leave out (see apply_patch.js)
+ * @returns {string} Hex digest
+ */
+function contentChecksum(snapshot, exclude = new Set()) {
+  const hash = crypto.createHash("sha256");
+  for (const key of [...snapshot.words.keys()].sort()) {
+    if (!exclude.has(key)) hash.update(`${key}\t${snapshot.words.get(key).hash}\n`);
+  }
+  for (const file of [...snapshot.audio.keys()].sort()) {
+    hash.update(`audio\t${JSON.stringify(snapshot.audio.get(file))}\n`);
+  }
+  return hash.digest("hex");
+}
+
+/**
+ * What changed between two snapshots
+ * @returns {Object} { words: { added, changed, removed } (keys),
+ *   audio: { upserted, removed } (paths), rows: { <table>: { added, removed } } }
+ */
+function diffSnapshots(from, to) {
+  const words = { added: [], changed: [], removed: [] };
+  const rows = Object.fromEntries(
+    WORD_TABLES.map((table) => [table, { added: 0, removed: 0 }])
+  );
+  const count = (word, field) => {
+    for (const table of WORD_TABLES) rows[table][field] += word.content[table].length;
+  };
+
+  for (const [key, word] of to.words) {
+    const old = from.words.get(key);
+    if (old && old.hash === word.hash) continue;
+    (old ? words.changed : words.added).push(key);
+    // A changed word's rows are all replaced
+    if (old) count(old, "removed");
+    count(word, "added");
+  }
+  for (const [key, word] of from.words) {
+    if (to.words.has(key)) continue;
+    words.removed.push(key);
+    count(word, "removed");
+  }
+
+  const audio = { upserted: [], removed: [] };
+  for (const [file, values] of to.audio) {
+    const old = from.audio.get(file);
+    if (!old || JSON.stringify(old) !== JSON.stringify(values)) audio.upserted.push(file);
+  }
+  for (const file of from.audio.keys()) {
+    if (!to.audio.has(file)) audio.removed.push(file);
+  }
+
+  return { words, audio, rows };
+}
+
+/**
+ * The changes.json of a patch: the new rows of every added or changed word
+ * and audio file, and the keys of removed ones
+ * @param {Object} diff - diffSnapshots() result
+ * @param {Object} to - Snapshot of the newer release
+ * @param {Object} columns - Columns of the newer release (see groupRows)
+ */
+function patchChanges(diff, to, columns) {
+  const upserted = [...diff.words.added, ...diff.words.changed].map((key) => {
+    const word = to.words.get(key);
+    return { word: word.values, ...word.content };
+  });
+  return {
+    columns: { words: WORD_COLUMNS, ...columns },
+    inferred: to.inferred,
+    words: {
+      upserted,
+      removed: diff.words.removed.map((key) => key.split("\t").reverse()),
+    },
+    audio: {
+      upserted: diff.audio.upserted.map((file) => to.audio.get(file)),
+      removed: diff.audio.removed,
+    },
+  };
+}
+
+/**
+ * Media files the database refers to, relative to the data directory:
+ * sounds, original images and both density variants of optimized images
+ * @param {Object} snapshot - groupRows() result
+ * @param {Object} columns - Its columns
+ * @returns {Array<string>} Sorted paths
+ */
+function mediaPaths(snapshot, columns) {
+  const files = new Set();
+  const sound = WORD_COLUMNS.indexOf("sound");
+  const local = columns.definitions.indexOf("local_image_path");
+  const optimized = columns.definitions.indexOf("optimized_image_path");
+
+  for (const word of snapshot.words.values()) {
+    if (word.values[sound]) files.add(word.values[sound]);
+    for (const def of word.content.definitions) {
+      if (local >= 0 && def[local]) files.add(def[local]);
+      if (optimized >= 0 && def[optimized]) {
+        const file = def[optimized];
+        files.add(file);
+        files.add(path.posix.join(path.posix.dirname(file), "2.0x", path.posix.basename(file)));
+      }
+    }
+  }
+  return [...files].sort();
+}
+
+/**
+ * Files added, changed or removed between two media lists
+ * @param {Object} from - { path: sha256 } of the older release
+ * @param {Object} to - { path: sha256 } of the newer one
+ */
+function diffMedia(from, to) {
+  const media = { added: [], changed: [], removed: [] };
+  for (const [file, sha256] of Object.entries(to)) {
+    if (!(file in from)) media.added.push(file);
+    else if (from[file] !== sha256) media.changed.push(file);
+  }
+  for (const file of Object.keys(from)) {
+    if (!(file in to)) media.removed.push(file);
+  }
+  return media;
+}
+
+module.exports = {
+  groupRows,
+  contentChecksum,
+  diffSnapshots,
+  patchChanges,
+  patchColumns,
+  mediaPaths,
+  diffMedia,
+  wordKey,
+  WORD_TABLES,
+  WORD_COLUMNS,
+};
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const CONFIG_FILE = path.join(ROOT, 'dict.config.json');
+
+/**
+ * Project settings: built-in defaults, overridden by dict.config.json (or the
+ * file named by DICT_CONFIG), overridden by environment variables. The dict
+ * CLI turns its global flags into those variables before loading anything,
+ * so flags win over both.
+ *
+ * Relative paths in the file are relative to the file, in the environment
+ * relative to the working directory.
+ */
+const SETTINGS = {
+  dataDir: { type: 'path', default: 'data', env: 'DICT_DATA_DIR', description: 'Entries, media, page archive and crawl frontier' },
+  dbFile: { type: 'path', default: null, env: 'DICT_DB', description: 'SQLite database (default: <dataDir>/dictionary.db)' },
+  baseUrl: { type: 'url', default: 'http://www.english-khmer.com', env: 'DICT_BASE_URL', description: 'Site the pages, media and word lists come from' },
+  'rateLimit.concurrency': { type: 'integer', min: 1, default: 3, env: 'SCRAPE_CONCURRENCY', description: 'Requests in flight at once' },
+  'rateLimit.requestsPerSecond': { type: 'number', min: 0.01, default: 2, env: 'SCRAPE_RPS', description: 'Requests started per second' },
+  'rateLimit.burst': { type: 'integer', min: 1, default: 1, env: 'SCRAPE_BURST', description: 'Requests that may start back to back' },
+  'rateLimit.maxRetries': { type: 'integer', min: 0, default: 4, env: 'SCRAPE_MAX_RETRIES', description: 'Retries of a timed-out or throttled request' },
+  'rateLimit.timeout': { type: 'integer', min: 1, default: 20000, env: 'SCRAPE_TIMEOUT_MS', description: 'Request timeout (ms)' },
+  'crawl.depth': { type: 'integer', min: 1, default: 1, env: 'DICT_CRAWL_DEPTH', description: 'dict crawl: 1 = the word only, 2 = its related words too, ...' },
+  'crawl.maxWords': { type: 'integer', min: 1, default: 50, env: 'DICT_CRAWL_MAX_WORDS', description: 'dict crawl: stop after this many words' },
+  'batch.depth': { type: 'integer', min: 1, default: 2, env: 'DICT_BATCH_DEPTH', description: 'dict batch: relation depth of discovered words' },
+  'batch.maxWords': { type: 'integer', min: 1, default: null, env: 'DICT_BATCH_MAX_WORDS', description: 'dict batch: stop after this many words per run (default: no limit)' },
+  'batch.maxPrefixLength.en': { type: 'integer', min: 1, default: 4, env: 'DICT_BATCH_EN_PREFIX', description: 'dict batch: longest English search prefix' },
+  'batch.maxPrefixLength.kh': { type: 'integer', min: 1, default: 5, env: 'DICT_BATCH_KH_PREFIX', description: 'dict batch: longest Khmer search prefix' }
+};
+
+// { a: { b: 1 } } -> { 'a.b': 1 }
+function flatten(object, prefix = '') {
+  const flat = {};
+  for (const [key, value] of Object.entries(object)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) Object.assign(flat, flatten(value, name));
+    else flat[name] = value;
+  }
+  return flat;
+}
+
+function unflatten(flat) {
+  const object = {};
+  for (const [name, value] of Object.entries(flat)) {
+    const keys = name.split('.');
+    let node = object;
+    keys.slice(0, -1).forEach((key) => { node = node[key] = node[key] || {}; });
+    node[keys[keys.length - 1]] = value;
+  }
+  return object;
+}
+
+/**
+ * Check and convert one value (strings from the environment become numbers)
+ * @returns {{ value: *, error: string|null }}
+ */
+function coerce(name, raw, baseDir) {
+  const setting = SETTINGS[name];
+  if (raw === null) return { value: null, error: null };
+  if (setting.type === 'path') {
+    return typeof raw === 'string' && raw.trim()
+      ? { value: path.resolve(baseDir, raw), error: null }
+      : { value: null, error: `${name} must be a path` };
+  }
+  if (setting.type === 'url') {
+    const valid = typeof raw === 'string' && /^https?:\/\/[^/\s]+/.test(raw);
+    return valid ? { value: raw.replace(/\/+$/, ''), error: null } : { value: null, error: `${name} must be an http(s) URL, got ${JSON.stringify(raw)}` };
+  }
+  const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+  if (typeof value !== 'number' || Number.isNaN(value) || (setting.type === 'integer' && !Number.isInteger(value))) {
+    return { value: null, error: `${name} must be ${setting.type === 'integer' ? 'a whole number' : 'a number'}, got ${JSON.stringify(raw)}` };
+  }
+  if (value < setting.min) return { value: null, error: `${name} must be at least ${setting.min}, got ${value}` };
+  return { value, error: null };
+}
+
+/**
+ * Resolve the settings
+ * @param {Object} options - { file: config file (default DICT_CONFIG or dict.config.json),
+ *   env: environment (default process.env), cwd: base of relative paths in env }
+ * @returns {Object} { dataDir, dbFile, baseUrl, rateLimit: {...}, crawl: {...}, batch: {...},
+ *   file: the config file read or null, sources: { name: 'default'|'file'|'env' } }
+ * @throws {Error} Listing every invalid setting
+ */
+function loadConfig({ env = process.env, file = env.DICT_CONFIG || null, cwd = process.cwd() } = {}) {
+  const errors = [];
+  const values = {};
+  const sources = {};
+  for (const [name, setting] of Object.entries(SETTINGS)) {
+    values[name] = setting.type === 'path' && setting.default ? path.join(ROOT, setting.default) : setting.default;
+    sources[name] = 'default';
+  }
+
+  // An explicitly named file must exist; the default one is optional
+  const configFile = file ? path.resolve(cwd, file) : CONFIG_FILE;
+  let read = null;
+  if (file || fs.existsSync(configFile)) {
+    try {
+      read = flatten(JSON.parse(fs.readFileSync(configFile, 'utf-8')));
+    } catch (err) {
+      errors.push(`${configFile}: ${err.code === 'ENOENT' ? 'not found' : err.message}`);
+    }
+  }
+  for (const [name, raw] of Object.entries(read || {})) {
+    if (!SETTINGS[name]) {
+      errors.push(`${configFile}: unknown setting "${name}"`);
+      continue;
+    }
+    const { value, error } = coerce(name, raw, path.dirname(configFile));
+    if (error) {
+      errors.push(`${configFile}: ${error}`);
+      continue;
+    }
+    values[name] = value;
+    sources[name] = 'file';
+  }
+
+  for (const [name, setting] of Object.entries(SETTINGS)) {
+    if (env[setting.env] === undefined || env[setting.env] === '') continue;
+    const { value, error } = coerce(name, env[setting.env], cwd);
+    if (error) {
+      errors.push(`${setting.env}: ${error}`);
+      continue;
+    }
+    values[name] = value;
+    sources[name] = 'env';
+  }
+
+  if (errors.length > 0) throw new Error(`Invalid configuration:\n  ${errors.join('\n  ')}`);
+  if (values.dbFile === null) values.dbFile = path.join(values.dataDir, 'dictionary.db');
+  return { ...unflatten(values), file: read ? configFile : null, sources };
+}
+
+// Loaded once per process; every module reads its paths and limits from here
+let config;
+try {
+  config = loadConfig();
+} catch (err) {
+  // A script in src/ run directly (node src/validate.js) stops with the list of
+  // problems, not a stack trace from whichever module loaded this first. dict
+  // names its flags in the message itself, and library callers get the error.
+  const main = require.main && require.main.filename;
+  if (main && path.dirname(main) === __dirname && main !== path.join(__dirname, 'dict.js')) {
+    console.error(`${path.basename(main)}: ${err.message}`);
+    process.exit(1);
+  }
+  throw err;
+}
+
+module.exports = {
+  config,
+  loadConfig,
+  SETTINGS,
+  CONFIG_FILE,
+  DATA_DIR: config.dataDir,
+  DB_FILE: config.dbFile,
+  BASE_URL: config.baseUrl
+};
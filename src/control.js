@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const http = require('http');
+const fs = require('fs-extra');
+const path = require('path');
+
+// Where a running worker advertises its PID and control port
+const WORKER_FILE = path.join(__dirname, '..', 'worker.json');
+const RATE_WINDOW_MS = 60 * 1000;
+// Header that carries the token from worker.json
+const TOKEN_HEADER = 'x-worker-token';
+
+/**
+ * Localhost HTTP control channel for the batch worker.
+ *
+ *   GET  /status  - current mode, prefix, words scraped, errors, rate
+ *   POST /pause   - stop starting new words
+ *   POST /resume  - carry on
+ *   POST /stop    - finish the words in flight, then exit cleanly
+ *
+ * Every request must carry the random token written to worker.json in an
+ * X-Worker-Token header, so a web page can't stop or pause the worker with a
+ * cross-origin POST to 127.0.0.1. Talk to it with src/workerctl.js.
+ */
+class WorkerControl {
+  constructor(file = WORKER_FILE) {
+    this.file = file;
+    this.server = null;
+    this.paused = false;
+    this.stopping = false;
+    this.resumeWaiters = [];
+    this.recent = [];
+    this.token = crypto.randomBytes(24).toString('hex');
+    this.state = {
+      pid: process.pid,
+      started_at: new Date().toISOString(),
+      mode: null,
+      prefix: null,
+      current_words: [],
+      words_scraped: 0,
+      errors: 0,
+      last_error: null
+    };
+  }
+
+  /**
+   * Start listening on 127.0.0.1 and write worker.json
+   * @param {number} port - 0 picks a free port
+   */
+  async start(port = 0) {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', resolve);
+    });
+    this.port = this.server.address().port;
+    await fs.writeJson(this.file, {
+      pid: process.pid,
+      port: this.port,
+      token: this.token,
+      started_at: this.state.started_at
+    }, { spaces: 2, mode: 0o600 });
+    return this.port;
+  }
+
+  async close() {
+    this.resume();
+    if (this.server) {
+      await new Promise((resolve) => this.server.close(resolve));
+      this.server = null;
+    }
+    await fs.remove(this.file);
+  }
+
+  handle(req, res) {
+    const routes = {
+      'GET /status': () => this.status(),
+      'POST /pause': () => { this.pause(); return this.status(); },
+      'POST /resume': () => { this.resume(); return this.status(); },
+      'POST /stop': () => { this.stop(); return this.status(); }
+    };
+    const route = routes[`${req.method} ${req.url.split('?')[0]}`];
+
+    res.setHeader('Content-Type', 'application/json');
+    if (!this.authorized(req)) {
+      res.statusCode = 401;
+      res.end(JSON.stringify({ error: 'Missing or wrong X-Worker-Token (see worker.json)' }));
+      return;
+    }
+    if (!route) {
+      res.statusCode = 404;
+      res.end(JSON.stringify({ error: `Unknown command: ${req.method} ${req.url}` }));
+      return;
+    }
+    res.end(JSON.stringify(route()));
+  }
+
+  authorized(req) {
+    const sent = Buffer.from(String(req.headers[TOKEN_HEADER] || ''));
+    const token = Buffer.from(this.token);
+    return sent.length === token.length && crypto.timingSafeEqual(sent, token);
+  }
+
+  /**
+   * Snapshot of the worker's progress
+   * @returns {Object} State plus derived state/rate fields
+   */
+  status() {
+    const cutoff = Date.now() - RATE_WINDOW_MS;
+    this.recent = this.recent.filter((t) => t >= cutoff);
+    return {
+      ...this.state,
+      state: this.stopping ? 'stopping' : (this.paused ? 'paused' : 'running'),
+      words_per_minute: this.recent.length,
+      uptime_seconds: Math.round((Date.now() - Date.parse(this.state.started_at)) / 1000)
+    };
+  }
+
+  update(fields) {
+    Object.assign(this.state, fields);
+  }
+
+  wordStarted(word) {
+    this.state.current_words.push(word);
+  }
+
+  /**
+   * Count a finished word
+   * @param {string} word - The word
+   * @param {Error|null} err - Set if it failed
+   */
+  wordFinished(word, err = null) {
+    const i = this.state.current_words.indexOf(word);
+    if (i !== -1) this.state.current_words.splice(i, 1);
+    if (err) {
+      this.state.errors++;
+      this.state.last_error = `${word}: ${err.message}`;
+    } else {
+      this.state.words_scraped++;
+      this.recent.push(Date.now());
+    }
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+    this.resumeWaiters.splice(0).forEach((resolve) => resolve());
+  }
+
+  stop() {
+    this.stopping = true;
+    // A paused worker has to wake up to notice it should stop
+    this.resume();
+  }
+
+  /**
+   * Resolves immediately unless paused, in which case it waits for resume/stop
+   */
+  waitIfPaused() {
+    if (!this.paused) return Promise.resolve();
+    return new Promise((resolve) => this.resumeWaiters.push(resolve));
+  }
+}
+
+module.exports = { WorkerControl, WORKER_FILE, TOKEN_HEADER };
@@ -1,218 +1,748 @@
-const sqlite3 = require("sqlite3").verbose();
-const fs = require("fs");
+const crypto = require("crypto");
+const fs = require("fs-extra");
 const path = require("path");
+const SqliteDatabase = require("./sqlite");
+const { MODE_DIRS } = require("./parsers");
+const { definitionGlosses, glossKey } = require("./kh_en_glosses");
+const { normalizeText } = require("./normalize");
+const { loadAudioManifest } = require("./audio_manifest");
+const { DATA_DIR, DB_FILE } = require("./config");
+
+// Changed files are written in transactions of this many entries
+const BATCH_SIZE = 500;
+
+/**
+ * Build or update data/dictionary.db straight from data/<mode>/*.json.
+ *
+ * Words are upserted by (word, type), so the user columns (isFavorite,
+ * isHistory) survive every rebuild. The sources table remembers the size,
+ * mtime and hash of every JSON file, and only files that changed since the
+ * last build are read and re-inserted.
+ *
+ * After the files are synced, relations are resolved to word IDs (see the
+ * relations table) and data/audio_manifest.json, if src/audio_manifest.js
+ * has written one, is copied into the audio table.
+ *
+ * Usage: node src/convert_to_sqlite.js [--full] [--prune] [--infer-reciprocal]
+ *   --full              re-insert every entry even if its file looks unchanged
+ *   --prune             delete words whose JSON file is gone (unless favorited or in history)
+ *   --infer-reciprocal  add the missing reverse of one-way relations
+ */
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS words (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    word TEXT NOT NULL,
+    type TEXT NOT NULL,
+    word_key TEXT,
+    sound TEXT,
+    isFavorite INTEGER DEFAULT 0,
+    isHistory INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_word ON words(word);
+  CREATE INDEX IF NOT EXISTS idx_type ON words(type);
+  CREATE INDEX IF NOT EXISTS idx_word_type ON words(word, type);
+
+  CREATE TABLE IF NOT EXISTS definitions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    word_id INTEGER NOT NULL,
+    pos TEXT,
+    example TEXT,
+    definition_text TEXT,
+    khmer_image_url TEXT,
+    local_image_path TEXT,
+    optimized_image_path TEXT,
+    image_width INTEGER,
+    image_height INTEGER,
+    FOREIGN KEY (word_id) REFERENCES words(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_word_id ON definitions(word_id);
+
+  CREATE TABLE IF NOT EXISTS synonyms (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    word_id INTEGER NOT NULL,
+    synonym TEXT NOT NULL,
+    FOREIGN KEY (word_id) REFERENCES words(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_synonym_word_id ON synonyms(word_id);
+
+  CREATE TABLE IF NOT EXISTS antonyms (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    word_id INTEGER NOT NULL,
+    antonym TEXT NOT NULL,
+    FOREIGN KEY (word_id) REFERENCES words(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_antonym_word_id ON antonyms(word_id);
+
+  CREATE TABLE IF NOT EXISTS similar_words (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    word_id INTEGER NOT NULL,
+    similar_word TEXT NOT NULL,
+    FOREIGN KEY (word_id) REFERENCES words(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_similar_word_id ON similar_words(word_id);
+
+  -- synonyms, antonyms and similar_words as one graph. target_id is the
+  -- related word of the same type, NULL while the dictionary doesn't have it
+  -- (dangling). inferred = 1 marks reverse links added by --infer-reciprocal.
+  CREATE TABLE IF NOT EXISTS relations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    word_id INTEGER NOT NULL,
+    kind TEXT NOT NULL,
+    target TEXT NOT NULL,
+    target_key TEXT NOT NULL,
+    target_id INTEGER,
+    inferred INTEGER DEFAULT 0,
+    FOREIGN KEY (word_id) REFERENCES words(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_relation_word_id ON relations(word_id);
+  CREATE INDEX IF NOT EXISTS idx_relation_target_id ON relations(target_id);
+
+  -- Individual English glosses of kh_en definitions; looked up by gloss_key
+  -- this is the English -> Khmer reverse index
+  CREATE TABLE IF NOT EXISTS glosses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    word_id INTEGER NOT NULL,
+    definition_id INTEGER NOT NULL,
+    gloss TEXT NOT NULL,
+    gloss_key TEXT NOT NULL,
+    FOREIGN KEY (word_id) REFERENCES words(id) ON DELETE CASCADE,
+    FOREIGN KEY (definition_id) REFERENCES definitions(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_gloss_key ON glosses(gloss_key);
+  CREATE INDEX IF NOT EXISTS idx_gloss_word_id ON glosses(word_id);
+
+  -- The JSON file each word was last built from, to skip unchanged files
+  CREATE TABLE IF NOT EXISTS sources (
+    file TEXT PRIMARY KEY,
+    word_id INTEGER NOT NULL,
+    size INTEGER NOT NULL,
+    mtime_ms INTEGER NOT NULL,
+    hash TEXT NOT NULL,
+    built_at TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_source_word_id ON sources(word_id);
+
+  -- MP3 metadata from data/audio_manifest.json; path = words.sound
+  CREATE TABLE IF NOT EXISTS audio (
+    path TEXT PRIMARY KEY,
+    bytes INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    problem TEXT,
+    duration_ms INTEGER,
+    bitrate INTEGER,
+    sample_rate INTEGER,
+    channels INTEGER,
+    frames INTEGER
+  );
+
+  -- Release stamp written by src/release.js (version, released_at,
+  -- content_checksum); empty in the build database itself
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+
+  -- Full-text index for query_dictionary.js search(); rowid = words.id.
+  -- Trigram tokens match any substring of 3+ characters, which also works
+  -- for Khmer, where words are not separated by spaces. All three columns
+  -- hold normalizeText() keys, not the text as displayed.
+  CREATE VIRTUAL TABLE IF NOT EXISTS words_fts USING fts5(
+    word, definitions, examples, tokenize = 'trigram'
+  );
+`;
+
+
+// Tables holding dictionary content for a word (everything but the user columns)
+const CONTENT_TABLES = [
+  "glosses",
+  "definitions",
+  "synonyms",
+  "antonyms",
+  "similar_words",
+  "relations",
+];
+
+// Entry field -> relations.kind
+const RELATION_KINDS = {
+  synonyms: "synonym",
+  antonyms: "antonym",
+  similar_words: "similar",
+};
+
+/**
+ * Remove a word's dictionary content before it is re-inserted
+ * @param {SqliteDatabase} db - Open database
+ * @param {number} wordId - The word's ID
+ */
+async function deleteContent(db, wordId) {
+  for (const table of CONTENT_TABLES) {
+    await db.run(`DELETE FROM ${table} WHERE word_id = ?`, [wordId]);
+  }
+  await db.run("DELETE FROM words_fts WHERE rowid = ?", [wordId]);
+}
 
-// Path to the JSON file and output database
-const JSON_FILE = path.join(__dirname, "../data/dictionary_export.json");
-const DB_FILE = path.join(__dirname, "../data/dictionary.db");
+/**
+ * Write the words_fts row of a word from what is already in words/definitions
+ */
+async function indexWord(db, wordId) {
+  const { word_key: wordKey } = await db.get(
+    "SELECT word_key FROM words WHERE id = ?",
+    [wordId]
+  );
+  const definitions = await db.all(
+    "SELECT definition_text, example FROM definitions WHERE word_id = ? ORDER BY id",
+    [wordId]
+  );
+  const keys = (texts) =>
+    texts.filter(Boolean).map(normalizeText).join("\n") || null;
+
+  await db.run(
+    "INSERT INTO words_fts (rowid, word, definitions, examples) VALUES (?, ?, ?, ?)",
+    [
+      wordId,
+      wordKey,
+      keys(definitions.map((d) => d.definition_text)),
+      keys(definitions.map((d) => d.example)),
+    ]
+  );
+}
 
-console.log("Starting conversion to SQLite...");
-console.log(`Reading: ${JSON_FILE}`);
-console.log(`Output: ${DB_FILE}`);
+/**
+ * Databases built before search normalization have no words.word_key. Add
+ * the column and fill it, and drop the search index so it is rebuilt from
+ * the keys.
+ * @returns {Promise<number>} Number of words given a key
+ */
+async function ensureWordKeys(db) {
+  const columns = await db.all("PRAGMA table_info(words)");
+  if (!columns.some((c) => c.name === "word_key")) {
+    await db.run("ALTER TABLE words ADD COLUMN word_key TEXT");
+  }
 
-// Read the JSON file
-const jsonData = JSON.parse(fs.readFileSync(JSON_FILE, "utf8"));
+  const missing = await db.all(
+    "SELECT id, word FROM words WHERE word_key IS NULL"
+  );
+  await db.transaction(async () => {
+    for (const { id, word } of missing) {
+      await db.run("UPDATE words SET word_key = ? WHERE id = ?", [
+        normalizeText(word),
+        id,
+      ]);
+    }
+    if (missing.length > 0) await db.run("DELETE FROM words_fts");
+    await db.run(
+      "CREATE INDEX IF NOT EXISTS idx_word_key ON words(word_key, type)"
+    );
+  });
 
-// Delete existing database if it exists
-if (fs.existsSync(DB_FILE)) {
-  fs.unlinkSync(DB_FILE);
-  console.log("Removed existing database file.");
+  return missing.length;
 }
 
-// Create new database
-const db = new sqlite3.Database(DB_FILE);
-
-// Create tables
-db.serialize(() => {
-  console.log("Creating tables...");
-
-  // Main words table
-  db.run(`
-        CREATE TABLE words (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            word TEXT NOT NULL,
-            type TEXT NOT NULL,
-            sound TEXT,
-            isFavorite INTEGER DEFAULT 0,
-            isHistory INTEGER DEFAULT 0,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-    `);
-
-  // Create index on word and type for faster lookups
-  db.run("CREATE INDEX idx_word ON words(word)");
-  db.run("CREATE INDEX idx_type ON words(type)");
-  db.run("CREATE INDEX idx_word_type ON words(word, type)");
-
-  // Definitions table
-  db.run(`
-        CREATE TABLE definitions (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            word_id INTEGER NOT NULL,
-            pos TEXT,
-            example TEXT,
-            definition_text TEXT,
-            khmer_image_url TEXT,
-            local_image_path TEXT,
-            FOREIGN KEY (word_id) REFERENCES words(id) ON DELETE CASCADE
-        )
-    `);
-
-  db.run("CREATE INDEX idx_word_id ON definitions(word_id)");
-
-  // Synonyms table
-  db.run(`
-        CREATE TABLE synonyms (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            word_id INTEGER NOT NULL,
-            synonym TEXT NOT NULL,
-            FOREIGN KEY (word_id) REFERENCES words(id) ON DELETE CASCADE
-        )
-    `);
-
-  db.run("CREATE INDEX idx_synonym_word_id ON synonyms(word_id)");
-
-  // Antonyms table
-  db.run(`
-        CREATE TABLE antonyms (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            word_id INTEGER NOT NULL,
-            antonym TEXT NOT NULL,
-            FOREIGN KEY (word_id) REFERENCES words(id) ON DELETE CASCADE
-        )
-    `);
-
-  db.run("CREATE INDEX idx_antonym_word_id ON antonyms(word_id)");
-
-  // Similar words table
-  db.run(`
-        CREATE TABLE similar_words (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            word_id INTEGER NOT NULL,
-            similar_word TEXT NOT NULL,
-            FOREIGN KEY (word_id) REFERENCES words(id) ON DELETE CASCADE
-        )
-    `);
-
-  db.run("CREATE INDEX idx_similar_word_id ON similar_words(word_id)");
-
-  console.log("Tables created successfully.");
-});
-
-// Insert data with proper async handling
-db.serialize(() => {
-  console.log("Starting data insertion...");
-
-  // Begin transaction for better performance
-  db.run("BEGIN TRANSACTION");
-
-  let totalWords = 0;
-  let totalDefinitions = 0;
-  let totalSynonyms = 0;
-  let totalAntonyms = 0;
-  let totalSimilarWords = 0;
-
-  // Process each dictionary type
-  for (const [dictType, words] of Object.entries(jsonData)) {
-    console.log(`Processing ${dictType}...`);
-    let count = 0;
-
-    for (const wordData of words) {
-      // Insert word and get ID using callback
-      db.run(
-        "INSERT INTO words (word, type, sound, isHistory) VALUES (?, ?, ?, ?)",
-        [wordData.word, wordData.type, wordData.sound, wordData.isHistory || 0],
-        function (err) {
-          if (err) {
-            console.error(`Error inserting word: ${wordData.word}`, err);
-            return;
-          }
-
-          const wordId = this.lastID;
-
-          // Insert definitions
-          if (wordData.definitions && wordData.definitions.length > 0) {
-            for (const def of wordData.definitions) {
-              db.run(
-                "INSERT INTO definitions (word_id, pos, example, definition_text, khmer_image_url, local_image_path) VALUES (?, ?, ?, ?, ?, ?)",
-                [
-                  wordId,
-                  def.pos || "",
-                  def.example || "",
-                  def.definition_text || "",
-                  def.khmer_image_url || "",
-                  def.local_image_path || "",
-                ]
-              );
-              totalDefinitions++;
-            }
-          }
-
-          // Insert synonyms
-          if (wordData.synonyms && wordData.synonyms.length > 0) {
-            for (const synonym of wordData.synonyms) {
-              db.run("INSERT INTO synonyms (word_id, synonym) VALUES (?, ?)", [
-                wordId,
-                synonym,
-              ]);
-              totalSynonyms++;
-            }
-          }
-
-          // Insert antonyms
-          if (wordData.antonyms && wordData.antonyms.length > 0) {
-            for (const antonym of wordData.antonyms) {
-              db.run("INSERT INTO antonyms (word_id, antonym) VALUES (?, ?)", [
-                wordId,
-                antonym,
-              ]);
-              totalAntonyms++;
-            }
-          }
-
-          // Insert similar words
-          if (wordData.similar_words && wordData.similar_words.length > 0) {
-            for (const similar of wordData.similar_words) {
-              db.run(
-                "INSERT INTO similar_words (word_id, similar_word) VALUES (?, ?)",
-                [wordId, similar]
-              );
-              totalSimilarWords++;
-            }
-          }
-        }
+/**
+ * Databases built before src/optimize_images.js have no optimized image
+ * columns. Add them and forget when the en_kh files were synced, so their
+ * definitions are rewritten with the image sizes.
+ * @returns {Promise<boolean>} True if the columns were added
+ */
+async function ensureImageColumns(db) {
+  const columns = await db.all("PRAGMA table_info(definitions)");
+  if (columns.some((c) => c.name === "optimized_image_path")) return false;
+  await db.transaction(async () => {
+    await db.run("ALTER TABLE definitions ADD COLUMN optimized_image_path TEXT");
+    await db.run("ALTER TABLE definitions ADD COLUMN image_width INTEGER");
+    await db.run("ALTER TABLE definitions ADD COLUMN image_height INTEGER");
+    await db.run("DELETE FROM sources WHERE file LIKE 'en_kh/%'");
+  });
+  return true;
+}
+
+/**
+ * Fill words_fts for databases built before it existed
+ * @returns {Promise<boolean>} True if the index was populated
+ */
+async function ensureSearchIndex(db) {
+  const indexed = await db.get("SELECT rowid FROM words_fts LIMIT 1");
+  const words = await db.all("SELECT id FROM words");
+  if (indexed || words.length === 0) return false;
+  await db.transaction(async () => {
+    for (const { id } of words) await indexWord(db, id);
+  });
+  return true;
+}
+
+/**
+ * Databases built by the old converter can hold the same (word, type) more
+ * than once. Merge those rows, keeping the oldest ID and any user flags, then
+ * add the unique index the upserts rely on.
+ * @returns {Promise<number>} Number of duplicate rows removed
+ */
+async function ensureUniqueWords(db) {
+  const index = await db.get(
+    "SELECT name FROM sqlite_master WHERE type = 'index' AND name = 'idx_words_unique'"
+  );
+  if (index) return 0;
+
+  const groups = await db.all(
+    `SELECT word, type, MIN(id) AS keep_id, MAX(isFavorite) AS isFavorite,
+            MAX(isHistory) AS isHistory
+     FROM words GROUP BY word, type HAVING COUNT(*) > 1`
+  );
+
+  let removed = 0;
+  await db.transaction(async () => {
+    for (const group of groups) {
+      const extra = await db.all(
+        "SELECT id FROM words WHERE word = ? AND type = ? AND id != ?",
+        [group.word, group.type, group.keep_id]
+      );
+      for (const { id } of extra) {
+        await deleteContent(db, id);
+        await db.run("DELETE FROM sources WHERE word_id = ?", [id]);
+        await db.run("DELETE FROM words WHERE id = ?", [id]);
+        removed++;
+      }
+      await db.run(
+        "UPDATE words SET isFavorite = ?, isHistory = ? WHERE id = ?",
+        [group.isFavorite || 0, group.isHistory || 0, group.keep_id]
+      );
+    }
+    await db.run("CREATE UNIQUE INDEX idx_words_unique ON words(word, type)");
+  });
+
+  return removed;
+}
+
+/**
+ * Insert the definitions, relations and (kh_en) glosses of an entry
+ * @returns {Promise<number>} Number of definitions inserted
+ */
+async function insertContent(db, wordId, entry) {
+  const definitions = entry.definitions || [];
+
+  for (const def of definitions) {
+    const { lastID } = await db.run(
+      `INSERT INTO definitions (word_id, pos, example, definition_text, khmer_image_url, local_image_path,
+         optimized_image_path, image_width, image_height) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        wordId,
+        def.pos || "",
+        // kh_kh definitions carry a list of examples
+        [].concat(def.example || []).join("\n"),
+        def.definition_text || "",
+        def.khmer_image_url || "",
+        def.local_image_path || "",
+        def.optimized_image_path || null,
+        def.image_width || null,
+        def.image_height || null,
+      ]
+    );
+
+    if (entry.type !== "kh_en") continue;
+    for (const gloss of definitionGlosses(def)) {
+      const key = glossKey(gloss);
+      if (!key) continue;
+      await db.run(
+        "INSERT INTO glosses (word_id, definition_id, gloss, gloss_key) VALUES (?, ?, ?, ?)",
+        [wordId, lastID, gloss, key]
       );
+    }
+  }
 
-      totalWords++;
-      count++;
+  for (const synonym of entry.synonyms || []) {
+    await db.run("INSERT INTO synonyms (word_id, synonym) VALUES (?, ?)", [
+      wordId,
+      synonym,
+    ]);
+  }
+  for (const antonym of entry.antonyms || []) {
+    await db.run("INSERT INTO antonyms (word_id, antonym) VALUES (?, ?)", [
+      wordId,
+      antonym,
+    ]);
+  }
+  for (const similar of entry.similar_words || []) {
+    await db.run(
+      "INSERT INTO similar_words (word_id, similar_word) VALUES (?, ?)",
+      [wordId, similar]
+    );
+  }
 
-      // Progress indicator
-      if (count % 1000 === 0) {
-        console.log(`  Processed ${count} words from ${dictType}...`);
+  for (const [field, kind] of Object.entries(RELATION_KINDS)) {
+    for (const target of entry[field] || []) {
+      await insertRelation(db, wordId, kind, target);
+    }
+  }
+
+  return definitions.length;
+}
+
+/**
+ * Add an unresolved relation; resolveRelations() links it to its word
+ */
+function insertRelation(db, wordId, kind, target) {
+  return db.run(
+    "INSERT INTO relations (word_id, kind, target, target_key) VALUES (?, ?, ?, ?)",
+    [wordId, kind, target, normalizeText(target)]
+  );
+}
+
+/**
+ * Databases built before the relations table existed only have the
+ * synonyms/antonyms/similar_words tables; copy those into it once.
+ * @returns {Promise<number>} Number of relations copied
+ */
+async function ensureRelations(db) {
+  const existing = await db.get("SELECT id FROM relations LIMIT 1");
+  if (existing) return 0;
+
+  const rows = await db.all(
+    `SELECT word_id, 'synonym' AS kind, synonym AS target FROM synonyms
+     UNION ALL
+     SELECT word_id, 'antonym', antonym FROM antonyms
+     UNION ALL
+     SELECT word_id, 'similar', similar_word FROM similar_words
+     ORDER BY word_id`
+  );
+  await db.transaction(async () => {
+    for (const row of rows) {
+      await insertRelation(db, row.word_id, row.kind, row.target);
+    }
+  });
+  return rows.length;
+}
+
+/**
+ * Link relations to the words they name, by search key within the same
+ * dictionary type, and count the ones that can't be linked or aren't returned
+ * @param {SqliteDatabase} db - Open database, inside the build transaction
+ * @param {boolean} inferReciprocal - Add the missing reverse of one-way links
+ * @returns {Promise<Object>} { relations, dangling, oneWay, inferred }
+ */
+async function resolveRelations(db, inferReciprocal) {
+  await db.run("DELETE FROM relations WHERE inferred = 1");
+
+  // New rows, dangling ones whose word may exist now, and links to removed
+  // words. The exact spelling wins over another word with the same key.
+  await db.run(
+    `UPDATE relations SET target_id = COALESCE(
+       (SELECT t.id FROM words s
+        JOIN words t ON t.word = relations.target AND t.type = s.type
+        WHERE s.id = relations.word_id),
+       (SELECT t.id FROM words s
+        JOIN words t ON t.word_key = relations.target_key AND t.type = s.type
+        WHERE s.id = relations.word_id
+        LIMIT 1))
+     WHERE target_id IS NULL
+        OR NOT EXISTS (SELECT 1 FROM words WHERE id = relations.target_id)`
+  );
+
+  const counts = await db.get(
+    `SELECT COUNT(*) AS relations,
+            COALESCE(SUM(target_id IS NULL), 0) AS dangling,
+            COALESCE(SUM(target_id IS NOT NULL AND target_id != word_id AND NOT EXISTS (
+              SELECT 1 FROM relations b
+              WHERE b.word_id = r.target_id AND b.target_id = r.word_id AND b.kind = r.kind
+            )), 0) AS oneWay
+     FROM relations r`
+  );
+
+  let inferred = 0;
+  if (inferReciprocal) {
+    ({ changes: inferred } = await db.run(
+      `INSERT INTO relations (word_id, kind, target, target_key, target_id, inferred)
+       SELECT DISTINCT r.target_id, r.kind, w.word, w.word_key, r.word_id, 1
+       FROM relations r JOIN words w ON w.id = r.word_id
+       WHERE r.target_id IS NOT NULL AND r.target_id != r.word_id
+         AND NOT EXISTS (
+           SELECT 1 FROM relations b
+           WHERE b.word_id = r.target_id AND b.target_id = r.word_id AND b.kind = r.kind
+         )`
+    ));
+  }
+
+  return { ...counts, inferred };
+}
+
+/**
+ * Bring one JSON file's entry up to date in the database
+ * @param {SqliteDatabase} db - Open database
+ * @param {string} dataDir - The data directory
+ * @param {string} file - Path relative to dataDir, e.g. "en_kh/hello.json"
+ * @param {Object|undefined} source - The file's sources row from the last build
+ * @param {boolean} full - Rebuild even if the file looks unchanged
+ * @returns {Promise<string>} "added", "updated" or "unchanged"
+ */
+async function syncFile(db, dataDir, file, source, full) {
+  const filePath = path.join(dataDir, file);
+  const stat = await fs.stat(filePath);
+  const mtimeMs = Math.floor(stat.mtimeMs);
+
+  if (!full && source && source.size === stat.size && source.mtime_ms === mtimeMs) {
+    return "unchanged";
+  }
+
+  const raw = await fs.readFile(filePath);
+  const hash = crypto.createHash("sha1").update(raw).digest("hex");
+  const now = new Date().toISOString();
+
+  if (!full && source && source.hash === hash) {
+    // Touched but not edited; remember the new mtime so it is skipped next time
+    await db.run("UPDATE sources SET size = ?, mtime_ms = ? WHERE file = ?", [
+      stat.size,
+      mtimeMs,
+      file,
+    ]);
+    return "unchanged";
+  }
+
+  const entry = JSON.parse(raw);
+  entry.type = entry.type || path.dirname(file);
+
+  // Upsert by (word, type); isFavorite/isHistory are never written here
+  await db.run(
+    `INSERT INTO words (word, type, word_key, sound) VALUES (?, ?, ?, ?)
+     ON CONFLICT (word, type) DO UPDATE SET
+       word_key = excluded.word_key, sound = excluded.sound`,
+    [
+      entry.word,
+      entry.type,
+      normalizeText(entry.word),
+      entry.local_sound_path || entry.sound || null,
+    ]
+  );
+  const { id: wordId } = await db.get(
+    "SELECT id FROM words WHERE word = ? AND type = ?",
+    [entry.word, entry.type]
+  );
+
+  await deleteContent(db, wordId);
+  await insertContent(db, wordId, entry);
+  await indexWord(db, wordId);
+
+  await db.run(
+    `INSERT INTO sources (file, word_id, size, mtime_ms, hash, built_at)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT (file) DO UPDATE SET word_id = excluded.word_id, size = excluded.size,
+       mtime_ms = excluded.mtime_ms, hash = excluded.hash, built_at = excluded.built_at`,
+    [file, wordId, stat.size, mtimeMs, hash, now]
+  );
+
+  return source ? "updated" : "added";
+}
+
+/**
+ * Words no JSON file maps to any more: their file was deleted, or now holds
+ * a different headword. With prune, those without user data are removed.
+ * @returns {Promise<Object>} { stale, pruned }
+ */
+async function removeStaleWords(db, prune) {
+  const stale = await db.all(
+    `SELECT id, isFavorite, isHistory FROM words
+     WHERE id NOT IN (SELECT word_id FROM sources)`
+  );
+  let pruned = 0;
+
+  if (prune) {
+    for (const word of stale) {
+      if (word.isFavorite || word.isHistory) continue;
+      await deleteContent(db, word.id);
+      await db.run("DELETE FROM words WHERE id = ?", [word.id]);
+      pruned++;
+    }
+  }
+
+  return { stale: stale.length, pruned };
+}
+
+/**
+ * Replace the audio table with data/audio_manifest.json
+ * @returns {Promise<Object|null>} { files, invalid }, null if there is no manifest
+ */
+async function loadAudio(db, dataDir) {
+  const manifest = await loadAudioManifest(dataDir);
+  if (!manifest) return null;
+
+  await db.run("DELETE FROM audio");
+  let invalid = 0;
+  for (const [file, record] of Object.entries(manifest.files)) {
+    await db.run(
+      `INSERT INTO audio (path, bytes, status, problem, duration_ms, bitrate, sample_rate, channels, frames)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        file,
+        record.bytes,
+        record.status,
+        record.problem,
+        record.duration_ms,
+        record.bitrate,
+        record.sample_rate,
+        record.channels,
+        record.frames,
+      ]
+    );
+    if (record.status !== "ok") invalid++;
+  }
+  return { files: Object.keys(manifest.files).length, invalid };
+}
+
+/**
+ * Stream data/<mode>/*.json into the database
+ * @param {Object} options - { full, prune, inferReciprocal, dataDir, dbFile }
+ * @returns {Promise<Object>} Counts of added, updated, unchanged, removed files...
+ */
+async function buildDatabase({
+  full = false,
+  prune = false,
+  inferReciprocal = false,
+  dataDir = DATA_DIR,
+  dbFile = DB_FILE,
+} = {}) {
+  const db = await new SqliteDatabase(dbFile).open();
+  const report = {
+    added: 0,
+    updated: 0,
+    unchanged: 0,
+    removedFiles: 0,
+    merged: 0,
+    keyed: 0,
+    imageColumns: false,
+    searchIndexed: false,
+    stale: 0,
+    pruned: 0,
+    relations: null,
+    audio: null,
+  };
+
+  try {
+    await db.exec(SCHEMA);
+    report.merged = await ensureUniqueWords(db);
+    report.keyed = await ensureWordKeys(db);
+    report.imageColumns = await ensureImageColumns(db);
+    await ensureRelations(db);
+    report.searchIndexed = await ensureSearchIndex(db);
+
+    const sources = new Map(
+      (await db.all("SELECT file, size, mtime_ms, hash FROM sources")).map(
+        (row) => [row.file, row]
+      )
+    );
+    const seen = new Set();
+    let pending = 0;
+
+    await db.run("BEGIN TRANSACTION");
+    for (const dir of Object.values(MODE_DIRS)) {
+      const modePath = path.join(dataDir, dir);
+      if (!(await fs.pathExists(modePath))) continue;
+      console.log(`Processing ${dir}...`);
+
+      // opendir streams the directory instead of listing 20k names at once
+      for await (const dirent of await fs.promises.opendir(modePath)) {
+        if (!dirent.isFile() || !dirent.name.endsWith(".json")) continue;
+        const file = `${dir}/${dirent.name}`;
+        seen.add(file);
+
+        const result = await syncFile(db, dataDir, file, sources.get(file), full);
+        report[result]++;
+
+        if (result !== "unchanged" && ++pending >= BATCH_SIZE) {
+          await db.run("COMMIT");
+          await db.run("BEGIN TRANSACTION");
+          pending = 0;
+          console.log(`  ${report.added + report.updated} entries written...`);
+        }
       }
     }
 
-    console.log(`Finished ${dictType}: ${count} words`);
+    // JSON files that were deleted since the last build
+    for (const file of sources.keys()) {
+      if (seen.has(file)) continue;
+      await db.run("DELETE FROM sources WHERE file = ?", [file]);
+      report.removedFiles++;
+    }
+    Object.assign(report, await removeStaleWords(db, prune));
+    report.relations = await resolveRelations(db, inferReciprocal);
+    report.audio = await loadAudio(db, dataDir);
+    await db.run("COMMIT");
+  } catch (err) {
+    await db.run("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    await db.close();
   }
 
-  // Commit transaction
-  db.run("COMMIT", () => {
-    console.log("\n=== Conversion Summary ===");
-    console.log(`Total words: ${totalWords}`);
-    console.log(`Total definitions: ${totalDefinitions}`);
-    console.log(`Total synonyms: ${totalSynonyms}`);
-    console.log(`Total antonyms: ${totalAntonyms}`);
-    console.log(`Total similar words: ${totalSimilarWords}`);
-    console.log("\nDatabase created successfully!");
-    console.log(`Location: ${DB_FILE}`);
-
-    // Close database
-    db.close((err) => {
-      if (err) {
-        console.error("Error closing database:", err);
-      } else {
-        console.log("\nDatabase connection closed.");
+  return report;
+}
+
+module.exports = {
+  buildDatabase,
+  deleteContent,
+  indexWord,
+  resolveRelations,
+  SCHEMA,
+  DB_FILE,
+};
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const full = args.includes("--full");
+  const prune = args.includes("--prune");
+  const inferReciprocal = args.includes("--infer-reciprocal");
+
+  console.log(`Building ${DB_FILE} from ${DATA_DIR}${full ? " (full)" : ""}`);
+
+  buildDatabase({ full, prune, inferReciprocal })
+    .then((report) => {
+      console.log("\n=== Build Summary ===");
+      console.log(`Added: ${report.added}`);
+      console.log(`Updated: ${report.updated}`);
+      console.log(`Unchanged: ${report.unchanged}`);
+      console.log(`Deleted JSON files: ${report.removedFiles}`);
+      if (report.merged) {
+        console.log(`Duplicate word rows merged: ${report.merged}`);
       }
+      if (report.keyed) {
+        console.log(`Search keys added to existing words: ${report.keyed}`);
+      }
+      if (report.imageColumns) {
+        console.log("Image size columns added; en_kh entries were re-synced");
+      }
+      if (report.searchIndexed) {
+        console.log("Full-text index built for existing words");
+      }
+      console.log(
+        `Words without a JSON file: ${report.stale}${
+          prune
+            ? ` (${report.pruned} pruned, ${
+                report.stale - report.pruned
+              } kept for favorites/history)`
+            : " (use --prune to remove)"
+        }`
+      );
+      const { relations } = report;
+      console.log(
+        `Relations: ${relations.relations} (${relations.dangling} to words not in the dictionary, ${relations.oneWay} one-way${
+          inferReciprocal ? `, ${relations.inferred} reverse links inferred` : ""
+        })`
+      );
+      console.log(
+        report.audio
+          ? `Audio files: ${report.audio.files} (${report.audio.invalid} truncated or invalid)`
+          : "Audio files: no data/audio_manifest.json (run node src/audio_manifest.js)"
+      );
+      console.log(`\nLocation: ${DB_FILE}`);
+    })
+    .catch((err) => {
+      console.error("Build failed:", err);
+      process.exit(1);
     });
-  });
-});
+}
@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { fork } = require('child_process');
+const { parseArgs } = require('util');
+
+/**
+ * One command line for the whole toolchain.
+ *
+ * Usage: dict <command> [arguments] [--flags]   (npm run dict -- <command> ... without a global install)
+ *
+ * Each command validates its arguments, then runs the script that does the
+ * work (src/index.js, batch_scrape.js, export.js, convert_to_sqlite.js,
+ * query_dictionary.js) with the settings of src/config.js. Flags that are
+ * settings (--data-dir, --depth, --max-words, ...) are passed on as their
+ * environment variables, so they win over the environment and dict.config.json.
+ */
+
+const TYPES = ['en_kh', 'kh_kh', 'kh_en'];
+const EXPORT_FORMATS = ['json', 'stardict', 'dictd', 'tei', 'xdxf', 'anki', 'csv', 'tsv'];
+const QUERIES = {
+    search: '<word> - Ranked search (--type, --page, --limit)',
+    complete: '<word> - Everything about a word (--type)',
+    autocomplete: '<prefix> - Words starting with a prefix (--type, --limit)',
+    english: '<word...> - Khmer words for an English gloss',
+    related: '<word> - Related words (--type, --hops, --kind synonym|antonym|similar)',
+    path: '<from> <to> - Shortest relation path (--type, --hops)',
+    stats: '- Database statistics'
+};
+
+// Accepted by every command: where the data is and how fast to fetch it
+const GLOBAL_FLAGS = {
+    config: { type: 'string', env: 'DICT_CONFIG', help: '<file>  Settings file (default: dict.config.json)' },
+    'data-dir': { type: 'string', env: 'DICT_DATA_DIR', help: '<dir>  Entries, media, archive and frontier' },
+    db: { type: 'string', env: 'DICT_DB', help: '<file>  SQLite database (default: <data-dir>/dictionary.db)' },
+    'base-url': { type: 'string', env: 'DICT_BASE_URL', help: '<url>  Site to scrape' },
+    concurrency: { type: 'string', env: 'SCRAPE_CONCURRENCY', help: '<n>  Requests in flight at once' },
+    rps: { type: 'string', env: 'SCRAPE_RPS', help: '<n>  Requests started per second' },
+    help: { type: 'boolean', short: 'h', help: 'Show help' }
+};
+
+const COMMANDS = {
+    crawl: {
+        usage: 'crawl <word> [--type en_kh] [--depth 1] [--max-words 50]',
+        summary: 'Scrape a word and, with --depth 2 or more, the words related to it',
+        positionals: [1, 1],
+        flags: {
+            type: { type: 'string', values: TYPES, help: 'en_kh, kh_kh or kh_en (default: en_kh)' },
+            depth: { type: 'string', env: 'DICT_CRAWL_DEPTH', help: '1 = the word only, 2 = its related words too, ...' },
+            'max-words': { type: 'string', env: 'DICT_CRAWL_MAX_WORDS', help: 'Stop after this many words' }
+        },
+        run: ({ positionals: [word], flags }, config) => runScript('index.js', [
+            word,
+            String(TYPES.indexOf(flags.type || 'en_kh') + 1),
+            String(config.crawl.depth)
+        ])
+    },
+    batch: {
+        usage: 'batch <en|kh|all> [--depth 2] [--max-words N]',
+        summary: 'Discover and scrape whole dictionaries (resumable; see src/workerctl.js)',
+        positionals: [1, 1],
+        values: [['en', 'kh', 'all']],
+        flags: {
+            depth: { type: 'string', env: 'DICT_BATCH_DEPTH', help: 'Relation depth of discovered words' },
+            'max-words': { type: 'string', env: 'DICT_BATCH_MAX_WORDS', help: 'Stop after this many words; the next run continues' }
+        },
+        run: ({ positionals: [type] }, config) => runScript('batch_scrape.js', [type, String(config.batch.depth)])
+    },
+    export: {
+        usage: 'export [format] [--type en_kh] [--no-media] [--words <file>] [--favorites] [--pos n,v]',
+        summary: `Export the entries (${EXPORT_FORMATS.join(', ')}; default json)`,
+        positionals: [0, 1],
+        values: [EXPORT_FORMATS],
+        flags: {
+            type: { type: 'string', values: TYPES, help: 'One dictionary (default: all three; not for json)' },
+            'no-media': { type: 'boolean', help: 'stardict: link images and sounds to the site instead of copying them' },
+            words: { type: 'string', help: 'anki, csv, tsv: only the words listed in this file' },
+            favorites: { type: 'boolean', help: 'anki, csv, tsv: only the words starred in the database' },
+            pos: { type: 'string', help: 'anki, csv, tsv: only these parts of speech' }
+        },
+        validate: ({ positionals: [format = 'json'], flags }) => {
+            if (format === 'json' && Object.keys(flags).length > 0) return 'the json export takes no flags';
+            if (flags.words && !fs.existsSync(flags.words)) return `word list not found: ${flags.words}`;
+            return null;
+        },
+        run: ({ positionals: [format = 'json'], flags }) => runScript('export.js', [
+            format,
+            ...(flags.type ? [flags.type] : []),
+            ...(flags['no-media'] ? ['--no-media'] : []),
+            ...(flags.words ? ['--words', path.resolve(flags.words)] : []),
+            ...(flags.favorites ? ['--favorites'] : []),
+            ...(flags.pos ? ['--pos', flags.pos] : [])
+        ])
+    },
+    'build-db': {
+        usage: 'build-db [--full] [--prune] [--infer-reciprocal]',
+        summary: 'Build or update the SQLite database from the entries',
+        positionals: [0, 0],
+        flags: {
+            full: { type: 'boolean', help: 'Re-read every entry, not just changed files' },
+            prune: { type: 'boolean', help: 'Remove words whose file is gone (favorites/history are kept)' },
+            'infer-reciprocal': { type: 'boolean', help: 'Add the missing reverse synonym/antonym links' }
+        },
+        run: ({ flags }) => runScript('convert_to_sqlite.js', Object.keys(flags).map((flag) => `--${flag}`))
+    },
+    query: {
+        usage: 'query <search|complete|autocomplete|english|related|path|stats> <word...> [--type en_kh] [--limit N] ...',
+        summary: 'Look words up in the database',
+        positionals: [1, Infinity],
+        values: [Object.keys(QUERIES)],
+        flags: {
+            type: { type: 'string', values: TYPES, help: 'One dictionary (default: all)' },
+            page: { type: 'string', integer: true, help: 'search: result page' },
+            limit: { type: 'string', integer: true, help: 'search, autocomplete: results per page' },
+            hops: { type: 'string', integer: true, help: 'related, path: how far to walk' },
+            kind: { type: 'string', values: ['synonym', 'antonym', 'similar'], help: 'related: one kind of relation' }
+        },
+        validate: ({ positionals: [query, ...words] }) => {
+            const needed = { stats: 0, path: 2 }[query] ?? 1;
+            if (words.length < needed || (query !== 'english' && words.length > needed)) return `usage: query ${query} ${QUERIES[query].split(' - ')[0]}`;
+            return null;
+        },
+        run: ({ positionals: [query, ...words], flags }) => {
+            // query_dictionary.js reads "complete" and "english" by position only
+            const type = flags.type ? [flags.type] : [];
+            const options = ['page', 'limit', 'hops', 'kind'].filter((flag) => flags[flag]).flatMap((flag) => [`--${flag}`, flags[flag]]);
+            const args = query === 'english' ? [query, ...words]
+                : query === 'complete' ? [query, words[0], ...type]
+                    : [query, ...words, ...type, ...options];
+            return runScript('query_dictionary.js', args);
+        }
+    },
+    stats: {
+        usage: 'stats',
+        summary: 'Saved entries, crawl progress and database statistics',
+        positionals: [0, 0],
+        flags: {},
+        run: stats
+    },
+    config: {
+        usage: 'config',
+        summary: 'Show the settings in effect and where each comes from',
+        positionals: [0, 0],
+        flags: {},
+        run: showConfig
+    }
+};
+
+/**
+ * Run a script of src/ with the same environment (and so the same settings)
+ * @returns {Promise<number>} Its exit code
+ */
+function runScript(script, args) {
+    return new Promise((resolve, reject) => {
+        const child = fork(path.join(__dirname, script), args, { stdio: 'inherit' });
+        // Ctrl+C reaches the child too; it decides how to stop, we wait for it
+        const ignore = () => {};
+        process.on('SIGINT', ignore);
+        process.on('SIGTERM', ignore);
+        child.on('error', reject);
+        child.on('exit', (code, signal) => {
+            process.off('SIGINT', ignore);
+            process.off('SIGTERM', ignore);
+            resolve(signal ? 1 : code);
+        });
+    });
+}
+
+async function stats(_, config) {
+    // Loaded here so the settings from the flags are in place first
+    const { EntryStore } = require('./entry_store');
+    const { MODE_DIRS } = require('./parsers');
+
+    const store = await new EntryStore(config.dataDir).load();
+    const counts = {};
+    Object.values(store.entries).forEach((record) => {
+        counts[record.mode] = (counts[record.mode] || 0) + 1;
+    });
+    console.log(`\n=== Saved Entries (${config.dataDir}) ===`);
+    Object.entries(MODE_DIRS).forEach(([mode, dir]) => console.log(`${dir}: ${counts[mode] || 0}`));
+
+    if (fs.existsSync(path.join(config.dataDir, 'frontier.db'))) {
+        const code = await runScript('frontier.js', ['status']);
+        if (code !== 0) return code;
+    }
+    if (!fs.existsSync(config.dbFile)) {
+        console.log(`\nNo database at ${config.dbFile} yet (dict build-db)`);
+        return 0;
+    }
+    return runScript('query_dictionary.js', ['stats']);
+}
+
+function showConfig(_, config) {
+    const { SETTINGS } = require('./config');
+    console.log(`Config file: ${config.file || 'none (defaults + environment)'}\n`);
+    for (const [name, setting] of Object.entries(SETTINGS)) {
+        const value = name.split('.').reduce((node, key) => node[key], config);
+        const source = config.sources[name] === 'default' && name === 'dbFile' ? 'from dataDir' : config.sources[name];
+        console.log(`${name.padEnd(28)} ${String(value).padEnd(32)} ${source.padEnd(12)} ${setting.env}`);
+    }
+    return 0;
+}
+
+function printHelp(name) {
+    const command = COMMANDS[name];
+    const flagLines = (flags) => Object.entries(flags).map(([flag, spec]) =>
+        `  --${flag.padEnd(18)} ${spec.help}${spec.values && !spec.help.includes(spec.values[0]) ? ` (${spec.values.join(', ')})` : ''}`);
+
+    if (command) {
+        console.log(`Usage: dict ${command.usage}\n\n${command.summary}`);
+        if (name === 'query') Object.entries(QUERIES).forEach(([query, help]) => console.log(`  ${query.padEnd(13)} ${help}`));
+        if (Object.keys(command.flags).length > 0) console.log(`\nOptions:\n${flagLines(command.flags).join('\n')}`);
+    } else {
+        console.log('Usage: dict <command> [arguments] [options]\n\nCommands:');
+        Object.entries(COMMANDS).forEach(([key, { summary }]) => console.log(`  ${key.padEnd(10)} ${summary}`));
+        console.log('\nRun "dict <command> --help" for its arguments and options.');
+    }
+    console.log(`\nGlobal options:\n${flagLines(GLOBAL_FLAGS).join('\n')}`);
+    console.log('\nSettings come from dict.config.json, then the environment, then these flags (dict config lists them).');
+}
+
+/**
+ * Check a command line against its command
+ * @returns {Object} { name, command, positionals, flags, env: settings for the environment, error }
+ */
+function parseCommandLine(argv) {
+    const [name, ...rest] = argv;
+    const command = COMMANDS[name];
+    if (!command) return { name, error: name && !name.startsWith('-') ? `unknown command "${name}"` : null };
+
+    const specs = { ...GLOBAL_FLAGS, ...command.flags };
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: rest,
+            options: Object.fromEntries(Object.entries(specs).map(([flag, { type, short }]) => [flag, short ? { type, short } : { type }])),
+            allowPositionals: true,
+            strict: true
+        });
+    } catch (err) {
+        return { name, command, error: err.message };
+    }
+    const { positionals, values } = parsed;
+    const result = { name, command, positionals, flags: {}, env: {}, help: Boolean(values.help), error: null };
+    if (result.help) return result;
+
+    const [min, max] = command.positionals;
+    if (positionals.length < min) return { ...result, error: `missing argument (dict ${command.usage})` };
+    if (positionals.length > max) return { ...result, error: `unexpected argument "${positionals[max]}"` };
+    for (const [i, allowed] of (command.values || []).entries()) {
+        if (positionals[i] !== undefined && !allowed.includes(positionals[i])) {
+            return { ...result, error: `"${positionals[i]}" is not one of ${allowed.join(', ')}` };
+        }
+    }
+
+    for (const [flag, value] of Object.entries(values)) {
+        if (flag === 'help') continue;
+        const spec = specs[flag];
+        if (spec.values && !spec.values.includes(value)) return { ...result, error: `--${flag} must be one of ${spec.values.join(', ')}` };
+        if (spec.integer && !/^[1-9]\d*$/.test(value)) return { ...result, error: `--${flag} must be a positive whole number` };
+        // Settings are checked by config.js with the rest of the configuration
+        if (spec.env) result.env[spec.env] = value;
+        else result.flags[flag] = value;
+    }
+    if (command.validate) result.error = command.validate(result);
+    return result;
+}
+
+module.exports = { parseCommandLine, COMMANDS };
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const fail = (message) => {
+        console.error(`dict: ${message}\nRun "dict --help" for usage.`);
+        process.exit(1);
+    };
+
+    if (args.length === 0 || args[0] === '--help' || args[0] === '-h' || args[0] === 'help') {
+        printHelp(args[0] === 'help' ? args[1] : null);
+        process.exit(0);
+    }
+
+    const commandLine = parseCommandLine(args);
+    if (commandLine.help) {
+        printHelp(commandLine.name);
+        process.exit(0);
+    }
+    if (commandLine.error || !commandLine.command) fail(commandLine.error || `unknown command "${args[0]}"`);
+
+    Object.assign(process.env, commandLine.env);
+    let config;
+    try {
+        ({ config } = require('./config'));
+    } catch (err) {
+        // Name the flag rather than the variable it was passed as
+        const specs = { ...GLOBAL_FLAGS, ...commandLine.command.flags };
+        fail(Object.keys(commandLine.env).reduce((message, env) => {
+            const flag = Object.keys(specs).find((name) => specs[name].env === env);
+            return message.replace(`${env}:`, `--${flag}:`);
+        }, err.message));
+    }
+
+    Promise.resolve(commandLine.command.run(commandLine, config))
+        .then((code) => process.exit(code || 0))
+        .catch((err) => {
+            console.error(`dict ${commandLine.name} failed:`, err);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,95 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { dictzip } = require('./dictzip');
+
+/**
+ * dictd databases (the DICT protocol server, RFC 2229): <name>.index and
+ * <name>.dict.dz, as dictfmt would write them with --utf8 --allchars.
+ * dictd serves plain text only, so definitions come from entryText().
+ */
+
+const B64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * dictd's base64 numbers: most significant digit first, no padding, "A" for 0
+ * @param {number} n - Offset or length
+ */
+function b64(n) {
+    let out = '';
+    do {
+        out = B64[n % 64] + out;
+        n = Math.floor(n / 64);
+    } while (n > 0);
+    return out;
+}
+
+/**
+ * Order of the .index: dictd binary-searches it case-insensitively on the
+ * UTF-8 bytes (with 00-database-allchars, punctuation is not skipped)
+ */
+function dictdCompare(a, b) {
+    return Buffer.compare(Buffer.from(a.toLowerCase(), 'utf8'), Buffer.from(b.toLowerCase(), 'utf8')) ||
+        Buffer.compare(Buffer.from(a, 'utf8'), Buffer.from(b, 'utf8'));
+}
+
+/**
+ * Write a dictd database
+ * @param {Object} options
+ * @param {string} options.dir - Output folder (created)
+ * @param {string} options.name - Base name of the files
+ * @param {string} options.short - One-line name shown by `dict -D`
+ * @param {string} options.info - Longer description shown by `dict -i`
+ * @param {string} options.url - Where the data comes from
+ * @param {Array<Object>} options.entries - [{ word, body, synonyms: [alternative headwords] }]
+ * @returns {Promise<Object>} { words, synonyms, files }
+ */
+async function writeDictd({ dir, name, short, info = '', url = '', entries }) {
+    await fs.ensureDir(dir);
+    // Headwords can't hold the index's tab or newline separators
+    const clean = (word) => word.replace(/[\t\r\n]+/g, ' ').trim();
+
+    const special = [
+        ['00-database-allchars', ''],
+        ['00-database-utf8', ''],
+        ['00-database-short', short],
+        ['00-database-info', info],
+        ['00-database-url', url]
+    ];
+    const records = [
+        ...special.map(([word, text]) => ({ word, text: `${word}\n${text}\n`, synonyms: [] })),
+        ...entries
+            .map((entry) => ({ ...entry, word: clean(entry.word) }))
+            .filter((entry) => entry.word)
+            .map((entry) => ({ word: entry.word, text: `${entry.word}\n${indent(entry.body)}\n\n`, synonyms: entry.synonyms || [] }))
+    ];
+
+    const index = [];
+    const bodies = [];
+    let offset = 0;
+    for (const record of records) {
+        const body = Buffer.from(record.text, 'utf8');
+        const location = `${b64(offset)}\t${b64(body.length)}`;
+        index.push({ word: record.word, location });
+        for (const synonym of new Set(record.synonyms.map(clean).filter(Boolean))) {
+            index.push({ word: synonym, location, synonym: true });
+        }
+        bodies.push(body);
+        offset += body.length;
+    }
+
+    index.sort((a, b) => dictdCompare(a.word, b.word));
+    await fs.writeFile(path.join(dir, `${name}.index`), index.map((e) => `${e.word}\t${e.location}\n`).join(''));
+    await fs.writeFile(path.join(dir, `${name}.dict.dz`), dictzip(Buffer.concat(bodies), { name: `${name}.dict` }));
+
+    return {
+        words: records.length - special.length,
+        synonyms: index.filter((e) => e.synonym).length,
+        files: [`${name}.index`, `${name}.dict.dz`]
+    };
+}
+
+function indent(text) {
+    return text.split('\n').map((line) => (line ? `   ${line}` : line)).join('\n');
+}
+
+module.exports = { writeDictd, b64, dictdCompare };
@@ -0,0 +1,54 @@
+const zlib = require('zlib');
+
+// dictzip's default: small enough that a compressed chunk always fits in 16 bits
+const CHUNK_SIZE = 58315;
+
+/**
+ * Compress a buffer in dictzip format (.dict.dz), the gzip variant StarDict
+ * and dictd read with random access. Every chunk is deflated on its own and
+ * the gzip "RA" extra field lists their compressed sizes, so a reader can
+ * inflate just the chunk holding an entry. Plain gunzip still reads it.
+ * @param {Buffer} data - The uncompressed .dict file
+ * @param {Object} options - { name: original file name for the header, chunkSize }
+ * @returns {Buffer} The .dict.dz file
+ */
+function dictzip(data, { name = '', chunkSize = CHUNK_SIZE } = {}) {
+    const chunks = [];
+    for (let offset = 0; offset < data.length || chunks.length === 0; offset += chunkSize) {
+        const last = offset + chunkSize >= data.length;
+        chunks.push(zlib.deflateRawSync(data.subarray(offset, offset + chunkSize), {
+            level: 9,
+            // Byte-align and reset after every chunk; only the last one ends the stream
+            finishFlush: last ? zlib.constants.Z_FINISH : zlib.constants.Z_FULL_FLUSH
+        }));
+    }
+
+    const ra = Buffer.alloc(6 + 2 * chunks.length);
+    ra.writeUInt16LE(1, 0);
+    ra.writeUInt16LE(chunkSize, 2);
+    ra.writeUInt16LE(chunks.length, 4);
+    chunks.forEach((chunk, i) => ra.writeUInt16LE(chunk.length, 6 + 2 * i));
+    const subfield = Buffer.concat([Buffer.from('RA'), uint16(ra.length), ra]);
+    if (subfield.length > 0xffff) throw new Error(`Too much data for one dictzip file (${chunks.length} chunks)`);
+
+    const flags = 0x04 | (name ? 0x08 : 0); // FEXTRA, FNAME
+    const header = Buffer.concat([
+        Buffer.from([0x1f, 0x8b, 0x08, flags, 0, 0, 0, 0, 0x02, 0x03]),
+        uint16(subfield.length),
+        subfield,
+        name ? Buffer.from(`${name}\0`, 'latin1') : Buffer.alloc(0)
+    ]);
+
+    const trailer = Buffer.alloc(8);
+    trailer.writeUInt32LE(zlib.crc32(data), 0);
+    trailer.writeUInt32LE(data.length % 2 ** 32, 4);
+    return Buffer.concat([header, ...chunks, trailer]);
+}
+
+function uint16(n) {
+    const buf = Buffer.alloc(2);
+    buf.writeUInt16LE(n, 0);
+    return buf;
+}
+
+module.exports = { dictzip, CHUNK_SIZE };
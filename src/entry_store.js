@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { MODE_DIRS } = require('./parsers');
+const { DATA_DIR } = require('./config');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'entries' });
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * The filename a word used to be saved under: lower case, "(…)" notes
+ * removed and everything but a-z, 0-9 and Khmer replaced with "_".
+ * Different headwords can share it ("A-bomb", "a bomb", "a (bomb)").
+ */
+function slugify(word) {
+  const slug = word.trim()
+    .toLowerCase()
+    .replace(/\(.*\)/g, '')
+    .trim()
+    .replace(/[^a-z0-9\u1780-\u17FF]/g, '_')
+    .replace(/_{2,}/g, '_')
+    .replace(/^_|_$/g, '');
+  return slug || 'empty';
+}
+
+/**
+ * Stable ID of an entry, the same on every machine and rebuild
+ * @returns {string} 12 hex characters
+ */
+function entryId(word, mode) {
+  return crypto.createHash('sha1').update(`${mode}:${word.trim()}`).digest('hex').slice(0, 12);
+}
+
+/**
+ * Saved entries keyed by exact headword and mode, the same identity as
+ * entryId(): "Polish" and "polish" are two entries.
+ *
+ * data/manifest.json maps every "<mode>:<word>" to its stable ID and file.
+ * A word keeps the readable slug filename when it is free; when another
+ * headword already owns it the file becomes "<slug>-<id>.json", so two
+ * words can never overwrite or shadow each other.
+ */
+class EntryStore {
+  constructor(dataDir = DATA_DIR) {
+    this.dataDir = dataDir;
+    this.file = path.join(dataDir, 'manifest.json');
+    this.entries = {};
+    this.owners = new Map();
+    this.writing = Promise.resolve();
+    this.queued = null;
+  }
+
+  key(word, mode) {
+    return `${mode}:${word.trim()}`;
+  }
+
+  /**
+   * Read the manifest, or build it from data/<mode>/*.json the first time
+   */
+  async load() {
+    if (await fs.pathExists(this.file)) {
+      const manifest = await fs.readJson(this.file);
+      this.entries = {};
+      this.owners.clear();
+      Object.values(manifest.entries).forEach((record) => this.register(record));
+    } else {
+      await this.rebuild();
+    }
+    return this;
+  }
+
+  /**
+   * Re-index every saved entry from the files on disk, keyed by the word stored
+   * inside each file
+   * @returns {Promise<Array>} Files that repeat a headword already indexed
+   */
+  async rebuild() {
+    this.entries = {};
+    this.owners.clear();
+    const duplicates = [];
+
+    for (const [mode, dir] of Object.entries(MODE_DIRS)) {
+      const modePath = path.join(this.dataDir, dir);
+      if (!(await fs.pathExists(modePath))) continue;
+
+      const files = (await fs.readdir(modePath)).filter((f) => f.endsWith('.json')).sort();
+      for (const file of files) {
+        const { word } = await fs.readJson(path.join(modePath, file));
+        if (!word) continue;
+        if (this.find(word, Number(mode))) {
+          duplicates.push({ mode: Number(mode), word, file });
+          continue;
+        }
+        this.register({
+          id: entryId(word, mode),
+          word: word.trim(),
+          mode: Number(mode),
+          file,
+          saved_at: null
+        });
+      }
+    }
+
+    await this.save();
+    return duplicates;
+  }
+
+  register(record) {
+    this.entries[this.key(record.word, record.mode)] = record;
+    this.owners.set(`${record.mode}/${record.file}`, record);
+  }
+
+  /**
+   * @returns {Object|undefined} Manifest record { id, word, mode, file, saved_at }
+   */
+  find(word, mode) {
+    return this.entries[this.key(word, mode)];
+  }
+
+  /**
+   * The record that owns a legacy slug filename, if any
+   */
+  owner(file, mode) {
+    return this.owners.get(`${mode}/${file}`);
+  }
+
+  path(record) {
+    return path.join(this.dataDir, MODE_DIRS[record.mode], record.file);
+  }
+
+  /**
+   * Saved entry for exactly this headword
+   * @returns {Promise<Object|null>} The entry JSON, or null if not saved yet
+   */
+  async get(word, mode) {
+    const record = this.find(word, mode);
+    if (!record) return null;
+    const filePath = this.path(record);
+    if (!(await fs.pathExists(filePath))) return null;
+    return fs.readJson(filePath);
+  }
+
+  /**
+   * Save an entry, giving it a file on first save
+   * @returns {Promise<Object>} The manifest record
+   */
+  async put(word, mode, entry) {
+    const record = this.find(word, mode) || this.assign(word, mode);
+    await fs.writeJson(this.path(record), entry, { spaces: 2 });
+    record.saved_at = new Date().toISOString();
+    await this.save();
+    return record;
+  }
+
+  /**
+   * Reserve a file for a new headword. Synchronous so concurrent scrapes
+   * can't both claim the same slug.
+   */
+  assign(word, mode) {
+    const id = entryId(word, mode);
+    const slug = slugify(word);
+    let file = `${slug}.json`;
+    // Taken by another headword, or by a file the manifest doesn't know about
+    if (this.owner(file, mode) || fs.existsSync(path.join(this.dataDir, MODE_DIRS[mode], file))) {
+      file = `${slug}-${id}.json`;
+    }
+
+    const record = { id, word: word.trim(), mode, file, saved_at: null };
+    this.register(record);
+    return record;
+  }
+
+  /**
+   * Words that were never saved because their slug file already held another
+   * headword. Only words we know were wanted can be found: the relations
+   * listed in saved entries plus any `extraWords` (e.g. the crawl frontier).
+   * Case-only variants are not reported, the site serves them the same page.
+   * @param {number} mode - 1 (En-Kh), 2 (Kh-Kh) or 3 (Kh-En)
+   * @param {Iterable<string>} extraWords - More words requested in this mode
+   * @returns {Promise<Array>} [{ mode, word, file, stored_word }]
+   */
+  async collisions(mode, extraWords = []) {
+    const wanted = new Set(extraWords);
+    for (const record of Object.values(this.entries)) {
+      if (record.mode !== mode) continue;
+      const entry = await fs.readJson(this.path(record)).catch(() => null);
+      if (!entry) continue;
+      [entry.synonyms, entry.antonyms, entry.similar_words].forEach((list) => {
+        (list || []).forEach((w) => wanted.add(w));
+      });
+    }
+
+    const lost = [];
+    for (const word of wanted) {
+      if (!word || !word.trim() || this.find(word, mode)) continue;
+      const file = `${slugify(word)}.json`;
+      const owner = this.owner(file, mode);
+      if (!owner) continue;
+      lost.push({ mode, word: word.trim(), file, stored_word: owner.word });
+    }
+    return lost.sort((a, b) => a.file.localeCompare(b.file) || a.word.localeCompare(b.word));
+  }
+
+  save() {
+    // A write that hasn't started yet will pick up this change too
+    if (this.queued) return this.queued;
+    // Chain writes so concurrent scrapes never interleave on the file
+    this.queued = this.writing.then(() => {
+      this.queued = null;
+      return fs.writeJson(this.file, { version: MANIFEST_VERSION, entries: this.entries });
+    }).catch((err) => log.error(`Failed to save ${this.file}: ${err.message}`, { file: this.file, error: err }));
+    this.writing = this.queued;
+    return this.writing;
+  }
+}
+
+module.exports = { EntryStore, slugify, entryId };
+
+// Command line interface: rebuild the manifest or report collisions
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const typeToMode = (type) =>
+    Number(Object.keys(MODE_DIRS).find((m) => MODE_DIRS[m] === type)) || null;
+
+  if (command !== 'rebuild' && command !== 'collisions') {
+    console.log('Usage:');
+    console.log('  node src/entry_store.js rebuild             - Re-index data/<mode>/*.json into data/manifest.json');
+    console.log('  node src/entry_store.js collisions [type]   - List words lost to filename collisions');
+    console.log('\nTypes: en_kh, kh_kh, kh_en');
+    console.log('Re-queue the lost words with: node src/migrate_collisions.js');
+    process.exit(0);
+  }
+
+  (async () => {
+    const store = new EntryStore();
+
+    if (command === 'rebuild') {
+      const duplicates = await store.rebuild();
+      console.log(`Indexed ${Object.keys(store.entries).length} entries into ${store.file}`);
+      duplicates.forEach((d) => console.log(`  duplicate ${MODE_DIRS[d.mode]}/${d.file} (${d.word})`));
+      return;
+    }
+
+    await store.load();
+    const mode = typeToMode(args[1]);
+    const modes = mode ? [mode] : Object.keys(MODE_DIRS).map(Number);
+    let total = 0;
+    for (const m of modes) {
+      const lost = await store.collisions(m);
+      lost.forEach((c) => {
+        console.log(`${MODE_DIRS[m]}  ${c.file}  holds "${c.stored_word}", lost "${c.word}"`);
+      });
+      total += lost.length;
+    }
+    console.log(`\n${total} word(s) lost to filename collisions.`);
+  })().catch((err) => {
+    console.error('Error:', err);
+    process.exit(1);
+  });
+}
@@ -1,35 +1,403 @@
 const fs = require('fs-extra');
 const path = require('path');
+const { BASE_URL, MODE_DIRS, pageUrl } = require('./parsers');
+const { normalizeText } = require('./normalize');
+const { entryText, entryHtml, entryMedia } = require('./render_entry');
+const { writeStardict } = require('./stardict');
+const { writeDictd } = require('./dictd');
+const { teiDocument } = require('./tei');
+const { xdxfDocument } = require('./xdxf');
+const { loadDtd, validateXml } = require('./xml');
+const { EntryStore, entryId } = require('./entry_store');
+const { writeApkg } = require('./anki');
+const { noteType, selectEntries, readWordList, noteFields, noteTags, csvValues, csvLine, CSV_COLUMNS } = require('./flashcards');
+const { DATA_DIR } = require('./config');
 
-const DATA_DIR = path.join(__dirname, '..', 'data');
 const OUTPUT_FILE = path.join(DATA_DIR, 'dictionary_export.json');
+const EXPORT_DIR = path.join(DATA_DIR, 'exports');
 
+/**
+ * Export data/<type>/*.json as one JSON file, or per dictionary in the
+ * formats other dictionary programs read.
+ *
+ * Usage:
+ *   node src/export.js                                  - data/dictionary_export.json
+ *   node src/export.js stardict [type] [--no-media]     - data/exports/stardict/<name>/ (GoldenDict, KOReader)
+ *   node src/export.js dictd [type]                     - data/exports/dictd/<name>.index + .dict.dz
+ *   node src/export.js tei [type]                       - data/exports/tei/<name>.tei.xml (TEI Lex-0)
+ *   node src/export.js xdxf [type]                      - data/exports/xdxf/<name>.xdxf
+ *   node src/export.js anki [type] [selection]          - data/exports/anki/<name>.apkg (cards + media)
+ *   node src/export.js csv|tsv [type] [selection]       - data/exports/csv/<name>.csv / .tsv
+ *
+ * Selection (flashcards): --words <file> (one headword per line), --favorites
+ * (words starred in data/dictionary.db), --pos n,v (only those senses)
+ */
+
+const BOOKS = {
+    en_kh: { name: 'english-khmer', title: 'English-Khmer Dictionary', from: 'en', to: 'km' },
+    kh_kh: { name: 'khmer-khmer', title: 'Khmer-Khmer Dictionary', from: 'km', to: 'km' },
+    kh_en: { name: 'khmer-english', title: 'Khmer-English Dictionary', from: 'km', to: 'en' }
+};
+
+// XML formats: document builder, schema the output is checked against, file extension
+const XML_FORMATS = {
+    tei: { document: teiDocument, schema: path.join(__dirname, 'tei_lex0.dtd'), extension: '.tei.xml' },
+    xdxf: { document: xdxfDocument, schema: path.join(__dirname, 'xdxf.dtd'), extension: '.xdxf' }
+};
+
+/**
+ * Write a chunk and wait for the stream to drain if its buffer is full
+ */
+function write(stream, chunk) {
+    return stream.write(chunk) ? Promise.resolve() : new Promise((resolve) => stream.once('drain', resolve));
+}
+
+// Streams one entry at a time so the export never holds the whole dictionary in memory
 async function exportData() {
     const modes = ['en_kh', 'kh_kh', 'kh_en'];
-    const exportData = {
-        en_kh: [],
-        kh_kh: [],
-        kh_en: []
-    };
+    const out = fs.createWriteStream(OUTPUT_FILE);
+    const finished = new Promise((resolve, reject) => {
+        out.on('finish', resolve);
+        out.on('error', reject);
+    });
+    let total = 0;
 
-    for (const mode of modes) {
-        const modeDir = path.join(DATA_DIR, mode);
-        if (!(await fs.pathExists(modeDir))) continue;
+    await write(out, '{');
+    for (const [i, mode] of modes.entries()) {
+        await write(out, `${i ? ',' : ''}\n  ${JSON.stringify(mode)}: [`);
 
-        const files = await fs.readdir(modeDir);
-        console.log(`Exporting ${mode}: ${files.length} files...`);
+        const modeDir = path.join(DATA_DIR, mode);
+        let count = 0;
+        if (await fs.pathExists(modeDir)) {
+            const files = (await fs.readdir(modeDir)).filter((f) => f.endsWith('.json'));
+            console.log(`Exporting ${mode}: ${files.length} files...`);
 
-        for (const file of files) {
-            if (file.endsWith('.json')) {
+            for (const file of files) {
                 const content = await fs.readJson(path.join(modeDir, file));
-                exportData[mode].push(content);
+                const json = JSON.stringify(content, null, 2).replace(/\n/g, '\n    ');
+                await write(out, `${count ? ',' : ''}\n    ${json}`);
+                count++;
             }
         }
+        await write(out, count ? '\n  ]' : ']');
+        total += count;
     }
+    out.end('\n}\n');
+    await finished;
 
-    await fs.writeJson(OUTPUT_FILE, exportData, { spaces: 2 });
     console.log(`\nSuccessfully exported all data to: ${OUTPUT_FILE}`);
-    console.log(`Total words: ${exportData.en_kh.length + exportData.kh_kh.length + exportData.kh_en.length}`);
+    console.log(`Total words: ${total}`);
+}
+
+/**
+ * Every entry of one dictionary
+ * @returns {Promise<Array<Object>>} Entry JSON, in file name order
+ */
+async function readEntries(type, dataDir = DATA_DIR) {
+    const modeDir = path.join(dataDir, type);
+    if (!(await fs.pathExists(modeDir))) return [];
+    const files = (await fs.readdir(modeDir)).filter((f) => f.endsWith('.json')).sort();
+    const entries = [];
+    for (const file of files) {
+        const entry = await fs.readJson(path.join(modeDir, file));
+        if (typeof entry.word === 'string' && entry.word.trim()) entries.push(entry);
+    }
+    return entries;
+}
+
+/**
+ * Other spellings an entry should be found by: its listed synonyms that are
+ * not headwords themselves (those have their own entry), and its search key
+ * when that differs by more than case (e.g. Khmer with zero-width spaces)
+ * @param {Object} entry - The entry JSON
+ * @param {Set<string>} headwords - Every headword of the dictionary
+ */
+function alternativeHeadwords(entry, headwords) {
+    const words = (entry.synonyms || []).filter((w) => w && !headwords.has(w.trim()));
+    const key = normalizeText(entry.word);
+    if (key && key !== entry.word.trim().toLowerCase() && !headwords.has(key)) words.push(key);
+    return [...new Set(words.map((w) => w.trim()))];
+}
+
+function description(type, count) {
+    return `${BOOKS[type].title}, ${count} entries scraped from ${BASE_URL} (exported ${new Date().toISOString().slice(0, 10)})`;
+}
+
+/**
+ * Export one dictionary as StarDict (HTML definitions)
+ * @param {string} type - en_kh, kh_kh or kh_en
+ * @param {Object} options - { dataDir, outDir, media: copy images/sounds into res/ }
+ * @returns {Promise<Object>} writeStardict()'s counts plus the folder
+ */
+async function exportStardict(type, { dataDir = DATA_DIR, outDir = path.join(EXPORT_DIR, 'stardict'), media = true } = {}) {
+    const entries = await readEntries(type, dataDir);
+    const headwords = new Set(entries.map((e) => e.word.trim()));
+    const book = BOOKS[type];
+    const dir = path.join(outDir, book.name);
+    // Files from an earlier export with other options (e.g. res/) must not linger
+    await fs.remove(dir);
+
+    const result = await writeStardict({
+        dir,
+        name: book.name,
+        bookname: book.title,
+        description: description(type, entries.length),
+        type: 'h',
+        entries: entries.map((entry) => ({
+            word: entry.word,
+            body: entryHtml(entry, { media }),
+            synonyms: alternativeHeadwords(entry, headwords)
+        })),
+        resources: media ? entries.flatMap(entryMedia).map((file) => path.join(dataDir, file)) : []
+    });
+    return { ...result, dir };
+}
+
+/**
+ * Export one dictionary as a dictd database (plain text definitions)
+ * @param {string} type - en_kh, kh_kh or kh_en
+ * @param {Object} options - { dataDir, outDir }
+ * @returns {Promise<Object>} writeDictd()'s counts plus the folder
+ */
+async function exportDictd(type, { dataDir = DATA_DIR, outDir = path.join(EXPORT_DIR, 'dictd') } = {}) {
+    const entries = await readEntries(type, dataDir);
+    const headwords = new Set(entries.map((e) => e.word.trim()));
+    const book = BOOKS[type];
+
+    const result = await writeDictd({
+        dir: outDir,
+        name: book.name,
+        short: book.title,
+        info: description(type, entries.length),
+        url: BASE_URL,
+        entries: entries.map((entry) => ({
+            word: entry.word,
+            body: entryText(entry),
+            synonyms: alternativeHeadwords(entry, headwords)
+        }))
+    });
+    return { ...result, dir: outDir };
+}
+
+/**
+ * Entries with where they came from: stable ID, site page and when it was
+ * scraped (scraped_at, or for older entries the time data/manifest.json
+ * says the scraper saved them). A headword
+ * stored in two files is only kept once, as IDs must be unique.
+ */
+async function withProvenance(type, entries, dataDir) {
+    const mode = Number(Object.keys(MODE_DIRS).find((m) => MODE_DIRS[m] === type));
+    const store = new EntryStore(dataDir);
+    if (await fs.pathExists(store.file)) await store.load();
+
+    const byWord = new Map();
+    for (const entry of entries) {
+        const word = entry.word.trim();
+        if (byWord.has(word)) continue;
+        const record = store.find(word, mode);
+        byWord.set(word, {
+            ...entry,
+            id: entryId(word, mode),
+            source_url: pageUrl(mode, word),
+            saved_at: entry.scraped_at || (record ? record.saved_at : null)
+        });
+    }
+    return [...byWord.values()];
+}
+
+/**
+ * Export one dictionary as a TEI Lex-0 or XDXF document and check it
+ * against our DTD of the structure it promises (src/tei_lex0.dtd,
+ * src/xdxf.dtd; not the official schemas)
+ * @param {string} format - tei or xdxf
+ * @param {string} type - en_kh, kh_kh or kh_en
+ * @param {Object} options - { dataDir, outDir }
+ * @returns {Promise<Object>} { words, file, errors: [{ line, message }] from validation }
+ */
+async function exportXml(format, type, { dataDir = DATA_DIR, outDir = path.join(EXPORT_DIR, format) } = {}) {
+    const { document, schema, extension } = XML_FORMATS[format];
+    const book = BOOKS[type];
+    const entries = await withProvenance(type, await readEntries(type, dataDir), dataDir);
+
+    const xml = document({
+        title: book.title,
+        description: description(type, entries.length),
+        source: BASE_URL,
+        from: book.from,
+        to: book.to,
+        entries
+    });
+    const file = path.join(outDir, `${book.name}${extension}`);
+    await fs.ensureDir(outDir);
+    await fs.writeFile(file, xml);
+
+    return { words: entries.length, file, errors: validateXml(xml, await loadDtd(schema)) };
 }
 
-exportData().catch(console.error);
+/**
+ * The entries of a flashcard deck
+ * @param {string} type - en_kh, kh_kh or kh_en
+ * @param {Object} options - { dataDir, words: word list, favorites: only
+ *   favorites of dbFile, pos: parts of speech }; filters combine
+ * @returns {Promise<Object>} { entries, label: file name suffix describing the selection }
+ */
+async function flashcardEntries(type, { dataDir = DATA_DIR, words = null, favorites = false, pos = null, dbFile = null } = {}) {
+    let entries = await withProvenance(type, await readEntries(type, dataDir), dataDir);
+    const label = [];
+    if (words) {
+        entries = selectEntries(entries, { words });
+        label.push('list');
+    }
+    if (favorites) {
+        entries = selectEntries(entries, { words: await favoriteWords(type, dbFile) });
+        label.push('favorites');
+    }
+    if (pos && pos.length > 0) {
+        entries = selectEntries(entries, { pos });
+        label.push(...pos);
+    }
+    return { entries, label: label.map((part) => `-${part.replace(/[^\w.-]+/g, '_')}`).join('') };
+}
+
+/**
+ * Headwords starred in the app database
+ */
+async function favoriteWords(type, dbFile) {
+    // Loaded here: the other exports don't need the database (or sqlite3)
+    const dictionary = require('./query_dictionary');
+    await dictionary.openDatabase(dbFile || dictionary.DB_FILE, { readOnly: true });
+    try {
+        return (await dictionary.getFlaggedWords('isFavorite', type)).map((row) => row.word);
+    } finally {
+        await new Promise((resolve) => dictionary.db.close(resolve));
+    }
+}
+
+/**
+ * Export one dictionary as an Anki deck, with the images and sounds its
+ * cards show bundled in the package
+ * @param {string} type - en_kh, kh_kh or kh_en
+ * @param {Object} options - { dataDir, outDir, words, favorites, pos, dbFile }, see flashcardEntries()
+ * @returns {Promise<Object>} { notes, cards, media, file }
+ */
+async function exportAnki(type, { dataDir = DATA_DIR, outDir = path.join(EXPORT_DIR, 'anki'), ...selection } = {}) {
+    const book = BOOKS[type];
+    const { entries, label } = await flashcardEntries(type, { dataDir, ...selection });
+
+    const media = new Set();
+    const notes = [];
+    for (const entry of entries) {
+        const { fields, media: files } = noteFields(entry, { hasFile: (file) => fs.existsSync(path.join(dataDir, file)) });
+        files.forEach((file) => media.add(path.join(dataDir, file)));
+        notes.push({ guid: entry.id, fields, tags: noteTags(entry) });
+    }
+
+    const file = path.join(outDir, `${book.name}${label}.apkg`);
+    await fs.ensureDir(outDir);
+    const result = await writeApkg({
+        file,
+        deck: { name: `${book.title}${label ? ` (${label.slice(1).replace(/-/g, ', ')})` : ''}`, description: description(type, entries.length) },
+        model: noteType(type),
+        notes,
+        media: [...media]
+    });
+    return { ...result, file };
+}
+
+/**
+ * Export one dictionary as a CSV or TSV table, one row per entry
+ * @param {string} type - en_kh, kh_kh or kh_en
+ * @param {Object} options - { dataDir, outDir, delimiter: ',' or '\t', plus the selection, see flashcardEntries() }
+ * @returns {Promise<Object>} { words, file }
+ */
+async function exportCsv(type, { dataDir = DATA_DIR, outDir = path.join(EXPORT_DIR, 'csv'), delimiter = ',', ...selection } = {}) {
+    const book = BOOKS[type];
+    const { entries, label } = await flashcardEntries(type, { dataDir, ...selection });
+    const lines = [CSV_COLUMNS, ...entries.map((entry) => csvValues(entry, book.from, book.to))]
+        .map((values) => csvLine(values, delimiter));
+
+    const file = path.join(outDir, `${book.name}${label}.${delimiter === '\t' ? 'tsv' : 'csv'}`);
+    await fs.ensureDir(outDir);
+    await fs.writeFile(file, `${lines.join('\r\n')}\r\n`);
+    return { words: entries.length, file };
+}
+
+const exportTei = (type, options) => exportXml('tei', type, options);
+const exportXdxf = (type, options) => exportXml('xdxf', type, options);
+
+module.exports = {
+    exportData,
+    readEntries,
+    alternativeHeadwords,
+    exportStardict,
+    exportDictd,
+    exportXml,
+    exportTei,
+    exportXdxf,
+    exportAnki,
+    exportCsv,
+    BOOKS
+};
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const VALUE_OPTIONS = ['--words', '--pos'];
+    const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : null);
+    const positional = args.filter((arg, i) => !arg.startsWith('--') && !VALUE_OPTIONS.includes(args[i - 1]));
+    const [format = 'json', type] = positional;
+
+    const files = (r) => `${r.words} entries -> ${r.file}`;
+    const exporters = {
+        stardict: [exportStardict, (r) => `${r.words} entries, ${r.synonyms} alternative headwords, ${r.resources} media files -> ${r.dir}`],
+        dictd: [exportDictd, (r) => `${r.words} entries, ${r.synonyms} alternative headwords -> ${r.dir}`],
+        tei: [exportTei, files],
+        xdxf: [exportXdxf, files],
+        anki: [exportAnki, (r) => `${r.notes} cards, ${r.media} media files -> ${r.file}`],
+        csv: [exportCsv, files],
+        tsv: [(t, options) => exportCsv(t, { ...options, delimiter: '\t' }), files]
+    };
+
+    if (args.includes('--help') || (format !== 'json' && !exporters[format]) || (type && !BOOKS[type])) {
+        console.log('Usage:');
+        console.log('  node src/export.js                               - All entries in data/dictionary_export.json');
+        console.log('  node src/export.js stardict [type] [--no-media]  - StarDict dictionaries in data/exports/stardict/');
+        console.log('  node src/export.js dictd [type]                  - dictd databases in data/exports/dictd/');
+        console.log('  node src/export.js tei [type]                    - TEI Lex-0 documents in data/exports/tei/');
+        console.log('  node src/export.js xdxf [type]                   - XDXF documents in data/exports/xdxf/');
+        console.log('  node src/export.js anki [type] [selection]       - Anki decks (.apkg) in data/exports/anki/');
+        console.log('  node src/export.js csv|tsv [type] [selection]    - Flashcard tables in data/exports/csv/');
+        console.log('\nTypes: en_kh, kh_kh, kh_en (default: all three)');
+        console.log('--no-media links images and sounds to the website instead of copying them into res/');
+        console.log('Selection: --words <file> (one word per line), --favorites (starred in data/dictionary.db), --pos n,v');
+        process.exit(args.includes('--help') ? 0 : 1);
+    }
+
+    (async () => {
+        if (format === 'json') {
+            await exportData();
+            return;
+        }
+        const [exporter, summary] = exporters[format];
+        const options = {
+            media: !args.includes('--no-media'),
+            words: option('--words') ? await readWordList(option('--words')) : null,
+            favorites: args.includes('--favorites'),
+            pos: option('--pos') ? option('--pos').split(',').map((p) => p.trim()).filter(Boolean) : null
+        };
+
+        let invalid = false;
+        for (const t of type ? [type] : Object.values(MODE_DIRS)) {
+            const result = await exporter(t, options);
+            console.log(`${t}: ${summary(result)}`);
+            (result.errors || []).forEach(({ line, message }) => console.error(`  line ${line}: ${message}`));
+            if ((result.errors || []).length > 0) invalid = true;
+        }
+        if (invalid) {
+            console.error('\nThe output does not match its structure check (src/tei_lex0.dtd, src/xdxf.dtd)');
+            process.exit(1);
+        }
+    })().catch((err) => {
+        console.error('Export failed:', err);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,116 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { MODE_DIRS } = require('./parsers');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'failures' });
+
+/**
+ * Words whose fetch still failed after the scheduler's retries, kept in
+ * data/failed_words.json so they can be retried later instead of being lost.
+ */
+class FailedWords {
+  constructor(file) {
+    this.file = file;
+    this.entries = {};
+    this.writing = Promise.resolve();
+  }
+
+  async load() {
+    if (await fs.pathExists(this.file)) {
+      this.entries = await fs.readJson(this.file);
+    }
+    return this;
+  }
+
+  key(word, mode) {
+    return `${mode}:${word.trim()}`;
+  }
+
+  /**
+   * Record a permanent failure
+   * @param {string} word - The word as requested
+   * @param {number} mode - 1 (En-Kh), 2 (Kh-Kh) or 3 (Kh-En)
+   * @param {Error} err - The last error
+   */
+  record(word, mode, err) {
+    const key = this.key(word, mode);
+    const previous = this.entries[key];
+    this.entries[key] = {
+      word: word.trim(),
+      mode,
+      failures: previous ? previous.failures + 1 : 1,
+      attempts: err.attempts || 1,
+      status: err.response ? err.response.status : null,
+      last_error: err.message,
+      failed_at: new Date().toISOString()
+    };
+    return this.save();
+  }
+
+  /**
+   * Forget a word once it has been scraped successfully
+   */
+  clear(word, mode) {
+    const key = this.key(word, mode);
+    if (!this.entries[key]) return Promise.resolve();
+    delete this.entries[key];
+    return this.save();
+  }
+
+  /**
+   * @param {number|null} mode - Restrict to one mode
+   * @returns {Array} Failure records
+   */
+  list(mode = null) {
+    return Object.values(this.entries).filter((e) => !mode || e.mode === mode);
+  }
+
+  save() {
+    // Chain writes so concurrent scrapes never interleave on the file
+    this.writing = this.writing
+      .then(() => fs.writeJson(this.file, this.entries, { spaces: 2 }))
+      .catch((err) => log.error(`Failed to save ${this.file}: ${err.message}`, { file: this.file, error: err }));
+    return this.writing;
+  }
+}
+
+module.exports = FailedWords;
+
+// Command line interface: list or retry the recorded failures
+if (require.main === module) {
+  const DictionaryScraper = require('./scraper');
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const mode = Number(Object.keys(MODE_DIRS).find((m) => MODE_DIRS[m] === args[1])) || null;
+
+  if (command !== 'list' && command !== 'retry') {
+    console.log('Usage:');
+    console.log('  node src/failed_words.js list [type]   - Show words that failed to scrape');
+    console.log('  node src/failed_words.js retry [type]  - Scrape them again');
+    console.log('\nTypes: en_kh, kh_kh, kh_en');
+    process.exit(0);
+  }
+
+  (async () => {
+    const scraper = new DictionaryScraper();
+    await scraper.init();
+    const failed = scraper.failures.list(mode);
+
+    if (command === 'list') {
+      failed.forEach((f) => {
+        console.log(`${MODE_DIRS[f.mode]}  ${f.word}  (${f.failures}x, ${f.failed_at}: ${f.last_error})`);
+      });
+      console.log(`\n${failed.length} failed word(s).`);
+    } else {
+      await Promise.all(failed.map((f) => scraper.scrapeWord(f.word, f.mode)));
+      const stillFailing = scraper.failures.list(mode).length;
+      console.log(`\nRetried ${failed.length} word(s): ${failed.length - stillFailing} recovered, ${stillFailing} still failing.`);
+    }
+
+    await scraper.close();
+  })().catch((err) => {
+    console.error('Error:', err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,188 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { normalizeText } = require('./normalize');
+const { entryHtml, entryMedia, escapeHtml, examples, translations } = require('./render_entry');
+
+/**
+ * Flashcards from dictionary entries, for the Anki and CSV/TSV exports:
+ * which entries (and senses) go in a deck, the note type and its card
+ * templates per direction, and the fields of every card.
+ */
+
+const FIELDS = ['Word', 'PartOfSpeech', 'Definition', 'Audio', 'Related', 'Source'];
+
+const BACK = [
+    '{{FrontSide}}',
+    '<hr id="answer">',
+    '<div class="pos">{{PartOfSpeech}}</div>',
+    '<div class="definition">{{Definition}}</div>',
+    '{{#Related}}<div class="related">{{Related}}</div>{{/Related}}',
+    '<div class="source">{{Source}}</div>'
+].join('\n');
+
+// Khmer needs a Khmer font and a bigger size to be readable on a card
+const CSS = `.card { font-family: Arial, sans-serif; font-size: 20px; text-align: center; color: black; background-color: white; }
+.word { font-size: 32px; }
+.khmer { font-family: "Khmer OS", "Noto Sans Khmer", "Khmer UI", sans-serif; }
+.word.khmer { font-size: 40px; }
+.pos { font-style: italic; color: #666; }
+.definition { text-align: left; margin: 0 auto; max-width: 40em; }
+.definition img { max-width: 100%; }
+.related { font-size: 16px; margin-top: 1em; }
+.source { font-size: 12px; margin-top: 1em; color: #999; }`;
+
+/**
+ * Note type of each dictionary: English words are asked with their
+ * pronunciation and answered with the Khmer translation images, Khmer words
+ * are asked on their own and answered with the English (or Khmer) meaning
+ */
+const NOTE_TYPES = {
+    en_kh: {
+        name: 'Khmer Dictionary: English -> Khmer',
+        front: '<div class="word">{{Word}}</div>\n{{Audio}}',
+        definitionClass: 'khmer'
+    },
+    kh_en: {
+        name: 'Khmer Dictionary: Khmer -> English',
+        front: '<div class="word khmer">{{Word}}</div>',
+        definitionClass: ''
+    },
+    kh_kh: {
+        name: 'Khmer Dictionary: Khmer -> Khmer',
+        front: '<div class="word khmer">{{Word}}</div>',
+        definitionClass: 'khmer'
+    }
+};
+
+/**
+ * The Anki note type (model) of a dictionary
+ * @param {string} type - en_kh, kh_kh or kh_en
+ * @returns {Object} { name, fields, templates: [{ name, front, back }], css }
+ */
+function noteType(type) {
+    const { name, front, definitionClass } = NOTE_TYPES[type];
+    const back = definitionClass ? BACK.replace('class="definition"', `class="definition ${definitionClass}"`) : BACK;
+    return { name, fields: FIELDS, templates: [{ name: 'Recognition', front, back }], css: CSS };
+}
+
+/**
+ * Parts of speech of a definition: kh_kh ones can hold several ("adv, adj")
+ */
+function posValues(def) {
+    return (def.pos || '').split(/\s*,\s*/).map((p) => p.trim()).filter(Boolean);
+}
+
+/**
+ * Narrow a dictionary down to the entries a deck should hold
+ * @param {Array<Object>} entries - Entry JSON
+ * @param {Object} options - { words: headwords to keep (compared by search
+ *   key, so case and zero-width spaces don't matter), pos: parts of speech
+ *   to keep; senses with other parts of speech are dropped }
+ * @returns {Array<Object>} The entries, in the order given
+ */
+function selectEntries(entries, { words = null, pos = null } = {}) {
+    const keys = words ? new Set(words.map(normalizeText).filter(Boolean)) : null;
+    const wanted = pos && pos.length > 0 ? new Set(pos) : null;
+    const selected = [];
+
+    for (const entry of entries) {
+        if (keys && !keys.has(normalizeText(entry.word))) continue;
+        if (!wanted) {
+            selected.push(entry);
+            continue;
+        }
+        const definitions = (entry.definitions || []).filter((def) => posValues(def).some((p) => wanted.has(p)));
+        if (definitions.length > 0) selected.push({ ...entry, definitions });
+    }
+    return selected;
+}
+
+/**
+ * Headwords of a word list file: one per line, blank lines and "#" comments ignored
+ */
+async function readWordList(file) {
+    const text = await fs.readFile(file, 'utf8');
+    return text.split(/\r?\n/).map((line) => line.trim()).filter((line) => line && !line.startsWith('#'));
+}
+
+/**
+ * Fields of an entry's note, in FIELDS order. Media is referenced by file
+ * name, the way Anki finds files in its media folder.
+ * @param {Object} entry - Entry JSON plus source_url (see export.js)
+ * @param {Object} options - { hasFile(relativePath): whether a media file can be bundled }
+ * @returns {Object} { fields: [...], media: [data-relative paths to bundle] }
+ */
+function noteFields(entry, { hasFile = () => true } = {}) {
+    const media = entryMedia(entry).filter(hasFile);
+    const bundled = new Set(media);
+
+    // Images that can't be bundled are linked to the website instead
+    const definitions = (entry.definitions || []).map((def) => (
+        def.local_image_path && !bundled.has(def.local_image_path) ? { ...def, local_image_path: undefined } : def
+    ));
+    const definition = entryHtml({ word: entry.word, definitions }, { media: true });
+
+    const pos = [...new Set((entry.definitions || []).flatMap(posValues))].join(', ');
+    const audio = bundled.has(entry.local_sound_path) ? `[sound:${path.basename(entry.local_sound_path)}]` : '';
+    const related = [['synonyms', 'Synonyms'], ['antonyms', 'Antonyms'], ['similar_words', 'See also']]
+        .filter(([key]) => (entry[key] || []).length > 0)
+        .map(([key, label]) => `<b>${label}:</b> ${entry[key].map(escapeHtml).join(', ')}`)
+        .join('<br>');
+    const source = entry.source_url ? `<a href="${escapeHtml(entry.source_url)}">${escapeHtml(entry.source_url)}</a>` : '';
+
+    return { fields: [escapeHtml(entry.word.trim()), escapeHtml(pos), definition, audio, related, source], media };
+}
+
+/**
+ * Anki tags of an entry: its dictionary and its parts of speech
+ */
+function noteTags(entry) {
+    const pos = (entry.definitions || []).flatMap(posValues).map((p) => `pos::${p.replace(/\s+/g, '_')}`);
+    return [entry.type, ...new Set(pos)].filter(Boolean);
+}
+
+const CSV_COLUMNS = ['word', 'type', 'pos', 'definition', 'examples', 'images', 'sound', 'synonyms', 'antonyms', 'similar_words', 'source_url'];
+
+/**
+ * Plain-text columns of an entry, in CSV_COLUMNS order. Images and sounds
+ * are paths relative to data/ (or their URL when not downloaded).
+ */
+function csvValues(entry, from, to) {
+    const definitions = entry.definitions || [];
+    const meaning = (def) => (from === to ? [(def.definition_text || '').trim()] : translations(def, to)).filter(Boolean).join(', ');
+    return [
+        entry.word.trim(),
+        entry.type,
+        [...new Set(definitions.flatMap(posValues))].join(', '),
+        definitions.map(meaning).filter(Boolean).join(' | '),
+        definitions.flatMap(examples).map((e) => e.trim()).join(' | '),
+        definitions.map((def) => def.local_image_path || def.khmer_image_url).filter(Boolean).join(' '),
+        entry.local_sound_path || entry.sound_url || '',
+        (entry.synonyms || []).join(', '),
+        (entry.antonyms || []).join(', '),
+        (entry.similar_words || []).join(', '),
+        entry.source_url || ''
+    ];
+}
+
+/**
+ * One CSV/TSV line: values holding the delimiter, a quote or a line break are quoted
+ */
+function csvLine(values, delimiter = ',') {
+    return values.map((value) => {
+        const text = String(value);
+        return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(delimiter);
+}
+
+module.exports = {
+    noteType,
+    selectEntries,
+    readWordList,
+    noteFields,
+    noteTags,
+    csvValues,
+    csvLine,
+    CSV_COLUMNS,
+    FIELDS
+};
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+
+/**
+ * When an entry was scraped and whether the site changed it since:
+ * entries carry scraped_at and a content_hash of what the site served, and
+ * the recrawl (src/recrawl.js) picks the ones due for a refresh and records
+ * what changed (src/change_history.js).
+ */
+
+// Written by us, not served by the site: left out of the hash and the diff
+const LOCAL_FIELDS = ['scraped_at', 'content_hash', 'checked_at', 'missing_since', 'local_sound_path'];
+const DERIVED_DEFINITION_FIELDS = ['local_image_path', 'optimized_image_path', 'image_width', 'image_height'];
+// Kept from the previous copy when the same image is served again (src/optimize_images.js)
+const OPTIMIZED_FIELDS = ['optimized_image_path', 'image_width', 'image_height'];
+const RELATION_FIELDS = ['synonyms', 'antonyms', 'similar_words'];
+
+const AGE_UNITS = { m: 60e3, h: 3600e3, d: 86400e3 };
+
+function omit(object, keys) {
+    return Object.fromEntries(Object.entries(object).filter(([key]) => !keys.includes(key)));
+}
+
+// JSON with sorted keys, so files written by different tools compare equal
+function canonical(value) {
+    if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * An entry as the site served it, without what the scraper added
+ */
+function siteContent(entry) {
+    return {
+        ...omit(entry, LOCAL_FIELDS),
+        definitions: (entry.definitions || []).map((def) => omit(def, DERIVED_DEFINITION_FIELDS))
+    };
+}
+
+/**
+ * SHA-256 of an entry's site content
+ * @returns {string} 64 hex characters
+ */
+function contentHash(entry) {
+    return crypto.createHash('sha256').update(canonical(siteContent(entry))).digest('hex');
+}
+
+/**
+ * Stamp a freshly parsed entry before it is saved
+ * @param {Object} entry - Parsed entry, updated in place
+ * @param {Object|null} previous - The saved copy it replaces
+ * @param {string} scrapedAt - When the page was fetched (ISO 8601)
+ * @returns {Object} The entry
+ */
+function stampEntry(entry, previous, scrapedAt) {
+    const optimized = new Map((previous ? previous.definitions || [] : [])
+        .filter((def) => def.local_image_path && def.optimized_image_path)
+        .map((def) => [def.local_image_path, def]));
+    for (const def of entry.definitions || []) {
+        const old = optimized.get(def.local_image_path);
+        if (old) OPTIMIZED_FIELDS.forEach((field) => { if (old[field] !== undefined) def[field] = old[field]; });
+    }
+    entry.scraped_at = scrapedAt;
+    entry.content_hash = contentHash(entry);
+    return entry;
+}
+
+/**
+ * The saved copy of a word the site no longer has: kept as it was, with when
+ * it was last checked and since when it is missing
+ * @param {Object} entry - The saved entry
+ * @param {string} checkedAt - When the page was fetched (ISO 8601)
+ * @returns {Object} A stamped copy
+ */
+function markMissing(entry, checkedAt) {
+    return { ...entry, checked_at: checkedAt, missing_since: entry.missing_since || checkedAt };
+}
+
+/**
+ * What the site changed in an entry between two crawls. Definitions are
+ * compared whole, so an edited one is listed as removed and added.
+ * @returns {Object} { definitions: { added, removed }, synonyms: {...},
+ *   antonyms: {...}, similar_words: {...}, fields: { name: [before, after] } };
+ *   only the parts that changed, {} if nothing did
+ */
+function entryChanges(before, after) {
+    const changes = {};
+    const a = siteContent(before);
+    const b = siteContent(after);
+
+    // Multisets, so a repeated definition that disappears once is still seen
+    const listChanges = (oldList, newList, key) => {
+        const remaining = new Map();
+        for (const item of oldList) remaining.set(key(item), [...(remaining.get(key(item)) || []), item]);
+        const added = [];
+        for (const item of newList) {
+            const same = remaining.get(key(item));
+            if (same && same.length > 0) same.pop();
+            else added.push(item);
+        }
+        const removed = [...remaining.values()].flat();
+        return added.length > 0 || removed.length > 0 ? { added, removed } : null;
+    };
+
+    const definitions = listChanges(a.definitions, b.definitions, canonical);
+    if (definitions) changes.definitions = definitions;
+    for (const field of RELATION_FIELDS) {
+        const list = listChanges(a[field] || [], b[field] || [], (w) => w);
+        if (list) changes[field] = list;
+    }
+
+    const fields = {};
+    const names = new Set([...Object.keys(a), ...Object.keys(b)]);
+    for (const name of names) {
+        if (name === 'definitions' || RELATION_FIELDS.includes(name)) continue;
+        if (canonical(a[name] ?? null) !== canonical(b[name] ?? null)) fields[name] = [a[name] ?? null, b[name] ?? null];
+    }
+    if (Object.keys(fields).length > 0) changes.fields = fields;
+
+    return changes;
+}
+
+/**
+ * Milliseconds of an age like "30d", "12h" or "90m"
+ * @returns {number|null} null if it can't be read
+ */
+function parseAge(text) {
+    const match = /^(\d+(?:\.\d+)?)\s*([mhd])$/i.exec(String(text).trim());
+    return match ? Number(match[1]) * AGE_UNITS[match[2].toLowerCase()] : null;
+}
+
+/**
+ * Entries a recrawl should refresh, oldest first. Age counts from the last
+ * fetch (checked_at, else scraped_at), so a word the site no longer has does
+ * not come back at the head of every run; such words (missing_since) are left
+ * out unless includeMissing.
+ * @param {Array<Object>} entries - [{ word, mode, scraped_at, checked_at, missing_since }];
+ *   no scraped_at counts as oldest
+ * @param {Object} options - { maxAgeMs: only entries fetched longer ago,
+ *   sample: percentage of all entries to take, at random among those,
+ *   limit: at most this many, includeMissing, now, random: () => [0, 1) }
+ * @returns {Array<Object>} The selected entries
+ */
+function selectStale(entries, {
+    maxAgeMs = null,
+    sample = null,
+    limit = null,
+    includeMissing = false,
+    now = Date.now(),
+    random = Math.random
+} = {}) {
+    const time = (entry) => {
+        const fetched = entry.checked_at || entry.scraped_at;
+        return fetched ? Date.parse(fetched) : -Infinity;
+    };
+    let selected = entries.filter((entry) => (includeMissing || !entry.missing_since) &&
+        (maxAgeMs === null || now - time(entry) > maxAgeMs));
+
+    if (sample !== null) {
+        const count = Math.min(selected.length, Math.ceil((entries.length * sample) / 100));
+        // Partial Fisher-Yates shuffle: the first `count` items are a uniform sample
+        for (let i = 0; i < count; i++) {
+            const j = i + Math.floor(random() * (selected.length - i));
+            [selected[i], selected[j]] = [selected[j], selected[i]];
+        }
+        selected = selected.slice(0, count);
+    }
+
+    selected.sort((x, y) => (time(x) === time(y) ? 0 : time(x) - time(y)));
+    return limit === null ? selected : selected.slice(0, limit);
+}
+
+module.exports = { contentHash, stampEntry, markMissing, entryChanges, parseAge, selectStale, siteContent };
@@ -0,0 +1,280 @@
+const path = require('path');
+const SqliteDatabase = require('./sqlite');
+const { MODE_DIRS } = require('./parsers');
+const { DATA_DIR } = require('./config');
+
+const FRONTIER_FILE = path.join(DATA_DIR, 'frontier.db');
+const MAX_ATTEMPTS = 3;
+// A failed item waits this long before its second attempt, twice as long before its third
+const RETRY_DELAY_MS = 60 * 1000;
+
+/**
+ * Persistent crawl frontier for batch_scrape.js.
+ *
+ * Holds the livesearch prefixes still to discover and the words still to
+ * scrape for each mode, so a killed batch resumes where it stopped instead of
+ * starting again from "a". Items stay 'pending' until they are marked done,
+ * so whatever was in flight when the worker died is simply retried. A failed
+ * item is not handed out again until its retry_after has passed.
+ */
+class CrawlFrontier {
+  constructor(file = FRONTIER_FILE) {
+    this.db = new SqliteDatabase(file);
+  }
+
+  async open() {
+    await this.db.open();
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        kind TEXT NOT NULL,
+        mode INTEGER NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        depth INTEGER NOT NULL DEFAULT 1,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        retry_after TEXT,
+        updated_at TEXT NOT NULL,
+        UNIQUE (kind, mode, key)
+      );
+      CREATE INDEX IF NOT EXISTS idx_items_next ON items(kind, mode, status);
+    `);
+    // Frontiers written before failed items waited to be retried
+    const columns = await this.db.all('PRAGMA table_info(items)');
+    if (!columns.some((c) => c.name === 'retry_after')) {
+      await this.db.run('ALTER TABLE items ADD COLUMN retry_after TEXT');
+    }
+    return this;
+  }
+
+  /**
+   * Queue a prefix or word unless it is already known for this mode
+   * @param {string} kind - 'prefix' or 'word'
+   * @param {number} mode - 1 (En-Kh), 2 (Kh-Kh) or 3 (Kh-En)
+   * @param {string} value - The prefix or word
+   * @param {number} depth - Relation depth the word was reached at
+   * @returns {Promise<boolean>} True if it was newly added
+   */
+  async add(kind, mode, value, depth = 1) {
+    const { changes } = await this.db.run(
+      `INSERT OR IGNORE INTO items (kind, mode, key, value, depth, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [kind, mode, value.trim().toLowerCase(), value.trim(), depth, new Date().toISOString()]
+    );
+    return changes > 0;
+  }
+
+  /**
+   * Queue a word again even if it was already done or failed, e.g. because
+   * its result was lost
+   * @returns {Promise<void>}
+   */
+  async requeue(kind, mode, value, depth = 1) {
+    await this.db.run(
+      `INSERT INTO items (kind, mode, key, value, depth, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT (kind, mode, key) DO UPDATE SET
+         value = excluded.value, status = 'pending', attempts = 0,
+         last_error = NULL, retry_after = NULL, updated_at = excluded.updated_at`,
+      [kind, mode, value.trim().toLowerCase(), value.trim(), depth, new Date().toISOString()]
+    );
+  }
+
+  /**
+   * Every word ever queued for a mode, whatever its status
+   * @returns {Promise<Array<string>>} The words
+   */
+  async words(mode) {
+    const rows = await this.db.all(
+      "SELECT value FROM items WHERE kind = 'word' AND mode = ?",
+      [mode]
+    );
+    return rows.map((r) => r.value);
+  }
+
+  /**
+   * Next pending item. Prefixes are taken newest first so discovery walks
+   * depth-first like the old recursive deepDiscover; words are first-in first-out.
+   * @returns {Promise<Object|undefined>} The item row
+   */
+  async next(kind, mode) {
+    const [item] = await this.nextBatch(kind, mode, 1);
+    return item;
+  }
+
+  /**
+   * Up to `limit` pending items in the same order as next(), for concurrent work;
+   * failed items waiting for their retry are skipped
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} Item rows
+   */
+  nextBatch(kind, mode, limit, now = new Date()) {
+    const order = kind === 'prefix' ? 'DESC' : 'ASC';
+    return this.db.all(
+      `SELECT * FROM items WHERE kind = ? AND mode = ? AND status = 'pending'
+       AND (retry_after IS NULL OR retry_after <= ?)
+       ORDER BY id ${order} LIMIT ?`,
+      [kind, mode, now.toISOString(), limit]
+    );
+  }
+
+  /**
+   * When the first failed item waiting for its retry is due
+   * @returns {Promise<Date|null>} null if no pending item is waiting
+   */
+  async nextRetryAt(kind, mode) {
+    const row = await this.db.get(
+      `SELECT MIN(retry_after) AS at FROM items
+       WHERE kind = ? AND mode = ? AND status = 'pending' AND retry_after IS NOT NULL`,
+      [kind, mode]
+    );
+    return row.at ? new Date(row.at) : null;
+  }
+
+  async done(item) {
+    await this.db.run(
+      "UPDATE items SET status = 'done', last_error = NULL, retry_after = NULL, updated_at = ? WHERE id = ?",
+      [new Date().toISOString(), item.id]
+    );
+  }
+
+  /**
+   * Record a failed attempt; the item stays pending, backing off, until
+   * MAX_ATTEMPTS is reached
+   * @param {Object} item - The item row
+   * @param {Error|string} error - What went wrong
+   * @param {Date} now - Current time
+   */
+  async fail(item, error, now = new Date()) {
+    const attempts = item.attempts + 1;
+    const status = attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+    const retryAfter = status === 'pending'
+      ? new Date(now.getTime() + RETRY_DELAY_MS * 2 ** (attempts - 1)).toISOString()
+      : null;
+    await this.db.run(
+      'UPDATE items SET status = ?, attempts = ?, last_error = ?, retry_after = ?, updated_at = ? WHERE id = ?',
+      [status, attempts, error.message || String(error), retryAfter, now.toISOString(), item.id]
+    );
+  }
+
+  /**
+   * Whether the frontier has ever been seeded for a mode (re-queued words alone don't count)
+   */
+  async hasMode(mode) {
+    const row = await this.db.get(
+      "SELECT COUNT(*) AS count FROM items WHERE mode = ? AND kind = 'prefix'",
+      [mode]
+    );
+    return row.count > 0;
+  }
+
+  /**
+   * Item counts per mode, kind and status
+   * @returns {Promise<Array>} Rows of { mode, kind, status, count }
+   */
+  stats() {
+    return this.db.all(
+      `SELECT mode, kind, status, COUNT(*) AS count FROM items
+       GROUP BY mode, kind, status ORDER BY mode, kind, status`
+    );
+  }
+
+  /**
+   * List items, e.g. everything that failed
+   * @param {Object} filter - { status, mode, kind, limit }
+   * @returns {Promise<Array>} Item rows
+   */
+  list({ status = null, mode = null, kind = null, limit = 50 } = {}) {
+    const where = [];
+    const params = [];
+    if (status) { where.push('status = ?'); params.push(status); }
+    if (mode) { where.push('mode = ?'); params.push(mode); }
+    if (kind) { where.push('kind = ?'); params.push(kind); }
+    params.push(limit);
+    return this.db.all(
+      `SELECT * FROM items ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY updated_at DESC LIMIT ?`,
+      params
+    );
+  }
+
+  /**
+   * Put failed items back in the queue with a fresh attempt count
+   * @returns {Promise<number>} Number of items re-queued
+   */
+  async retryFailed(mode = null) {
+    const { changes } = await this.db.run(
+      `UPDATE items SET status = 'pending', attempts = 0, retry_after = NULL, updated_at = ?
+       WHERE status = 'failed' ${mode ? 'AND mode = ?' : ''}`,
+      mode ? [new Date().toISOString(), mode] : [new Date().toISOString()]
+    );
+    return changes;
+  }
+
+  /**
+   * Forget everything for a mode (or all modes) so the next batch starts over
+   * @returns {Promise<number>} Number of items removed
+   */
+  async reset(mode = null) {
+    const { changes } = mode
+      ? await this.db.run('DELETE FROM items WHERE mode = ?', [mode])
+      : await this.db.run('DELETE FROM items');
+    return changes;
+  }
+
+  close() {
+    return this.db.close();
+  }
+}
+
+module.exports = CrawlFrontier;
+
+// Command line interface for inspecting and resetting the frontier
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const typeToMode = (type) =>
+    Number(Object.keys(MODE_DIRS).find((m) => MODE_DIRS[m] === type)) || null;
+
+  if (!command) {
+    console.log('Usage:');
+    console.log('  node src/frontier.js status                 - Show pending/done/failed counts');
+    console.log('  node src/frontier.js list <status> [type]   - List items (pending, done, failed)');
+    console.log('  node src/frontier.js retry [type]           - Re-queue failed items');
+    console.log('  node src/frontier.js reset [type]           - Clear the frontier');
+    console.log('\nTypes: en_kh, kh_kh, kh_en');
+    process.exit(0);
+  }
+
+  (async () => {
+    const frontier = await new CrawlFrontier().open();
+
+    if (command === 'status') {
+      const rows = await frontier.stats();
+      console.log('\n=== Crawl Frontier ===');
+      if (rows.length === 0) console.log('Empty.');
+      rows.forEach((r) => {
+        console.log(`${MODE_DIRS[r.mode]}  ${r.kind.padEnd(6)}  ${r.status.padEnd(7)}  ${r.count}`);
+      });
+    } else if (command === 'list' && args[1]) {
+      const rows = await frontier.list({ status: args[1], mode: typeToMode(args[2]) });
+      rows.forEach((r) => {
+        const error = r.last_error ? `  (${r.attempts} attempts: ${r.last_error})` : '';
+        console.log(`${MODE_DIRS[r.mode]}  ${r.kind}  ${r.value}${error}`);
+      });
+    } else if (command === 'retry') {
+      console.log(`Re-queued ${await frontier.retryFailed(typeToMode(args[1]))} failed item(s).`);
+    } else if (command === 'reset') {
+      console.log(`Removed ${await frontier.reset(typeToMode(args[1]))} item(s).`);
+    } else {
+      console.log('Invalid command. Use "status", "list", "retry" or "reset".');
+    }
+
+    await frontier.close();
+  })().catch((err) => {
+    console.error('Error:', err);
+    process.exit(1);
+  });
+}
@@ -1,53 +1,82 @@
 const DictionaryScraper = require('./scraper');
+const { scheduler } = require('./scheduler');
+const { config } = require('./config');
 
-(async () => {
+/**
+ * Scrape a word and, with depth > 1, its synonyms, similar words and
+ * antonyms, breadth first.
+ *
+ * Usage: node src/index.js <word> [mode] [depth]  (or: dict crawl, see src/dict.js)
+ *
+ * @param {string} startWord - The word to start from
+ * @param {Object} options - { mode: 1 (En-Kh), 2 (Kh-Kh) or 3 (Kh-En),
+ *   depth: 1 = the word only, 2 = its related words too, ...,
+ *   maxWords: stop after this many words (config crawl.maxWords) }
+ * @returns {Promise<number>} Words visited
+ */
+async function crawl(startWord, { mode = 1, depth = config.crawl.depth, maxWords = config.crawl.maxWords } = {}) {
     const scraper = new DictionaryScraper();
     await scraper.init();
 
-    const startWord = process.argv[2] || 'crawl';
-    // Mode: 1=En-Kh, 2=Kh-Kh, 3=Kh-En. Default 1.
-    const mode = parseInt(process.argv[3] || '1', 10);
-    // Depth: 1=single, 2=neighbors
-    const depth = parseInt(process.argv[4] || '1', 10); 
-
     console.log(`Starting scraper. Word: "${startWord}", Mode: ${mode}, Depth: ${depth}`);
-    
+
     const queue = [{ word: startWord, currentDepth: 1, mode: mode }];
     const visited = new Set();
-    const limit = 50;
-    
+
     while (queue.length > 0) {
-        if (visited.size >= limit) {
-             console.log(`Reached safety limit of ${limit} words.`);
+        if (visited.size >= maxWords) {
+             console.log(`Reached safety limit of ${maxWords} words.`);
              break;
         }
-        
-        const { word, currentDepth, mode } = queue.shift();
-        const visitedKey = `${mode}:${word.trim().toLowerCase()}`;
-        
-        if (visited.has(visitedKey)) continue;
-
-        const data = await scraper.scrapeWord(word, mode);
-        visited.add(visitedKey);
-        
-        // Polite delay
-        await new Promise(r => setTimeout(r, 800));
-
-        if (currentDepth < depth && data) {
-            const relations = [
-                ...(data.synonyms || []), 
-                ...(data.similar_words || []), 
-                ...(data.antonyms || [])
-            ];
-            
-            for (const rel of relations) {
-                 const relKey = `${mode}:${rel.trim().toLowerCase()}`;
-                 if (!visited.has(relKey)) {
-                    queue.push({ word: rel, currentDepth: currentDepth + 1, mode: mode });
-                 }
-            }
+
+        // Take as many words as the scheduler runs at once; it handles the pacing
+        const batch = [];
+        while (queue.length > 0 && batch.length < scheduler.concurrency && visited.size + batch.length < maxWords) {
+            const item = queue.shift();
+            const visitedKey = `${item.mode}:${item.word.trim().toLowerCase()}`;
+            if (visited.has(visitedKey) || batch.some(b => b.visitedKey === visitedKey)) continue;
+            batch.push({ ...item, visitedKey });
         }
+
+        const results = await Promise.all(batch.map(({ word, mode }) => scraper.scrapeWord(word, mode)));
+
+        batch.forEach(({ visitedKey, currentDepth, mode }, i) => {
+            visited.add(visitedKey);
+            const data = results[i];
+
+            if (currentDepth < depth && data) {
+                const relations = [
+                    ...(data.synonyms || []),
+                    ...(data.similar_words || []),
+                    ...(data.antonyms || [])
+                ];
+
+                for (const rel of relations) {
+                     const relKey = `${mode}:${rel.trim().toLowerCase()}`;
+                     if (!visited.has(relKey)) {
+                        queue.push({ word: rel, currentDepth: currentDepth + 1, mode: mode });
+                     }
+                }
+            }
+        });
     }
-    
+
+    await scraper.close();
     console.log(`Done! Scraped ${visited.size} items.`);
-})();
+    return visited.size;
+}
+
+module.exports = { crawl };
+
+if (require.main === module) {
+    const startWord = process.argv[2] || 'crawl';
+    // Mode: 1=En-Kh, 2=Kh-Kh, 3=Kh-En. Default 1.
+    const mode = parseInt(process.argv[3] || '1', 10);
+    // Depth: 1=single, 2=neighbors
+    const depth = parseInt(process.argv[4] || '1', 10);
+
+    crawl(startWord, { mode, depth }).catch((err) => {
+        console.error('Crawl failed:', err);
+        process.exit(1);
+    });
+}
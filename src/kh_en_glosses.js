@@ -0,0 +1,135 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { DATA_DIR } = require('./config');
+
+const KH_EN_DIR = path.join(DATA_DIR, 'kh_en');
+const REVERSE_INDEX_FILE = path.join(DATA_DIR, 'reverse_index.json');
+
+/**
+ * Kh-En glosses and the English -> Khmer reverse index built from them.
+ *
+ * A kh_en definition_text is a list of English glosses separated by commas,
+ * with semicolons between groups of a different part of speech:
+ *
+ *   "to scratch (as a hen scratching the ground); to make a hole in the ground"
+ */
+
+/**
+ * Split a Kh-En definition into its individual glosses. Commas and semicolons
+ * inside brackets belong to the gloss ("fast (of walking, speaking)").
+ * @param {string} text - The definition_text
+ * @returns {Array<string>} Unique glosses in their original order
+ */
+function splitGlosses(text) {
+    const glosses = [];
+    let current = '';
+    let depth = 0;
+
+    // Multi-sense pages number their rows ("1. to return…")
+    for (const char of (text || '').replace(/^\d+\.\s*/, '')) {
+        if (char === '(' || char === '[') depth++;
+        if ((char === ')' || char === ']') && depth > 0) depth--;
+
+        if ((char === ',' || char === ';' || char === '\n') && depth === 0) {
+            glosses.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    glosses.push(current);
+
+    const cleaned = glosses.map((g) => g.replace(/\s+/g, ' ').trim()).filter(Boolean);
+    return [...new Set(cleaned)];
+}
+
+/**
+ * Lookup key for a gloss: lower case, without bracketed notes and without
+ * the infinitive "to", so "To scratch (as a hen…)" is found as "scratch"
+ * @returns {string} The key, '' if nothing is left
+ */
+function glossKey(gloss) {
+    return gloss
+        .toLowerCase()
+        .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+        .replace(/^\s*to\s+/, '')
+        .replace(/[^\p{L}\p{N}'/ -]+/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/^'(.*)'$/, '$1');
+}
+
+/**
+ * Glosses of a kh_en definition, from the parsed list or, for files scraped
+ * before glosses were split, from definition_text
+ */
+function definitionGlosses(def) {
+    return Array.isArray(def.glosses) ? def.glosses : splitGlosses(def.definition_text);
+}
+
+/**
+ * Map every English gloss back to the Khmer headwords that use it
+ * @param {Array<Object>} entries - kh_en entries
+ * @returns {Array<Object>} [{ key, glosses: [...], words: [...] }] sorted by key
+ */
+function buildReverseIndex(entries) {
+    const index = new Map();
+
+    for (const entry of entries) {
+        for (const def of entry.definitions || []) {
+            for (const gloss of definitionGlosses(def)) {
+                const key = glossKey(gloss);
+                if (!key) continue;
+
+                let item = index.get(key);
+                if (!item) {
+                    item = { key, glosses: [], words: [] };
+                    index.set(key, item);
+                }
+                if (!item.glosses.includes(gloss)) item.glosses.push(gloss);
+                if (!item.words.includes(entry.word)) item.words.push(entry.word);
+            }
+        }
+    }
+
+    return [...index.values()].sort((a, b) => a.key.localeCompare(b.key));
+}
+
+/**
+ * Build the reverse index from data/kh_en and write it as JSON
+ * @returns {Promise<Array>} The index
+ */
+async function writeReverseIndex(dir = KH_EN_DIR, outputFile = REVERSE_INDEX_FILE) {
+    const files = (await fs.readdir(dir)).filter((f) => f.endsWith('.json'));
+    const entries = [];
+    for (const file of files) {
+        entries.push(await fs.readJson(path.join(dir, file)));
+    }
+
+    const index = buildReverseIndex(entries);
+    await fs.writeJson(outputFile, index, { spaces: 2 });
+    return index;
+}
+
+module.exports = {
+    REVERSE_INDEX_FILE,
+    splitGlosses,
+    glossKey,
+    definitionGlosses,
+    buildReverseIndex,
+    writeReverseIndex
+};
+
+// node src/kh_en_glosses.js [output.json] - regenerate the reverse index
+if (require.main === module) {
+    const output = process.argv[2] || REVERSE_INDEX_FILE;
+    writeReverseIndex(KH_EN_DIR, output)
+        .then((index) => {
+            const words = index.reduce((sum, item) => sum + item.words.length, 0);
+            console.log(`Wrote ${index.length} English glosses (${words} Khmer links) to ${output}`);
+        })
+        .catch((err) => {
+            console.error('Error:', err);
+            process.exit(1);
+        });
+}
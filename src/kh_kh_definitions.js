@@ -0,0 +1,183 @@
+/**
+ * Structuring of Khmer-Khmer definitions.
+ *
+ * The site returns each kh_kh entry as one blob of text, mostly in the
+ * Chuon Nath dictionary layout:
+ *
+ *   កន្តឹបកន្តឹប  ( ន. )  ឈ្មោះមួក… \n\n( គុ. )  តូចហើយទាប…
+ *   កថាភាគ(កៈ-ថា-ភាគ) ន. ចំពូក, វគ្គ\nឧ. ក្នុងរឿង…
+ *
+ * i.e. the headword (usually twice), an optional pronunciation and origin
+ * (បា., សំ. …), the part of speech, the gloss and "ឧ." examples, with further
+ * senses after a blank line, a number or a new part of speech.
+ */
+
+// Khmer part-of-speech abbreviations -> the pos values used by en_kh entries
+const POS_ABBREVIATIONS = {
+    'ន.': 'n',
+    'កិ.': 'v',
+    'គុ.': 'adj',
+    'កិ.វិ.': 'adv',
+    'សព្វ.': 'pron',
+    'បុ.': 'pron',
+    'បុ.ស.': 'pron',
+    'អា.និ.': 'prep',
+    'ឈ្នា.': 'conj',
+    'ឧ.': 'interj',
+    'និ.': 'pt',
+    'ប.': 'pref',
+    'ប.សំ.': 'pref'
+};
+
+// A bare (unbracketed) marker is only trusted for the common ones
+const BARE_POS = /(?:^|[\s)])(កិ\.\s*វិ\.|ន\.|កិ\.|គុ\.|និ\.)\s/;
+const BRACKETED = /\(\s*([^()]{1,30}?)\s*\)/;
+
+// A header longer than this is really a gloss that happens to contain brackets
+const MAX_HEADER_LENGTH = 60;
+
+/**
+ * Map a Khmer POS marker such as "កិ. វិ. ឬ គុ." to "adv, adj"
+ * @param {string} marker - Text of the marker, without brackets
+ * @returns {string|null} Normalized pos, or null if it isn't a POS marker
+ */
+function normalizePos(marker) {
+    const values = [];
+    for (const alternative of marker.split('ឬ')) {
+        let key = alternative.replace(/[\s\u200b]+/g, '');
+        if (key && !key.endsWith('.')) key += '.';
+        const pos = POS_ABBREVIATIONS[key];
+        if (!pos) return null;
+        if (!values.includes(pos)) values.push(pos);
+    }
+    return values.join(', ');
+}
+
+/**
+ * Remove the headword the site prints in front of the definition (often twice)
+ */
+function stripHeadword(text, word) {
+    let rest = text.trim();
+    for (let i = 0; i < 2 && word && rest.startsWith(word); i++) {
+        rest = rest.slice(word.length);
+    }
+    return rest;
+}
+
+/**
+ * Cut the text into senses: blank-line blocks, numbered lines ("2.", "២.")
+ * and sentences that open with a new bare part of speech ("។ ន. …")
+ */
+function splitSenses(text) {
+    return text
+        .split(/\n\s*\n|\n(?=\s*(?:\d+|[០-៩]+)\.\s)|(?<=។)\s+(?=(?:ន|កិ|គុ)\.\s)/)
+        .map((sense) => sense.trim().replace(/^(?:\d+|[០-៩]+)\.\s*/, ''))
+        .filter(Boolean);
+}
+
+/**
+ * Find the POS marker at the start of a sense
+ * @returns {Object} { pos, header, body } where header is whatever preceded
+ *   the marker (pronunciation, origin) and body is the rest
+ */
+function readPos(sense) {
+    const candidates = [];
+    const bracketed = sense.match(BRACKETED);
+    if (bracketed) candidates.push({ match: bracketed, marker: bracketed[1], start: bracketed.index });
+    const bare = sense.match(BARE_POS);
+    if (bare) {
+        const start = bare.index + bare[0].indexOf(bare[1]);
+        candidates.push({ match: bare, marker: bare[1], start });
+    }
+    candidates.sort((a, b) => a.start - b.start);
+
+    for (const { match, marker, start } of candidates) {
+        const header = sense.slice(0, start);
+        if (header.length > MAX_HEADER_LENGTH || header.includes('។')) continue;
+        const pos = normalizePos(marker);
+        if (!pos) continue;
+        return {
+            pos,
+            header: header.trim(),
+            body: sense.slice(match.index + match[0].length).trim()
+        };
+    }
+    return { pos: '', header: '', body: sense };
+}
+
+/**
+ * Split the pronunciation ("ក័ត-ដឹក", "(កៈ-ថា-ភាគ)") from origin
+ * abbreviations ("បា.", "សំ.") in the text before the POS marker
+ */
+function readHeader(header) {
+    const origin = [];
+    const pronunciation = [];
+    for (const token of header.split(/[\s;]+/).filter(Boolean)) {
+        if (/^[^\d()]{1,8}\.$/.test(token)) origin.push(...token.split(/(?<=\.)/));
+        else pronunciation.push(token.replace(/^\((.*)\)$/, '$1'));
+    }
+    return { pronunciation: pronunciation.join(' '), origin };
+}
+
+/**
+ * Move "ឧ." / "ឧទាហរណ៍" examples out of the gloss. A bracketed "( ឧ. )" is
+ * the interjection POS, not an example, and has been consumed by readPos.
+ * @returns {Object} { text, examples }
+ */
+function readExamples(body) {
+    const [text, ...examples] = body.split(/(?:^|\s)(?:ឧទាហរណ៍|ឧ\.)(?!\s*\))\s*[:៖]?\s*/);
+    return {
+        text: text.trim(),
+        examples: examples.map((e) => e.trim()).filter(Boolean)
+    };
+}
+
+/**
+ * Turn one raw kh_kh definition into structured senses
+ * @param {Object} def - { pos, example, definition_text } as scraped
+ * @param {string} word - The headword
+ * @returns {Array<Object>} One { pos, example: [], definition_text } per sense,
+ *   plus pronunciation/origin when the entry gives them
+ */
+function structureDefinition(def, word) {
+    const pageExamples = [].concat(def.example || []).filter(Boolean);
+    const text = stripHeadword(def.definition_text || '', word);
+    const senses = [];
+
+    for (const sense of splitSenses(text)) {
+        const { pos, header, body } = readPos(sense);
+        const { text: definitionText, examples } = readExamples(body);
+        const { pronunciation, origin } = readHeader(header);
+
+        const structured = {
+            pos: pos || def.pos || '',
+            example: examples,
+            definition_text: definitionText
+        };
+        if (pronunciation) structured.pronunciation = pronunciation;
+        if (origin.length) structured.origin = origin;
+        senses.push(structured);
+    }
+
+    if (senses.length === 0) {
+        senses.push({ pos: def.pos || '', example: [], definition_text: '' });
+    }
+    // Examples the page marked up separately belong to the first sense
+    senses[0].example.unshift(...pageExamples);
+    return senses;
+}
+
+/**
+ * Whether a stored definition has already been through structureDefinition
+ * (the scraped blob keeps `example` as a string)
+ */
+function isStructured(def) {
+    return Array.isArray(def.example);
+}
+
+module.exports = {
+    POS_ABBREVIATIONS,
+    normalizePos,
+    structureDefinition,
+    isStructured
+};
@@ -0,0 +1,157 @@
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+const { LogWriter, LEVELS, LOG_DIR } = require('./logger');
+
+/**
+ * Filter the JSON-lines scraping logs.
+ *
+ * Usage: node src/log_query.js [--level error] [--mode kh_en] [--run last|<id>]
+ *                              [--word <word>] [--since 2h|<ISO date>] [--grep <text>]
+ *                              [--limit 100] [--json] [--runs]
+ */
+
+/**
+ * Parse "30m", "2h", "7d" or an ISO date into a timestamp
+ * @returns {number|null} Milliseconds since epoch
+ */
+function parseSince(value, now = Date.now()) {
+    if (!value) return null;
+    const match = value.match(/^(\d+)([smhd])$/);
+    if (match) {
+        const unit = { s: 1000, m: 60 * 1000, h: 3600 * 1000, d: 24 * 3600 * 1000 }[match[2]];
+        return now - parseInt(match[1], 10) * unit;
+    }
+    const date = Date.parse(value);
+    if (Number.isNaN(date)) throw new Error(`Invalid --since value: ${value}`);
+    return date;
+}
+
+/**
+ * Call onEntry for every parsed log line, oldest file first
+ * @param {Function} onEntry - Receives the entry object
+ * @param {string} dir - Log directory
+ */
+async function readEntries(onEntry, dir = LOG_DIR) {
+    for (const file of LogWriter.files(dir)) {
+        const lines = readline.createInterface({
+            input: fs.createReadStream(path.join(dir, file)),
+            crlfDelay: Infinity
+        });
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                onEntry(JSON.parse(line));
+            } catch (e) {
+                // A line cut short by a crash; skip it
+            }
+        }
+    }
+}
+
+/**
+ * Run IDs in order of first appearance with their time span and counts
+ * @returns {Promise<Array>} [{ run_id, first, last, entries, errors }]
+ */
+async function listRuns(dir = LOG_DIR) {
+    const runs = new Map();
+    await readEntries((entry) => {
+        let run = runs.get(entry.run_id);
+        if (!run) {
+            run = { run_id: entry.run_id, first: entry.ts, last: entry.ts, entries: 0, errors: 0 };
+            runs.set(entry.run_id, run);
+        }
+        run.last = entry.ts;
+        run.entries++;
+        if (entry.level === 'error') run.errors++;
+    }, dir);
+    return [...runs.values()];
+}
+
+/**
+ * Find log entries matching a filter
+ * @param {Object} filter - { level, mode, run, word, since, grep, limit }
+ *   level is a minimum ("warn" also returns errors); run may be "last"
+ * @returns {Promise<Array>} Matching entries, newest last, at most `limit`
+ */
+async function queryLogs(filter = {}, dir = LOG_DIR) {
+    let runId = filter.run;
+    if (runId === 'last') {
+        const runs = await listRuns(dir);
+        runId = runs.length ? runs[runs.length - 1].run_id : null;
+    }
+    const since = parseSince(filter.since);
+    const minLevel = filter.level ? LEVELS[filter.level] : null;
+    const limit = filter.limit || 100;
+    const matches = [];
+
+    await readEntries((entry) => {
+        if (minLevel && LEVELS[entry.level] < minLevel) return;
+        if (filter.mode && entry.mode !== filter.mode) return;
+        if (runId && entry.run_id !== runId) return;
+        if (filter.word && entry.word !== filter.word) return;
+        if (since && Date.parse(entry.ts) < since) return;
+        if (filter.grep && !JSON.stringify(entry).includes(filter.grep)) return;
+        matches.push(entry);
+        if (matches.length > limit) matches.shift();
+    }, dir);
+
+    return matches;
+}
+
+module.exports = { queryLogs, listRuns, parseSince };
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const flag = (name) => {
+        const i = args.indexOf(`--${name}`);
+        return i !== -1 ? args[i + 1] : undefined;
+    };
+
+    if (args.includes('--help')) {
+        console.log('Usage: node src/log_query.js [options]');
+        console.log('  --level <debug|info|warn|error>  Minimum level');
+        console.log('  --mode <en_kh|kh_kh|kh_en>       Only this dictionary');
+        console.log('  --run <last|run id>              Only one run');
+        console.log('  --word <word>                    Only this word');
+        console.log('  --since <30m|2h|7d|ISO date>     Only recent entries');
+        console.log('  --grep <text>                    Entries containing text');
+        console.log('  --limit <n>                      Show the last n matches (default 100)');
+        console.log('  --json                           Print raw JSON lines');
+        console.log('  --runs                           List runs instead of entries');
+        console.log('\nExample: node src/log_query.js --level error --mode kh_en --run last');
+        process.exit(0);
+    }
+
+    (async () => {
+        if (args.includes('--runs')) {
+            const runs = await listRuns();
+            runs.forEach((r) => {
+                console.log(`${r.run_id}  ${r.first} -> ${r.last}  ${r.entries} entries, ${r.errors} errors`);
+            });
+            return;
+        }
+
+        const entries = await queryLogs({
+            level: flag('level'),
+            mode: flag('mode'),
+            run: flag('run'),
+            word: flag('word'),
+            since: flag('since'),
+            grep: flag('grep'),
+            limit: flag('limit') ? parseInt(flag('limit'), 10) : undefined
+        });
+
+        entries.forEach((e) => {
+            if (args.includes('--json')) {
+                console.log(JSON.stringify(e));
+            } else {
+                console.log(`${e.ts} ${e.level.toUpperCase().padEnd(5)} ${e.msg}`);
+            }
+        });
+        console.log(`\n${entries.length} matching entr${entries.length === 1 ? 'y' : 'ies'}.`);
+    })().catch((err) => {
+        console.error('Error:', err.message);
+        process.exit(1);
+    });
+}
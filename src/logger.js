@@ -0,0 +1,165 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+const LOG_DIR = path.join(__dirname, '..', 'logs');
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// One ID per process so a whole batch run can be pulled out of the logs
+const RUN_ID = process.env.SCRAPE_RUN_ID ||
+  `${new Date().toISOString().replace(/[-:]/g, '').slice(0, 15)}-${crypto.randomBytes(3).toString('hex')}`;
+
+/**
+ * Writes JSON lines to logs/scraping-<date>[.<n>].jsonl, starting a new file
+ * every UTC day or when the current one reaches maxBytes, and keeping at
+ * most maxFiles files around.
+ */
+class LogWriter {
+  constructor({ dir = LOG_DIR, maxBytes = 10 * 1024 * 1024, maxFiles = 30 } = {}) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.stream = null;
+    this.file = null;
+    this.day = null;
+    this.bytes = 0;
+  }
+
+  write(line) {
+    const day = new Date().toISOString().slice(0, 10);
+    const size = Buffer.byteLength(line);
+    if (!this.stream || day !== this.day || this.bytes + size > this.maxBytes) {
+      this.rotate(day);
+    }
+    this.stream.write(line);
+    this.bytes += size;
+  }
+
+  rotate(day) {
+    fs.ensureDirSync(this.dir);
+
+    // Continue today's newest file unless it is the one that just filled up
+    const rolling = this.stream !== null && this.day === day;
+    const today = LogWriter.files(this.dir).filter((f) => f.startsWith(`scraping-${day}`));
+    let index = today.length ? LogWriter.index(today[today.length - 1]) : 0;
+    // Our own newest file may not be on disk yet (streams open asynchronously)
+    if (rolling) index = Math.max(index, LogWriter.index(path.basename(this.file))) + 1;
+
+    let file = path.join(this.dir, LogWriter.fileName(day, index));
+    let bytes = fs.existsSync(file) ? fs.statSync(file).size : 0;
+    if (bytes >= this.maxBytes) {
+      file = path.join(this.dir, LogWriter.fileName(day, ++index));
+      bytes = 0;
+    }
+
+    if (this.stream) this.stream.end();
+    this.day = day;
+    this.file = file;
+    this.bytes = bytes;
+    this.stream = fs.createWriteStream(this.file, { flags: 'a' });
+    this.prune();
+  }
+
+  prune() {
+    const files = LogWriter.files(this.dir);
+    for (const old of files.slice(0, Math.max(0, files.length - this.maxFiles))) {
+      fs.removeSync(path.join(this.dir, old));
+    }
+  }
+
+  /**
+   * Write to another directory from the next entry on (tests keep their logs
+   * out of the repository this way)
+   * @param {string} dir - Log directory
+   */
+  moveTo(dir) {
+    if (this.stream) this.stream.end();
+    this.stream = null;
+    this.dir = dir;
+  }
+
+  close() {
+    return new Promise((resolve) => {
+      if (!this.stream) return resolve();
+      this.stream.end(resolve);
+      this.stream = null;
+    });
+  }
+
+  static fileName(day, index) {
+    return index ? `scraping-${day}.${index}.jsonl` : `scraping-${day}.jsonl`;
+  }
+
+  static index(file) {
+    const match = file.match(/\.(\d+)\.jsonl$/);
+    return match ? parseInt(match[1], 10) : 0;
+  }
+
+  /**
+   * Log files in a directory, oldest first
+   * @returns {Array<string>} File names
+   */
+  static files(dir = LOG_DIR) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .filter((f) => /^scraping-\d{4}-\d{2}-\d{2}(\.\d+)?\.jsonl$/.test(f))
+      .sort((a, b) => a.slice(9, 19).localeCompare(b.slice(9, 19)) || LogWriter.index(a) - LogWriter.index(b));
+  }
+}
+
+const writer = new LogWriter();
+
+/**
+ * Structured logger. Every entry is one JSON line with ts, level, run_id,
+ * msg and whatever fields were bound or passed (mode, word, url,
+ * duration_ms, error...). The message also goes to the console.
+ */
+class Logger {
+  constructor(fields = {}, options = {}) {
+    this.fields = fields;
+    this.writer = options.writer || writer;
+    this.level = options.level || process.env.LOG_LEVEL || 'info';
+  }
+
+  /**
+   * Logger that adds `fields` to every entry
+   * @param {Object} fields - e.g. { component: 'batch', mode: 'en_kh' }
+   */
+  child(fields) {
+    return new Logger({ ...this.fields, ...fields }, { writer: this.writer, level: this.level });
+  }
+
+  log(level, msg, fields = {}) {
+    if (LEVELS[level] < LEVELS[this.level]) return;
+
+    const entry = { ts: new Date().toISOString(), level, run_id: RUN_ID, msg, ...this.fields };
+    for (const [key, value] of Object.entries(fields)) {
+      if (value === undefined) continue;
+      entry[key] = value instanceof Error ? value.message : value;
+    }
+
+    if (level === 'error' || level === 'warn') console.error(msg);
+    else console.log(msg);
+    this.writer.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  debug(msg, fields) { this.log('debug', msg, fields); }
+  info(msg, fields) { this.log('info', msg, fields); }
+  warn(msg, fields) { this.log('warn', msg, fields); }
+  error(msg, fields) { this.log('error', msg, fields); }
+
+  close() {
+    return this.writer.close();
+  }
+}
+
+const logger = new Logger();
+
+module.exports = {
+  logger,
+  Logger,
+  LogWriter,
+  LEVELS,
+  LOG_DIR,
+  RUN_ID
+};
@@ -0,0 +1,378 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { MODE_DIRS } = require('./parsers');
+const { scheduler, isTransient } = require('./scheduler');
+const { logger } = require('./logger');
+const { parseMp3 } = require('./mp3');
+const { DATA_DIR } = require('./config');
+
+const MANIFEST_VERSION = 1;
+
+const log = logger.child({ component: 'media' });
+
+// What each media folder may hold: the Content-Type we accept and the
+// leading bytes of a real file (an HTML error page has neither)
+const KINDS = {
+  images: {
+    contentType: /^image\//i,
+    magic: [Buffer.from('89504e47', 'hex'), Buffer.from('GIF8'), Buffer.from('ffd8ff', 'hex')]
+  },
+  sounds: {
+    contentType: /^audio\//i,
+    magic: [Buffer.from('ID3')]
+  }
+};
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * Whether the first bytes of a file look like the kind of media it claims to be
+ * @param {string} kind - 'images' or 'sounds'
+ * @param {Buffer} head - At least the first 4 bytes
+ */
+function looksLike(kind, head) {
+  // MP3 frames start with an 11-bit sync word, so only the first byte is fixed
+  if (kind === 'sounds' && head[0] === 0xff && (head[1] & 0xe0) === 0xe0) return true;
+  return KINDS[kind].magic.some((magic) => head.subarray(0, magic.length).equals(magic));
+}
+
+/**
+ * Why a sound file isn't a complete MP3 (cut off, no frames), null if it is
+ */
+async function soundProblem(filePath) {
+  const { status, problem } = parseMp3(await fs.readFile(filePath));
+  return status === 'ok' ? null : problem;
+}
+
+/**
+ * SHA-256 and size of a file, null if it doesn't exist
+ * @returns {Promise<Object|null>} { bytes, sha256, head }
+ */
+async function hashFile(filePath) {
+  const stat = await fs.stat(filePath).catch(() => null);
+  if (!stat || !stat.isFile()) return null;
+  const hash = crypto.createHash('sha256');
+  let head = Buffer.alloc(0);
+  for await (const chunk of fs.createReadStream(filePath)) {
+    if (head.length < 4) head = Buffer.concat([head, chunk]).subarray(0, 4);
+    hash.update(chunk);
+  }
+  return { bytes: stat.size, sha256: hash.digest('hex'), head };
+}
+
+/**
+ * Downloaded images and sounds, recorded in data/media_manifest.json by
+ * their path under the data directory ("images/12.png"):
+ * { url, path, bytes, sha256, content_type, fetched_at, error }.
+ *
+ * Files are fetched into "<file>.tmp" and only renamed into place once the
+ * status, Content-Type, length and leading bytes check out, so a failed or
+ * interrupted download never leaves a file that looks finished. Failed
+ * downloads stay in the manifest (with `error` set) for `repair` to retry.
+ */
+class MediaStore {
+  /**
+   * @param {string} dataDir - Folder holding images/ and sounds/
+   * @param {Object} options - { http: scheduler to fetch with, attempts, retryDelay }
+   */
+  constructor(dataDir = DATA_DIR, { http = scheduler, attempts = 3, retryDelay = 1000 } = {}) {
+    this.dataDir = dataDir;
+    this.file = path.join(dataDir, 'media_manifest.json');
+    this.http = http;
+    this.attempts = attempts;
+    this.retryDelay = retryDelay;
+    this.files = {};
+    this.inFlight = new Map();
+    this.writing = Promise.resolve();
+    this.queued = null;
+  }
+
+  async load() {
+    if (await fs.pathExists(this.file)) {
+      this.files = (await fs.readJson(this.file)).files;
+    }
+    return this;
+  }
+
+  /**
+   * @param {string} relativePath - e.g. "sounds/hello.mp3"
+   * @returns {Object|undefined} The manifest record
+   */
+  find(relativePath) {
+    return this.files[relativePath];
+  }
+
+  /**
+   * Make sure a media file is on disk, downloading it if it's missing or
+   * doesn't match its manifest record
+   * @param {string} url - Where to fetch it from
+   * @param {string} relativePath - "images/<name>" or "sounds/<name>"
+   * @returns {Promise<Object>} The manifest record; `error` is set if the download failed
+   */
+  async ensure(url, relativePath) {
+    const record = this.find(relativePath);
+    if (record) {
+      if (record.url === url && (await this.verify(record)) === 'ok') return record;
+    } else {
+      // Downloaded before the manifest existed
+      const adopted = await this.adopt(url, relativePath);
+      if (!adopted.error) {
+        await this.save();
+        return adopted;
+      }
+    }
+    return this.download(url, relativePath);
+  }
+
+  /**
+   * Record a file that is already on disk without fetching it. Missing,
+   * empty or invalid files are recorded as failed.
+   * @returns {Promise<Object>} The manifest record
+   */
+  async adopt(url, relativePath) {
+    const filePath = path.join(this.dataDir, relativePath);
+    const actual = await hashFile(filePath);
+    const kind = relativePath.split('/')[0];
+    const valid = Boolean(actual && actual.bytes > 0 && looksLike(kind, actual.head) &&
+      (kind !== 'sounds' || !(await soundProblem(filePath))));
+    const record = valid
+      ? {
+        url,
+        path: relativePath,
+        bytes: actual.bytes,
+        sha256: actual.sha256,
+        content_type: null,
+        fetched_at: (await fs.stat(filePath)).mtime.toISOString()
+      }
+      : this.failure(url, relativePath, actual ? 'Not a valid media file' : 'Missing');
+    this.files[relativePath] = record;
+    return record;
+  }
+
+  failure(url, relativePath, message) {
+    return {
+      url,
+      path: relativePath,
+      bytes: null,
+      sha256: null,
+      content_type: null,
+      fetched_at: null,
+      error: message,
+      failed_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Download a media file, replacing any copy on disk. Concurrent calls for
+   * the same file share one download.
+   * @returns {Promise<Object>} The manifest record; `error` is set if every attempt failed
+   */
+  download(url, relativePath) {
+    if (!this.inFlight.has(relativePath)) {
+      const pending = this.fetchWithRetry(url, relativePath)
+        .finally(() => this.inFlight.delete(relativePath));
+      this.inFlight.set(relativePath, pending);
+    }
+    return this.inFlight.get(relativePath);
+  }
+
+  async fetchWithRetry(url, relativePath) {
+    let record;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        record = { url, path: relativePath, ...(await this.fetch(url, relativePath)), fetched_at: new Date().toISOString() };
+        break;
+      } catch (err) {
+        // The scheduler already retried the request itself; a 404 won't change
+        const permanent = err.response && !isTransient(err);
+        if (permanent || attempt >= this.attempts) {
+          log.warn(`Failed to download ${url}: ${err.message}`, { url, file: relativePath, attempts: attempt, error: err });
+          record = this.failure(url, relativePath, err.message);
+          break;
+        }
+        await sleep(this.retryDelay * attempt);
+      }
+    }
+
+    this.files[relativePath] = record;
+    await this.save();
+    return record;
+  }
+
+  /**
+   * One download attempt into a temp file, renamed into place if it's valid
+   * @returns {Promise<Object>} { bytes, sha256, content_type }
+   */
+  async fetch(url, relativePath) {
+    const kind = relativePath.split('/')[0];
+    if (!KINDS[kind]) throw new Error(`Unknown media folder: ${relativePath}`);
+    const dest = path.join(this.dataDir, relativePath);
+    const tmp = `${dest}.tmp`;
+
+    await fs.ensureDir(path.dirname(dest));
+    const response = await this.http.get(url, { responseType: 'stream' });
+    const contentType = String(response.headers['content-type'] || '');
+    if (!KINDS[kind].contentType.test(contentType)) {
+      response.data.destroy();
+      throw new Error(`Unexpected Content-Type "${contentType}" for ${kind}`);
+    }
+
+    const hash = crypto.createHash('sha256');
+    let bytes = 0;
+    let head = Buffer.alloc(0);
+    response.data.on('data', (chunk) => {
+      if (head.length < 4) head = Buffer.concat([head, chunk]).subarray(0, 4);
+      hash.update(chunk);
+      bytes += chunk.length;
+    });
+
+    try {
+      await pipeline(response.data, fs.createWriteStream(tmp));
+      const expected = Number(response.headers['content-length']);
+      if (bytes === 0) throw new Error('Empty response');
+      if (expected && bytes !== expected) throw new Error(`Truncated: got ${bytes} of ${expected} bytes`);
+      if (!looksLike(kind, head)) throw new Error(`Not a valid ${kind === 'images' ? 'image' : 'sound'} file`);
+      const problem = kind === 'sounds' ? await soundProblem(tmp) : null;
+      if (problem) throw new Error(problem);
+      await fs.rename(tmp, dest);
+    } catch (err) {
+      await fs.remove(tmp);
+      throw err;
+    }
+
+    return { bytes, sha256: hash.digest('hex'), content_type: contentType.split(';')[0].trim() };
+  }
+
+  /**
+   * Compare a file on disk with its manifest record
+   * @returns {Promise<string>} 'ok', 'missing', 'corrupt' or 'failed' (never downloaded)
+   */
+  async verify(record) {
+    if (!record.sha256) return 'failed';
+    const actual = await hashFile(path.join(this.dataDir, record.path));
+    if (!actual) return 'missing';
+    return actual.bytes === record.bytes && actual.sha256 === record.sha256 ? 'ok' : 'corrupt';
+  }
+
+  /**
+   * Every manifest record whose file isn't what the manifest says
+   * @returns {Promise<Array>} [{ record, problem }]
+   */
+  async check() {
+    const problems = [];
+    for (const record of Object.values(this.files)) {
+      const problem = await this.verify(record);
+      if (problem !== 'ok') problems.push({ record, problem });
+    }
+    return problems;
+  }
+
+  /**
+   * Download again every file that is missing, corrupt or failed before
+   * @returns {Promise<Object>} { checked, repaired: [records], failed: [records] }
+   */
+  async repair() {
+    const problems = await this.check();
+    const repaired = [];
+    const failed = [];
+    for (const { record } of problems) {
+      const fresh = await this.download(record.url, record.path);
+      (fresh.error ? failed : repaired).push(fresh);
+    }
+    return { checked: Object.keys(this.files).length, repaired, failed };
+  }
+
+  /**
+   * Record the media that saved entries point at but the manifest doesn't
+   * know yet, hashing the files already on disk. Files that are missing,
+   * empty or not real media are recorded as failed so `repair` fetches them.
+   * @returns {Promise<Object>} { added, failed }
+   */
+  async scan() {
+    let added = 0;
+    let failed = 0;
+    const media = new Map();
+    for (const dir of Object.values(MODE_DIRS)) {
+      const modePath = path.join(this.dataDir, dir);
+      if (!(await fs.pathExists(modePath))) continue;
+      for (const name of (await fs.readdir(modePath)).filter((f) => f.endsWith('.json'))) {
+        const entry = await fs.readJson(path.join(modePath, name)).catch(() => null);
+        if (!entry) continue;
+        if (entry.sound_url && entry.local_sound_path) media.set(entry.local_sound_path, entry.sound_url);
+        for (const def of entry.definitions || []) {
+          if (def.khmer_image_url && def.local_image_path) media.set(def.local_image_path, def.khmer_image_url);
+        }
+      }
+    }
+
+    for (const [relativePath, url] of media) {
+      if (this.find(relativePath)) continue;
+      const record = await this.adopt(url, relativePath);
+      added++;
+      if (record.error) failed++;
+    }
+
+    await this.save();
+    return { added, failed };
+  }
+
+  save() {
+    // A write that hasn't started yet will pick up this change too
+    if (this.queued) return this.queued;
+    // Chain writes so concurrent downloads never interleave on the file
+    this.queued = this.writing.then(() => {
+      this.queued = null;
+      return fs.writeJson(this.file, { version: MANIFEST_VERSION, files: this.files });
+    }).catch((err) => log.error(`Failed to save ${this.file}: ${err.message}`, { file: this.file, error: err }));
+    this.writing = this.queued;
+    return this.writing;
+  }
+}
+
+module.exports = { MediaStore, looksLike, hashFile };
+
+// Command line interface: build, check or repair the media manifest
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0];
+
+  if (!['scan', 'check', 'repair'].includes(command)) {
+    console.log('Usage:');
+    console.log('  node src/media_store.js scan    - Record media already on disk in data/media_manifest.json');
+    console.log('  node src/media_store.js check   - List media files that are missing or don\'t match their checksum');
+    console.log('  node src/media_store.js repair  - Download those files again');
+    process.exit(0);
+  }
+
+  (async () => {
+    const store = await new MediaStore().load();
+
+    if (command === 'scan') {
+      const { added, failed } = await store.scan();
+      console.log(`Recorded ${added} media file(s) in ${store.file} (${failed} missing or invalid).`);
+      if (failed > 0) console.log('Fetch them with: node src/media_store.js repair');
+      return;
+    }
+
+    if (command === 'check') {
+      const problems = await store.check();
+      problems.forEach(({ record, problem }) => {
+        console.log(`${problem.padEnd(7)}  ${record.path}  ${record.url}${record.error ? `  (${record.error})` : ''}`);
+      });
+      console.log(`\n${problems.length} of ${Object.keys(store.files).length} media file(s) need repair.`);
+      if (problems.length > 0) process.exitCode = 1;
+      return;
+    }
+
+    const { checked, repaired, failed } = await store.repair();
+    failed.forEach((record) => console.log(`failed   ${record.path}  ${record.url}  (${record.error})`));
+    console.log(`\nChecked ${checked} media file(s): ${repaired.length} repaired, ${failed.length} still failing.`);
+    await store.writing;
+    if (failed.length > 0) process.exitCode = 1;
+  })().catch((err) => {
+    console.error('Error:', err);
+    process.exit(1);
+  });
+}
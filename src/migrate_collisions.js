@@ -0,0 +1,60 @@
+const { EntryStore } = require('./entry_store');
+const CrawlFrontier = require('./frontier');
+const { MODE_DIRS } = require('./parsers');
+
+/**
+ * Rescue words that were lost to filename collisions before entries were
+ * keyed by exact headword (see src/entry_store.js).
+ *
+ * The old slug filenames made e.g. "drug-store" and "drug store" share
+ * drug_store.json, so whichever came second was reported as already scraped
+ * and never fetched. This finds those words and puts them back in the crawl
+ * frontier; the next `node src/batch_scrape.js` run scrapes them into their
+ * own files.
+ *
+ * Usage: node src/migrate_collisions.js [type] [--dry-run]
+ */
+async function migrateCollisions(type = 'all', dryRun = false) {
+    const store = await new EntryStore().load();
+    const frontier = await new CrawlFrontier().open();
+
+    const modes = type === 'all'
+        ? Object.keys(MODE_DIRS).map(Number)
+        : [Number(Object.keys(MODE_DIRS).find((m) => MODE_DIRS[m] === type))];
+
+    const report = {};
+    for (const mode of modes) {
+        const lost = await store.collisions(mode, await frontier.words(mode));
+        report[MODE_DIRS[mode]] = lost.length;
+
+        for (const { word, file, stored_word: storedWord } of lost) {
+            console.log(`  ${MODE_DIRS[mode]}/${file}: "${word}" (file holds "${storedWord}")`);
+            if (!dryRun) await frontier.requeue('word', mode, word);
+        }
+    }
+
+    await frontier.close();
+
+    console.log(`\n=== Collision Migration ${dryRun ? '(dry run) ' : ''}Summary ===`);
+    Object.entries(report).forEach(([dir, count]) => console.log(`${dir}: ${count} lost word(s)`));
+    if (!dryRun) console.log('Re-queued; run node src/batch_scrape.js to scrape them.');
+    return report;
+}
+
+module.exports = migrateCollisions;
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const type = args.find((a) => !a.startsWith('--')) || 'all';
+
+    if (type !== 'all' && !Object.values(MODE_DIRS).includes(type)) {
+        console.log('Usage: node src/migrate_collisions.js [en_kh|kh_kh|kh_en|all] [--dry-run]');
+        process.exit(1);
+    }
+
+    migrateCollisions(type, dryRun).catch((err) => {
+        console.error('Migration failed:', err);
+        process.exit(1);
+    });
+}
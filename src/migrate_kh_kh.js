@@ -0,0 +1,59 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { structureDefinition, isStructured } = require('./kh_kh_definitions');
+const { keepSenses } = require('./parsers');
+const { DATA_DIR } = require('./config');
+
+const KH_KH_DIR = path.join(DATA_DIR, 'kh_kh');
+
+/**
+ * Bring existing data/kh_kh/*.json files up to the structured definition
+ * format (pos, senses, example arrays) the parser now produces.
+ * Files that are already structured are left alone, so it is safe to re-run.
+ *
+ * Usage: node src/migrate_kh_kh.js [--dry-run]
+ */
+async function migrateKhKh(dryRun = false, dir = KH_KH_DIR) {
+    const report = { migrated: 0, unchanged: 0, senses: 0, withPos: 0 };
+    const files = (await fs.readdir(dir)).filter((f) => f.endsWith('.json'));
+
+    for (const file of files) {
+        const filePath = path.join(dir, file);
+        const entry = await fs.readJson(filePath);
+
+        if (entry.definitions.every(isStructured)) {
+            report.unchanged++;
+            continue;
+        }
+
+        // Same senses as a fresh parse of the page would give
+        entry.definitions = keepSenses(
+            entry.definitions.flatMap((def) => (isStructured(def) ? [def] : structureDefinition(def, entry.word))),
+            entry.word
+        );
+
+        report.migrated++;
+        report.senses += entry.definitions.length;
+        report.withPos += entry.definitions.filter((def) => def.pos).length;
+
+        if (!dryRun) {
+            await fs.writeJson(filePath, entry, { spaces: 2 });
+        }
+    }
+
+    console.log(`\n=== kh_kh Migration ${dryRun ? '(dry run) ' : ''}Summary ===`);
+    console.log(`Files: ${files.length}`);
+    console.log(`Migrated: ${report.migrated}`);
+    console.log(`Already structured: ${report.unchanged}`);
+    console.log(`Senses: ${report.senses} (${report.withPos} with a part of speech)`);
+    return report;
+}
+
+module.exports = migrateKhKh;
+
+if (require.main === module) {
+    migrateKhKh(process.argv.includes('--dry-run')).catch((err) => {
+        console.error('Migration failed:', err);
+        process.exit(1);
+    });
+}
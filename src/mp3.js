@@ -0,0 +1,214 @@
+/**
+ * MP3 frame header parsing in plain JS: duration, bitrate and sample rate of
+ * a file, and whether it is a complete MP3 at all (not truncated, not an
+ * HTML error page saved under a .mp3 name).
+ */
+
+// Bitrates in kbps by [version][layer][index]; version is 'v1' (MPEG-1) or
+// 'v2' (MPEG-2 and 2.5), layer 1-3
+const BITRATES = {
+    v1: {
+        1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+        2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+        3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+    },
+    v2: {
+        1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+        2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+        3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+    }
+};
+
+// Sample rates in Hz by version bits (0 = MPEG-2.5, 2 = MPEG-2, 3 = MPEG-1)
+const SAMPLE_RATES = {
+    0: [11025, 12000, 8000],
+    2: [22050, 24000, 16000],
+    3: [44100, 48000, 32000]
+};
+
+const ID3V1_SIZE = 128;
+
+/**
+ * Decode the 4-byte frame header at `offset`
+ * @param {Buffer} buf - The file
+ * @param {number} offset - Where the header should start
+ * @returns {Object|null} { version, layer, bitrate (kbps), sampleRate, channels,
+ *   samples, length (bytes, including the header), sideInfo }, or null if
+ *   there is no valid header there
+ */
+function parseFrameHeader(buf, offset) {
+    if (offset + 4 > buf.length) return null;
+    const b1 = buf[offset + 1];
+    const b2 = buf[offset + 2];
+    const b3 = buf[offset + 3];
+    if (buf[offset] !== 0xff || (b1 & 0xe0) !== 0xe0) return null;
+
+    const versionBits = (b1 >> 3) & 3;
+    const layerBits = (b1 >> 1) & 3;
+    const bitrateIndex = b2 >> 4;
+    const rateIndex = (b2 >> 2) & 3;
+    // Reserved values, and "free format" bitrate which we can't size
+    if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) {
+        return null;
+    }
+
+    const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+    const layer = 4 - layerBits;
+    const bitrate = BITRATES[version === 1 ? 'v1' : 'v2'][layer][bitrateIndex];
+    const sampleRate = SAMPLE_RATES[versionBits][rateIndex];
+    const padding = (b2 >> 1) & 1;
+    const channels = b3 >> 6 === 3 ? 1 : 2;
+
+    let samples;
+    let length;
+    if (layer === 1) {
+        samples = 384;
+        length = (Math.floor((12 * bitrate * 1000) / sampleRate) + padding) * 4;
+    } else {
+        samples = layer === 3 && version !== 1 ? 576 : 1152;
+        length = Math.floor(((samples / 8) * bitrate * 1000) / sampleRate) + padding;
+    }
+
+    // Layer III side information sits between the header and a Xing/Info tag
+    const sideInfo = layer !== 3 ? 0 : version === 1 ? (channels === 1 ? 17 : 32) : (channels === 1 ? 9 : 17);
+    return { version, layer, bitrate, sampleRate, channels, samples, length, sideInfo };
+}
+
+/**
+ * Size of an ID3v2 tag at the start of the file, 0 if there is none
+ */
+function id3v2Size(buf) {
+    if (buf.length < 10 || buf.toString('latin1', 0, 3) !== 'ID3') return 0;
+    // Synchsafe integer: 7 bits per byte
+    const size = ((buf[6] & 0x7f) << 21) | ((buf[7] & 0x7f) << 14) | ((buf[8] & 0x7f) << 7) | (buf[9] & 0x7f);
+    const footer = buf[5] & 0x10 ? 10 : 0;
+    return 10 + size + footer;
+}
+
+/**
+ * The Xing/Info (LAME) or VBRI header an encoder may put in the first frame
+ * @returns {Object|null} { frames: audio frames the encoder wrote, or null if
+ *   not recorded }, null if the first frame is a normal audio frame
+ */
+function encoderTag(buf, offset, header) {
+    const xing = offset + 4 + header.sideInfo;
+    const tag = buf.toString('latin1', xing, xing + 4);
+    if ((tag === 'Xing' || tag === 'Info') && xing + 8 <= buf.length) {
+        const hasFrames = buf.readUInt32BE(xing + 4) & 1 && xing + 12 <= buf.length;
+        return { frames: hasFrames ? buf.readUInt32BE(xing + 8) : null };
+    }
+    const vbri = offset + 36;
+    if (buf.toString('latin1', vbri, vbri + 4) === 'VBRI' && vbri + 18 <= buf.length) {
+        return { frames: buf.readUInt32BE(vbri + 14) };
+    }
+    return null;
+}
+
+function isTagAt(buf, offset) {
+    const rest = buf.length - offset;
+    return (rest === ID3V1_SIZE && buf.toString('latin1', offset, offset + 3) === 'TAG') ||
+        buf.toString('latin1', offset, offset + 8) === 'APETAGEX' ||
+        buf.toString('latin1', offset, offset + 11) === 'LYRICSBEGIN';
+}
+
+/**
+ * The first offset from `start` with two valid frames in a row (a lone 0xFF
+ * 0xEx in tag data or noise is not enough)
+ */
+function findSync(buf, start) {
+    for (let offset = start; offset + 4 <= buf.length; offset++) {
+        if (buf[offset] !== 0xff) continue;
+        const header = parseFrameHeader(buf, offset);
+        if (!header) continue;
+        const next = offset + header.length;
+        if (next === buf.length || parseFrameHeader(buf, next)) return offset;
+    }
+    return -1;
+}
+
+/**
+ * Walk every frame of an MP3 file
+ * @param {Buffer} buf - The whole file
+ * @returns {Object} { status, problem, duration_ms, bitrate (average kbps),
+ *   sample_rate, channels, frames, version, layer }. status is 'ok',
+ *   'truncated' (the last frame or frames the encoder counted are missing),
+ *   'html' (an error page), 'empty' or 'invalid' (no MP3 frames).
+ */
+function parseMp3(buf) {
+    const result = {
+        status: 'ok',
+        problem: null,
+        duration_ms: null,
+        bitrate: null,
+        sample_rate: null,
+        channels: null,
+        frames: 0,
+        version: null,
+        layer: null
+    };
+    const fail = (status, problem) => Object.assign(result, { status, problem });
+
+    if (buf.length === 0) return fail('empty', 'File is empty');
+    const text = buf.toString('latin1', 0, Math.min(buf.length, 512)).trimStart().toLowerCase();
+    if (text.startsWith('<!doctype') || text.startsWith('<html') || text.startsWith('<?xml')) {
+        return fail('html', 'File is an HTML page, not audio');
+    }
+
+    const start = findSync(buf, Math.min(id3v2Size(buf), buf.length));
+    if (start === -1) return fail('invalid', 'No MPEG audio frames found');
+
+    const first = parseFrameHeader(buf, start);
+    const tag = encoderTag(buf, start, first);
+    const expectedFrames = tag ? tag.frames : null;
+    // A Xing/Info/VBRI frame carries the tag, not audio
+    let offset = tag ? start + first.length : start;
+
+    let samples = 0;
+    let audioBytes = 0;
+    let skipped = 0;
+    const bitrates = new Set();
+    while (offset < buf.length) {
+        const header = parseFrameHeader(buf, offset);
+        if (!header) {
+            if (isTagAt(buf, offset)) break;
+            const next = findSync(buf, offset + 1);
+            if (next === -1) {
+                skipped += buf.length - offset;
+                break;
+            }
+            skipped += next - offset;
+            offset = next;
+            continue;
+        }
+        if (offset + header.length > buf.length) {
+            fail('truncated', `Last frame is cut off (${buf.length - offset} of ${header.length} bytes)`);
+            break;
+        }
+        result.frames++;
+        samples += header.samples;
+        audioBytes += header.length;
+        bitrates.add(header.bitrate);
+        offset += header.length;
+    }
+
+    Object.assign(result, {
+        sample_rate: first.sampleRate,
+        channels: first.channels,
+        version: first.version,
+        layer: first.layer
+    });
+    if (result.frames === 0) return fail('invalid', 'No MPEG audio frames found');
+
+    const seconds = samples / first.sampleRate;
+    result.duration_ms = Math.round(seconds * 1000);
+    result.bitrate = bitrates.size === 1 ? [...bitrates][0] : Math.round((audioBytes * 8) / seconds / 1000);
+
+    if (result.status === 'ok' && expectedFrames !== null && result.frames < expectedFrames) {
+        fail('truncated', `${result.frames} of the ${expectedFrames} frames the encoder wrote`);
+    } else if (result.status === 'ok' && skipped > 0) {
+        result.problem = `${skipped} bytes between frames skipped`;
+    }
+    return result;
+}
+
+module.exports = { parseMp3, parseFrameHeader };
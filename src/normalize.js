@@ -0,0 +1,167 @@
+/**
+ * Search normalization for Khmer and English text.
+ *
+ * The same headword reaches us in several byte sequences: pasted text carries
+ * zero-width spaces, the marks after a consonant can be typed in any order and
+ * still render the same (ទេ្ទ / ទ្ទេ, ស្រ្ត / ស្ត្រ, ំុ / ុំ), and some
+ * characters have deprecated or legacy forms. normalizeText() maps all of
+ * them to one key; it is applied when the database is built and to every
+ * query, and is never used for display.
+ */
+
+// Zero-width space/non-joiner/joiner, word joiner, BOM, and the invisible
+// Khmer inherent vowels U+17B4/U+17B5
+const INVISIBLE = /[\u200b-\u200d\u2060\ufeff\u17b4\u17b5]/g;
+
+// Deprecated characters and legacy spellings -> the modern form
+const LEGACY = [
+    [/\u17a3/g, '\u17a2'], // ឣ -> អ
+    [/\u17a4/g, '\u17a2\u17b6'], // ឤ -> អា
+    [/\u17b2/g, '\u17b1'], // ឲ (ឲ្យ) -> ឱ (ឱ្យ)
+    [/\u17d8/g, '\u17d4\u179b\u17d4'] // ៘ -> ។ល។
+];
+
+// Vowels typed as two parts -> the single code point
+const SPLIT_VOWELS = [
+    [/\u17c1\u17b6/g, '\u17c4'], // េ + ា -> ោ
+    [/\u17c1\u17b8/g, '\u17be'] // េ + ី -> ើ
+];
+
+const COENG = '\u17d2';
+const RO = '\u179a';
+
+// Consonants and independent vowels
+const isBase = (char) => char >= '\u1780' && char <= '\u17b3';
+const isMark = (char) => (char >= '\u17b6' && char <= '\u17d1') || char === '\u17d3' || char === '\u17dd';
+
+/**
+ * Position of a mark in a cluster: subscripts (Coeng Ro last), register
+ * shifters, vowels, then all other signs
+ */
+function markRank(mark) {
+    if (mark[0] === COENG && mark.length === 2) return mark[1] === RO ? 1 : 0;
+    if (mark === '\u17c9' || mark === '\u17ca') return 2;
+    if (mark >= '\u17b6' && mark <= '\u17c5') return 3;
+    return 4;
+}
+
+/**
+ * Put the marks after every Khmer base character in canonical order. The sort
+ * is stable, so marks of the same rank keep the order they were typed in.
+ */
+function reorderKhmer(text) {
+    const chars = [...text];
+    let out = '';
+    let i = 0;
+
+    while (i < chars.length) {
+        out += chars[i];
+        if (!isBase(chars[i++])) continue;
+
+        const marks = [];
+        while (i < chars.length) {
+            if (chars[i] === COENG && isBase(chars[i + 1] || '')) {
+                marks.push(chars[i] + chars[i + 1]);
+                i += 2;
+            } else if (isMark(chars[i]) || chars[i] === COENG) {
+                marks.push(chars[i++]);
+            } else {
+                break;
+            }
+        }
+        out += marks
+            .map((mark, index) => ({ mark, index, rank: markRank(mark) }))
+            .sort((a, b) => a.rank - b.rank || a.index - b.index)
+            .map((m) => m.mark)
+            .join('');
+    }
+
+    return SPLIT_VOWELS.reduce((s, [from, to]) => s.replace(from, to), out);
+}
+
+/**
+ * Search key for a headword or query: NFC, invisible characters removed,
+ * legacy Khmer forms replaced, Khmer marks in canonical order, lower case,
+ * single spaces
+ * @param {string} text - Khmer or English text
+ * @returns {string} The key, '' for empty input
+ */
+function normalizeText(text) {
+    const cleaned = LEGACY.reduce(
+        (s, [from, to]) => s.replace(from, to),
+        (text || '').normalize('NFC').replace(INVISIBLE, '')
+    );
+    return reorderKhmer(cleaned).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swaps of
+ * two neighbouring characters (optimal string alignment), per code point
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} max - Stop early once the distance must exceed this
+ * @returns {number} The distance, or max + 1 if it is larger than max
+ */
+function editDistance(a, b, max = Infinity) {
+    const s = [...a];
+    const t = [...b];
+    if (Math.abs(s.length - t.length) > max) return max + 1;
+
+    let prev2 = null;
+    let prev = Array.from({ length: t.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= s.length; i++) {
+        const row = [i];
+        let rowMin = i;
+        for (let j = 1; j <= t.length; j++) {
+            const cost = s[i - 1] === t[j - 1] ? 0 : 1;
+            let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+            if (prev2 && i > 1 && j > 1 && s[i - 1] === t[j - 2] && s[i - 2] === t[j - 1]) {
+                d = Math.min(d, prev2[j - 2] + 1);
+            }
+            row.push(d);
+            rowMin = Math.min(rowMin, d);
+        }
+        if (rowMin > max) return max + 1;
+        prev2 = prev;
+        prev = row;
+    }
+
+    const distance = prev[t.length];
+    return distance > max ? max + 1 : distance;
+}
+
+/**
+ * How many edits a suggestion may be away from a key of this length; short
+ * keys allow fewer so that "cat" doesn't suggest every three-letter word
+ */
+function maxEdits(key) {
+    const length = [...key].length;
+    if (length <= 2) return 0;
+    if (length <= 5) return 1;
+    if (length <= 10) return 2;
+    return 3;
+}
+
+/**
+ * The candidates closest to a query, for "did you mean" suggestions
+ * @param {string} query - What the user typed
+ * @param {Array<Object>} candidates - Rows with `word` and, optionally, its `word_key`
+ * @param {number} limit - Maximum number of suggestions
+ * @returns {Array<Object>} The closest candidates with a `distance`, nearest first
+ */
+function closestWords(query, candidates, limit = 5) {
+    const key = normalizeText(query);
+    const max = maxEdits(key);
+    if (!key || max === 0) return [];
+
+    return candidates
+        .map((c) => ({ ...c, distance: editDistance(key, c.word_key ?? normalizeText(c.word), max) }))
+        .filter((c) => c.distance <= max)
+        .sort((a, b) =>
+            a.distance - b.distance ||
+            Math.abs(a.word.length - key.length) - Math.abs(b.word.length - key.length) ||
+            a.word.localeCompare(b.word))
+        .slice(0, limit);
+}
+
+module.exports = { normalizeText, editDistance, maxEdits, closestWords };
@@ -0,0 +1,243 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { DATA_DIR } = require('./config');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'images' });
+
+const OUTPUT_DIR = 'images_optimized';
+const FORMATS = ['webp', 'png'];
+// The site renders Khmer text about 39 px high, which is sharp on a 2x
+// screen; the 1x variant is scaled down from it
+const SOURCE_DENSITY = 2;
+const DENSITIES = [1, 2];
+
+/**
+ * Optimize the Khmer definition images of en_kh entries for the app bundle:
+ * trim the white margins, convert to grayscale WebP (or a 16-level grayscale
+ * PNG) and write a 1x and a 2x variant in Flutter's asset layout
+ * (data/images_optimized/<name>.webp and data/images_optimized/2.0x/<name>.webp).
+ * Each definition gets `optimized_image_path` and its 1x `image_width` /
+ * `image_height`, which convert_to_sqlite.js copies into the database.
+ *
+ * Images whose variants are newer than the original are skipped, so it is
+ * safe to re-run after every scrape.
+ *
+ * Usage: node src/optimize_images.js [--format webp|png] [--quality 80] [--force] [--dry-run]
+ */
+
+/**
+ * Where one density variant of an image goes, relative to the data directory
+ * @param {string} localImagePath - "images/123.png"
+ * @param {number} density - 1 or 2
+ * @param {string} format - 'webp' or 'png'
+ */
+function variantPath(localImagePath, density, format) {
+    const name = `${path.basename(localImagePath, path.extname(localImagePath))}.${format}`;
+    return density === 1 ? `${OUTPUT_DIR}/${name}` : `${OUTPUT_DIR}/${density.toFixed(1)}x/${name}`;
+}
+
+/**
+ * Pixel size of a variant made from a trimmed source image
+ * @param {Object} size - { width, height } of the trimmed original
+ * @param {number} density - Target density
+ */
+function scaledSize({ width, height }, density) {
+    const scale = density / SOURCE_DENSITY;
+    return {
+        width: Math.max(1, Math.round(width * scale)),
+        height: Math.max(1, Math.round(height * scale))
+    };
+}
+
+async function mtimeMs(filePath) {
+    const stat = await fs.stat(filePath).catch(() => null);
+    return stat ? stat.mtimeMs : null;
+}
+
+/**
+ * Whether every variant exists and is newer than the original
+ */
+async function isUpToDate(dataDir, localImagePath, format) {
+    const source = await mtimeMs(path.join(dataDir, localImagePath));
+    for (const density of DENSITIES) {
+        const output = await mtimeMs(path.join(dataDir, variantPath(localImagePath, density, format)));
+        if (output === null || output < source) return false;
+    }
+    return true;
+}
+
+/**
+ * Trim, convert and scale one image into its density variants
+ * @param {Function} sharp - The sharp module
+ * @param {string} dataDir - Data directory
+ * @param {string} localImagePath - "images/123.png"
+ * @param {Object} options - { format, quality }
+ * @returns {Promise<Object>} { width, height } of the 1x variant
+ */
+async function optimizeImage(sharp, dataDir, localImagePath, { format, quality }) {
+    // Keep the trimmed grayscale image lossless until the final encode
+    const { data, info } = await sharp(path.join(dataDir, localImagePath))
+        .flatten({ background: '#ffffff' })
+        .trim({ background: '#ffffff', threshold: 10 })
+        .toColourspace('b-w')
+        .png()
+        .toBuffer({ resolveWithObject: true });
+
+    for (const density of DENSITIES) {
+        const { width, height } = scaledSize(info, density);
+        let image = sharp(data);
+        if (width !== info.width) image = image.resize(width, height, { kernel: 'lanczos3' });
+        image = format === 'webp'
+            ? image.webp({ quality, effort: 6 })
+            : image.png({ compressionLevel: 9, palette: true, colours: 16 });
+
+        const dest = path.join(dataDir, variantPath(localImagePath, density, format));
+        await fs.ensureDir(path.dirname(dest));
+        await image.toFile(dest);
+    }
+
+    return scaledSize(info, 1);
+}
+
+/**
+ * Total size of an image's variants, keyed by density ("1x", "2x")
+ */
+async function variantBytes(dataDir, localImagePath, format) {
+    const bytes = {};
+    for (const density of DENSITIES) {
+        const stat = await fs.stat(path.join(dataDir, variantPath(localImagePath, density, format)));
+        bytes[`${density}x`] = stat.size;
+    }
+    return bytes;
+}
+
+/**
+ * Optimize every definition image and record the results in the entries
+ * @param {Object} options - { dataDir, format, quality, force, dryRun }
+ * @returns {Promise<Object>} { images, optimized, unchanged, missing, failed, entries,
+ *   sourceBytes, outputBytes: { '1x', '2x' } }
+ */
+async function optimizeImages({ dataDir = DATA_DIR, format = 'webp', quality = 80, force = false, dryRun = false } = {}) {
+    if (!FORMATS.includes(format)) throw new Error(`Unknown format "${format}", use ${FORMATS.join(' or ')}`);
+    // Only needed here, so the helpers above load without the native module
+    const sharp = require('sharp');
+
+    const report = {
+        images: 0,
+        optimized: 0,
+        unchanged: 0,
+        missing: 0,
+        failed: 0,
+        entries: 0,
+        sourceBytes: 0,
+        outputBytes: Object.fromEntries(DENSITIES.map((d) => [`${d}x`, 0]))
+    };
+    const done = new Map();
+    const enKhDir = path.join(dataDir, 'en_kh');
+    const files = (await fs.readdir(enKhDir)).filter((f) => f.endsWith('.json')).sort();
+
+    for (const file of files) {
+        const filePath = path.join(enKhDir, file);
+        const entry = await fs.readJson(filePath);
+        let changed = false;
+
+        for (const def of entry.definitions || []) {
+            const source = def.local_image_path;
+            if (!source) continue;
+
+            if (!done.has(source)) {
+                done.set(source, await processImage(sharp, dataDir, source, def, { format, quality, force, dryRun }, report));
+            }
+            const result = done.get(source);
+            if (!result) continue;
+
+            const fields = { optimized_image_path: variantPath(source, 1, format), image_width: result.width, image_height: result.height };
+            if (Object.entries(fields).some(([key, value]) => def[key] !== value)) {
+                Object.assign(def, fields);
+                changed = true;
+            }
+        }
+
+        if (changed) {
+            report.entries++;
+            if (!dryRun) await fs.writeJson(filePath, entry, { spaces: 2 });
+        }
+    }
+
+    return report;
+}
+
+/**
+ * @returns {Promise<Object|null>} { width, height } of the 1x variant, null if it couldn't be made
+ */
+async function processImage(sharp, dataDir, source, def, options, report) {
+    const sourceStat = await fs.stat(path.join(dataDir, source)).catch(() => null);
+    if (!sourceStat) {
+        report.missing++;
+        return null;
+    }
+    report.images++;
+    report.sourceBytes += sourceStat.size;
+
+    let size;
+    const upToDate = await isUpToDate(dataDir, source, options.format);
+    if (upToDate && !options.force && def.image_width && def.optimized_image_path === variantPath(source, 1, options.format)) {
+        report.unchanged++;
+        size = { width: def.image_width, height: def.image_height };
+    } else if (options.dryRun) {
+        report.optimized++;
+        return null;
+    } else {
+        try {
+            size = await optimizeImage(sharp, dataDir, source, options);
+            report.optimized++;
+        } catch (err) {
+            log.error(`Failed to optimize ${source}: ${err.message}`, { source, error: err });
+            report.failed++;
+            return null;
+        }
+    }
+
+    const bytes = await variantBytes(dataDir, source, options.format);
+    Object.entries(bytes).forEach(([density, n]) => { report.outputBytes[density] += n; });
+    return size;
+}
+
+module.exports = { optimizeImages, variantPath, scaledSize, OUTPUT_DIR };
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name, fallback) => {
+        const i = args.indexOf(name);
+        return i === -1 ? fallback : args[i + 1];
+    };
+    const dryRun = args.includes('--dry-run');
+    const mb = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    const saving = (before, after) => `${mb(before - after)} (${before ? Math.round((1 - after / before) * 100) : 0}%)`;
+
+    optimizeImages({
+        format: option('--format', 'webp'),
+        quality: parseInt(option('--quality', '80'), 10),
+        force: args.includes('--force'),
+        dryRun
+    }).then((report) => {
+        const { sourceBytes, outputBytes } = report;
+        const both = Object.values(outputBytes).reduce((a, b) => a + b, 0);
+        console.log(`\n=== Image Optimization ${dryRun ? '(dry run) ' : ''}Summary ===`);
+        console.log(`Images: ${report.images} (${report.optimized} optimized, ${report.unchanged} up to date, ${report.failed} failed)`);
+        console.log(`Missing originals: ${report.missing}`);
+        console.log(`Entries updated: ${report.entries}`);
+        if (!dryRun) {
+            console.log(`Original PNGs: ${mb(sourceBytes)}`);
+            Object.entries(outputBytes).forEach(([density, bytes]) => {
+                console.log(`  ${density}: ${mb(bytes)}, saves ${saving(sourceBytes, bytes)}`);
+            });
+            console.log(`  1x + 2x: ${mb(both)}, saves ${saving(sourceBytes, both)}`);
+        }
+        if (report.failed > 0) process.exitCode = 1;
+    }).catch((err) => {
+        console.error('Image optimization failed:', err);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,253 @@
+const cheerio = require('cheerio');
+const { structureDefinition } = require('./kh_kh_definitions');
+const { splitGlosses } = require('./kh_en_glosses');
+const { BASE_URL } = require('./config');
+
+// Site mode (gcm query parameter) -> data sub-directory
+const MODE_DIRS = { 1: 'en_kh', 2: 'kh_kh', 3: 'kh_en' };
+
+/**
+ * Get the data directory name for a site mode
+ * @param {number} mode - 1 (En-Kh), 2 (Kh-Kh) or 3 (Kh-En)
+ * @returns {string} 'en_kh', 'kh_kh' or 'kh_en'
+ */
+function modeDir(mode) {
+    return MODE_DIRS[mode] || 'en_kh';
+}
+
+/**
+ * The site page a word is scraped from
+ * @param {number} mode - 1 (En-Kh), 2 (Kh-Kh) or 3 (Kh-En)
+ * @param {string} word - The headword
+ */
+function pageUrl(mode, word) {
+    return `${BASE_URL}/index.php?gcm=${mode}&gword=${encodeURIComponent(word.trim())}`;
+}
+
+/**
+ * Recover the searched word from a page, used when the caller doesn't pass it.
+ * The site titles every result page "<word> dictionary word translated to ...".
+ */
+function wordFromTitle($) {
+    const title = $('title').text().trim();
+    const match = title.match(/^(.*?)\s+dictionary word translated/);
+    return match ? match[1].trim() : title;
+}
+
+function isNotFound(html) {
+    return html.includes('word not found') || html.includes('Please try again');
+}
+
+/**
+ * Rows of the definition table. Kh-En keeps its English in td.text2,
+ * En-Kh and Kh-Kh keep their Khmer in td.khbat12.
+ */
+function definitionRows($, cellSelector) {
+    let defHeader = $('b:contains("Definition:")');
+    if (!defHeader.length) {
+        defHeader = $('div.khbat13:contains("អត្ថន័យ")');
+    }
+    if (!defHeader.length) return $([]);
+
+    const container = defHeader.closest('table').parent();
+    const nextTable = defHeader.closest('table').next('table');
+
+    let targetRows = nextTable.find('tr').filter((i, el) => $(el).find(cellSelector).length > 0);
+    if (targetRows.length === 0) {
+        targetRows = container.find('tr').filter((i, el) => $(el).find(cellSelector).length > 0);
+    }
+    return targetRows;
+}
+
+// Per-mode extraction of the translated text of one definition row
+const ROW_EXTRACTORS = {
+    1: ($, row, def, exampleText) => { // En-Kh
+        const khmerImg = row.find('td.khbat12 img');
+        if (khmerImg.length) {
+            def.khmer_image_url = khmerImg.attr('src') ? `${BASE_URL}/${khmerImg.attr('src')}` : null;
+        } else {
+            const text = row.find('td.khbat12').text().replace(exampleText, '').trim();
+            if (text) def.khmer_text = text;
+        }
+    },
+    2: ($, row, def, exampleText) => { // Kh-Kh
+        let text = row.find('td.khbat12').text().trim();
+        if (exampleText) {
+            text = text.replace(exampleText, '');
+        }
+        def.definition_text = text.trim();
+    },
+    3: ($, row, def, exampleText) => { // Kh-En
+        const text = row.find('td.text2').text().trim();
+        // In mode 3, the definition_text MUST be English (non-Khmer)
+        if (text) {
+            def.definition_text = text.replace(exampleText, '').trim();
+            def.glosses = splitGlosses(def.definition_text);
+        }
+    }
+};
+
+function parseDefinitions($, mode, word) {
+    const definitions = [];
+    const rows = definitionRows($, mode === 3 ? 'td.text2' : 'td.khbat12');
+
+    rows.each((i, el) => {
+        const row = $(el);
+        const posEl = row.find('td font[size="3"] i');
+        const exampleEl = row.find('td font[face="Arial"][color="gray"]');
+        const exampleText = exampleEl.length ? exampleEl.text() : '';
+
+        const def = {
+            pos: posEl.text().trim().replace('.', ''),
+            example: exampleEl.text().trim().replace(/^Ex:\s*/, '')
+        };
+
+        ROW_EXTRACTORS[mode]($, row, def, exampleText);
+
+        // Kh-Kh rows hold a whole dictionary article; split it into senses
+        const senses = mode === 2 && def.definition_text ? structureDefinition(def, word) : [def];
+
+        definitions.push(...keepSenses(senses, word));
+    });
+
+    return definitions;
+}
+
+/**
+ * Drop senses without a translation, or whose text is only the headword or
+ * a single character, and strip sense numbers ("2. ") from the rest.
+ * src/migrate_kh_kh.js applies the same rule to files it restructures.
+ * @param {Array<Object>} senses - Definitions of one row
+ * @param {string} word - The headword
+ * @returns {Array<Object>} The senses to keep
+ */
+function keepSenses(senses, word) {
+    const kept = [];
+    for (const sense of senses) {
+        if (!(sense.khmer_image_url || sense.khmer_text || sense.definition_text)) continue;
+        if (sense.definition_text) {
+            sense.definition_text = sense.definition_text.replace(/^\d+\.\s*/, '');
+            const cleanDef = sense.definition_text.toLowerCase();
+            // Skip if def is just the word itself or empty
+            if (cleanDef === word.toLowerCase()) continue;
+            if (cleanDef.length < 2 && !sense.khmer_image_url) continue;
+        }
+        kept.push(sense);
+    }
+    return kept;
+}
+
+function parseRelations($, word) {
+    const cleanWord = word.toLowerCase();
+    const synonyms = [];
+    const antonyms = [];
+    const similarWords = [];
+
+    // Syn/Ant are in simple lists
+    const extractList = (headerText, targetArray) => {
+        const header = $(`b:contains("${headerText}")`);
+        if (header.length) {
+            const container = header.closest('td'); // usually in a TD
+            container.find('a.menu2, a.khbat12').each((i, el) => {
+                const w = $(el).text().trim();
+                if (w && w.toLowerCase() !== cleanWord) targetArray.push(w);
+            });
+        }
+    };
+    extractList('Synonym:', synonyms);
+    extractList('Antonym:', antonyms);
+
+    // Similar words
+    const simTd = $('td:contains("Found similar words:")');
+    if (simTd.length) {
+        const nextTable = simTd.closest('table').next('table');
+        // Support both menu2 (En) and khbat12 (Kh) classes
+        nextTable.find('a.menu2, a.khbat12').each((i, el) => {
+            const w = $(el).text().trim();
+            if (w && w.toLowerCase() !== cleanWord) similarWords.push(w);
+        });
+    }
+
+    return {
+        synonyms: [...new Set(synonyms)],
+        antonyms: [...new Set(antonyms)],
+        similar_words: [...new Set(similarWords)]
+    };
+}
+
+/**
+ * Parse an index.php result page into a dictionary entry
+ * @param {string} html - Raw page HTML
+ * @param {number} mode - 1 (En-Kh), 2 (Kh-Kh) or 3 (Kh-En)
+ * @param {string} word - Optional: the searched word, read from the page title if omitted
+ * @returns {Object|null} The entry, or null when the site reports "word not found"
+ */
+function parsePage(html, mode, word = null) {
+    if (isNotFound(html)) return null;
+
+    const $ = cheerio.load(html);
+    const headword = (word || wordFromTitle($)).trim();
+    const relations = parseRelations($, headword);
+
+    const result = {
+        word: headword,
+        type: modeDir(mode),
+        definitions: parseDefinitions($, mode, headword),
+        synonyms: relations.synonyms,
+        antonyms: relations.antonyms,
+        similar_words: relations.similar_words,
+        sound: null
+    };
+
+    // Sound (Only for En-Kh usually)
+    if (mode === 1) {
+        const soundMatch = ($('body').html() || '').match(/new Audio\("([^"]+)"\)/);
+        if (soundMatch) {
+            result.sound_url = `${BASE_URL}/${soundMatch[1]}`;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Parse an English-Khmer (gcm=1) page
+ * @param {string} html - Raw page HTML
+ * @param {string} word - Optional: the searched word
+ * @returns {Object|null} The entry, or null if not found
+ */
+function parseEnKh(html, word = null) {
+    return parsePage(html, 1, word);
+}
+
+/**
+ * Parse a Khmer-Khmer (gcm=2) page
+ * @param {string} html - Raw page HTML
+ * @param {string} word - Optional: the searched word
+ * @returns {Object|null} The entry, or null if not found
+ */
+function parseKhKh(html, word = null) {
+    return parsePage(html, 2, word);
+}
+
+/**
+ * Parse a Khmer-English (gcm=3) page
+ * @param {string} html - Raw page HTML
+ * @param {string} word - Optional: the searched word
+ * @returns {Object|null} The entry, or null if not found
+ */
+function parseKhEn(html, word = null) {
+    return parsePage(html, 3, word);
+}
+
+module.exports = {
+    BASE_URL,
+    MODE_DIRS,
+    modeDir,
+    pageUrl,
+    parsePage,
+    keepSenses,
+    parseEnKh,
+    parseKhKh,
+    parseKhEn
+};
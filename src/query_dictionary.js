@@ -1,70 +1,216 @@
 const sqlite3 = require("sqlite3").verbose();
-const path = require("path");
+const { glossKey } = require("./kh_en_glosses");
+const { normalizeText, maxEdits, closestWords } = require("./normalize");
+const { reachable, shortestPath } = require("./word_graph");
+const { DB_FILE } = require("./config");
 
-const DB_FILE = path.join(__dirname, "../data/dictionary.db");
-const db = new sqlite3.Database(DB_FILE);
+let db = new sqlite3.Database(DB_FILE);
+
+// User columns of words that clients may set
+const WORD_FLAGS = ["isFavorite", "isHistory"];
+
+// Trigram full-text matching needs at least this many characters
+const MIN_FTS_LENGTH = 3;
+
+// Rank tiers of search(), best first
+const MATCH_TYPES = ["exact", "prefix", "contained", "definition"];
 
 /**
- * Search for a word in the dictionary
- * @param {string} word - The word to search for
- * @param {string} type - Optional: 'en_kh', 'kh_en', or 'kh_kh'
- * @returns {Promise<Array>} Array of word results with definitions
+ * Switch every query in this module to another database file
+ * @param {string} file - Path of the database
+ * @param {Object} options - { readOnly: open without write access }
+ * @returns {Promise<sqlite3.Database>} The new handle (also module.exports.db)
  */
-function searchWord(word, type = null) {
+function openDatabase(file = DB_FILE, { readOnly = false } = {}) {
+  const mode = readOnly
+    ? sqlite3.OPEN_READONLY
+    : sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE;
   return new Promise((resolve, reject) => {
-    let query = `
-            SELECT w.id, w.word, w.type, w.sound, w.isFavorite, w.isHistory,
-                   d.id as def_id, d.pos, d.example, d.definition_text, 
-                   d.khmer_image_url, d.local_image_path
-            FROM words w
-            LEFT JOIN definitions d ON w.id = d.word_id
-            WHERE w.word LIKE ?
-        `;
-
-    const params = [`%${word}%`];
-
-    if (type) {
-      query += " AND w.type = ?";
-      params.push(type);
-    }
+    db.close(() => {
+      const handle = new sqlite3.Database(file, mode, (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        db = handle;
+        module.exports.db = handle;
+        resolve(handle);
+      });
+    });
+  });
+}
 
-    query += " ORDER BY w.word, d.id";
+/**
+ * Promise wrapper for db.all
+ */
+function allRows(sql, params) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+}
 
-    db.all(query, params, (err, rows) => {
-      if (err) {
-        reject(err);
-        return;
-      }
+/**
+ * "Did you mean" suggestions: headwords within a few edits of the query,
+ * compared by their normalized keys
+ * @param {string} query - The word that was not found (English or Khmer)
+ * @param {Object} options - { type: 'en_kh'|'kh_en'|'kh_kh', limit }
+ * @returns {Promise<Array>} [{ id, word, type, distance }] nearest first
+ */
+async function suggest(query, { type = null, limit = 5 } = {}) {
+  const key = normalizeText(query);
+  const max = maxEdits(key);
+  if (max === 0) return [];
+
+  const length = [...key].length;
+  const candidates = await allRows(
+    `SELECT id, word, type, word_key FROM words
+     WHERE length(word_key) BETWEEN ? AND ? AND (? IS NULL OR type = ?)`,
+    [length - max, length + max, type, type]
+  );
+  return closestWords(key, candidates, limit).map(
+    ({ id, word, type: wordType, distance }) => ({
+      id,
+      word,
+      type: wordType,
+      distance,
+    })
+  );
+}
 
-      // Group results by word
-      const words = {};
-      rows.forEach((row) => {
-        if (!words[row.id]) {
-          words[row.id] = {
-            id: row.id,
-            word: row.word,
-            type: row.type,
-            sound: row.sound,
-            isFavorite: row.isFavorite,
-            isHistory: row.isHistory,
-            definitions: [],
-          };
-        }
+/**
+ * Offline replacement for the site's livesearch1.php/livesearch2.php:
+ * headwords starting with a prefix, the exact word first and then in
+ * dictionary order. A range scan over the words(word_key, type) index built
+ * by convert_to_sqlite.js, so it stops after `limit` keys.
+ * @param {string} prefix - Start of an English or Khmer word
+ * @param {Object} options - { type: 'en_kh'|'kh_en'|'kh_kh', limit }
+ * @returns {Promise<Array>} [{ word, types: ['kh_kh', 'kh_en'] }]
+ */
+async function autocomplete(prefix, { type = null, limit = 10 } = {}) {
+  const key = normalizeText(prefix);
+  if (!key) return [];
+
+  // U+10FFFF sorts after every other character, so this bounds the prefix
+  const rows = await allRows(
+    `SELECT MIN(word) AS word, group_concat(DISTINCT type) AS types
+     FROM words
+     WHERE word_key >= ? AND word_key < ? AND (? IS NULL OR type = ?)
+     GROUP BY word_key
+     ORDER BY word_key
+     LIMIT ?`,
+    [key, `${key}\u{10FFFF}`, type, type, limit]
+  );
+  return rows.map((row) => ({ word: row.word, types: row.types.split(",") }));
+}
 
-        if (row.def_id) {
-          words[row.id].definitions.push({
-            pos: row.pos,
-            example: row.example,
-            definition_text: row.definition_text,
-            khmer_image_url: row.khmer_image_url,
-            local_image_path: row.local_image_path,
-          });
-        }
-      });
+/**
+ * Ranked full-text search over headwords, definitions and examples.
+ * An exact headword comes first, then headwords starting with the query,
+ * headwords containing it, and finally entries that only mention it in a
+ * definition or example (ordered by bm25). Queries shorter than three
+ * characters only match headwords exactly or by prefix. The query and the
+ * indexed text are compared after normalizeText(), so zero-width spaces,
+ * the typing order of Khmer marks and letter case don't matter.
+ * @param {string} query - Text to search for (English or Khmer)
+ * @param {Object} options - { type: 'en_kh'|'kh_en'|'kh_kh', page: 1-based, pageSize }
+ * @returns {Promise<Object>} { query, total, page, pageSize, results, suggestions }
+ *   where each result is a word with its definitions and `match` ('exact',
+ *   'prefix', ...), and suggestions are close headwords when no word matches
+ *   exactly (see suggest())
+ */
+async function search(query, { type = null, page = 1, pageSize = 20 } = {}) {
+  const q = normalizeText(query);
+  if (!q) {
+    return { query: q, total: 0, page, pageSize, results: [], suggestions: [] };
+  }
 
-      resolve(Object.values(words));
+  const like = q.replace(/[\\%_]/g, "\\$&");
+  const params = { $q: q, $type: type };
+  let hits;
+  if ([...q].length >= MIN_FTS_LENGTH) {
+    Object.assign(params, {
+      $contains: `%${like}%`,
+      $match: `{definitions examples} : "${q.replace(/"/g, '""')}"`,
     });
-  });
+    hits = `
+      SELECT rowid AS id, NULL AS score FROM words_fts
+      WHERE word LIKE $contains ESCAPE '\\'
+      UNION ALL
+      SELECT rowid AS id, bm25(words_fts, 0, 1.0, 0.5) AS score FROM words_fts
+      WHERE words_fts MATCH $match`;
+  } else {
+    params.$prefix = `${like}%`;
+    hits = `
+      SELECT id, NULL AS score FROM words
+      WHERE word_key = $q OR word_key LIKE $prefix ESCAPE '\\'`;
+  }
+
+  const ranked = `
+    WITH hits AS (${hits})
+    SELECT w.id,
+           CASE WHEN w.word_key = $q THEN 0
+                WHEN substr(w.word_key, 1, length($q)) = $q THEN 1
+                WHEN instr(w.word_key, $q) > 0 THEN 2
+                ELSE 3 END AS tier,
+           MIN(h.score) AS score
+    FROM hits h JOIN words w ON w.id = h.id
+    WHERE $type IS NULL OR w.type = $type
+    GROUP BY w.id`;
+
+  const [{ total }] = await allRows(
+    `SELECT COUNT(*) AS total FROM (${ranked})`,
+    params
+  );
+  const rows = await allRows(
+    `SELECT w.id, w.word, w.type, w.sound, w.isFavorite, w.isHistory, r.tier
+     FROM (${ranked}) r JOIN words w ON w.id = r.id
+     ORDER BY r.tier, CASE WHEN r.tier = 3 THEN r.score END, length(w.word), w.word
+     LIMIT $limit OFFSET $offset`,
+    { ...params, $limit: pageSize, $offset: (page - 1) * pageSize }
+  );
+
+  const results = rows.map(({ tier, ...word }) => ({
+    ...word,
+    match: MATCH_TYPES[tier],
+    definitions: [],
+  }));
+
+  if (results.length > 0) {
+    const byId = new Map(results.map((r) => [r.id, r]));
+    const definitions = await allRows(
+      `SELECT word_id, pos, example, definition_text, khmer_image_url, local_image_path,
+         optimized_image_path, image_width, image_height
+       FROM definitions WHERE word_id IN (${results.map(() => "?").join(", ")})
+       ORDER BY id`,
+      results.map((r) => r.id)
+    );
+    definitions.forEach(({ word_id: wordId, ...def }) => {
+      byId.get(wordId).definitions.push(def);
+    });
+  }
+
+  const [exact] = await allRows(
+    "SELECT id FROM words WHERE word_key = ? AND (? IS NULL OR type = ?) LIMIT 1",
+    [q, type, type]
+  );
+  const suggestions = exact ? [] : await suggest(q, { type });
+
+  return { query: q, total, page, pageSize, results, suggestions };
+}
+
+/**
+ * Search for a word in the dictionary (first page of search())
+ * @param {string} word - The word to search for
+ * @param {string} type - Optional: 'en_kh', 'kh_en', or 'kh_kh'
+ * @param {Object} options - Optional: { page, pageSize }
+ * @returns {Promise<Array>} Ranked word results with definitions
+ */
+async function searchWord(word, type = null, options = {}) {
+  const { results } = await search(word, { type, ...options });
+  return results;
 }
 
 /**
@@ -123,26 +269,29 @@ function getSimilarWords(wordId) {
 
 /**
  * Get complete word information including all related data
- * @param {string} word - The exact word to search for
+ * @param {string} word - The exact word to search for; it matches a headword
+ *   spelled the same up to case and invisible characters (the same word_key)
  * @param {string} type - Optional: 'en_kh', 'kh_en', or 'kh_kh'
- * @returns {Promise<Object>} Complete word information
+ * @returns {Promise<Object|null>} Complete word information, or null if no
+ *   headword matches (prefix and definition matches don't count)
  */
 async function getWordComplete(word, type = null) {
-  const words = await searchWord(word, type);
+  const words = (await searchWord(word, type)).filter((w) => w.match === "exact");
 
   if (words.length === 0) {
     return null;
   }
 
-  // Get the first exact match or the first result
-  const wordData =
-    words.find((w) => w.word.toLowerCase() === word.toLowerCase()) || words[0];
+  // The headword as written, else the first with the same key
+  const wordData = words.find((w) => w.word === word.trim()) || words[0];
 
   // Get related data
-  const [synonyms, antonyms, similarWords] = await Promise.all([
+  const [synonyms, antonyms, similarWords, relations, audio] = await Promise.all([
     getSynonyms(wordData.id),
     getAntonyms(wordData.id),
     getSimilarWords(wordData.id),
+    getRelations(wordData.id),
+    getAudio(wordData.sound),
   ]);
 
   return {
@@ -150,9 +299,253 @@ async function getWordComplete(word, type = null) {
     synonyms,
     antonyms,
     similar_words: similarWords,
+    relations,
+    audio,
+  };
+}
+
+/**
+ * What src/audio_manifest.js found out about a word's sound file
+ * @param {string|null} sound - words.sound, e.g. "sounds/hello.mp3"
+ * @returns {Promise<Object|null>} { status, problem, duration_ms, bitrate,
+ *   sample_rate, channels, frames }, null if unknown
+ */
+async function getAudio(sound) {
+  if (!sound) return null;
+  const [row] = await allRows(
+    `SELECT status, problem, duration_ms, bitrate, sample_rate, channels, frames
+     FROM audio WHERE path = ?`,
+    [sound]
+  );
+  return row || null;
+}
+
+/**
+ * A word's relations with the words they resolve to
+ * @param {number} wordId - The ID of the word
+ * @returns {Promise<Array>} [{ kind, target, target_id, inferred }]; target_id
+ *   is null when the dictionary doesn't have the related word
+ */
+function getRelations(wordId) {
+  return allRows(
+    `SELECT kind, target, target_id, inferred FROM relations
+     WHERE word_id = ? ORDER BY inferred, id`,
+    [wordId]
+  );
+}
+
+/**
+ * The word a graph query starts from: exact spelling first, then same key
+ * @returns {Promise<Object|undefined>} { id, word, type }
+ */
+async function findWord(word, type = null) {
+  const [row] = await allRows(
+    `SELECT id, word, type FROM words
+     WHERE word_key = ? AND (? IS NULL OR type = ?)
+     ORDER BY word = ? DESC, id
+     LIMIT 1`,
+    [normalizeText(word), type, type, word]
+  );
+  return row;
+}
+
+/**
+ * Resolved relation edges touching some words, in both directions: a word
+ * listed as related by another is related to it too
+ * @param {Array<string>} kinds - Optional: only 'synonym', 'antonym' and/or 'similar'
+ */
+function relationEdges(kinds) {
+  const kindFilter = kinds
+    ? `AND kind IN (${kinds.map(() => "?").join(", ")})`
+    : "";
+  return async (ids) => {
+    const edges = [];
+    // Stay well below SQLite's limit on bound parameters
+    for (let i = 0; i < ids.length; i += 500) {
+      const chunk = ids.slice(i, i + 500);
+      const marks = chunk.map(() => "?").join(", ");
+      edges.push(
+        ...(await allRows(
+          `SELECT word_id AS from_id, target_id AS to_id, kind FROM relations
+           WHERE word_id IN (${marks}) AND target_id IS NOT NULL ${kindFilter}
+           UNION
+           SELECT target_id, word_id, kind FROM relations
+           WHERE target_id IN (${marks}) ${kindFilter}`,
+          [...chunk, ...(kinds || []), ...chunk, ...(kinds || [])]
+        ))
+      );
+    }
+    return edges;
   };
 }
 
+/**
+ * Look up id -> { word, type } for graph results
+ */
+async function wordsById(ids) {
+  const words = new Map();
+  for (let i = 0; i < ids.length; i += 500) {
+    const chunk = ids.slice(i, i + 500);
+    const rows = await allRows(
+      `SELECT id, word, type FROM words WHERE id IN (${chunk
+        .map(() => "?")
+        .join(", ")})`,
+      chunk
+    );
+    rows.forEach((row) => words.set(row.id, row));
+  }
+  return words;
+}
+
+/**
+ * Words related to a word within a number of hops, nearest first
+ * @param {string} word - The word to start from
+ * @param {Object} options - { type, hops: 2, kinds: ['synonym', ...], limit: 100 }
+ * @returns {Promise<Array|null>} [{ id, word, type, distance, kind }], or null
+ *   if the word isn't in the dictionary
+ */
+async function relatedWords(
+  word,
+  { type = null, hops = 2, kinds = null, limit = 100 } = {}
+) {
+  const start = await findWord(word, type);
+  if (!start) return null;
+
+  const found = (await reachable(start.id, hops, relationEdges(kinds))).slice(
+    0,
+    limit
+  );
+  const words = await wordsById(found.map((f) => f.id));
+  return found.map((f) => ({ ...words.get(f.id), ...f }));
+}
+
+/**
+ * Shortest chain of relations between two words
+ * @param {string} from - First word
+ * @param {string} to - Last word
+ * @param {Object} options - { type, maxHops: 6, kinds: ['synonym', ...] }
+ * @returns {Promise<Array|null>} [{ id, word, type, kind }] where kind is the
+ *   relation leading to that word; null if either word is missing or no chain
+ *   of at most maxHops relations connects them
+ */
+async function relationPath(
+  from,
+  to,
+  { type = null, maxHops = 6, kinds = null } = {}
+) {
+  const [start, end] = await Promise.all([
+    findWord(from, type),
+    findWord(to, type),
+  ]);
+  if (!start || !end) return null;
+
+  const path = await shortestPath(
+    start.id,
+    end.id,
+    maxHops,
+    relationEdges(kinds)
+  );
+  if (!path) return null;
+  const words = await wordsById(path.map((step) => step.id));
+  return path.map((step) => ({ ...words.get(step.id), kind: step.kind }));
+}
+
+/**
+ * Set or clear a user flag of a word
+ * @param {number} wordId - The ID of the word
+ * @param {string} flag - 'isFavorite' or 'isHistory'
+ * @param {boolean} value - New value
+ * @returns {Promise<boolean>} False if no word has this ID
+ */
+function setWordFlag(wordId, flag, value) {
+  if (!WORD_FLAGS.includes(flag)) {
+    return Promise.reject(new Error(`Unknown flag: ${flag}`));
+  }
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE words SET ${flag} = ? WHERE id = ?`,
+      [value ? 1 : 0, wordId],
+      function (err) {
+        if (err) reject(err);
+        else resolve(this.changes > 0);
+      }
+    );
+  });
+}
+
+/**
+ * Words with a user flag set, e.g. the favorites list
+ * @param {string} flag - 'isFavorite' or 'isHistory'
+ * @param {string} type - Optional: 'en_kh', 'kh_en', or 'kh_kh'
+ * @returns {Promise<Array>} [{ id, word, type }] alphabetically
+ */
+function getFlaggedWords(flag, type = null) {
+  if (!WORD_FLAGS.includes(flag)) {
+    return Promise.reject(new Error(`Unknown flag: ${flag}`));
+  }
+  return allRows(
+    `SELECT id, word, type FROM words
+     WHERE ${flag} = 1 AND (? IS NULL OR type = ?)
+     ORDER BY word`,
+    [type, type]
+  );
+}
+
+/**
+ * English -> Khmer lookup through the kh_en glosses. Exact gloss matches come
+ * first, then glosses that contain the English as a whole word
+ * ("frozen" also finds "to be frozen").
+ * @param {string} english - English word or phrase
+ * @param {number} limit - Maximum number of Khmer words
+ * @returns {Promise<Array>} [{ word_id, word, exact, glosses: [...], definition_text }]
+ */
+function reverseLookup(english, limit = 50) {
+  const key = glossKey(english);
+  return new Promise((resolve, reject) => {
+    if (!key) {
+      resolve([]);
+      return;
+    }
+
+    db.all(
+      `SELECT w.id AS word_id, w.word, g.gloss, g.gloss_key = ? AS exact,
+              d.definition_text
+       FROM glosses g
+       JOIN words w ON w.id = g.word_id
+       JOIN definitions d ON d.id = g.definition_id
+       WHERE g.gloss_key = ?
+          OR g.gloss_key LIKE ? OR g.gloss_key LIKE ? OR g.gloss_key LIKE ?
+       ORDER BY exact DESC, length(g.gloss_key), w.word`,
+      [key, key, `${key} %`, `% ${key}`, `% ${key} %`],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        // Group glosses by Khmer word, keeping the best match order
+        const words = new Map();
+        rows.forEach((row) => {
+          if (!words.has(row.word_id)) {
+            if (words.size >= limit) return;
+            words.set(row.word_id, {
+              word_id: row.word_id,
+              word: row.word,
+              exact: row.exact === 1,
+              glosses: [],
+              definition_text: row.definition_text,
+            });
+          }
+          const entry = words.get(row.word_id);
+          if (!entry.glosses.includes(row.gloss)) entry.glosses.push(row.gloss);
+        });
+
+        resolve([...words.values()]);
+      }
+    );
+  });
+}
+
 /**
  * Get database statistics
  * @returns {Promise<Object>} Statistics about the database
@@ -200,20 +593,68 @@ function getStats() {
           return;
         }
         stats.totalSimilarWords = row.count;
-        resolve(stats);
       });
+
+      db.get("SELECT COUNT(*) as count FROM glosses", (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        stats.totalGlosses = row.count;
+      });
+
+      db.get(
+        `SELECT COUNT(*) AS count, COALESCE(SUM(target_id IS NULL), 0) AS dangling
+         FROM relations WHERE inferred = 0`,
+        (err, row) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          stats.totalRelations = row.count;
+          stats.danglingRelations = row.dangling;
+        }
+      );
+
+      db.get(
+        `SELECT COUNT(*) AS count, COALESCE(SUM(status != 'ok'), 0) AS invalid,
+           COALESCE(SUM(duration_ms), 0) AS duration FROM audio`,
+        (err, row) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          stats.totalAudioFiles = row.count;
+          stats.invalidAudioFiles = row.invalid;
+          stats.totalAudioSeconds = Math.round(row.duration / 1000);
+          resolve(stats);
+        }
+      );
     });
   });
 }
 
 // Export functions
 module.exports = {
+  search,
   searchWord,
+  suggest,
+  autocomplete,
   getSynonyms,
   getAntonyms,
   getSimilarWords,
   getWordComplete,
+  getRelations,
+  getAudio,
+  relatedWords,
+  relationPath,
+  setWordFlag,
+  getFlaggedWords,
+  reverseLookup,
   getStats,
+  openDatabase,
+  WORD_FLAGS,
+  DB_FILE,
   db,
 };
 
@@ -227,16 +668,35 @@ if (require.main === module) {
       "  node query_dictionary.js stats                  - Show database statistics"
     );
     console.log(
-      "  node query_dictionary.js search <word> [type]   - Search for a word"
+      "  node query_dictionary.js search <word> [type]   - Ranked search (--page N, --limit N)"
     );
     console.log(
       "  node query_dictionary.js complete <word> [type] - Get complete word info"
     );
+    console.log(
+      "  node query_dictionary.js autocomplete <prefix> [type] - Words starting with prefix (--limit N)"
+    );
+    console.log(
+      "  node query_dictionary.js english <word>         - Khmer words for an English gloss"
+    );
+    console.log(
+      "  node query_dictionary.js related <word> [type]  - Related words (--hops N, --kind synonym|antonym|similar)"
+    );
+    console.log(
+      "  node query_dictionary.js path <from> <to> [type] - Shortest relation path (--hops N)"
+    );
     console.log("\nTypes: en_kh, kh_en, kh_kh");
     process.exit(0);
   }
 
   const command = args[0];
+  const option = (name, fallback) => {
+    const i = args.indexOf(name);
+    return i === -1 ? fallback : parseInt(args[i + 1], 10) || fallback;
+  };
+  const positional = args.filter(
+    (arg, i) => !arg.startsWith("--") && !args[i - 1]?.startsWith("--")
+  );
 
   if (command === "stats") {
     getStats()
@@ -247,6 +707,13 @@ if (require.main === module) {
         console.log(`Total Synonyms: ${stats.totalSynonyms}`);
         console.log(`Total Antonyms: ${stats.totalAntonyms}`);
         console.log(`Total Similar Words: ${stats.totalSimilarWords}`);
+        console.log(`Total English Glosses: ${stats.totalGlosses}`);
+        console.log(
+          `Total Relations: ${stats.totalRelations} (${stats.danglingRelations} to words not in the dictionary)`
+        );
+        console.log(
+          `Audio Files: ${stats.totalAudioFiles} (${stats.invalidAudioFiles} truncated or invalid, ${stats.totalAudioSeconds} s in total)`
+        );
         db.close();
       })
       .catch((err) => {
@@ -254,11 +721,23 @@ if (require.main === module) {
         db.close();
       });
   } else if (command === "search" && args[1]) {
-    searchWord(args[1], args[2])
-      .then((results) => {
-        console.log(`\nFound ${results.length} result(s) for "${args[1]}":\n`);
+    search(positional[1], {
+      type: positional[2] || null,
+      page: option("--page", 1),
+      pageSize: option("--limit", 20),
+    })
+      .then(({ total, page, pageSize, results, suggestions }) => {
+        const pages = Math.max(1, Math.ceil(total / pageSize));
+        console.log(
+          `\nFound ${total} result(s) for "${positional[1]}" (page ${page} of ${pages}):\n`
+        );
+        if (suggestions.length > 0) {
+          console.log(
+            `Did you mean: ${suggestions.map((s) => s.word).join(", ")}?\n`
+          );
+        }
         results.forEach((word) => {
-          console.log(`Word: ${word.word} (${word.type})`);
+          console.log(`Word: ${word.word} (${word.type}) [${word.match}]`);
           console.log(`Definitions: ${word.definitions.length}`);
           word.definitions.slice(0, 2).forEach((def, i) => {
             console.log(
@@ -281,14 +760,30 @@ if (require.main === module) {
       .then((result) => {
         if (!result) {
           console.log(`Word "${args[1]}" not found.`);
-          db.close();
-          return;
+          return suggest(args[1], { type: args[2] || null }).then(
+            (suggestions) => {
+              if (suggestions.length > 0) {
+                console.log(
+                  `Did you mean: ${suggestions.map((s) => s.word).join(", ")}?`
+                );
+              }
+              db.close();
+            }
+          );
         }
 
         console.log("\n=== Complete Word Information ===");
         console.log(`Word: ${result.word}`);
         console.log(`Type: ${result.type}`);
         console.log(`Sound: ${result.sound || "N/A"}`);
+        if (result.audio) {
+          const { status, problem, duration_ms, bitrate, sample_rate } = result.audio;
+          console.log(
+            status === "ok"
+              ? `  ${(duration_ms / 1000).toFixed(2)} s, ${bitrate} kbps, ${sample_rate} Hz`
+              : `  ${status}: ${problem}`
+          );
+        }
 
         console.log(`\nDefinitions (${result.definitions.length}):`);
         result.definitions.forEach((def, i) => {
@@ -332,8 +827,96 @@ if (require.main === module) {
         console.error("Error:", err);
         db.close();
       });
+  } else if (command === "english" && args[1]) {
+    reverseLookup(args.slice(1).join(" "))
+      .then((results) => {
+        console.log(
+          `\nFound ${results.length} Khmer word(s) for "${args
+            .slice(1)
+            .join(" ")}":\n`
+        );
+        results.forEach((result) => {
+          console.log(`${result.word}  (${result.glosses.join(", ")})`);
+        });
+        db.close();
+      })
+      .catch((err) => {
+        console.error("Error:", err);
+        db.close();
+      });
+  } else if (command === "autocomplete" && positional[1]) {
+    autocomplete(positional[1], {
+      type: positional[2] || null,
+      limit: option("--limit", 10),
+    })
+      .then((results) => {
+        results.forEach((result) => {
+          console.log(`${result.word}  (${result.types.join(", ")})`);
+        });
+        if (results.length === 0) {
+          console.log(`No words start with "${positional[1]}".`);
+        }
+        db.close();
+      })
+      .catch((err) => {
+        console.error("Error:", err);
+        db.close();
+      });
+  } else if (command === "related" && positional[1]) {
+    const kind = args.includes("--kind")
+      ? [args[args.indexOf("--kind") + 1]]
+      : null;
+    relatedWords(positional[1], {
+      type: positional[2] || null,
+      hops: option("--hops", 2),
+      kinds: kind,
+    })
+      .then((results) => {
+        if (!results) {
+          console.log(`Word "${positional[1]}" not found.`);
+        } else {
+          console.log(
+            `\n${results.length} word(s) related to "${positional[1]}":\n`
+          );
+          results.forEach((result) => {
+            console.log(
+              `  ${result.distance}  ${result.word} (${result.type}, ${result.kind})`
+            );
+          });
+        }
+        db.close();
+      })
+      .catch((err) => {
+        console.error("Error:", err);
+        db.close();
+      });
+  } else if (command === "path" && positional[2]) {
+    relationPath(positional[1], positional[2], {
+      type: positional[3] || null,
+      maxHops: option("--hops", 6),
+    })
+      .then((path) => {
+        if (!path) {
+          console.log(
+            `No relation path between "${positional[1]}" and "${positional[2]}".`
+          );
+        } else {
+          console.log(
+            path
+              .map((step) => (step.kind ? `-(${step.kind})-> ${step.word}` : step.word))
+              .join(" ")
+          );
+        }
+        db.close();
+      })
+      .catch((err) => {
+        console.error("Error:", err);
+        db.close();
+      });
   } else {
-    console.log('Invalid command. Use "stats", "search", or "complete".');
+    console.log(
+      'Invalid command. Use "stats", "search", "complete", "autocomplete", "english", "related", or "path".'
+    );
     db.close();
   }
 }
@@ -0,0 +1,171 @@
+const fs = require('fs-extra');
+const DictionaryScraper = require('./scraper');
+const { MODE_DIRS } = require('./parsers');
+const { scheduler } = require('./scheduler');
+const { contentHash, parseAge, selectStale } = require('./freshness');
+const { DATA_DIR } = require('./config');
+
+/**
+ * Fetch saved entries again so edits made on english-khmer.com reach data/.
+ *
+ * scrapeWord() returns the saved file once a word exists, so without this an
+ * entry never changes after its first scrape. Entries are picked by age
+ * (scraped_at; entries saved before it existed count as the oldest) and/or
+ * as a random percentage of the dictionary, so a scheduled run with both
+ * refreshes everything over time at a fixed cost. Each refresh stamps the
+ * entry again, and what the site changed goes to data/history.db (see
+ * change_history.js). Words the site no longer has keep their saved copy,
+ * stamped missing_since, and are skipped from then on unless --include-missing.
+ *
+ * Usage: node src/recrawl.js [type] [--max-age 30d] [--sample 5] [--limit N] [--include-missing] [--dry-run]
+ *   type       en_kh, kh_kh or kh_en (default: all)
+ *   --max-age  only entries scraped longer ago than this (m, h or d)
+ *   --sample   this percentage of the entries, picked at random among those
+ *   --limit    at most this many entries, oldest first
+ *   --include-missing  also check again words the site no longer had
+ *   --dry-run  list the entries that would be fetched
+ */
+
+/**
+ * Saved entries with when they were scraped
+ * @returns {Promise<Array<Object>>} [{ word, mode, scraped_at, checked_at, missing_since, content_hash }]
+ */
+async function savedEntries(store, modes) {
+    const entries = [];
+    for (const record of Object.values(store.entries)) {
+        if (!modes.includes(record.mode)) continue;
+        const entry = await fs.readJson(store.path(record)).catch(() => null);
+        if (!entry) continue;
+        entries.push({
+            word: record.word,
+            mode: record.mode,
+            scraped_at: entry.scraped_at || null,
+            checked_at: entry.checked_at || null,
+            missing_since: entry.missing_since || null,
+            content_hash: entry.content_hash || contentHash(entry)
+        });
+    }
+    return entries;
+}
+
+/**
+ * Refresh the entries that are due
+ * @param {Object} options - { types: [en_kh, ...] (default all), maxAgeMs, sample, limit,
+ *   includeMissing, dryRun, dataDir, shouldStop: () => true to stop after the words in flight }
+ * @returns {Promise<Object>} { entries, selected, changed, unchanged, notFound, failed }
+ */
+async function recrawl({
+    types = Object.values(MODE_DIRS),
+    maxAgeMs = null,
+    sample = null,
+    limit = null,
+    includeMissing = false,
+    dryRun = false,
+    dataDir = DATA_DIR,
+    shouldStop = () => false
+} = {}) {
+    const modes = Object.keys(MODE_DIRS).map(Number).filter((mode) => types.includes(MODE_DIRS[mode]));
+    const scraper = new DictionaryScraper(dataDir);
+    await scraper.init();
+    const report = { entries: 0, selected: [], changed: [], unchanged: 0, notFound: [], failed: [] };
+
+    try {
+        const entries = await savedEntries(scraper.store, modes);
+        report.entries = entries.length;
+        report.selected = selectStale(entries, { maxAgeMs, sample, limit, includeMissing });
+        if (dryRun) return report;
+
+        // Paced by the shared scheduler; a few words at a time so a stop finishes quickly
+        for (let i = 0; i < report.selected.length && !shouldStop(); i += scheduler.concurrency) {
+            await Promise.all(report.selected.slice(i, i + scheduler.concurrency).map(async (item) => {
+                const label = `${MODE_DIRS[item.mode]}/${item.word}`;
+                try {
+                    const result = await scraper.scrapeWord(item.word, item.mode, { force: true, rethrow: true });
+                    if (!result) report.notFound.push(label);
+                    else if (result.content_hash !== item.content_hash) report.changed.push(label);
+                    else report.unchanged++;
+                } catch (err) {
+                    report.failed.push(label);
+                }
+            }));
+        }
+    } finally {
+        await scraper.close();
+    }
+    return report;
+}
+
+module.exports = { recrawl, savedEntries };
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const i = args.indexOf(name);
+        return i === -1 ? null : args[i + 1];
+    };
+    // --include-missing and --dry-run take no value, so what follows them may be the type
+    const VALUE_OPTIONS = ['--max-age', '--sample', '--limit'];
+    const positional = args.filter((arg, i) => !arg.startsWith('--') && !VALUE_OPTIONS.includes(args[i - 1]));
+    const type = positional[0];
+    const maxAge = option('--max-age');
+    const maxAgeMs = maxAge === null ? null : parseAge(maxAge);
+    const sample = option('--sample') === null ? null : parseFloat(option('--sample'));
+    const limit = option('--limit') === null ? null : parseInt(option('--limit'), 10);
+
+    const invalid = (type && !Object.values(MODE_DIRS).includes(type)) ||
+        (maxAge !== null && maxAgeMs === null) ||
+        (sample !== null && !(sample > 0 && sample <= 100)) ||
+        (limit !== null && !(limit > 0));
+    if (args.includes('--help') || invalid || (maxAgeMs === null && sample === null)) {
+        console.log('Usage: node src/recrawl.js [type] [--max-age 30d] [--sample 5] [--limit N] [--include-missing] [--dry-run]');
+        console.log('  --max-age  refresh entries scraped longer ago than this (m, h or d)');
+        console.log('  --sample   refresh this percentage of the entries, at random (among the old ones with --max-age)');
+        console.log('  --limit    at most this many entries, oldest first');
+        console.log('  --include-missing  also check again words the site no longer had');
+        console.log('  --dry-run  only list the entries that are due');
+        console.log('\nTypes: en_kh, kh_kh, kh_en (default: all)');
+        process.exit(invalid ? 1 : 0);
+    }
+
+    let stopping = false;
+    process.once('SIGINT', () => {
+        console.log('\nStopping after the current words...');
+        stopping = true;
+    });
+
+    const dryRun = args.includes('--dry-run');
+    recrawl({
+        types: type ? [type] : undefined,
+        maxAgeMs,
+        sample,
+        limit,
+        includeMissing: args.includes('--include-missing'),
+        dryRun,
+        shouldStop: () => stopping
+    })
+        .then((report) => {
+            if (dryRun) {
+                report.selected.forEach((item) => {
+                    const fetched = item.checked_at || item.scraped_at || 'never stamped'.padEnd(24);
+                    console.log(`${fetched}  ${MODE_DIRS[item.mode]}/${item.word}${item.missing_since ? ' (missing)' : ''}`);
+                });
+            }
+            console.log(`\n=== Recrawl ${dryRun ? '(dry run) ' : ''}Summary ===`);
+            console.log(`Saved entries: ${report.entries}`);
+            console.log(`Due for a refresh: ${report.selected.length}`);
+            if (dryRun) return;
+            report.changed.forEach((label) => console.log(`  ~ ${label}`));
+            report.notFound.forEach((label) => console.log(`  ? ${label}`));
+            console.log(`Changed on the site: ${report.changed.length}`);
+            console.log(`Unchanged: ${report.unchanged}`);
+            console.log(`No longer found (saved copy kept): ${report.notFound.length}`);
+            console.log(`Failed: ${report.failed.length}`);
+            if (report.changed.length > 0 || report.notFound.length > 0) {
+                console.log('\nSee what changed: node src/change_history.js recent --since 1d');
+            }
+        })
+        .catch((err) => {
+            console.error('Recrawl failed:', err);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,335 @@
+const crypto = require("crypto");
+const fs = require("fs-extra");
+const path = require("path");
+const SqliteDatabase = require("./sqlite");
+const { SCHEMA, DB_FILE } = require("./convert_to_sqlite");
+const {
+  contentChecksum,
+  diffSnapshots,
+  diffMedia,
+  mediaPaths,
+  patchChanges,
+} = require("./changeset");
+const { readSnapshot, writeMeta, PATCH_FORMAT } = require("./apply_patch");
+const { hashFile } = require("./media_store");
+const { ZipWriter } = require("./zip");
+const { DATA_DIR } = require("./config");
+
+const RELEASES_DIR = path.join(DATA_DIR, "releases");
+
+/**
+ * Versioned releases of data/dictionary.db for the app, and patches that
+ * upgrade one release to another without downloading the whole database.
+ *
+ * A release, data/releases/<version>/, is a compacted copy of the database
+ * without the build bookkeeping (sources) and the builder's favorites and
+ * history, stamped with its version in the meta table, next to release.json:
+ * version, date, size and SHA-256 of the file, its content checksum (see
+ * changeset.js), row counts and the SHA-256 of every media file it refers
+ * to. The media itself stays in data/.
+ *
+ * A patch, data/releases/patches/<from>-<to>.zip, holds manifest.json
+ * (versions, checksums, what changed, SHA-256 of every file in the zip),
+ * changes.json (the rows of added and changed words, the keys of removed
+ * ones, audio rows) and media/<path> for new and changed media files.
+ * src/apply_patch.js applies it.
+ *
+ * Usage:
+ *   node src/release.js create [--version N]  Release data/dictionary.db
+ *   node src/release.js list                  Releases and patches
+ *   node src/release.js diff <from> <to>      What changed between two releases
+ *   node src/release.js patch <from> <to>     Write the patch between them
+ */
+
+/**
+ * Open a database, run fn with it and close it
+ */
+async function withDatabase(file, fn) {
+  const db = await new SqliteDatabase(file).open();
+  try {
+    return await fn(db);
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * Every release, oldest first
+ * @returns {Promise<Array<Object>>} release.json contents
+ */
+async function listReleases(releasesDir = RELEASES_DIR) {
+  if (!(await fs.pathExists(releasesDir))) return [];
+  const releases = [];
+  for (const name of await fs.readdir(releasesDir)) {
+    const file = path.join(releasesDir, name, "release.json");
+    if (/^\d+$/.test(name) && (await fs.pathExists(file))) {
+      releases.push(await fs.readJson(file));
+    }
+  }
+  return releases.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * release.json of one version
+ */
+async function loadRelease(version, releasesDir = RELEASES_DIR) {
+  const file = path.join(releasesDir, String(version), "release.json");
+  if (!(await fs.pathExists(file))) throw new Error(`No release ${version} in ${releasesDir}`);
+  return fs.readJson(file);
+}
+
+function releaseDb(version, releasesDir) {
+  return path.join(releasesDir, String(version), "dictionary.db");
+}
+
+/**
+ * Release the current database as the next version
+ * @param {Object} options - { version (default: latest + 1), dbFile, dataDir, releasesDir }
+ * @returns {Promise<Object>} The release.json written, plus missingMedia (referenced files not in dataDir)
+ */
+async function createRelease({
+  version = null,
+  dbFile = DB_FILE,
+  dataDir = DATA_DIR,
+  releasesDir = RELEASES_DIR,
+} = {}) {
+  if (!(await fs.pathExists(dbFile))) {
+    throw new Error(`${dbFile} does not exist; run node src/convert_to_sqlite.js first`);
+  }
+  const releases = await listReleases(releasesDir);
+  const previous = releases.length > 0 ? releases[releases.length - 1].version : null;
+  version = version ?? (previous ?? 0) + 1;
+  if (!Number.isInteger(version) || version < 1) throw new Error(`Bad version: ${version}`);
+  if (releases.some((r) => r.version === version)) throw new Error(`Release ${version} already exists`);
+
+  const dir = path.join(releasesDir, String(version));
+  const file = releaseDb(version, releasesDir);
+  await fs.ensureDir(dir);
+  await fs.remove(file);
+
+  // VACUUM INTO writes a consistent, compacted copy even while the database is open elsewhere
+  await withDatabase(dbFile, (db) => db.run("VACUUM INTO ?", [file]));
+
+  const releasedAt = new Date().toISOString();
+  const snapshot = await withDatabase(file, async (db) => {
+    await db.exec(SCHEMA);
+    await db.transaction(async () => {
+      await db.run("DELETE FROM sources");
+      await db.run("UPDATE words SET isFavorite = 0, isHistory = 0");
+    });
+    const result = await readSnapshot(db);
+    await writeMeta(db, {
+      version,
+      released_at: releasedAt,
+      content_checksum: contentChecksum(result),
+    });
+    await db.run("VACUUM");
+    return result;
+  });
+
+  const media = {};
+  const missingMedia = [];
+  for (const mediaFile of mediaPaths(snapshot, snapshot.columns)) {
+    const hashed = await hashFile(path.join(dataDir, mediaFile));
+    if (hashed) media[mediaFile] = hashed.sha256;
+    else missingMedia.push(mediaFile);
+  }
+
+  const count = (table) =>
+    [...snapshot.words.values()].reduce((sum, word) => sum + word.content[table].length, 0);
+  const release = {
+    version,
+    released_at: releasedAt,
+    previous,
+    database: {
+      file: "dictionary.db",
+      bytes: (await fs.stat(file)).size,
+      sha256: (await hashFile(file)).sha256,
+    },
+    content_checksum: contentChecksum(snapshot),
+    counts: {
+      words: snapshot.words.size,
+      definitions: count("definitions"),
+      relations: count("relations"),
+      audio: snapshot.audio.size,
+      media: Object.keys(media).length,
+    },
+    media,
+  };
+  await fs.writeJson(path.join(dir, "release.json"), release, { spaces: 2 });
+
+  return { ...release, missingMedia };
+}
+
+/**
+ * Row and media changes between two releases
+ * @returns {Promise<Object>} { from, to (release.json), diff, media, changes (changes.json) }
+ */
+async function compareReleases(fromVersion, toVersion, releasesDir = RELEASES_DIR) {
+  const from = await loadRelease(fromVersion, releasesDir);
+  const to = await loadRelease(toVersion, releasesDir);
+  const fromSnapshot = await withDatabase(releaseDb(from.version, releasesDir), readSnapshot);
+  const toSnapshot = await withDatabase(releaseDb(to.version, releasesDir), readSnapshot);
+
+  const diff = diffSnapshots(fromSnapshot, toSnapshot);
+  return {
+    from,
+    to,
+    diff,
+    media: diffMedia(from.media, to.media),
+    changes: patchChanges(diff, toSnapshot, toSnapshot.columns),
+  };
+}
+
+/**
+ * Write the patch that upgrades one release to another
+ * @param {number} fromVersion - The release installed in the app
+ * @param {number} toVersion - The release to upgrade to
+ * @param {Object} options - { dataDir (for the media files), releasesDir }
+ * @returns {Promise<Object>} { file, bytes, manifest, comparison (compareReleases()) }
+ */
+async function createPatch(fromVersion, toVersion, { dataDir = DATA_DIR, releasesDir = RELEASES_DIR } = {}) {
+  const comparison = await compareReleases(fromVersion, toVersion, releasesDir);
+  const { from, to, diff, media, changes } = comparison;
+  const file = path.join(releasesDir, "patches", `${from.version}-${to.version}.zip`);
+  await fs.ensureDir(path.dirname(file));
+
+  const files = {};
+  const zip = new ZipWriter(file);
+  try {
+    const changesJson = Buffer.from(JSON.stringify(changes));
+    files["changes.json"] = crypto.createHash("sha256").update(changesJson).digest("hex");
+    await zip.add("changes.json", changesJson);
+
+    for (const mediaFile of [...media.added, ...media.changed]) {
+      const data = await fs.readFile(path.join(dataDir, mediaFile));
+      const digest = crypto.createHash("sha256").update(data).digest("hex");
+      // The release only recorded the hash; the file must still be that version
+      if (digest !== to.media[mediaFile]) {
+        throw new Error(`${mediaFile} changed after release ${to.version}; release again and patch to the new version`);
+      }
+      files[`media/${mediaFile}`] = digest;
+      await zip.add(`media/${mediaFile}`, data, { compress: false });
+    }
+
+    const manifest = {
+      format: PATCH_FORMAT,
+      from: { version: from.version, checksum: from.content_checksum },
+      to: {
+        version: to.version,
+        checksum: to.content_checksum,
+        released_at: to.released_at,
+        database: to.database,
+      },
+      created_at: new Date().toISOString(),
+      words: {
+        added: diff.words.added.length,
+        changed: diff.words.changed.length,
+        removed: diff.words.removed.length,
+      },
+      rows: diff.rows,
+      audio: { upserted: diff.audio.upserted.length, removed: diff.audio.removed.length },
+      media,
+      files,
+    };
+    await zip.add("manifest.json", Buffer.from(JSON.stringify(manifest, null, 2)));
+    await zip.close();
+
+    return { file, bytes: (await fs.stat(file)).size, manifest, comparison };
+  } catch (err) {
+    await zip.close().catch(() => {});
+    await fs.remove(file);
+    throw err;
+  }
+}
+
+module.exports = {
+  createRelease,
+  createPatch,
+  compareReleases,
+  listReleases,
+  loadRelease,
+  RELEASES_DIR,
+};
+
+function printDiff({ from, to, diff, media }) {
+  const { words, rows, audio } = diff;
+  console.log(`Release ${from.version} -> ${to.version}`);
+  console.log(
+    `Words: ${words.added.length} added, ${words.changed.length} changed, ${words.removed.length} removed`
+  );
+  for (const [table, count] of Object.entries(rows)) {
+    console.log(`  ${table}: +${count.added} -${count.removed} rows`);
+  }
+  console.log(`Audio rows: ${audio.upserted.length} added or changed, ${audio.removed.length} removed`);
+  console.log(
+    `Media files: ${media.added.length} added, ${media.changed.length} changed, ${media.removed.length} removed`
+  );
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const versionIndex = args.indexOf("--version");
+  const [fromVersion, toVersion] = args
+    .slice(1)
+    .filter((arg, i, rest) => !arg.startsWith("--") && rest[i - 1] !== "--version")
+    .map(Number);
+
+  const commands = {
+    async create() {
+      const version = versionIndex === -1 ? null : Number(args[versionIndex + 1]);
+      const release = await createRelease({ version });
+      console.log(`Release ${release.version}: ${path.join(RELEASES_DIR, String(release.version))}`);
+      console.log(
+        `Database: ${(release.database.bytes / 1048576).toFixed(1)} MB, ${release.counts.words} words, ` +
+          `${release.counts.definitions} definitions, ${release.counts.relations} relations`
+      );
+      console.log(`Media files: ${release.counts.media} (${release.missingMedia.length} referenced but missing)`);
+      if (release.previous) {
+        console.log(`\nPatch from the previous release: node src/release.js patch ${release.previous} ${release.version}`);
+      }
+    },
+    async list() {
+      const releases = await listReleases();
+      if (releases.length === 0) console.log("No releases yet (node src/release.js create)");
+      for (const release of releases) {
+        console.log(
+          `${release.version}  ${release.released_at}  ${release.counts.words} words  ` +
+            `${(release.database.bytes / 1048576).toFixed(1)} MB  ${release.content_checksum.slice(0, 12)}`
+        );
+      }
+      const patchDir = path.join(RELEASES_DIR, "patches");
+      if (await fs.pathExists(patchDir)) {
+        for (const name of (await fs.readdir(patchDir)).sort()) {
+          const { size } = await fs.stat(path.join(patchDir, name));
+          console.log(`patch ${name}  ${(size / 1048576).toFixed(1)} MB`);
+        }
+      }
+    },
+    async diff() {
+      printDiff(await compareReleases(fromVersion, toVersion));
+    },
+    async patch() {
+      const { file, bytes, comparison } = await createPatch(fromVersion, toVersion);
+      printDiff(comparison);
+      console.log(`\nPatch: ${file} (${(bytes / 1048576).toFixed(1)} MB)`);
+    },
+  };
+
+  const needsVersions = command === "diff" || command === "patch";
+  if (!commands[command] || (needsVersions && !(fromVersion && toVersion))) {
+    console.log("Usage:");
+    console.log("  node src/release.js create [--version N]  - Release data/dictionary.db as version N (default: latest + 1)");
+    console.log("  node src/release.js list                  - Releases and patches");
+    console.log("  node src/release.js diff <from> <to>      - Words, rows and media changed between two releases");
+    console.log("  node src/release.js patch <from> <to>     - Write data/releases/patches/<from>-<to>.zip");
+    console.log("\nApply a patch: node src/apply_patch.js <dictionary.db> <patch.zip>");
+    process.exit(0);
+  }
+
+  commands[command]().catch((err) => {
+    console.error("Release failed:", err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,119 @@
+const path = require('path');
+const { definitionGlosses } = require('./kh_en_glosses');
+
+/**
+ * An entry as plain text or as HTML, for the exporters (StarDict, dictd, ...)
+ * that turn data/<type>/*.json into other dictionary formats.
+ *
+ * En-Kh translations only exist as images. Where a format can embed them
+ * they are referenced by file name (the exporter copies the file next to
+ * the dictionary); otherwise the entry says an image translation exists and
+ * where to fetch it.
+ */
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"]/g, (c) => HTML_ESCAPES[c]);
+}
+
+/**
+ * A definition's examples as a list (kh_kh entries migrated by
+ * migrate_kh_kh.js have several, everything else at most one string)
+ */
+function examples(def) {
+    return [].concat(def.example || []).filter((e) => typeof e === 'string' && e.trim());
+}
+
+/**
+ * A bilingual definition's translations as separate strings: the English
+ * glosses of a kh_en definition, or the Khmer text of an en_kh one (most
+ * en_kh translations are only an image, see khmer_image_url)
+ * @param {Object} def - The definition
+ * @param {string} lang - Language translated into: 'en' or 'km'
+ */
+function translations(def, lang) {
+    const texts = lang === 'en' ? definitionGlosses(def) : [def.definition_text];
+    return [...texts, def.khmer_text].filter((t) => typeof t === 'string' && t.trim()).map((t) => t.trim());
+}
+
+const MEDIA_TYPES = { '.png': 'image/png', '.gif': 'image/gif', '.jpg': 'image/jpeg', '.mp3': 'audio/mpeg' };
+
+/**
+ * MIME type of an image or sound, by its extension
+ * @returns {string|null}
+ */
+function mediaType(file) {
+    return MEDIA_TYPES[path.extname(String(file).split('?')[0]).toLowerCase()] || null;
+}
+
+const RELATION_LABELS = [['synonyms', 'Synonyms'], ['antonyms', 'Antonyms'], ['similar_words', 'See also']];
+
+/**
+ * Files an entry refers to, relative to the data directory
+ * @returns {Array<string>} e.g. ["images/33809.png", "sounds/happy.mp3"]
+ */
+function entryMedia(entry) {
+    const files = (entry.definitions || []).map((def) => def.local_image_path).filter(Boolean);
+    if (entry.local_sound_path) files.push(entry.local_sound_path);
+    return files;
+}
+
+/**
+ * Plain text body of an entry (without the headword)
+ * @param {Object} entry - The entry JSON
+ * @returns {string} Numbered senses, examples, relations and media references
+ */
+function entryText(entry) {
+    const lines = [];
+    (entry.definitions || []).forEach((def, i) => {
+        const text = (def.definition_text || def.khmer_text || '').trim();
+        const image = def.khmer_image_url || def.local_image_path;
+        const sense = [def.pos ? `(${def.pos})` : '', text || (image ? `[Khmer translation image: ${image}]` : '')];
+        lines.push(`${i + 1}. ${sense.filter(Boolean).join(' ')}`);
+        examples(def).forEach((example) => lines.push(`   e.g. ${example.trim()}`));
+    });
+
+    for (const [key, label] of RELATION_LABELS) {
+        if ((entry[key] || []).length > 0) lines.push(`${label}: ${entry[key].join(', ')}`);
+    }
+    if (entry.sound_url) lines.push(`Pronunciation: ${entry.sound_url}`);
+    return lines.join('\n');
+}
+
+/**
+ * HTML body of an entry (without the headword)
+ * @param {Object} entry - The entry JSON
+ * @param {Object} options - { media: embed images/sounds by file name (true)
+ *   or link their URLs (false), linkPrefix: scheme for links to other words }
+ * @returns {string}
+ */
+function entryHtml(entry, { media = true, linkPrefix = 'bword://' } = {}) {
+    const senses = (entry.definitions || []).map((def) => {
+        const parts = [];
+        if (def.pos) parts.push(`<i>${escapeHtml(def.pos)}</i>`);
+        const text = (def.definition_text || def.khmer_text || '').trim();
+        if (text) parts.push(escapeHtml(text));
+        if (def.local_image_path && media) {
+            parts.push(`<img src="${escapeHtml(path.basename(def.local_image_path))}" alt="${escapeHtml(entry.word)}">`);
+        } else if (def.khmer_image_url && !text) {
+            parts.push(`<a href="${escapeHtml(def.khmer_image_url)}">[Khmer translation image]</a>`);
+        }
+        const list = examples(def).map((e) => `<li>${escapeHtml(e.trim())}</li>`).join('');
+        return `<li>${parts.join(' ')}${list ? `<ul>${list}</ul>` : ''}</li>`;
+    });
+
+    const html = senses.length > 0 ? [`<ol>${senses.join('')}</ol>`] : [];
+    for (const [key, label] of RELATION_LABELS) {
+        const words = (entry[key] || []).map((w) => `<a href="${linkPrefix}${escapeHtml(w)}">${escapeHtml(w)}</a>`);
+        if (words.length > 0) html.push(`<p><b>${label}:</b> ${words.join(', ')}</p>`);
+    }
+    if (entry.local_sound_path && media) {
+        html.push(`<p><a href="sound://${escapeHtml(path.basename(entry.local_sound_path))}">&#9654; Pronunciation</a></p>`);
+    } else if (entry.sound_url) {
+        html.push(`<p><a href="${escapeHtml(entry.sound_url)}">&#9654; Pronunciation</a></p>`);
+    }
+    return html.join('');
+}
+
+module.exports = { entryText, entryHtml, entryMedia, escapeHtml, examples, translations, mediaType };
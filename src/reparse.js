@@ -0,0 +1,86 @@
+const DictionaryScraper = require('./scraper');
+const { MODE_DIRS, parsePage } = require('./parsers');
+const { stampEntry } = require('./freshness');
+
+/**
+ * Rebuild data/<mode>/*.json from the HTML archive with the current parsers.
+ *
+ * Usage: node src/reparse.js [type] [--dry-run]
+ *   type: en_kh, kh_kh, kh_en or all (default)
+ *   --dry-run: only report what would change
+ */
+async function reparse(type = 'all', dryRun = false) {
+    const scraper = new DictionaryScraper();
+    await scraper.init();
+
+    const mode = type === 'all'
+        ? null
+        : Number(Object.keys(MODE_DIRS).find((m) => MODE_DIRS[m] === type));
+
+    const report = { added: [], changed: [], unchanged: 0, notFound: 0, skipped: 0 };
+
+    const total = await scraper.archive.forEach(mode, async (page) => {
+        // Error responses were archived for auditing, there is nothing to parse
+        if (page.status && page.status !== 200) {
+            report.skipped++;
+            return;
+        }
+
+        const result = parsePage(page.html, page.mode, page.word);
+        if (!result) {
+            report.notFound++;
+            return;
+        }
+        await scraper.localizeMedia(result, false);
+
+        const current = await scraper.store.get(page.word, page.mode);
+        // Stamped with when the page was fetched; keeps what optimize_images.js added
+        stampEntry(result, current, page.fetched_at);
+        const label = `${MODE_DIRS[page.mode]}/${page.word}`;
+
+        if (current) {
+            if (JSON.stringify(current) === JSON.stringify(result)) {
+                report.unchanged++;
+                return;
+            }
+            report.changed.push(label);
+        } else {
+            report.added.push(label);
+        }
+
+        if (!dryRun) {
+            await scraper.store.put(page.word, page.mode, result);
+        }
+    });
+
+    await scraper.close();
+
+    console.log(`\n=== Reparse ${dryRun ? '(dry run) ' : ''}Summary ===`);
+    console.log(`Archived pages: ${total}`);
+    report.added.forEach((label) => console.log(`  + ${label}`));
+    report.changed.forEach((label) => console.log(`  ~ ${label}`));
+    console.log(`Added: ${report.added.length}`);
+    console.log(`Changed: ${report.changed.length}`);
+    console.log(`Unchanged: ${report.unchanged}`);
+    console.log(`Not found pages: ${report.notFound}`);
+    console.log(`Skipped error responses: ${report.skipped}`);
+    return report;
+}
+
+module.exports = reparse;
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const type = args.find((a) => !a.startsWith('--')) || 'all';
+
+    if (type !== 'all' && !Object.values(MODE_DIRS).includes(type)) {
+        console.log('Usage: node src/reparse.js [en_kh|kh_kh|kh_en|all] [--dry-run]');
+        process.exit(1);
+    }
+
+    reparse(type, dryRun).catch((err) => {
+        console.error('Error:', err);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,160 @@
+const axios = require('axios');
+const { config } = require('./config');
+
+// Network errors worth another try (no HTTP response was received)
+const TRANSIENT_CODES = new Set([
+  'ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ERR_NETWORK'
+]);
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * Whether a failed request should be retried
+ * @param {Error} err - axios error
+ * @returns {boolean} True for timeouts, dropped connections, 408, 429 and 5xx
+ */
+function isTransient(err) {
+  if (err.response) {
+    const status = err.response.status;
+    return status === 408 || status === 429 || status >= 500;
+  }
+  return TRANSIENT_CODES.has(err.code);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ * @returns {number|null} Delay in ms, or null if absent/invalid
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Shared request scheduler: at most `concurrency` requests in flight, started
+ * no faster than `requestsPerSecond` (token bucket), with transient failures
+ * retried using exponential backoff and jitter. A 429 with Retry-After pauses
+ * every request, not just the one that got it.
+ */
+class RequestScheduler {
+  constructor(options = {}) {
+    this.http = options.http || axios;
+    this.configure(options);
+    this.active = 0;
+    this.waiting = [];
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * Change limits at runtime
+   * @param {Object} options - { concurrency, requestsPerSecond, burst, maxRetries, baseDelay, maxDelay, timeout }
+   */
+  configure({
+    concurrency = this.concurrency || 3,
+    requestsPerSecond = this.requestsPerSecond || 2,
+    burst = this.burst || 1,
+    maxRetries = this.maxRetries !== undefined ? this.maxRetries : 4,
+    baseDelay = this.baseDelay || 500,
+    maxDelay = this.maxDelay || 30000,
+    timeout = this.timeout || 20000
+  } = {}) {
+    Object.assign(this, { concurrency, requestsPerSecond, burst, maxRetries, baseDelay, maxDelay, timeout });
+    return this;
+  }
+
+  /**
+   * Perform an axios request under the scheduler's limits
+   * @param {Object} config - axios request config
+   * @returns {Promise<Object>} axios response
+   */
+  async request(config) {
+    for (let attempt = 0; ; attempt++) {
+      let delay;
+      await this.acquireSlot();
+      try {
+        await this.acquireToken();
+        return await this.http({ timeout: this.timeout, ...config });
+      } catch (err) {
+        if (!isTransient(err) || attempt >= this.maxRetries) {
+          err.attempts = attempt + 1;
+          throw err;
+        }
+        delay = this.retryDelay(err, attempt);
+        if (err.response && err.response.status === 429) {
+          this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+        }
+      } finally {
+        // Never hold a slot while backing off
+        this.releaseSlot();
+      }
+      await sleep(delay);
+    }
+  }
+
+  get(url, config = {}) {
+    return this.request({ ...config, url, method: 'GET' });
+  }
+
+  /**
+   * Backoff before retry number `attempt` (0-based): Retry-After when the
+   * server sent one, otherwise base * 2^attempt with jitter, capped at maxDelay
+   */
+  retryDelay(err, attempt) {
+    const retryAfter = err.response && err.response.headers
+      ? parseRetryAfter(err.response.headers['retry-after'])
+      : null;
+    if (retryAfter !== null) return Math.min(retryAfter, this.maxDelay);
+
+    const exp = Math.min(this.maxDelay, this.baseDelay * 2 ** attempt);
+    return Math.round(exp / 2 + Math.random() * (exp / 2));
+  }
+
+  async acquireSlot() {
+    if (this.active >= this.concurrency) {
+      // The releasing request hands its slot straight over
+      await new Promise((resolve) => this.waiting.push(resolve));
+      return;
+    }
+    this.active++;
+  }
+
+  releaseSlot() {
+    const next = this.waiting.shift();
+    if (next) next();
+    else this.active--;
+  }
+
+  async acquireToken() {
+    for (;;) {
+      const now = Date.now();
+      if (now < this.pausedUntil) {
+        await sleep(this.pausedUntil - now);
+        continue;
+      }
+      const elapsed = (now - this.lastRefill) / 1000;
+      this.tokens = Math.min(this.burst, this.tokens + elapsed * this.requestsPerSecond);
+      this.lastRefill = now;
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+      await sleep(((1 - this.tokens) / this.requestsPerSecond) * 1000);
+    }
+  }
+}
+
+// Shared by scrapeWord, discoverWords and the media downloads (media_store.js);
+// limits from config.js rateLimit (SCRAPE_CONCURRENCY, SCRAPE_RPS, ...)
+const scheduler = new RequestScheduler(config.rateLimit);
+
+module.exports = {
+  RequestScheduler,
+  scheduler,
+  isTransient,
+  parseRetryAfter
+};
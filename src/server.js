@@ -0,0 +1,331 @@
+const crypto = require('crypto');
+const http = require('http');
+const fs = require('fs-extra');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { MODE_DIRS } = require('./parsers');
+const { logger } = require('./logger');
+const { DATA_DIR } = require('./config');
+
+const DEFAULT_PORT = 8080;
+const MAX_PAGE_SIZE = 100;
+const MEDIA_DIRS = ['images', 'sounds'];
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.wav': 'audio/wav'
+};
+// URL segment -> words column for PUT/DELETE /words/:type/:word/<flag>
+const FLAG_ROUTES = { favorite: 'isFavorite', history: 'isHistory' };
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+const log = logger.child({ component: 'server' });
+
+class HttpError extends Error {
+  constructor(status, message, body = {}) {
+    super(message);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * JSON API over data/dictionary.db for the app clients, plus the images and
+ * sounds the entries point to.
+ *
+ *   GET  /stats
+ *   GET  /search?q=&type=&page=&limit=     - ranked search (query_dictionary.search)
+ *   GET  /autocomplete?q=&type=&limit=     - headwords starting with q
+ *   GET  /suggest?q=&type=                 - "did you mean" for a missing word
+ *   GET  /english?q=                       - Khmer words for an English gloss
+ *   GET  /words/:type/:word                - the complete entry
+ *   GET  /words/:type/:word/synonyms       - also antonyms, similar
+ *   GET  /favorites?type=, /history?type=
+ *   PUT|DELETE /words/:type/:word/favorite - also history (not when read-only)
+ *   GET  /media/images/:file, /media/sounds/:file
+ *
+ * Every response carries an ETag. CORS headers are only sent for a
+ * configured origin, and PUT/DELETE are only offered to a named one: with no
+ * origin or '*', other web pages can't change favorites or history. A
+ * read-only server rejects the PUT/DELETE routes; it is the only kind that
+ * may listen on anything but localhost.
+ */
+class DictionaryServer {
+  /**
+   * @param {Object} options - { dictionary: the query_dictionary API,
+   *   dataDir: where images/ and sounds/ live, readOnly, cors: allowed origin ('*' for any; default none) }
+   */
+  constructor({ dictionary = null, dataDir = DATA_DIR, readOnly = false, cors = null } = {}) {
+    this.dictionary = dictionary || require('./query_dictionary');
+    this.dataDir = dataDir;
+    this.readOnly = readOnly;
+    this.cors = cors;
+    this.server = null;
+  }
+
+  /**
+   * @param {number} port - 0 picks a free port
+   * @param {string} host - Interface to listen on
+   * @returns {Promise<number>} The port
+   */
+  async start(port = DEFAULT_PORT, host = '127.0.0.1') {
+    if (!this.readOnly && !LOOPBACK_HOSTS.includes(host)) {
+      throw new Error(`Refusing to listen on ${host} without read-only mode`);
+    }
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+    this.port = this.server.address().port;
+    return this.port;
+  }
+
+  async close() {
+    if (this.server) {
+      await new Promise((resolve) => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  async handle(req, res) {
+    if (this.cors) {
+      res.setHeader('Access-Control-Allow-Origin', this.cors);
+      res.setHeader('Access-Control-Expose-Headers', 'ETag');
+      if (this.cors !== '*') res.setHeader('Vary', 'Origin');
+    }
+
+    if (req.method === 'OPTIONS') {
+      if (this.cors) {
+        res.setHeader('Access-Control-Allow-Methods', this.corsMethods().join(', '));
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match');
+        res.setHeader('Access-Control-Max-Age', '86400');
+      }
+      res.statusCode = 204;
+      res.end();
+      return;
+    }
+
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+      if (segments[0] === 'media') {
+        await this.sendFile(req, res, segments.slice(1));
+        return;
+      }
+      this.sendJson(req, res, 200, await this.route(req.method, segments, url.searchParams));
+    } catch (err) {
+      // A malformed %-escape in the path is the client's mistake
+      const status = err.status || (err instanceof URIError ? 400 : 500);
+      if (status === 500) {
+        log.error(`Error serving ${req.method} ${req.url}: ${err.message}`, { url: req.url, error: err });
+      }
+      this.sendJson(req, res, status, { error: status === 500 ? 'Internal error' : err.message, ...err.body });
+    }
+  }
+
+  // Methods a cross-origin page may use; writes only from an origin named on purpose
+  corsMethods() {
+    const writes = !this.readOnly && this.cors !== '*';
+    return writes ? ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'] : ['GET', 'HEAD', 'OPTIONS'];
+  }
+
+  /**
+   * Answer a JSON route
+   * @returns {Promise<*>} The response body
+   */
+  async route(method, segments, params) {
+    const [resource, type, word, sub] = segments;
+
+    if (resource === 'words' && segments.length === 4 && FLAG_ROUTES[sub]) {
+      if (method !== 'PUT' && method !== 'DELETE') throw new HttpError(405, `Use PUT or DELETE on ${sub}`);
+      if (this.readOnly) throw new HttpError(403, 'The server is read-only');
+      const entry = await this.findWord(type, word);
+      await this.dictionary.setWordFlag(entry.id, FLAG_ROUTES[sub], method === 'PUT');
+      return { id: entry.id, word: entry.word, type: entry.type, [FLAG_ROUTES[sub]]: method === 'PUT' };
+    }
+    if (method !== 'GET' && method !== 'HEAD') throw new HttpError(405, `Method ${method} not allowed`);
+
+    const q = () => {
+      const value = (params.get('q') || '').trim();
+      if (!value) throw new HttpError(400, 'Missing ?q=');
+      return value;
+    };
+    // SQLite reads a negative LIMIT as no limit at all, so only 1..MAX_PAGE_SIZE gets through
+    const limit = (fallback) => {
+      const value = (params.get('limit') || '').trim();
+      if (!value) return fallback;
+      if (!/^[1-9]\d*$/.test(value)) throw new HttpError(400, `?limit= must be a positive whole number, got "${value}"`);
+      return Math.min(MAX_PAGE_SIZE, parseInt(value, 10));
+    };
+    const typeParam = () => this.checkType(params.get('type'));
+
+    const routes = {
+      stats: () => this.dictionary.getStats(),
+      search: () => this.dictionary.search(q(), {
+        type: typeParam(),
+        page: Math.max(1, parseInt(params.get('page'), 10) || 1),
+        pageSize: limit(20)
+      }),
+      autocomplete: () => this.dictionary.autocomplete(q(), { type: typeParam(), limit: limit(10) }),
+      suggest: () => this.dictionary.suggest(q(), { type: typeParam(), limit: limit(5) }),
+      english: () => this.dictionary.reverseLookup(q(), limit(50)),
+      favorites: () => this.dictionary.getFlaggedWords('isFavorite', typeParam()),
+      history: () => this.dictionary.getFlaggedWords('isHistory', typeParam())
+    };
+    if (segments.length === 1 && routes[resource]) return routes[resource]();
+
+    if (resource === 'words' && segments.length === 3) {
+      return this.withMediaUrls(await this.findWord(type, word));
+    }
+    if (resource === 'words' && segments.length === 4) {
+      const relations = { synonyms: 'synonyms', antonyms: 'antonyms', similar: 'similar_words' };
+      if (relations[sub]) return (await this.findWord(type, word))[relations[sub]];
+    }
+    throw new HttpError(404, `Unknown route: ${method} /${segments.join('/')}`);
+  }
+
+  checkType(type) {
+    if (!type) return null;
+    if (!Object.values(MODE_DIRS).includes(type)) {
+      throw new HttpError(400, `Unknown type "${type}", use ${Object.values(MODE_DIRS).join(', ')}`);
+    }
+    return type;
+  }
+
+  /**
+   * The complete entry of exactly this headword, or a 404 with suggestions
+   */
+  async findWord(type, word) {
+    this.checkType(type);
+    const entry = await this.dictionary.getWordComplete(word, type);
+    if (!entry || entry.match !== 'exact') {
+      const suggestions = await this.dictionary.suggest(word, { type });
+      throw new HttpError(404, `Word "${word}" not found in ${type}`, { suggestions });
+    }
+    return entry;
+  }
+
+  /**
+   * Add the /media URLs of the entry's local image and sound files
+   */
+  withMediaUrls(entry) {
+    return {
+      ...entry,
+      sound_url: entry.sound ? `/media/${entry.sound}` : null,
+      definitions: entry.definitions.map((def) => ({
+        ...def,
+        image_url: def.local_image_path ? `/media/${def.local_image_path}` : null
+      }))
+    };
+  }
+
+  sendJson(req, res, status, body) {
+    const json = JSON.stringify(body);
+    const etag = `"${crypto.createHash('sha1').update(json).digest('hex').slice(0, 20)}"`;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('ETag', etag);
+
+    if (status === 200 && this.notModified(req, etag)) {
+      res.statusCode = 304;
+      res.end();
+      return;
+    }
+    res.statusCode = status;
+    res.end(req.method === 'HEAD' ? undefined : json);
+  }
+
+  /**
+   * Stream data/images/<file> or data/sounds/<file>
+   * @param {Array<string>} segments - [dir, file] from /media/<dir>/<file>
+   */
+  async sendFile(req, res, segments) {
+    const [dir, file] = segments;
+    if (req.method !== 'GET' && req.method !== 'HEAD') throw new HttpError(405, `Method ${req.method} not allowed`);
+    // One plain file name inside a known folder: no "..", no sub paths
+    if (segments.length !== 2 || !MEDIA_DIRS.includes(dir) || file !== path.basename(file) || file.startsWith('.')) {
+      throw new HttpError(404, 'Not found');
+    }
+
+    const filePath = path.join(this.dataDir, dir, file);
+    const stat = await fs.stat(filePath).catch(() => null);
+    if (!stat || !stat.isFile()) throw new HttpError(404, `No such file: ${dir}/${file}`);
+
+    const etag = `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', 'public, max-age=86400');
+    res.setHeader('Last-Modified', stat.mtime.toUTCString());
+    if (this.notModified(req, etag)) {
+      res.statusCode = 304;
+      res.end();
+      return;
+    }
+
+    res.setHeader('Content-Type', MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream');
+    res.setHeader('Content-Length', stat.size);
+    if (req.method === 'HEAD') {
+      res.end();
+      return;
+    }
+    // pipeline() also settles, and closes the file, when the client hangs up mid-download
+    try {
+      await pipeline(fs.createReadStream(filePath), res);
+    } catch (err) {
+      if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') throw err;
+    }
+  }
+
+  notModified(req, etag) {
+    const header = req.headers['if-none-match'];
+    return Boolean(header) && header.split(',').some((tag) => tag.trim().replace(/^W\//, '') === etag);
+  }
+}
+
+module.exports = { DictionaryServer, DEFAULT_PORT };
+
+// Command line interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const i = args.indexOf(name);
+    return i === -1 ? fallback : args[i + 1];
+  };
+
+  if (args.includes('--help')) {
+    console.log('Usage: node src/server.js [--port 8080] [--host 127.0.0.1] [--read-only] [--cors <origin>]');
+    console.log('\n  --read-only  Open dictionary.db read-only and reject favorite/history writes;');
+    console.log('               required for any --host other than localhost (e.g. 0.0.0.0 on a LAN)');
+    console.log('  --cors       Origin allowed to call the API from a browser (default: none);');
+    console.log('               "*" allows any origin to read, never to change favorites/history');
+    process.exit(0);
+  }
+
+  const readOnly = args.includes('--read-only');
+  const host = option('--host', '127.0.0.1');
+  const port = parseInt(option('--port', DEFAULT_PORT), 10);
+
+  (async () => {
+    const dictionary = require('./query_dictionary');
+    if (readOnly) await dictionary.openDatabase(dictionary.DB_FILE, { readOnly: true });
+
+    const server = new DictionaryServer({ dictionary, readOnly, cors: option('--cors', null) });
+    await server.start(port, host);
+    console.log(`Dictionary API on http://${host}:${server.port}${readOnly ? ' (read-only)' : ''}`);
+
+    const shutdown = async () => {
+      await server.close();
+      dictionary.db.close();
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+  })().catch((err) => {
+    console.error('Server failed:', err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,128 @@
+const sqlite3 = require("sqlite3").verbose();
+
+/**
+ * Thin promise wrapper around a sqlite3 database handle
+ */
+class SqliteDatabase {
+  constructor(file) {
+    this.file = file;
+    this.db = null;
+  }
+
+  /**
+   * Open the database file, creating it if needed
+   * @returns {Promise<SqliteDatabase>} This instance
+   */
+  open() {
+    return new Promise((resolve, reject) => {
+      this.db = new sqlite3.Database(this.file, (err) => {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+  }
+
+  /**
+   * Run a statement that returns no rows
+   * @returns {Promise<Object>} { lastID, changes }
+   */
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+  }
+
+  /**
+   * Fetch the first row of a query
+   * @returns {Promise<Object|undefined>} The row
+   */
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  /**
+   * Fetch all rows of a query
+   * @returns {Promise<Array>} The rows
+   */
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  /**
+   * Run one or more semicolon separated statements (schema setup)
+   * @returns {Promise<void>}
+   */
+  exec(sql) {
+    return new Promise((resolve, reject) => {
+      this.db.exec(sql, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  /**
+   * Call onRow for every row without loading the whole result set
+   * @param {Function} onRow - Called with each row, may return a promise
+   * @returns {Promise<number>} Number of rows visited
+   */
+  async each(sql, params = [], onRow, pageSize = 500) {
+    let offset = 0;
+    let count = 0;
+    for (;;) {
+      const rows = await this.all(`${sql} LIMIT ? OFFSET ?`, [
+        ...params,
+        pageSize,
+        offset,
+      ]);
+      for (const row of rows) {
+        await onRow(row);
+        count++;
+      }
+      if (rows.length < pageSize) return count;
+      offset += pageSize;
+    }
+  }
+
+  /**
+   * Run fn inside a transaction, rolling back if it throws
+   * @param {Function} fn - Async function receiving this database
+   */
+  async transaction(fn) {
+    await this.run("BEGIN TRANSACTION");
+    try {
+      const result = await fn(this);
+      await this.run("COMMIT");
+      return result;
+    } catch (err) {
+      await this.run("ROLLBACK");
+      throw err;
+    }
+  }
+
+  close() {
+    return new Promise((resolve, reject) => {
+      if (!this.db) return resolve();
+      this.db.close((err) => {
+        this.db = null;
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+}
+
+module.exports = SqliteDatabase;
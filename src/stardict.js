@@ -0,0 +1,125 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { dictzip } = require('./dictzip');
+
+/**
+ * StarDict 3.0.0 dictionaries (GoldenDict, KOReader, sdcv): <name>.ifo,
+ * <name>.idx, <name>.dict.dz, an optional <name>.syn of alternative
+ * headwords, and a res/ folder with the images and sounds the HTML
+ * definitions refer to by file name.
+ */
+
+const A = 0x41;
+const Z = 0x5a;
+
+function asciiLower(byte) {
+    return byte >= A && byte <= Z ? byte + 32 : byte;
+}
+
+/**
+ * StarDict's index order: g_ascii_strcasecmp on the UTF-8 bytes, then
+ * strcmp to order words that differ only in ASCII case. Readers binary
+ * search .idx and .syn with it, so both must be sorted exactly this way.
+ * @param {Buffer} a - UTF-8 headword
+ * @param {Buffer} b - UTF-8 headword
+ */
+function stardictCompare(a, b) {
+    const length = Math.min(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+        const diff = asciiLower(a[i]) - asciiLower(b[i]);
+        if (diff !== 0) return diff;
+    }
+    return a.length - b.length || Buffer.compare(a, b);
+}
+
+/**
+ * Write a StarDict dictionary
+ * @param {Object} options
+ * @param {string} options.dir - Output folder (created)
+ * @param {string} options.name - Base name of the files
+ * @param {string} options.bookname - Title shown by the reader
+ * @param {string} options.description - One line about the dictionary
+ * @param {string} options.type - sametypesequence: 'h' (HTML) or 'm' (plain text)
+ * @param {Array<Object>} options.entries - [{ word, body, synonyms: [alternative headwords] }]
+ * @param {Array<string>} options.resources - Files to copy into res/
+ * @returns {Promise<Object>} { words, synonyms, resources, files }
+ */
+async function writeStardict({ dir, name, bookname, description = '', type = 'h', entries, resources = [] }) {
+    await fs.ensureDir(dir);
+    const sorted = entries
+        .map((entry) => ({ ...entry, key: Buffer.from(entry.word.trim(), 'utf8') }))
+        .filter((entry) => entry.key.length > 0 && entry.key.length < 256)
+        .sort((a, b) => stardictCompare(a.key, b.key));
+
+    const bodies = [];
+    const idx = [];
+    let offset = 0;
+    for (const entry of sorted) {
+        const body = Buffer.from(entry.body, 'utf8');
+        const record = Buffer.alloc(entry.key.length + 9);
+        entry.key.copy(record);
+        record.writeUInt32BE(offset, entry.key.length + 1);
+        record.writeUInt32BE(body.length, entry.key.length + 5);
+        idx.push(record);
+        bodies.push(body);
+        offset += body.length;
+    }
+    if (offset >= 2 ** 32) throw new Error(`${name}.dict is over 4 GB`);
+
+    // .syn: alternative headword -> position of its entry in .idx
+    const syn = [];
+    sorted.forEach((entry, position) => {
+        for (const word of new Set(entry.synonyms || [])) {
+            const key = Buffer.from(word.trim(), 'utf8');
+            if (key.length > 0 && key.length < 256) syn.push({ key, position });
+        }
+    });
+    syn.sort((a, b) => stardictCompare(a.key, b.key) || a.position - b.position);
+
+    const idxFile = Buffer.concat(idx);
+    const dictFile = Buffer.concat(bodies);
+    const files = [`${name}.ifo`, `${name}.idx`, `${name}.dict.dz`];
+    await fs.writeFile(path.join(dir, `${name}.idx`), idxFile);
+    await fs.writeFile(path.join(dir, `${name}.dict.dz`), dictzip(dictFile, { name: `${name}.dict` }));
+
+    if (syn.length > 0) {
+        const synFile = Buffer.concat(syn.map(({ key, position }) => {
+            const record = Buffer.alloc(key.length + 5);
+            key.copy(record);
+            record.writeUInt32BE(position, key.length + 1);
+            return record;
+        }));
+        await fs.writeFile(path.join(dir, `${name}.syn`), synFile);
+        files.push(`${name}.syn`);
+    }
+
+    // Values are single lines; the description may use <br> for breaks
+    const oneLine = (text) => String(text).replace(/\r?\n/g, '<br>');
+    const ifo = [
+        "StarDict's dict ifo file",
+        'version=3.0.0',
+        `bookname=${oneLine(bookname)}`,
+        `wordcount=${sorted.length}`,
+        ...(syn.length > 0 ? [`synwordcount=${syn.length}`] : []),
+        `idxfilesize=${idxFile.length}`,
+        `description=${oneLine(description)}`,
+        `date=${new Date().toISOString().slice(0, 10).replace(/-/g, '.')}`,
+        `sametypesequence=${type}`
+    ];
+    await fs.writeFile(path.join(dir, `${name}.ifo`), `${ifo.join('\n')}\n`);
+
+    let copied = 0;
+    if (resources.length > 0) {
+        const resDir = path.join(dir, 'res');
+        await fs.ensureDir(resDir);
+        for (const file of new Set(resources)) {
+            if (!(await fs.pathExists(file))) continue;
+            await fs.copy(file, path.join(resDir, path.basename(file)));
+            copied++;
+        }
+    }
+
+    return { words: sorted.length, synonyms: syn.length, resources: copied, files };
+}
+
+module.exports = { writeStardict, stardictCompare };
@@ -0,0 +1,111 @@
+const { escapeXml } = require('./xml');
+const { examples, translations, mediaType } = require('./render_entry');
+
+/**
+ * TEI Lex-0 documents (https://dariah-eric.github.io/lexicalresources/pages/TEILex0/TEILex0.html),
+ * the TEI dictionary encoding recommended for sharing and archiving
+ * lexical data. The structure is pinned down by tei_lex0.dtd.
+ *
+ * Monolingual definitions (kh_kh) become <def>; bilingual ones become
+ * translation equivalents, with the en_kh Khmer images as <graphic>. Every
+ * entry ends with a note pointing at the page it was scraped from.
+ */
+
+const TEI_NS = 'http://www.tei-c.org/ns/1.0';
+const RELATIONS = [['synonyms', 'synonymy'], ['antonyms', 'antonymy'], ['similar_words', 'related']];
+
+/**
+ * One <entry>
+ * @param {Object} entry - The entry JSON plus its provenance: id (entryId()),
+ *   source_url (pageUrl()) and saved_at (when known)
+ * @param {Object} options - { from: headword language, to: definition
+ *   language ('en' or 'km'), ids: Map of headword -> id of every entry in the document }
+ * @returns {string}
+ */
+function teiEntry(entry, { from, to, ids = new Map() }) {
+    const id = `e-${entry.id}`;
+    const definitions = entry.definitions || [];
+    const lines = [`<entry xml:id="${id}" xml:lang="${from}">`];
+
+    const prons = [...new Set(definitions.map((def) => (def.pronunciation || '').trim()).filter(Boolean))]
+        .map((pron) => `<pron>${escapeXml(pron)}</pron>`);
+    const sound = entry.sound_url || entry.local_sound_path;
+    if (sound) prons.push(`<pron><media mimeType="audio/mpeg" url="${escapeXml(sound)}"/></pron>`);
+    lines.push(`  <form type="lemma"><orth>${escapeXml(entry.word.trim())}</orth>${prons.join('')}</form>`);
+
+    definitions.forEach((def, i) => {
+        lines.push(`  <sense xml:id="${id}.${i + 1}" n="${i + 1}">`);
+        if (def.pos) lines.push(`    <gramGrp><gram type="pos">${escapeXml(def.pos)}</gram></gramGrp>`);
+        if ((def.origin || []).length > 0) {
+            lines.push(`    <etym>${def.origin.map((lang) => `<lang>${escapeXml(lang)}</lang>`).join('')}</etym>`);
+        }
+        const text = (def.definition_text || '').trim();
+        if (from === to) {
+            if (text) lines.push(`    <def xml:lang="${to}">${escapeXml(text)}</def>`);
+        } else {
+            for (const translation of translations(def, to)) {
+                lines.push(`    <cit type="translationEquivalent" xml:lang="${to}"><quote>${escapeXml(translation)}</quote></cit>`);
+            }
+        }
+        const image = def.khmer_image_url || def.local_image_path;
+        if (image) {
+            const type = mediaType(image);
+            const graphic = `<graphic url="${escapeXml(image)}"${type ? ` mimeType="${type}"` : ''}/>`;
+            lines.push(`    <cit type="translationEquivalent" xml:lang="${to}"><quote>${graphic}</quote></cit>`);
+        }
+        for (const example of examples(def)) {
+            lines.push(`    <cit type="example" xml:lang="${from}"><quote>${escapeXml(example.trim())}</quote></cit>`);
+        }
+        lines.push('  </sense>');
+    });
+
+    for (const [key, type] of RELATIONS) {
+        const words = [...new Set((entry[key] || []).map((w) => w.trim()).filter(Boolean))];
+        if (words.length === 0) continue;
+        const refs = words.map((word) => {
+            const target = ids.get(word);
+            return `<ref type="entry"${target ? ` target="#e-${target}"` : ''}>${escapeXml(word)}</ref>`;
+        });
+        lines.push(`  <xr type="${type}">${refs.join('')}</xr>`);
+    }
+
+    const date = entry.saved_at ? `<date when="${escapeXml(entry.saved_at)}"/>` : '';
+    lines.push(`  <note type="source"><ptr target="${escapeXml(entry.source_url)}"/>${date}</note>`);
+    lines.push('</entry>');
+    return lines.map((line) => `      ${line}`).join('\n');
+}
+
+/**
+ * A whole TEI Lex-0 document
+ * @param {Object} options
+ * @param {string} options.title - Title of the dictionary
+ * @param {string} options.source - URL of the site it was scraped from
+ * @param {string} options.from - Headword language
+ * @param {string} options.to - Definition language
+ * @param {Array<Object>} options.entries - Entries with provenance, see teiEntry()
+ * @returns {string}
+ */
+function teiDocument({ title, source, from, to, entries }) {
+    const ids = new Map(entries.map((entry) => [entry.word.trim(), entry.id]));
+    const today = new Date().toISOString().slice(0, 10);
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<TEI xmlns="${TEI_NS}" xml:lang="en">`,
+        '  <teiHeader>',
+        '    <fileDesc>',
+        `      <titleStmt><title>${escapeXml(title)}</title></titleStmt>`,
+        `      <publicationStmt><p>Exported on <date when="${today}">${today}</date>, ${entries.length} entries.</p></publicationStmt>`,
+        `      <sourceDesc><p>Scraped from <ptr target="${escapeXml(source)}"/>; the note at the end of every entry links its page.</p></sourceDesc>`,
+        '    </fileDesc>',
+        '  </teiHeader>',
+        '  <text>',
+        '    <body>',
+        ...entries.map((entry) => teiEntry(entry, { from, to, ids })),
+        '    </body>',
+        '  </text>',
+        '</TEI>',
+        ''
+    ].join('\n');
+}
+
+module.exports = { teiEntry, teiDocument, TEI_NS };
@@ -0,0 +1,281 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { MODE_DIRS } = require('./parsers');
+const { normalizeText } = require('./normalize');
+const ENTRY_SCHEMA = require('./entry.schema.json');
+const { DATA_DIR } = require('./config');
+
+const REPORT_FILE = path.join(DATA_DIR, 'validation_report.json');
+const QUEUE_FILE = path.join(DATA_DIR, 'rescrape_queue.json');
+
+/**
+ * Audit data/<type>/*.json: every entry against src/entry.schema.json, plus
+ * content rules the schema can't express (missing media files, Khmer text in
+ * a Kh-En translation, ...).
+ *
+ * Each rule says whether scraping the word again can fix it; those entries
+ * can be written to a re-scrape queue and fetched again with `rescrape`.
+ *
+ * Usage:
+ *   node src/validate.js [type] [--report <file>] [--queue]
+ *   node src/validate.js rescrape [type]
+ */
+
+// rule -> { severity, rescrape: a fresh scrape can fix it }
+const RULES = {
+    schema: { severity: 'error', rescrape: true },
+    type_mismatch: { severity: 'error', rescrape: true },
+    no_definitions: { severity: 'error', rescrape: true },
+    missing_media: { severity: 'error', rescrape: true },
+    empty_media: { severity: 'error', rescrape: true },
+    khmer_translation: { severity: 'error', rescrape: false },
+    definition_is_headword: { severity: 'warning', rescrape: false }
+};
+
+const KHMER = /[\u1780-\u17ff]/;
+const LATIN = /[a-z]/i;
+
+const TYPE_CHECKS = {
+    string: (v) => typeof v === 'string',
+    number: (v) => typeof v === 'number',
+    integer: (v) => Number.isInteger(v),
+    boolean: (v) => typeof v === 'boolean',
+    null: (v) => v === null,
+    array: (v) => Array.isArray(v),
+    object: (v) => typeof v === 'object' && v !== null && !Array.isArray(v)
+};
+
+/**
+ * Check a value against a JSON Schema. Supports the keywords
+ * entry.schema.json uses: type, enum, required, properties,
+ * additionalProperties: false, items, minLength, pattern and local $refs.
+ * @param {*} value - The value to check
+ * @param {Object} schema - The (sub)schema
+ * @param {Object} root - The schema $refs are resolved against
+ * @param {string} at - JSON path of value, for messages
+ * @returns {Array<Object>} [{ path, message }], empty if valid
+ */
+function checkSchema(value, schema, root = schema, at = '$') {
+    if (schema.$ref) {
+        const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], root);
+        return checkSchema(value, target, root, at);
+    }
+
+    const errors = [];
+    const types = [].concat(schema.type || []);
+    if (types.length > 0 && !types.some((type) => TYPE_CHECKS[type](value))) {
+        return [{ path: at, message: `should be ${types.join(' or ')}` }];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path: at, message: `should be one of ${schema.enum.join(', ')}` });
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength && [...value].length < schema.minLength) {
+            errors.push({ path: at, message: 'should not be empty' });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            errors.push({ path: at, message: `should match ${schema.pattern}` });
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => errors.push(...checkSchema(item, schema.items, root, `${at}[${i}]`)));
+    }
+
+    if (TYPE_CHECKS.object(value)) {
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push({ path: at, message: `is missing "${key}"` });
+        }
+        for (const [key, child] of Object.entries(value)) {
+            const property = (schema.properties || {})[key];
+            if (property) {
+                errors.push(...checkSchema(child, property, root, `${at}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: `${at}.${key}`, message: 'is not an entry field' });
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Size of a file under the data directory, null if it doesn't exist
+ */
+async function fileSize(dataDir, relativePath) {
+    const stat = await fs.stat(path.join(dataDir, relativePath)).catch(() => null);
+    return stat && stat.isFile() ? stat.size : null;
+}
+
+/**
+ * Content problems of one entry
+ * @param {Object} entry - The parsed JSON
+ * @param {string} type - The folder it was found in (en_kh, kh_kh, kh_en)
+ * @param {string} dataDir - Where images/ and sounds/ are
+ * @returns {Promise<Array<Object>>} [{ rule, path, message }]
+ */
+async function contentIssues(entry, type, dataDir) {
+    const issues = [];
+    const issue = (rule, at, message) => issues.push({ rule, path: at, message });
+    const definitions = Array.isArray(entry.definitions) ? entry.definitions : [];
+
+    if (entry.type !== type) issue('type_mismatch', '$.type', `is "${entry.type}" but the file is in ${type}/`);
+    if (definitions.length === 0) issue('no_definitions', '$.definitions', 'has no definitions');
+
+    const headword = normalizeText(entry.word);
+    for (const [i, def] of definitions.entries()) {
+        const at = `$.definitions[${i}]`;
+        const text = typeof def.definition_text === 'string' ? def.definition_text : '';
+
+        if (headword && normalizeText(text) === headword) {
+            issue('definition_is_headword', `${at}.definition_text`, 'only repeats the headword');
+        }
+        if (type === 'kh_en' && KHMER.test(text) && !LATIN.test(text)) {
+            issue('khmer_translation', `${at}.definition_text`, 'is Khmer, not an English translation');
+        }
+        if (typeof def.local_image_path === 'string') {
+            await checkMedia(dataDir, def.local_image_path, `${at}.local_image_path`, issue);
+        }
+    }
+    if (typeof entry.local_sound_path === 'string') {
+        await checkMedia(dataDir, entry.local_sound_path, '$.local_sound_path', issue);
+    }
+
+    return issues;
+}
+
+async function checkMedia(dataDir, relativePath, at, issue) {
+    const size = await fileSize(dataDir, relativePath);
+    if (size === null) issue('missing_media', at, `${relativePath} does not exist`);
+    else if (size === 0) issue('empty_media', at, `${relativePath} is empty`);
+}
+
+/**
+ * Check every entry of the selected types
+ * @param {Object} options - { dataDir, types: ['en_kh', ...] }
+ * @returns {Promise<Object>} The report: { generated_at, files, invalid_files,
+ *   counts: { rule: n }, issues: [{ file, type, word, rule, severity, rescrape, path, message }] }
+ */
+async function validateDataset({ dataDir = DATA_DIR, types = Object.values(MODE_DIRS) } = {}) {
+    const report = { generated_at: new Date().toISOString(), files: 0, invalid_files: 0, counts: {}, issues: [] };
+
+    for (const type of types) {
+        const typeDir = path.join(dataDir, type);
+        if (!(await fs.pathExists(typeDir))) continue;
+
+        const files = (await fs.readdir(typeDir)).filter((f) => f.endsWith('.json')).sort();
+        for (const name of files) {
+            const file = `${type}/${name}`;
+            report.files++;
+
+            let entry = null;
+            let issues;
+            try {
+                entry = await fs.readJson(path.join(typeDir, name));
+                issues = checkSchema(entry, ENTRY_SCHEMA).map((e) => ({ rule: 'schema', ...e }));
+            } catch (err) {
+                issues = [{ rule: 'schema', path: '$', message: `is not valid JSON: ${err.message}` }];
+            }
+            if (TYPE_CHECKS.object(entry)) issues.push(...(await contentIssues(entry, type, dataDir)));
+
+            if (issues.length > 0) report.invalid_files++;
+            for (const issue of issues) {
+                report.counts[issue.rule] = (report.counts[issue.rule] || 0) + 1;
+                report.issues.push({
+                    file,
+                    type,
+                    word: entry && typeof entry.word === 'string' ? entry.word : null,
+                    ...issue,
+                    ...RULES[issue.rule]
+                });
+            }
+        }
+    }
+
+    return report;
+}
+
+/**
+ * Words whose issues a fresh scrape can fix, one per file
+ * @returns {Array<Object>} [{ word, mode, type, file, rules }]
+ */
+function rescrapeQueue(report) {
+    const queue = new Map();
+    for (const issue of report.issues) {
+        if (!issue.rescrape || !issue.word) continue;
+        if (!queue.has(issue.file)) {
+            const mode = Number(Object.keys(MODE_DIRS).find((m) => MODE_DIRS[m] === issue.type));
+            queue.set(issue.file, { word: issue.word, mode, type: issue.type, file: issue.file, rules: [] });
+        }
+        const item = queue.get(issue.file);
+        if (!item.rules.includes(issue.rule)) item.rules.push(issue.rule);
+    }
+    return [...queue.values()];
+}
+
+module.exports = { checkSchema, contentIssues, validateDataset, rescrapeQueue, RULES, ENTRY_SCHEMA };
+
+// Command line interface
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name, fallback) => {
+        const i = args.indexOf(name);
+        return i === -1 ? fallback : args[i + 1];
+    };
+    const positional = args.filter((arg, i) => !arg.startsWith('--') && !(args[i - 1] || '').startsWith('--'));
+    const rescrape = positional[0] === 'rescrape';
+    const type = rescrape ? positional[1] : positional[0];
+
+    if (args.includes('--help') || (type && !Object.values(MODE_DIRS).includes(type))) {
+        console.log('Usage:');
+        console.log('  node src/validate.js [type] [--report <file>] [--queue]  - Audit data/, write the report');
+        console.log('  node src/validate.js rescrape [type]                     - Scrape the queued entries again');
+        console.log('\nTypes: en_kh, kh_kh, kh_en');
+        console.log(`--queue writes the entries a re-scrape can fix to ${path.relative(process.cwd(), QUEUE_FILE)}`);
+        process.exit(type ? 1 : 0);
+    }
+
+    (async () => {
+        if (rescrape) {
+            const DictionaryScraper = require('./scraper');
+            const queue = (await fs.pathExists(QUEUE_FILE)) ? await fs.readJson(QUEUE_FILE) : [];
+            const selected = queue.filter((item) => !type || item.type === type);
+            const scraper = new DictionaryScraper();
+            await scraper.init();
+
+            const done = new Set();
+            await Promise.all(selected.map(async (item) => {
+                const result = await scraper.scrapeWord(item.word, item.mode, { force: true });
+                if (result) done.add(item);
+            }));
+            await scraper.close();
+
+            await fs.writeJson(QUEUE_FILE, queue.filter((item) => !done.has(item)), { spaces: 2 });
+            console.log(`Re-scraped ${done.size} of ${selected.length} queued entries; run the validator again to check them.`);
+            return;
+        }
+
+        const report = await validateDataset({ types: type ? [type] : undefined });
+        const reportFile = option('--report', REPORT_FILE);
+        await fs.writeJson(reportFile, report, { spaces: 2 });
+
+        console.log('=== Validation Summary ===');
+        console.log(`Files checked: ${report.files}`);
+        console.log(`Files with issues: ${report.invalid_files}`);
+        Object.entries(report.counts).forEach(([rule, count]) => {
+            console.log(`  ${rule} (${RULES[rule].severity}): ${count}`);
+        });
+        console.log(`Report: ${reportFile}`);
+
+        if (args.includes('--queue')) {
+            const queue = rescrapeQueue(report);
+            await fs.writeJson(QUEUE_FILE, queue, { spaces: 2 });
+            console.log(`Queued ${queue.length} entries for re-scraping: node src/validate.js rescrape`);
+        }
+        if (report.issues.some((issue) => issue.severity === 'error')) process.exitCode = 1;
+    })().catch((err) => {
+        console.error('Validation failed:', err);
+        process.exit(1);
+    });
+}
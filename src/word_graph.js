@@ -0,0 +1,68 @@
+/**
+ * Breadth-first walks over the relation graph (synonyms, antonyms and similar
+ * words resolved to word IDs by convert_to_sqlite.js).
+ *
+ * The graph is read through a `neighbours(ids)` callback that returns the
+ * edges touching those words as [{ from_id, to_id, kind }], so the walks load
+ * one level at a time instead of the whole graph.
+ */
+
+/**
+ * Every word within `hops` relations of the start word
+ * @param {number} startId - Word to start from
+ * @param {number} hops - Maximum number of relations to follow
+ * @param {Function} neighbours - async (ids) => [{ from_id, to_id, kind }]
+ * @returns {Promise<Array>} [{ id, distance, kind }] by distance; kind is the
+ *   relation that first reached the word
+ */
+async function reachable(startId, hops, neighbours) {
+    const seen = new Map([[startId, { id: startId, distance: 0, kind: null }]]);
+    let frontier = [startId];
+
+    for (let distance = 1; distance <= hops && frontier.length > 0; distance++) {
+        const next = [];
+        for (const edge of await neighbours(frontier)) {
+            if (seen.has(edge.to_id)) continue;
+            seen.set(edge.to_id, { id: edge.to_id, distance, kind: edge.kind });
+            next.push(edge.to_id);
+        }
+        frontier = next;
+    }
+
+    seen.delete(startId);
+    return [...seen.values()];
+}
+
+/**
+ * Shortest chain of relations from one word to another
+ * @param {number} fromId - First word
+ * @param {number} toId - Last word
+ * @param {number} maxHops - Give up after this many relations
+ * @param {Function} neighbours - async (ids) => [{ from_id, to_id, kind }]
+ * @returns {Promise<Array|null>} [{ id, kind }] from fromId to toId, where kind
+ *   is the relation leading to that word (null for the first); null if none
+ */
+async function shortestPath(fromId, toId, maxHops, neighbours) {
+    const previous = new Map([[fromId, null]]);
+    let frontier = [fromId];
+
+    for (let hop = 1; hop <= maxHops && frontier.length > 0 && !previous.has(toId); hop++) {
+        const next = [];
+        for (const edge of await neighbours(frontier)) {
+            if (previous.has(edge.to_id)) continue;
+            previous.set(edge.to_id, edge);
+            next.push(edge.to_id);
+        }
+        frontier = next;
+    }
+
+    if (!previous.has(toId)) return null;
+    const path = [];
+    for (let id = toId; id !== fromId; id = previous.get(id).from_id) {
+        path.unshift({ id, kind: previous.get(id).kind });
+    }
+    path.unshift({ id: fromId, kind: null });
+    return path;
+}
+
+module.exports = { reachable, shortestPath };
@@ -0,0 +1,73 @@
+const axios = require('axios');
+const fs = require('fs-extra');
+const { WORKER_FILE, TOKEN_HEADER } = require('./control');
+
+/**
+ * Client for the batch worker's control channel (see src/control.js).
+ *
+ * Usage: node src/workerctl.js <status|pause|resume|stop>
+ */
+const COMMANDS = {
+    status: 'GET',
+    pause: 'POST',
+    resume: 'POST',
+    stop: 'POST'
+};
+
+async function sendCommand(command) {
+    if (!(await fs.pathExists(WORKER_FILE))) {
+        throw new Error('No worker is running (worker.json not found).');
+    }
+    const { port, pid, token } = await fs.readJson(WORKER_FILE);
+
+    try {
+        const { data } = await axios({
+            method: COMMANDS[command],
+            url: `http://127.0.0.1:${port}/${command}`,
+            headers: { [TOKEN_HEADER]: token },
+            timeout: 5000
+        });
+        return data;
+    } catch (err) {
+        if (err.code === 'ECONNREFUSED') {
+            throw new Error(`Worker ${pid} is not answering on port ${port}; worker.json may be stale.`);
+        }
+        throw err;
+    }
+}
+
+function printStatus(status) {
+    console.log('\n=== Batch Worker ===');
+    console.log(`PID: ${status.pid} (${status.state}, up ${status.uptime_seconds}s)`);
+    console.log(`Mode: ${status.mode || '-'}`);
+    console.log(`Prefix: ${status.prefix || '-'}`);
+    console.log(`In progress: ${status.current_words.join(', ') || '-'}`);
+    console.log(`Words scraped: ${status.words_scraped}`);
+    console.log(`Errors: ${status.errors}${status.last_error ? ` (last: ${status.last_error})` : ''}`);
+    console.log(`Rate: ${status.words_per_minute} words/min`);
+}
+
+module.exports = { sendCommand };
+
+if (require.main === module) {
+    const command = process.argv[2];
+
+    if (!COMMANDS[command]) {
+        console.log('Usage:');
+        console.log('  node src/workerctl.js status  - Show what the worker is doing');
+        console.log('  node src/workerctl.js pause   - Stop starting new words');
+        console.log('  node src/workerctl.js resume  - Continue after a pause');
+        console.log('  node src/workerctl.js stop    - Finish the current words and exit');
+        process.exit(0);
+    }
+
+    sendCommand(command)
+        .then((status) => {
+            if (command !== 'status') console.log(`Sent "${command}".`);
+            printStatus(status);
+        })
+        .catch((err) => {
+            console.error(err.message);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,92 @@
+const { escapeXml } = require('./xml');
+const { examples, translations } = require('./render_entry');
+
+/**
+ * XDXF documents (https://github.com/soshial/xdxf_makedict), the XML
+ * dictionary format GoldenDict and other readers import, in the "logical"
+ * layout where senses, examples and relations are tagged rather than
+ * formatted. The structure is pinned down by xdxf.dtd.
+ *
+ * Every article ends with a <co> comment linking the page it was scraped from.
+ */
+
+// XDXF names languages by ISO 639-3 code
+const LANG_CODES = { en: 'ENG', km: 'KHM' };
+const RELATIONS = [['synonyms', 'syn'], ['antonyms', 'ant'], ['similar_words', 'rel']];
+
+/**
+ * One <ar> (article)
+ * @param {Object} entry - The entry JSON plus source_url and saved_at, see tei.js
+ * @param {Object} options - { from: headword language, to: definition language }
+ * @returns {string}
+ */
+function xdxfArticle(entry, { from, to }) {
+    const definitions = entry.definitions || [];
+    const lines = ['<ar>', `  <k>${escapeXml(entry.word.trim())}</k>`];
+    for (const pron of new Set(definitions.map((def) => (def.pronunciation || '').trim()).filter(Boolean))) {
+        lines.push(`  <tr>${escapeXml(pron)}</tr>`);
+    }
+    lines.push('  <def>');
+
+    for (const def of definitions) {
+        lines.push('    <def>');
+        if (def.pos) lines.push(`      <gr>${escapeXml(def.pos)}</gr>`);
+        if ((def.origin || []).length > 0) lines.push(`      <etm>${escapeXml(def.origin.join(' '))}</etm>`);
+        const text = from === to ? (def.definition_text || '').trim() : translations(def, to).join('; ');
+        if (text) lines.push(`      <deftext>${escapeXml(text)}</deftext>`);
+        for (const example of examples(def)) {
+            lines.push(`      <ex type="exm"><ex_orig>${escapeXml(example.trim())}</ex_orig></ex>`);
+        }
+        const image = def.khmer_image_url || def.local_image_path;
+        if (image) lines.push(`      <iref href="${escapeXml(image)}">Khmer translation (image)</iref>`);
+        lines.push('    </def>');
+    }
+
+    const sound = entry.sound_url || entry.local_sound_path;
+    if (sound) lines.push(`    <iref href="${escapeXml(sound)}">Pronunciation</iref>`);
+
+    const refs = RELATIONS.flatMap(([key, type]) => [...new Set((entry[key] || []).map((w) => w.trim()).filter(Boolean))]
+        .map((word) => `<kref type="${type}">${escapeXml(word)}</kref>`));
+    if (refs.length > 0) lines.push(`    <sr>${refs.join('')}</sr>`);
+
+    const source = escapeXml(entry.source_url);
+    const saved = entry.saved_at ? `, saved ${escapeXml(entry.saved_at.slice(0, 10))}` : '';
+    lines.push(`    <co>Source: <iref href="${source}">${source}</iref>${saved}</co>`);
+    lines.push('  </def>', '</ar>');
+    return lines.map((line) => `    ${line}`).join('\n');
+}
+
+/**
+ * A whole XDXF document
+ * @param {Object} options
+ * @param {string} options.title - Title of the dictionary
+ * @param {string} options.description - One line about where the data comes from
+ * @param {string} options.source - URL of the site it was scraped from
+ * @param {string} options.from - Headword language ('en' or 'km')
+ * @param {string} options.to - Definition language
+ * @param {Array<Object>} options.entries - Entries with provenance, see xdxfArticle()
+ * @returns {string}
+ */
+function xdxfDocument({ title, description, source, from, to, entries }) {
+    const [year, month, day] = new Date().toISOString().slice(0, 10).split('-');
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<xdxf lang_from="${LANG_CODES[from]}" lang_to="${LANG_CODES[to]}" format="logical" revision="034">`,
+        '  <meta_info>',
+        `    <languages><from xml:lang="${LANG_CODES[from]}"/><to xml:lang="${LANG_CODES[to]}"/></languages>`,
+        `    <title>${escapeXml(title)}</title>`,
+        `    <full_title>${escapeXml(title)}</full_title>`,
+        `    <description>${escapeXml(description)}</description>`,
+        '    <file_ver>001</file_ver>',
+        `    <creation_date>${day}-${month}-${year}</creation_date>`,
+        `    <dict_src_url>${escapeXml(source)}</dict_src_url>`,
+        '  </meta_info>',
+        '  <lexicon>',
+        ...entries.map((entry) => xdxfArticle(entry, { from, to })),
+        '  </lexicon>',
+        '</xdxf>',
+        ''
+    ].join('\n');
+}
+
+module.exports = { xdxfArticle, xdxfDocument, LANG_CODES };
@@ -0,0 +1,211 @@
+const fs = require('fs-extra');
+
+/**
+ * XML helpers for the TEI Lex-0 and XDXF exporters: escaping, and a small
+ * validating reader for the structure checks in src/ (tei_lex0.dtd,
+ * xdxf.dtd: our own DTDs, not the official TEI Lex-0 and XDXF schemas).
+ *
+ * The reader understands what the exporters write: elements, attributes,
+ * text, comments and the XML declaration. It checks well-formedness, that
+ * every element and attribute is declared, child order against the content
+ * models, required/enumerated/#FIXED attributes and unique IDs. It does not
+ * read internal DTD subsets, CDATA sections or custom entities.
+ */
+
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+
+// Characters XML 1.0 does not allow at all, even escaped
+const INVALID_CHAR = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/;
+
+/**
+ * Text or a double-quoted attribute value, with characters XML can't hold removed
+ */
+function escapeXml(text) {
+    return String(text).replace(new RegExp(INVALID_CHAR, 'g'), '').replace(/[&<>"]/g, (c) => XML_ESCAPES[c]);
+}
+
+const NAME = '[A-Za-z_][\\w.:-]*';
+const TOKEN = new RegExp(
+    `<\\?[\\s\\S]*?\\?>|<!--[\\s\\S]*?-->|<!DOCTYPE[^>]*>|<\\/(${NAME})\\s*>|<(${NAME})((?:\\s+${NAME}\\s*=\\s*(?:"[^"<]*"|'[^'<]*'))*)\\s*(\\/?)>|[^<]+`,
+    'y'
+);
+const ATTRIBUTE = new RegExp(`(${NAME})\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'g');
+const BAD_ENTITY = /&(?!(?:amp|lt|gt|quot|apos|#[0-9]+|#x[0-9a-fA-F]+);)/;
+const ID_VALUE = /^[A-Za-z_][\w.-]*$/;
+
+/**
+ * Turn a children content model such as "(form, sense*, (xr|note)?)" into
+ * a regex over the child names, each followed by a space
+ */
+function modelPattern(model) {
+    const source = model
+        .replace(/\s+/g, '')
+        .replace(new RegExp(NAME, 'g'), (name) => `(?:${name.replace(/\./g, '\\.')} )`)
+        .replace(/,/g, '');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Read the <!ELEMENT> and <!ATTLIST> declarations of a DTD
+ * @param {string} text - The DTD
+ * @returns {Object} { root: first declared element, elements: Map, attributes: Map }
+ */
+function parseDtd(text) {
+    const dtd = { root: null, elements: new Map(), attributes: new Map() };
+    const source = text.replace(/<!--[\s\S]*?-->/g, '');
+
+    for (const [, name, model] of source.matchAll(/<!ELEMENT\s+(\S+)\s+([\s\S]*?)>/g)) {
+        const content = model.trim();
+        let element;
+        if (content === 'EMPTY' || content === 'ANY') {
+            element = { kind: content };
+        } else if (content.includes('#PCDATA')) {
+            const children = content.replace('#PCDATA', '').match(new RegExp(NAME, 'g')) || [];
+            element = { kind: 'mixed', children: new Set(children) };
+        } else {
+            element = { kind: 'children', pattern: modelPattern(content), model: content };
+        }
+        dtd.elements.set(name, element);
+        dtd.root = dtd.root || name;
+        if (!dtd.attributes.has(name)) dtd.attributes.set(name, new Map());
+    }
+
+    const definition = /(\S+)\s+(\([^)]*\)|CDATA|ID|IDREF|NMTOKEN)\s+(#REQUIRED|#IMPLIED|#FIXED\s+"[^"]*"|"[^"]*")/g;
+    for (const [, name, list] of source.matchAll(/<!ATTLIST\s+(\S+)\s+([\s\S]*?)>/g)) {
+        const attributes = dtd.attributes.get(name) || new Map();
+        for (const [, attribute, type, presence] of list.matchAll(definition)) {
+            attributes.set(attribute, {
+                type: type.startsWith('(') ? 'enum' : type,
+                values: type.startsWith('(') ? type.slice(1, -1).split('|').map((v) => v.trim()) : null,
+                required: presence === '#REQUIRED',
+                fixed: presence.startsWith('#FIXED') ? presence.match(/"([^"]*)"/)[1] : null
+            });
+        }
+        dtd.attributes.set(name, attributes);
+    }
+    return dtd;
+}
+
+async function loadDtd(file) {
+    return parseDtd(await fs.readFile(file, 'utf8'));
+}
+
+function countLines(text) {
+    let lines = 0;
+    for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) lines++;
+    return lines;
+}
+
+/**
+ * Check an XML document against a DTD
+ * @param {string} xml - The document
+ * @param {Object} dtd - parseDtd() result
+ * @param {Object} options - { maxErrors: stop after this many }
+ * @returns {Array<Object>} [{ line, message }], empty when the document is valid
+ */
+function validateXml(xml, dtd, { maxErrors = 100 } = {}) {
+    const errors = [];
+    const stack = [];
+    const ids = new Set();
+    let line = 1;
+    let seenRoot = false;
+    const error = (message) => errors.push({ line, message });
+
+    const checkAttributes = (name, raw) => {
+        const declared = dtd.attributes.get(name) || new Map();
+        const seen = new Map();
+        for (const [, attribute, double, single] of raw.matchAll(ATTRIBUTE)) {
+            const value = double !== undefined ? double : single;
+            if (seen.has(attribute)) error(`<${name}> repeats attribute ${attribute}`);
+            seen.set(attribute, value);
+            if (BAD_ENTITY.test(value)) error(`Unescaped & in ${name}/@${attribute}`);
+            const rule = declared.get(attribute);
+            if (!rule) {
+                error(`<${name}> has undeclared attribute ${attribute}`);
+            } else if (rule.values && !rule.values.includes(value)) {
+                error(`${name}/@${attribute}="${value}" is not one of ${rule.values.join(', ')}`);
+            } else if (rule.fixed !== null && value !== rule.fixed) {
+                error(`${name}/@${attribute} must be "${rule.fixed}"`);
+            } else if (rule.type === 'ID') {
+                if (!ID_VALUE.test(value)) error(`${name}/@${attribute}="${value}" is not a valid ID`);
+                else if (ids.has(value)) error(`Duplicate ID "${value}"`);
+                ids.add(value);
+            }
+        }
+        for (const [attribute, rule] of declared) {
+            if (rule.required && !seen.has(attribute)) error(`<${name}> is missing required attribute ${attribute}`);
+        }
+    };
+
+    const open = (name, attributes) => {
+        const parent = stack[stack.length - 1];
+        if (parent) {
+            parent.children += `${name} `;
+            const model = dtd.elements.get(parent.name);
+            if (model && model.kind === 'mixed' && !model.children.has(name)) error(`<${name}> is not allowed in <${parent.name}>`);
+            if (model && model.kind === 'EMPTY') error(`<${parent.name}> must be empty`);
+        } else if (seenRoot) {
+            error(`Second root element <${name}>`);
+        } else if (name !== dtd.root) {
+            error(`Root element is <${name}>, expected <${dtd.root}>`);
+        }
+        seenRoot = true;
+        if (!dtd.elements.has(name)) error(`<${name}> is not declared`);
+        checkAttributes(name, attributes);
+        stack.push({ name, children: '' });
+    };
+
+    const close = () => {
+        const { name, children } = stack.pop();
+        const model = dtd.elements.get(name);
+        if (model && model.kind === 'children' && !model.pattern.test(children)) {
+            error(`<${name}> content (${children.trim().split(' ').join(', ') || 'empty'}) does not match ${model.model}`);
+        }
+    };
+
+    TOKEN.lastIndex = 0;
+    while (TOKEN.lastIndex < xml.length && errors.length < maxErrors) {
+        const start = TOKEN.lastIndex;
+        const match = TOKEN.exec(xml);
+        if (!match) {
+            error('Malformed markup');
+            break;
+        }
+        const [token, endName, startName, attributes, selfClosing] = match;
+        let counted = 0;
+
+        if (startName) {
+            open(startName, attributes);
+            if (selfClosing) close();
+        } else if (endName) {
+            const current = stack[stack.length - 1];
+            if (!current || current.name !== endName) {
+                error(`Unexpected </${endName}>${current ? `, <${current.name}> is open` : ''}`);
+                break;
+            }
+            close();
+        } else if (!token.startsWith('<')) {
+            // Report text errors on the line where the text starts
+            counted = token.length - token.trimStart().length;
+            line += countLines(token.slice(0, counted));
+            const parent = stack[stack.length - 1];
+            if (BAD_ENTITY.test(token)) error('Unescaped &');
+            if (INVALID_CHAR.test(token)) error('Character not allowed in XML');
+            if (token.trim()) {
+                const model = parent && dtd.elements.get(parent.name);
+                if (!parent) error('Text outside the root element');
+                else if (model && model.kind !== 'mixed' && model.kind !== 'ANY') error(`<${parent.name}> can't contain text`);
+            }
+        } else if (token.startsWith('<?xml') && start > 0) {
+            error('XML declaration is not at the start');
+        }
+
+        line += countLines(counted ? token.slice(counted) : token);
+    }
+
+    if (errors.length === 0 && stack.length > 0) error(`<${stack[stack.length - 1].name}> is not closed`);
+    if (errors.length === 0 && !seenRoot) error('No root element');
+    return errors.slice(0, maxErrors);
+}
+
+module.exports = { escapeXml, parseDtd, loadDtd, validateXml };
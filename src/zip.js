@@ -0,0 +1,203 @@
+const fs = require('fs-extra');
+const zlib = require('zlib');
+
+/**
+ * Minimal zip writer and reader: enough for Anki .apkg packages and
+ * database patches. Entries are streamed to the file one by one; only the
+ * central directory is kept in memory. Already-compressed media (PNG, MP3)
+ * is stored, the rest deflated.
+ *
+ * An archive with 65535 or more files (the English-Khmer deck's media
+ * alone is more), or whose central directory starts past 4 GB, gets zip64
+ * end records, and entries past 4 GB a zip64 offset. A single file must
+ * still be under 4 GB.
+ */
+
+// Beyond these the classic fields hold 0xffff / 0xffffffff and zip64 records the value
+const MAX_ENTRIES = 0xffff;
+const MAX_OFFSET = 0xffffffff;
+
+// MS-DOS date and time of a Date, as zip headers store them
+function dosTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+class ZipWriter {
+    /**
+     * @param {string} file - The zip file to create
+     */
+    constructor(file) {
+        this.file = file;
+        this.out = fs.createWriteStream(file);
+        this.finished = new Promise((resolve, reject) => {
+            this.out.on('finish', resolve);
+            this.out.on('error', reject);
+        });
+        this.offset = 0;
+        this.central = [];
+        this.names = new Set();
+    }
+
+    write(chunk) {
+        this.offset += chunk.length;
+        return this.out.write(chunk) ? Promise.resolve() : new Promise((resolve) => this.out.once('drain', resolve));
+    }
+
+    /**
+     * Add one file
+     * @param {string} name - Path inside the archive
+     * @param {Buffer} data - Its content
+     * @param {Object} options - { compress: deflate (true) or store }
+     */
+    async add(name, data, { compress = true } = {}) {
+        if (this.names.has(name)) throw new Error(`Duplicate zip entry: ${name}`);
+        if (data.length >= MAX_OFFSET) throw new Error(`${name} is over 4 GB`);
+        this.names.add(name);
+
+        const deflated = compress ? zlib.deflateRawSync(data) : null;
+        // Keep the smaller of the two, e.g. a tiny file can grow when deflated
+        const body = deflated && deflated.length < data.length ? deflated : data;
+        const method = body === data ? 0 : 8;
+        const fileName = Buffer.from(name, 'utf8');
+        const crc = zlib.crc32(data);
+        const { time, day } = dosTime(new Date());
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4); // version needed: 2.0
+        header.writeUInt16LE(0x0800, 6); // names are UTF-8
+        header.writeUInt16LE(method, 8);
+        header.writeUInt16LE(time, 10);
+        header.writeUInt16LE(day, 12);
+        header.writeUInt32LE(crc, 14);
+        header.writeUInt32LE(body.length, 18);
+        header.writeUInt32LE(data.length, 22);
+        header.writeUInt16LE(fileName.length, 26);
+        header.writeUInt16LE(0, 28);
+
+        const zip64 = this.offset >= MAX_OFFSET;
+        const entry = Buffer.alloc(46);
+        entry.writeUInt32LE(0x02014b50, 0);
+        entry.writeUInt16LE(zip64 ? 45 : 20, 4); // made by
+        header.copy(entry, 6, 4, 30); // version needed .. name length
+        // comment length, disk, attributes stay 0
+        if (zip64) {
+            entry.writeUInt16LE(45, 6); // version needed: 4.5, zip64
+            entry.writeUInt16LE(12, 30);
+            entry.writeUInt32LE(MAX_OFFSET, 42);
+            // Zip64 extra field holding just the offset
+            const extra = Buffer.alloc(12);
+            extra.writeUInt16LE(0x0001, 0);
+            extra.writeUInt16LE(8, 2);
+            extra.writeBigUInt64LE(BigInt(this.offset), 4);
+            this.central.push(Buffer.concat([entry, fileName, extra]));
+        } else {
+            entry.writeUInt32LE(this.offset, 42);
+            this.central.push(Buffer.concat([entry, fileName]));
+        }
+
+        await this.write(header);
+        await this.write(fileName);
+        await this.write(body);
+    }
+
+    /**
+     * Write the central directory and close the file
+     * @returns {Promise<number>} Number of files in the archive
+     */
+    async close() {
+        const start = this.offset;
+        const count = this.central.length;
+        const directory = Buffer.concat(this.central);
+        await this.write(directory);
+
+        const zip64 = count >= MAX_ENTRIES || start >= MAX_OFFSET || directory.length >= MAX_OFFSET;
+        if (zip64) {
+            const record = Buffer.alloc(56);
+            record.writeUInt32LE(0x06064b50, 0);
+            record.writeBigUInt64LE(44n, 4); // size of the rest of the record
+            record.writeUInt16LE(45, 12); // made by
+            record.writeUInt16LE(45, 14); // version needed
+            // disk numbers stay 0
+            record.writeBigUInt64LE(BigInt(count), 24);
+            record.writeBigUInt64LE(BigInt(count), 32);
+            record.writeBigUInt64LE(BigInt(directory.length), 40);
+            record.writeBigUInt64LE(BigInt(start), 48);
+
+            const locator = Buffer.alloc(20);
+            locator.writeUInt32LE(0x07064b50, 0);
+            locator.writeBigUInt64LE(BigInt(this.offset), 8);
+            locator.writeUInt32LE(1, 16); // total disks
+            await this.write(Buffer.concat([record, locator]));
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(Math.min(count, MAX_ENTRIES), 8);
+        end.writeUInt16LE(Math.min(count, MAX_ENTRIES), 10);
+        end.writeUInt32LE(Math.min(directory.length, MAX_OFFSET), 12);
+        end.writeUInt32LE(Math.min(start, MAX_OFFSET), 16);
+        this.out.end(end);
+        await this.finished;
+        return this.central.length;
+    }
+}
+
+/**
+ * The zip64 offset in a central directory entry's extra fields
+ */
+function zip64Offset(buf, at, length) {
+    for (let i = at; i + 4 <= at + length; i += 4 + buf.readUInt16LE(i + 2)) {
+        // ZipWriter only moves the offset there, so it is the field's first value
+        if (buf.readUInt16LE(i) === 0x0001) return Number(buf.readBigUInt64LE(i + 4));
+    }
+    return null;
+}
+
+/**
+ * Read every file of a zip written by ZipWriter (stored or deflated)
+ * @param {string} file - The zip file
+ * @returns {Promise<Map<string, Buffer>>} Name -> content
+ */
+async function readZip(file) {
+    const buf = await fs.readFile(file);
+    // The end of central directory record; ZipWriter writes no comment after it
+    const end = buf.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    if (end < 0) throw new Error(`${file} is not a zip file`);
+
+    const files = new Map();
+    let count = buf.readUInt16LE(end + 10);
+    let at = buf.readUInt32LE(end + 16);
+    // A zip64 locator right before it points to the zip64 end record
+    if (end >= 20 && buf.readUInt32LE(end - 20) === 0x07064b50) {
+        const record = Number(buf.readBigUInt64LE(end - 12));
+        if (buf.readUInt32LE(record) !== 0x06064b50) throw new Error(`${file}: corrupt zip64 end record`);
+        count = Number(buf.readBigUInt64LE(record + 32));
+        at = Number(buf.readBigUInt64LE(record + 48));
+    }
+    for (let i = 0; i < count; i++) {
+        if (buf.readUInt32LE(at) !== 0x02014b50) throw new Error(`${file}: corrupt central directory`);
+        const method = buf.readUInt16LE(at + 10);
+        const crc = buf.readUInt32LE(at + 16);
+        const size = buf.readUInt32LE(at + 20);
+        const nameLength = buf.readUInt16LE(at + 28);
+        const extraLength = buf.readUInt16LE(at + 30);
+        const name = buf.toString('utf8', at + 46, at + 46 + nameLength);
+        let offset = buf.readUInt32LE(at + 42);
+        if (offset === MAX_OFFSET) offset = zip64Offset(buf, at + 46 + nameLength, extraLength);
+        if (offset === null) throw new Error(`${file}: ${name} has no zip64 offset`);
+        at += 46 + nameLength + extraLength + buf.readUInt16LE(at + 32);
+
+        const start = offset + 30 + buf.readUInt16LE(offset + 26) + buf.readUInt16LE(offset + 28);
+        const body = buf.subarray(start, start + size);
+        if (method !== 0 && method !== 8) throw new Error(`${file}: ${name} uses unsupported method ${method}`);
+        const data = method === 8 ? zlib.inflateRawSync(body) : Buffer.from(body);
+        if (zlib.crc32(data) !== crc) throw new Error(`${file}: ${name} fails its CRC check`);
+        files.set(name, data);
+    }
+    return files;
+}
+
+module.exports = { ZipWriter, readZip };
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../src/config');
+const { parseCommandLine } = require('../src/dict');
+
+test('the environment overrides the config file, which overrides the defaults', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dict-config-'));
+    try {
+        const file = path.join(dir, 'dict.config.json');
+        await fs.writeJson(file, { dataDir: 'crawl-data', baseUrl: 'https://mirror.example/', rateLimit: { concurrency: 1 }, crawl: { maxWords: 10 } });
+
+        const config = loadConfig({ file, env: { SCRAPE_CONCURRENCY: '6', DICT_BATCH_MAX_WORDS: '500' }, cwd: '/work' });
+        // Paths in the file are relative to the file, and the database follows the data
+        assert.strictEqual(config.dataDir, path.join(dir, 'crawl-data'));
+        assert.strictEqual(config.dbFile, path.join(dir, 'crawl-data', 'dictionary.db'));
+        assert.strictEqual(config.baseUrl, 'https://mirror.example');
+        assert.deepStrictEqual(config.rateLimit, { concurrency: 6, requestsPerSecond: 2, burst: 1, maxRetries: 4, timeout: 20000 });
+        assert.deepStrictEqual(config.crawl, { depth: 1, maxWords: 10 });
+        assert.strictEqual(config.batch.maxWords, 500);
+        assert.strictEqual(config.sources['rateLimit.concurrency'], 'env');
+        assert.strictEqual(config.sources['crawl.maxWords'], 'file');
+        assert.strictEqual(loadConfig({ file, env: { DICT_DB: 'db/x.db' }, cwd: '/work' }).dbFile, '/work/db/x.db');
+
+        await fs.writeJson(file, { rateLimit: { concurency: 2 }, crawl: { depth: 0 } });
+        assert.throws(
+            () => loadConfig({ file, env: { SCRAPE_RPS: 'fast', DICT_BASE_URL: 'ftp://x' } }),
+            (err) => /unknown setting "rateLimit.concurency"/.test(err.message) &&
+                /crawl.depth must be at least 1/.test(err.message) &&
+                /SCRAPE_RPS: rateLimit.requestsPerSecond must be a number/.test(err.message) &&
+                /DICT_BASE_URL: baseUrl must be an http\(s\) URL/.test(err.message)
+        );
+        assert.throws(() => loadConfig({ file: path.join(dir, 'missing.json'), env: {} }), /missing.json: not found/);
+    } finally {
+        await fs.remove(dir);
+    }
+});
+
+test('a script run directly reports a bad setting without a stack trace', () => {
+    const run = spawnSync(process.execPath, [path.join(__dirname, '..', 'src', 'validate.js')], {
+        env: { ...process.env, SCRAPE_RPS: 'fast' },
+        encoding: 'utf-8',
+        timeout: 30000
+    });
+    assert.strictEqual(run.status, 1);
+    assert.strictEqual(run.stderr, 'validate.js: Invalid configuration:\n  SCRAPE_RPS: rateLimit.requestsPerSecond must be a number, got "fast"\n');
+    // Required as a library, the error is thrown to the caller
+    const load = spawnSync(process.execPath, ['-e', "try { require('./src/config') } catch (err) { console.log(err.message.split('\\n')[0]) }"], {
+        cwd: path.join(__dirname, '..'),
+        env: { ...process.env, SCRAPE_RPS: 'fast' },
+        encoding: 'utf-8',
+        timeout: 30000
+    });
+    assert.strictEqual(load.stdout, 'Invalid configuration:\n');
+});
+
+test('dict checks commands, arguments and flags before running anything', () => {
+    const crawl = parseCommandLine(['crawl', 'happy', '--type', 'en_kh', '--max-words', '5', '--data-dir', '/tmp/d']);
+    assert.strictEqual(crawl.error, null);
+    assert.deepStrictEqual(crawl.positionals, ['happy']);
+    assert.deepStrictEqual(crawl.flags, { type: 'en_kh' });
+    // Settings travel as the variables config.js reads
+    assert.deepStrictEqual(crawl.env, { DICT_CRAWL_MAX_WORDS: '5', DICT_DATA_DIR: '/tmp/d' });
+    assert.deepStrictEqual(parseCommandLine(['batch', 'kh', '--max-words', '100']).env, { DICT_BATCH_MAX_WORDS: '100' });
+
+    const error = (argv) => parseCommandLine(argv).error;
+    assert.match(error(['crawl']), /missing argument/);
+    assert.match(error(['crawl', 'happy', '--type', 'fr_en']), /--type must be one of en_kh, kh_kh, kh_en/);
+    assert.match(error(['crawl', 'happy', '--depth']), /argument missing/);
+    assert.match(error(['batch', 'fr']), /"fr" is not one of en, kh, all/);
+    assert.match(error(['build-db', '--prune', '--fast']), /Unknown option '--fast'/);
+    assert.match(error(['export', 'pdf']), /"pdf" is not one of/);
+    assert.match(error(['query', 'path', 'happy']), /usage: query path <from> <to>/);
+    assert.match(error(['query', 'search', 'happy', '--limit', '0']), /--limit must be a positive whole number/);
+    assert.match(error(['scrape']), /unknown command "scrape"/);
+    assert.strictEqual(error(['query', 'english', 'to', 'pay']), null);
+    assert.strictEqual(parseCommandLine(['export', 'pdf', '--help']).help, true);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { WorkerControl, TOKEN_HEADER } = require('../src/control');
+
+test('control channel reports status and handles pause/resume/stop', async () => {
+    const file = path.join(os.tmpdir(), `worker-${process.pid}.json`);
+    const control = new WorkerControl(file);
+    const port = await control.start(0);
+    const url = (command) => `http://127.0.0.1:${port}/${command}`;
+    const client = axios.create({ headers: { [TOKEN_HEADER]: control.token } });
+
+    try {
+        assert.deepStrictEqual(await fs.readJson(file), {
+            pid: process.pid,
+            port,
+            token: control.token,
+            started_at: control.state.started_at
+        });
+
+        control.update({ mode: 'EN-KH', prefix: 'ab' });
+        control.wordStarted('abandon');
+        control.wordFinished('abandon');
+        control.wordStarted('abase');
+        control.wordFinished('abase', new Error('socket hang up'));
+
+        let { data } = await client.get(url('status'));
+        assert.strictEqual(data.state, 'running');
+        assert.strictEqual(data.prefix, 'ab');
+        assert.strictEqual(data.words_scraped, 1);
+        assert.strictEqual(data.errors, 1);
+        assert.strictEqual(data.words_per_minute, 1);
+
+        ({ data } = await client.post(url('pause')));
+        assert.strictEqual(data.state, 'paused');
+        let resumed = false;
+        const waiting = control.waitIfPaused().then(() => { resumed = true; });
+        await new Promise((r) => setImmediate(r));
+        assert.strictEqual(resumed, false);
+
+        await client.post(url('resume'));
+        await waiting;
+        assert.strictEqual(resumed, true);
+
+        ({ data } = await client.post(url('stop')));
+        assert.strictEqual(data.state, 'stopping');
+        assert.strictEqual(control.stopping, true);
+        control.stopping = false;
+
+        // A page in the browser can reach 127.0.0.1 but doesn't know the token
+        for (const headers of [{}, { [TOKEN_HEADER]: 'guess' }]) {
+            await assert.rejects(axios.post(url('stop'), null, { headers }), (err) => err.response.status === 401);
+        }
+        assert.strictEqual(control.stopping, false);
+
+        await assert.rejects(client.post(url('explode')), (err) => err.response.status === 404);
+    } finally {
+        await control.close();
+    }
+
+    assert.strictEqual(await fs.pathExists(file), false);
+});
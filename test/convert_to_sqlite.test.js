@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { buildDatabase } = require('../src/convert_to_sqlite');
+const SqliteDatabase = require('../src/sqlite');
+
+function entry(word, type, definitions) {
+    return { word, type, definitions, synonyms: [], antonyms: [], similar_words: [] };
+}
+
+// buildDatabase() reports progress on the console
+async function build(options) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return await buildDatabase(options);
+    } finally {
+        console.log = log;
+    }
+}
+
+async function query(dbFile, sql, params = []) {
+    const db = await new SqliteDatabase(dbFile).open();
+    try {
+        return await db.all(sql, params);
+    } finally {
+        await db.close();
+    }
+}
+
+test('builds only rewrite JSON files that changed, and keep favorites and history', async () => {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'build-db-'));
+    const dbFile = path.join(dataDir, 'dictionary.db');
+    const file = (name) => path.join(dataDir, 'en_kh', `${name}.json`);
+    try {
+        await fs.outputJson(file('happy'), entry('happy', 'en_kh', [{ pos: 'adj', example: 'happy to see you' }]));
+        await fs.outputJson(file('sad'), entry('sad', 'en_kh', [{ pos: 'adj', example: 'a sad song' }]));
+        await fs.outputJson(path.join(dataDir, 'kh_en', 'a.json'), entry('ក', 'kh_en', [{ pos: '', example: '', definition_text: 'neck' }]));
+
+        let report = await build({ dataDir, dbFile });
+        assert.deepStrictEqual([report.added, report.updated, report.unchanged], [3, 0, 0]);
+        await query(dbFile, "UPDATE words SET isFavorite = 1 WHERE word = 'happy'");
+        await query(dbFile, "UPDATE words SET isHistory = 1 WHERE word = 'sad'");
+
+        report = await build({ dataDir, dbFile });
+        assert.deepStrictEqual([report.added, report.updated, report.unchanged], [0, 0, 3]);
+
+        // An edit is rewritten; a file only touched is checked by hash and skipped
+        await fs.outputJson(file('happy'), entry('happy', 'en_kh', [{ pos: 'adj', example: 'happy birthday' }]));
+        const later = new Date(Math.floor(Date.now() / 1000) * 1000 + 60000);
+        await fs.utimes(file('sad'), later, later);
+        report = await build({ dataDir, dbFile });
+        assert.deepStrictEqual([report.added, report.updated, report.unchanged], [0, 1, 2]);
+        assert.deepStrictEqual(
+            await query(dbFile, "SELECT d.example FROM definitions d JOIN words w ON w.id = d.word_id WHERE w.word = 'happy'"),
+            [{ example: 'happy birthday' }]
+        );
+        const [{ mtime_ms: mtimeMs }] = await query(dbFile, "SELECT mtime_ms FROM sources WHERE file = 'en_kh/sad.json'");
+        assert.strictEqual(mtimeMs, later.getTime());
+
+        report = await build({ dataDir, dbFile, full: true });
+        assert.deepStrictEqual([report.added, report.updated, report.unchanged], [0, 3, 0]);
+        assert.deepStrictEqual(
+            await query(dbFile, 'SELECT word, isFavorite, isHistory FROM words ORDER BY word'),
+            [
+                { word: 'happy', isFavorite: 1, isHistory: 0 },
+                { word: 'sad', isFavorite: 0, isHistory: 1 },
+                { word: 'ក', isFavorite: 0, isHistory: 0 }
+            ]
+        );
+    } finally {
+        await fs.remove(dataDir);
+    }
+});
+
+test('words whose file is gone stay until --prune, and words with user data stay after it', async () => {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'build-db-'));
+    const dbFile = path.join(dataDir, 'dictionary.db');
+    const file = (name) => path.join(dataDir, 'en_kh', `${name}.json`);
+    try {
+        for (const word of ['happy', 'sad', 'glad']) {
+            await fs.outputJson(file(word), entry(word, 'en_kh', [{ pos: 'adj', example: `${word} days` }]));
+        }
+        await build({ dataDir, dbFile });
+        await query(dbFile, "UPDATE words SET isFavorite = 1 WHERE word = 'sad'");
+        await fs.remove(file('sad'));
+        await fs.remove(file('glad'));
+
+        let report = await build({ dataDir, dbFile });
+        assert.deepStrictEqual([report.removedFiles, report.stale, report.pruned], [2, 2, 0]);
+        assert.strictEqual((await query(dbFile, 'SELECT word FROM words')).length, 3);
+
+        report = await build({ dataDir, dbFile, prune: true });
+        assert.deepStrictEqual([report.removedFiles, report.stale, report.pruned], [0, 2, 1]);
+        assert.deepStrictEqual(await query(dbFile, 'SELECT word FROM words ORDER BY word'), [{ word: 'happy' }, { word: 'sad' }]);
+        // The pruned word's definitions and search row went with it
+        assert.deepStrictEqual(await query(dbFile, "SELECT COUNT(*) AS n FROM definitions WHERE example = 'glad days'"), [{ n: 0 }]);
+        assert.deepStrictEqual(await query(dbFile, "SELECT COUNT(*) AS n FROM words_fts WHERE word = 'glad'"), [{ n: 0 }]);
+    } finally {
+        await fs.remove(dataDir);
+    }
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { dictzip } = require('../src/dictzip');
+const { writeStardict, stardictCompare } = require('../src/stardict');
+const { writeDictd, b64 } = require('../src/dictd');
+const { entryText, entryHtml } = require('../src/render_entry');
+
+async function withDir(fn) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dict-formats-'));
+    try {
+        await fn(dir);
+    } finally {
+        await fs.remove(dir);
+    }
+}
+
+const happy = {
+    word: 'happy',
+    type: 'en_kh',
+    definitions: [{ pos: 'adj', example: 'happy to see you', khmer_image_url: 'http://x/imgukh/1.png', local_image_path: 'images/1.png' }],
+    synonyms: ['glad'],
+    antonyms: [],
+    similar_words: [],
+    sound_url: 'http://x/happy.mp3',
+    local_sound_path: 'sounds/happy.mp3'
+};
+
+test('dictzip chunks can be inflated on their own and gunzip reads the whole file', () => {
+    const data = Buffer.from('abcdefghij'.repeat(1000));
+    const dz = dictzip(data, { name: 'x.dict', chunkSize: 3000 });
+    assert.deepStrictEqual(zlib.gunzipSync(dz), data);
+
+    // RA extra field: version, chunk length, chunk count, compressed sizes
+    assert.strictEqual(dz.toString('latin1', 12, 14), 'RA');
+    const count = dz.readUInt16LE(20);
+    assert.strictEqual(count, 4);
+    const sizes = Array.from({ length: count }, (_, i) => dz.readUInt16LE(22 + 2 * i));
+    const start = 12 + dz.readUInt16LE(10) + 'x.dict\0'.length;
+    const third = start + sizes[0] + sizes[1];
+    const chunk = zlib.inflateRawSync(dz.subarray(third, third + sizes[2]), { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    assert.deepStrictEqual(chunk, data.subarray(6000, 9000));
+});
+
+test('StarDict files are sorted the way readers search them', () => withDir(async (dir) => {
+    assert.ok(stardictCompare(Buffer.from('apple'), Buffer.from('Banana')) < 0);
+    assert.ok(stardictCompare(Buffer.from('Apple'), Buffer.from('apple')) < 0);
+
+    const result = await writeStardict({
+        dir,
+        name: 'test',
+        bookname: 'Test',
+        entries: [
+            { word: 'zebra', body: '<b>z</b>' },
+            { word: 'Apple', body: 'a', synonyms: ['pomme'] },
+            { word: 'banana', body: 'b' }
+        ]
+    });
+    assert.deepStrictEqual(result, { words: 3, synonyms: 1, resources: 0, files: ['test.ifo', 'test.idx', 'test.dict.dz', 'test.syn'] });
+
+    const idx = await fs.readFile(path.join(dir, 'test.idx'));
+    const dict = zlib.gunzipSync(await fs.readFile(path.join(dir, 'test.dict.dz')));
+    const words = [];
+    for (let i = 0; i < idx.length;) {
+        const end = idx.indexOf(0, i);
+        const offset = idx.readUInt32BE(end + 1);
+        const size = idx.readUInt32BE(end + 5);
+        words.push([idx.toString('utf8', i, end), dict.toString('utf8', offset, offset + size)]);
+        i = end + 9;
+    }
+    assert.deepStrictEqual(words, [['Apple', 'a'], ['banana', 'b'], ['zebra', '<b>z</b>']]);
+
+    const syn = await fs.readFile(path.join(dir, 'test.syn'));
+    assert.strictEqual(syn.toString('utf8', 0, 5), 'pomme');
+    assert.strictEqual(syn.readUInt32BE(6), 0);
+
+    const ifo = await fs.readFile(path.join(dir, 'test.ifo'), 'utf8');
+    assert.match(ifo, /^StarDict's dict ifo file\nversion=3\.0\.0\n/);
+    assert.match(ifo, new RegExp(`\nidxfilesize=${idx.length}\n`));
+    assert.match(ifo, /\nsynwordcount=1\n/);
+}));
+
+test('dictd index points at each entry with base64 offsets', () => withDir(async (dir) => {
+    assert.deepStrictEqual([b64(0), b64(63), b64(64), b64(4096)], ['A', '/', 'BA', 'BAA']);
+
+    await writeDictd({ dir, name: 'test', short: 'Test', entries: [{ word: 'happy', body: entryText(happy), synonyms: ['glad'] }] });
+    const dict = zlib.gunzipSync(await fs.readFile(path.join(dir, 'test.dict.dz'))).toString('utf8');
+    const index = (await fs.readFile(path.join(dir, 'test.index'), 'utf8')).trim().split('\n').map((l) => l.split('\t'));
+    assert.deepStrictEqual(index.map(([word]) => word), [
+        '00-database-allchars', '00-database-info', '00-database-short', '00-database-url', '00-database-utf8', 'glad', 'happy'
+    ]);
+
+    const decode = (s) => [...s].reduce((n, c) => n * 64 + 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'.indexOf(c), 0);
+    const [, offset, length] = index.find(([word]) => word === 'happy');
+    assert.strictEqual(dict.slice(decode(offset), decode(offset) + decode(length)), [
+        'happy',
+        '   1. (adj) [Khmer translation image: http://x/imgukh/1.png]',
+        '      e.g. happy to see you',
+        '   Synonyms: glad',
+        '   Pronunciation: http://x/happy.mp3',
+        '',
+        ''
+    ].join('\n'));
+    assert.deepStrictEqual(index.find(([word]) => word === 'glad').slice(1), [offset, length]);
+}));
+
+test('HTML definitions embed media by file name or link it', () => {
+    assert.strictEqual(entryHtml(happy),
+        '<ol><li><i>adj</i> <img src="1.png" alt="happy"><ul><li>happy to see you</li></ul></li></ol>' +
+        '<p><b>Synonyms:</b> <a href="bword://glad">glad</a></p>' +
+        '<p><a href="sound://happy.mp3">&#9654; Pronunciation</a></p>');
+    const linked = entryHtml(happy, { media: false });
+    assert.match(linked, /<a href="http:\/\/x\/imgukh\/1.png">\[Khmer translation image\]<\/a>/);
+    assert.match(linked, /<a href="http:\/\/x\/happy.mp3">/);
+});
+
+test('a sense translated as Khmer text shows the text instead of an image', () => {
+    const glad = {
+        word: 'glad',
+        type: 'en_kh',
+        definitions: [{ pos: 'adj', example: '', khmer_text: 'សប្បាយ', khmer_image_url: 'http://x/imgukh/2.png' }]
+    };
+    assert.strictEqual(entryText(glad), '1. (adj) សប្បាយ');
+    assert.strictEqual(entryHtml(glad, { media: false }), '<ol><li><i>adj</i> សប្បាយ</li></ol>');
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { EntryStore, slugify, entryId } = require('../src/entry_store');
+const { logger, LogWriter } = require('../src/logger');
+
+// Failed manifest writes are logged; keep them out of the repository's logs/
+const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'entry-store-logs-'));
+logger.writer.moveTo(logDir);
+test.after(async () => {
+    await logger.close();
+    await fs.remove(logDir);
+});
+
+async function withDataDir(fn) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'scrape-data-'));
+    try {
+        for (const sub of ['en_kh', 'kh_kh', 'kh_en']) await fs.ensureDir(path.join(dir, sub));
+        await fn(dir);
+    } finally {
+        await fs.remove(dir);
+    }
+}
+
+const entry = (word, extra = {}) => ({ word, type: 'en_kh', definitions: [], ...extra });
+
+test('slugify reproduces the old filenames, which collide', () => {
+    assert.strictEqual(slugify('A-bomb'), 'a_bomb');
+    assert.strictEqual(slugify('a bomb'), 'a_bomb');
+    assert.strictEqual(slugify('a (bomb)'), 'a');
+    assert.strictEqual(slugify('ផល --'), 'ផល');
+    assert.strictEqual(entryId('A-bomb', 1), entryId(' A-bomb ', 1));
+    assert.notStrictEqual(entryId('A-bomb', 1), entryId('a bomb', 1));
+});
+
+test('colliding headwords get their own files and are found by exact word', () => withDataDir(async (dir) => {
+    const store = await new EntryStore(dir).load();
+
+    const first = await store.put('A-bomb', 1, entry('A-bomb'));
+    const second = await store.put('a bomb', 1, entry('a bomb'));
+    assert.strictEqual(first.file, 'a_bomb.json');
+    assert.strictEqual(second.file, `a_bomb-${entryId('a bomb', 1)}.json`);
+
+    assert.strictEqual((await store.get('a bomb', 1)).word, 'a bomb');
+    assert.strictEqual((await store.get('A-bomb', 1)).word, 'A-bomb');
+    assert.strictEqual(await store.get('a-bombs', 1), null);
+    assert.strictEqual(await store.get('A-bomb', 3), null);
+
+    // Case variants are headwords of their own, with the same identity as their IDs
+    assert.strictEqual((await store.get(' A-bomb ', 1)).word, 'A-bomb');
+    assert.strictEqual(await store.get('a-bomb', 1), null);
+    const variant = await store.put('a-bomb', 1, entry('a-bomb'));
+    assert.strictEqual(variant.id, entryId('a-bomb', 1));
+    assert.strictEqual(variant.file, `a_bomb-${variant.id}.json`);
+    assert.strictEqual((await store.get('A-bomb', 1)).word, 'A-bomb');
+
+    // The manifest survives a reload
+    await store.writing;
+    const reloaded = await new EntryStore(dir).load();
+    assert.strictEqual(reloaded.find('a bomb', 1).file, second.file);
+}));
+
+test('a missing manifest is rebuilt from the words stored in the files', () => withDataDir(async (dir) => {
+    await fs.writeJson(path.join(dir, 'en_kh', 'drug_store.json'), entry('drug store', {
+        similar_words: ['drug-store', 'Drug Store', 'drugstore']
+    }));
+
+    const store = await new EntryStore(dir).load();
+    assert.strictEqual(store.find('drug store', 1).id, entryId('drug store', 1));
+    assert.ok(await fs.pathExists(path.join(dir, 'manifest.json')));
+
+    // "drug-store" and "Drug Store" were never saved because drug_store.json already
+    // held "drug store"; the unrelated word is not a collision
+    const lost = await store.collisions(1, ['drug-store']);
+    assert.deepStrictEqual(lost, [
+        { mode: 1, word: 'Drug Store', file: 'drug_store.json', stored_word: 'drug store' },
+        { mode: 1, word: 'drug-store', file: 'drug_store.json', stored_word: 'drug store' }
+    ]);
+
+    await store.put('drug-store', 1, entry('drug-store'));
+    await store.put('Drug Store', 1, entry('Drug Store'));
+    assert.deepStrictEqual(await store.collisions(1), []);
+}));
+
+test('a rebuild keeps case variants apart and reports repeated words, and a failed manifest write is logged', () => withDataDir(async (dir) => {
+    await fs.writeJson(path.join(dir, 'en_kh', 'happy.json'), entry('happy'));
+    await fs.writeJson(path.join(dir, 'en_kh', 'happy-2.json'), entry('Happy'));
+    await fs.writeJson(path.join(dir, 'en_kh', 'happy-3.json'), entry('happy'));
+
+    const store = new EntryStore(dir);
+    const duplicates = await store.rebuild();
+    // Files are indexed in name order, so happy-3.json claims "happy" before happy.json
+    assert.deepStrictEqual(duplicates, [{ mode: 1, word: 'happy', file: 'happy.json' }]);
+    assert.strictEqual(store.find('Happy', 1).file, 'happy-2.json');
+    assert.strictEqual(store.find('happy', 1).file, 'happy-3.json');
+    assert.deepStrictEqual(Object.keys(store.entries), ['1:Happy', '1:happy']);
+
+    store.file = path.join(dir, 'missing', 'manifest.json');
+    const error = console.error;
+    console.error = () => {};
+    try {
+        await store.save();
+    } finally {
+        console.error = error;
+    }
+    await logger.close();
+    const [log] = LogWriter.files(logDir);
+    const lines = (await fs.readFile(path.join(logDir, log), 'utf-8')).trim().split('\n').map((line) => JSON.parse(line));
+    const failed = lines.find((line) => line.component === 'entries');
+    assert.strictEqual(failed.level, 'error');
+    assert.strictEqual(failed.file, store.file);
+    assert.match(failed.msg, /^Failed to save .*manifest.json: ENOENT/);
+}));
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const FailedWords = require('../src/failed_words');
+const { logger, LogWriter } = require('../src/logger');
+
+// Failed writes are logged; keep them out of the repository's logs/
+const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'failed-words-logs-'));
+logger.writer.moveTo(logDir);
+test.after(async () => {
+    await logger.close();
+    await fs.remove(logDir);
+});
+
+test('failures are counted per word and saved, and a failed save is logged', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'failed-words-'));
+    try {
+        const failures = new FailedWords(path.join(dir, 'failed_words.json'));
+        await failures.record(' happy ', 1, Object.assign(new Error('timeout'), { attempts: 5 }));
+        await failures.record('happy', 1, new Error('socket hang up'));
+        const [saved] = Object.values(await fs.readJson(failures.file));
+        assert.deepStrictEqual([saved.word, saved.failures, saved.attempts, saved.last_error], ['happy', 2, 1, 'socket hang up']);
+        await failures.clear('happy', 1);
+        assert.deepStrictEqual(await fs.readJson(failures.file), {});
+
+        failures.file = path.join(dir, 'missing', 'failed_words.json');
+        const error = console.error;
+        console.error = () => {};
+        try {
+            await failures.record('sad', 1, new Error('timeout'));
+        } finally {
+            console.error = error;
+        }
+        await logger.close();
+        const [log] = LogWriter.files(logDir);
+        const lines = (await fs.readFile(path.join(logDir, log), 'utf-8')).trim().split('\n').map((line) => JSON.parse(line));
+        const failed = lines.find((line) => line.component === 'failures');
+        assert.strictEqual(failed.level, 'error');
+        assert.strictEqual(failed.file, failures.file);
+        assert.match(failed.msg, /^Failed to save .*failed_words.json: ENOENT/);
+    } finally {
+        await fs.remove(dir);
+    }
+});
@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { selectEntries, noteFields, noteTags, noteType, csvValues, csvLine } = require('../src/flashcards');
+const { ZipWriter, readZip } = require('../src/zip');
+
+const happy = {
+    word: 'happy',
+    type: 'en_kh',
+    definitions: [
+        { pos: 'adj', example: 'happy to see you', khmer_image_url: 'http://x/imgukh/1.png', local_image_path: 'images/1.png' },
+        { pos: 'n', example: '', khmer_image_url: 'http://x/imgukh/2.png', local_image_path: 'images/2.png' }
+    ],
+    synonyms: ['glad', 'lucky'],
+    antonyms: [],
+    similar_words: [],
+    sound_url: 'http://x/happy.mp3',
+    local_sound_path: 'sounds/happy.mp3',
+    source_url: 'http://x/index.php?gcm=1&gword=happy'
+};
+const khmer = {
+    word: '\u1780\u200b\u1780',
+    type: 'kh_en',
+    definitions: [{ pos: '', example: '', definition_text: 'neck, "collar"' }],
+    synonyms: [],
+    antonyms: [],
+    similar_words: []
+};
+
+test('decks can be narrowed to a word list and parts of speech', () => {
+    assert.deepStrictEqual(selectEntries([happy, khmer], { words: ['HAPPY'] }).map((e) => e.word), ['happy']);
+    assert.deepStrictEqual(selectEntries([happy, khmer], { words: ['\u1780\u1780'] }).map((e) => e.word), ['\u1780\u200b\u1780']);
+
+    const nouns = selectEntries([happy, khmer], { pos: ['n'] });
+    assert.strictEqual(nouns.length, 1);
+    assert.deepStrictEqual(nouns[0].definitions.map((d) => d.local_image_path), ['images/2.png']);
+    assert.strictEqual(happy.definitions.length, 2);
+});
+
+test('card fields bundle the media that exists and link the rest', () => {
+    const { fields, media } = noteFields(happy, { hasFile: (file) => file !== 'images/2.png' });
+    const [word, pos, definition, audio, related, source] = fields;
+    assert.deepStrictEqual(media, ['images/1.png', 'sounds/happy.mp3']);
+    assert.strictEqual(word, 'happy');
+    assert.strictEqual(pos, 'adj, n');
+    assert.match(definition, /<img src="1.png" alt="happy"><ul><li>happy to see you<\/li><\/ul>/);
+    assert.match(definition, /<a href="http:\/\/x\/imgukh\/2.png">\[Khmer translation image\]<\/a>/);
+    assert.strictEqual(audio, '[sound:happy.mp3]');
+    assert.strictEqual(related, '<b>Synonyms:</b> glad, lucky');
+    assert.match(source, /gcm=1&amp;gword=happy/);
+    assert.deepStrictEqual(noteTags(happy), ['en_kh', 'pos::adj', 'pos::n']);
+
+    assert.match(noteType('en_kh').templates[0].front, /\{\{Audio\}\}/);
+    assert.match(noteType('kh_en').templates[0].front, /class="word khmer"/);
+
+    const values = csvValues(khmer, 'km', 'en');
+    assert.strictEqual(values[3], 'neck, "collar"');
+    assert.strictEqual(csvLine(values.slice(0, 4)), '\u1780\u200b\u1780,kh_en,,"neck, ""collar"""');
+    assert.strictEqual(csvLine(['a,b', 'c'], '\t'), 'a,b\tc');
+});
+
+test('zip files list every entry in the central directory', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zip-'));
+    try {
+        const file = path.join(dir, 'test.zip');
+        const zip = new ZipWriter(file);
+        const text = Buffer.from('collection '.repeat(200));
+        await zip.add('collection.anki2', text);
+        await zip.add('0', Buffer.from('PNG data'), { compress: false });
+        assert.strictEqual(await zip.close(), 2);
+        const again = new ZipWriter(path.join(dir, 'dup.zip'));
+        await again.add('a', Buffer.from('x'));
+        await assert.rejects(again.add('a', Buffer.from('y')), /Duplicate zip entry/);
+        // The rejected entry is not written; the archive still closes with the first one
+        assert.strictEqual(await again.close(), 1);
+
+        const buf = await fs.readFile(file);
+        const end = buf.length - 22;
+        assert.strictEqual(buf.readUInt32LE(end), 0x06054b50);
+        assert.strictEqual(buf.readUInt16LE(end + 10), 2);
+
+        const entries = [];
+        for (let at = buf.readUInt32LE(end + 16); at < end;) {
+            const nameLength = buf.readUInt16LE(at + 28);
+            entries.push({
+                name: buf.toString('utf8', at + 46, at + 46 + nameLength),
+                method: buf.readUInt16LE(at + 10),
+                size: buf.readUInt32LE(at + 20),
+                offset: buf.readUInt32LE(at + 42)
+            });
+            at += 46 + nameLength;
+        }
+        assert.deepStrictEqual(entries.map((e) => [e.name, e.method]), [['collection.anki2', 8], ['0', 0]]);
+
+        const first = entries[0];
+        const start = first.offset + 30 + buf.readUInt16LE(first.offset + 26);
+        assert.deepStrictEqual(zlib.inflateRawSync(buf.subarray(start, start + first.size)), text);
+    } finally {
+        await fs.remove(dir);
+    }
+});
+
+test('zip files with more than 65535 entries get zip64 end records', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zip64-'));
+    try {
+        const file = path.join(dir, 'media.zip');
+        const zip = new ZipWriter(file);
+        for (let i = 0; i < 70000; i++) await zip.add(String(i), Buffer.from(`file ${i}`), { compress: false });
+        assert.strictEqual(await zip.close(), 70000);
+
+        const buf = await fs.readFile(file);
+        const end = buf.length - 22;
+        // The classic record says "see zip64"; the locator before it points to the real counts
+        assert.strictEqual(buf.readUInt16LE(end + 10), 0xffff);
+        assert.strictEqual(buf.readUInt32LE(end - 20), 0x07064b50);
+        const record = Number(buf.readBigUInt64LE(end - 12));
+        assert.strictEqual(buf.readBigUInt64LE(record + 32), 70000n);
+
+        const files = await readZip(file);
+        assert.strictEqual(files.size, 70000);
+        assert.strictEqual(files.get('69999').toString(), 'file 69999');
+    } finally {
+        await fs.remove(dir);
+    }
+});
+
+test('an Anki package holds the collection, the media map and the media under their numbers', async () => {
+    const { exportAnki } = require('../src/export');
+    const { fieldChecksum, stableId } = require('../src/anki');
+    const { entryId } = require('../src/entry_store');
+    const SqliteDatabase = require('../src/sqlite');
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'apkg-test-'));
+    try {
+        const dataDir = path.join(dir, 'data');
+        const { source_url, ...entry } = happy;
+        await fs.outputJson(path.join(dataDir, 'en_kh', 'happy.json'), entry);
+        await fs.outputFile(path.join(dataDir, 'images/1.png'), 'PNG 1');
+        await fs.outputFile(path.join(dataDir, 'sounds/happy.mp3'), 'MP3');
+
+        const result = await exportAnki('en_kh', { dataDir, outDir: dir });
+        assert.deepStrictEqual({ ...result, file: path.basename(result.file) }, { notes: 1, cards: 1, media: 2, file: 'english-khmer.apkg' });
+
+        const files = await readZip(result.file);
+        assert.deepStrictEqual([...files.keys()], ['collection.anki2', '0', '1', 'media']);
+        assert.deepStrictEqual(JSON.parse(files.get('media')), { 0: '1.png', 1: 'happy.mp3' });
+        assert.strictEqual(files.get('0').toString(), 'PNG 1');
+        assert.strictEqual(files.get('1').toString(), 'MP3');
+
+        const collection = path.join(dir, 'collection.anki2');
+        await fs.writeFile(collection, files.get('collection.anki2'));
+        const db = await new SqliteDatabase(collection).open();
+        try {
+            const col = await db.get('SELECT ver, models, decks FROM col');
+            assert.strictEqual(col.ver, 11);
+            const model = JSON.parse(col.models)[stableId(`model:${noteType('en_kh').name}`)];
+            assert.deepStrictEqual(model.flds.map((f) => f.name), ['Word', 'PartOfSpeech', 'Definition', 'Audio', 'Related', 'Source']);
+            const deckId = model.did;
+            assert.strictEqual(JSON.parse(col.decks)[deckId].name, 'English-Khmer Dictionary');
+
+            const note = await db.get('SELECT id, guid, mid, tags, flds, sfld, csum FROM notes');
+            // The same word gets the same guid in every export, so Anki updates it on import
+            assert.strictEqual(note.guid, entryId('happy', 1));
+            assert.strictEqual(note.mid, model.id);
+            assert.strictEqual(note.tags, ' en_kh pos::adj pos::n ');
+            assert.strictEqual(note.flds.split('\x1f')[3], '[sound:happy.mp3]');
+            assert.strictEqual(note.sfld, 'happy');
+            assert.strictEqual(note.csum, fieldChecksum('happy'));
+
+            assert.deepStrictEqual(
+                await db.all('SELECT nid, did, ord, type, queue, due FROM cards'),
+                [{ nid: note.id, did: deckId, ord: 0, type: 0, queue: 0, due: 1 }]
+            );
+        } finally {
+            await db.close();
+        }
+    } finally {
+        await fs.remove(dir);
+    }
+});
@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { contentHash, stampEntry, markMissing, entryChanges, parseAge, selectStale } = require('../src/freshness');
+const { checkSchema, ENTRY_SCHEMA } = require('../src/validate');
+const { EntryStore } = require('../src/entry_store');
+const { ChangeHistory } = require('../src/change_history');
+const { recrawl } = require('../src/recrawl');
+const { scheduler } = require('../src/scheduler');
+const { logger } = require('../src/logger');
+
+// The recrawl logs every fetch; keep it out of the repository's logs/
+const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recrawl-logs-'));
+logger.writer.moveTo(logDir);
+test.after(async () => {
+    await logger.close();
+    await fs.remove(logDir);
+});
+
+const saved = {
+    word: 'happy',
+    type: 'en_kh',
+    definitions: [
+        {
+            pos: 'adj',
+            example: 'happy to see you',
+            khmer_image_url: 'http://x/imgukh/1.png',
+            local_image_path: 'images/1.png',
+            optimized_image_path: 'images_optimized/1.webp',
+            image_width: 80,
+            image_height: 20
+        },
+        { pos: 'adj', example: '', khmer_image_url: 'http://x/imgukh/2.png', local_image_path: 'images/2.png' }
+    ],
+    synonyms: ['glad', 'lucky'],
+    antonyms: [],
+    similar_words: [],
+    sound: null,
+    sound_url: 'http://x/happy.mp3',
+    local_sound_path: 'sounds/happy.mp3'
+};
+
+// A fresh parse of the same page: no optimized image fields, keys in another order
+const reparsed = () => ({
+    type: 'en_kh',
+    word: 'happy',
+    definitions: saved.definitions.map(({ pos, example, khmer_image_url: url, local_image_path: local }) => ({
+        khmer_image_url: url, local_image_path: local, example, pos
+    })),
+    synonyms: ['glad', 'lucky'],
+    antonyms: [],
+    similar_words: [],
+    sound: null,
+    sound_url: 'http://x/happy.mp3',
+    local_sound_path: 'sounds/happy.mp3'
+});
+
+test('the content hash only covers what the site served', () => {
+    const entry = stampEntry(reparsed(), saved, '2026-01-02T03:04:05.000Z');
+    assert.strictEqual(entry.content_hash, contentHash(saved));
+    assert.strictEqual(entry.scraped_at, '2026-01-02T03:04:05.000Z');
+    // The optimized variant of an image served again is kept
+    assert.strictEqual(entry.definitions[0].optimized_image_path, 'images_optimized/1.webp');
+    assert.strictEqual(entry.definitions[0].image_width, 80);
+    assert.strictEqual(entry.definitions[1].optimized_image_path, undefined);
+    assert.deepStrictEqual(entryChanges(saved, entry), {});
+    assert.deepStrictEqual(checkSchema(entry, ENTRY_SCHEMA), []);
+});
+
+test('entryChanges lists added and removed definitions, relations and fields', () => {
+    const after = reparsed();
+    after.definitions[1].example = 'so happy';
+    after.synonyms = ['glad', 'joyful'];
+    after.sound_url = 'http://x/happy2.mp3';
+
+    const changes = entryChanges(saved, stampEntry(after, saved, new Date().toISOString()));
+    assert.deepStrictEqual(Object.keys(changes), ['definitions', 'synonyms', 'fields']);
+    assert.deepStrictEqual(changes.definitions.removed.map((d) => d.example), ['']);
+    assert.deepStrictEqual(changes.definitions.added.map((d) => d.example), ['so happy']);
+    // Local paths are not part of the change
+    assert.strictEqual(changes.definitions.added[0].local_image_path, undefined);
+    assert.deepStrictEqual(changes.synonyms, { added: ['joyful'], removed: ['lucky'] });
+    assert.deepStrictEqual(changes.fields, { sound_url: ['http://x/happy.mp3', 'http://x/happy2.mp3'] });
+    assert.notStrictEqual(after.content_hash, contentHash(saved));
+});
+
+test('selectStale picks old entries, or a sample, oldest first', () => {
+    const now = Date.parse('2026-03-01T00:00:00Z');
+    const entries = [
+        { word: 'a', mode: 1, scraped_at: '2026-02-28T00:00:00.000Z' },
+        { word: 'b', mode: 1, scraped_at: '2026-01-01T00:00:00.000Z' },
+        { word: 'c', mode: 1, scraped_at: null },
+        { word: 'd', mode: 3, scraped_at: '2026-02-01T00:00:00.000Z' }
+    ];
+    assert.strictEqual(parseAge('30d'), 30 * 86400e3);
+    assert.strictEqual(parseAge('12h'), 12 * 3600e3);
+    assert.strictEqual(parseAge('soon'), null);
+
+    const words = (selected) => selected.map((e) => e.word);
+    assert.deepStrictEqual(words(selectStale(entries, { maxAgeMs: parseAge('7d'), now })), ['c', 'b', 'd']);
+    assert.deepStrictEqual(words(selectStale(entries, { maxAgeMs: parseAge('7d'), limit: 2, now })), ['c', 'b']);
+    // 50% of 4 entries; random() = 0 always takes the first remaining one
+    assert.deepStrictEqual(words(selectStale(entries, { sample: 50, now, random: () => 0 })), ['b', 'a']);
+    assert.deepStrictEqual(words(selectStale(entries, { maxAgeMs: parseAge('7d'), sample: 50, now, random: () => 0.99 })), ['b', 'd']);
+    assert.strictEqual(entries[0].word, 'a');
+});
+
+test('a word the site no longer has is stamped, recorded once and not selected again', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'recrawl-'));
+    const get = scheduler.get;
+    let fetches = 0;
+    scheduler.get = async () => {
+        fetches++;
+        return { data: Buffer.from('<html><body>word not found</body></html>'), status: 200 };
+    };
+    try {
+        await fs.ensureDir(path.join(dir, 'en_kh'));
+        const store = await new EntryStore(dir).load();
+        await store.put('happy', 1, stampEntry(reparsed(), null, '2026-01-01T00:00:00.000Z'));
+        await store.put('glad', 1, stampEntry({ ...reparsed(), word: 'glad' }, null, '2026-01-02T00:00:00.000Z'));
+
+        const first = await recrawl({ dataDir: dir, maxAgeMs: parseAge('1d'), limit: 1 });
+        assert.deepStrictEqual(first.notFound, ['en_kh/happy']);
+        const kept = await fs.readJson(path.join(dir, 'en_kh', 'happy.json'));
+        assert.strictEqual(kept.content_hash, contentHash(saved));
+        assert.strictEqual(kept.missing_since, kept.checked_at);
+        assert.deepStrictEqual(checkSchema(kept, ENTRY_SCHEMA), []);
+
+        // The next run moves on to the other word instead of fetching the dead one again
+        const second = await recrawl({ dataDir: dir, maxAgeMs: parseAge('1d'), limit: 1 });
+        assert.deepStrictEqual(second.selected.map((e) => e.word), ['glad']);
+        assert.strictEqual(fetches, 2);
+
+        // Checked again on request, without a second history row
+        const third = await recrawl({ dataDir: dir, maxAgeMs: 0, includeMissing: true });
+        assert.deepStrictEqual(third.notFound.sort(), ['en_kh/glad', 'en_kh/happy']);
+        const history = await new ChangeHistory(path.join(dir, 'history.db')).open();
+        const rows = await history.forWord('happy', 1);
+        await history.close();
+        assert.deepStrictEqual(rows.map((row) => row.kind), ['not_found']);
+        assert.strictEqual((await fs.readJson(path.join(dir, 'en_kh', 'happy.json'))).missing_since, kept.missing_since);
+
+        assert.deepStrictEqual(selectStale([markMissing(kept, kept.checked_at)], { sample: 100 }), []);
+    } finally {
+        scheduler.get = get;
+        await fs.remove(dir);
+    }
+});
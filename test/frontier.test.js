@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const CrawlFrontier = require('../src/frontier');
+
+test('a failed item waits, longer each time, before it is handed out again', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'frontier-'));
+    const frontier = await new CrawlFrontier(path.join(dir, 'frontier.db')).open();
+    const at = (minutes) => new Date(Date.UTC(2026, 0, 1, 12, minutes));
+    try {
+        await frontier.add('prefix', 1, 'b');
+        await frontier.add('prefix', 1, 'a');
+
+        // Prefixes are taken newest first, so "a" would come straight back without a backoff
+        let item = await frontier.next('prefix', 1);
+        assert.strictEqual(item.value, 'a');
+        await frontier.fail(item, new Error('timeout'), at(0));
+        assert.strictEqual((await frontier.nextBatch('prefix', 1, 5, at(0))).map((i) => i.value).join(), 'b');
+        assert.deepStrictEqual(await frontier.nextRetryAt('prefix', 1), at(1));
+
+        [item] = await frontier.nextBatch('prefix', 1, 1, at(1));
+        assert.strictEqual(item.value, 'a');
+        await frontier.fail(item, new Error('timeout'), at(1));
+        assert.deepStrictEqual(await frontier.nextRetryAt('prefix', 1), at(3));
+        assert.strictEqual((await frontier.nextBatch('prefix', 1, 5, at(2))).map((i) => i.value).join(), 'b');
+
+        // The last attempt fails the item for good; nothing is left waiting
+        [item] = await frontier.nextBatch('prefix', 1, 1, at(3));
+        await frontier.fail(item, new Error('timeout'), at(3));
+        assert.strictEqual((await frontier.list({ status: 'failed' }))[0].retry_after, null);
+        assert.strictEqual(await frontier.nextRetryAt('prefix', 1), null);
+
+        // A manual retry starts over with no wait
+        assert.strictEqual(await frontier.retryFailed(1), 1);
+        assert.strictEqual((await frontier.next('prefix', 1)).value, 'a');
+    } finally {
+        await frontier.close();
+        await fs.remove(dir);
+    }
+});
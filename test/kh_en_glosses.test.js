@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { splitGlosses, glossKey, buildReverseIndex } = require('../src/kh_en_glosses');
+
+test('splitGlosses splits on commas and semicolons outside brackets', () => {
+    assert.deepStrictEqual(
+        splitGlosses('fast, quickly (of walking, speaking); fast, quick,  nervous'),
+        ['fast', 'quickly (of walking, speaking)', 'quick', 'nervous']
+    );
+    assert.deepStrictEqual(splitGlosses('1. to subtract'), ['to subtract']);
+    assert.deepStrictEqual(splitGlosses(''), []);
+});
+
+test('glossKey drops case, notes, quotes and the infinitive "to"', () => {
+    assert.strictEqual(glossKey('To scratch (as a hen scratching the ground)'), 'scratch');
+    assert.strictEqual(glossKey("'door of speech'"), 'door of speech');
+    assert.strictEqual(glossKey('royal/supreme name'), 'royal/supreme name');
+    assert.strictEqual(glossKey('(only a note)'), '');
+});
+
+test('buildReverseIndex maps each gloss to every Khmer headword using it', () => {
+    const index = buildReverseIndex([
+        { word: 'រហ័ស', definitions: [{ definition_text: 'fast, quickly' }] },
+        { word: 'អត់បាយ', definitions: [{ definition_text: 'to fast' }] },
+        { word: 'ទឹក', definitions: [{ definition_text: 'ignored', glosses: ['water'] }] }
+    ]);
+
+    assert.deepStrictEqual(index.map((item) => item.key), ['fast', 'quickly', 'water']);
+    assert.deepStrictEqual(index[0], {
+        key: 'fast',
+        glosses: ['fast', 'to fast'],
+        words: ['រហ័ស', 'អត់បាយ']
+    });
+});
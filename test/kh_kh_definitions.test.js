@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { normalizePos, structureDefinition, isStructured } = require('../src/kh_kh_definitions');
+
+// Definition texts as scraped into data/kh_kh
+const raw = (definition_text) => ({ pos: '', example: '', definition_text });
+
+test('normalizePos maps Khmer abbreviations, with or without spacing', () => {
+    assert.strictEqual(normalizePos('ន.'), 'n');
+    assert.strictEqual(normalizePos('កិ. វិ.'), 'adv');
+    assert.strictEqual(normalizePos('កិ.វិ.'), 'adv');
+    assert.strictEqual(normalizePos('គុ. ឬ ន.'), 'adj, n');
+    assert.strictEqual(normalizePos('ម. ព. កាតឹប'), null);
+});
+
+test('strips the doubled headword and reads pronunciation, origin and pos', () => {
+    const senses = structureDefinition(
+        raw('កត្តិកកត្តិក   ក័ត-ដឹក   បា.  ( ន. )  ឈ្មោះ​ខែ​ទី ១២ តាម​ចន្ទគតិ : ខែ​កត្តិក ។'),
+        'កត្តិក'
+    );
+    assert.deepStrictEqual(senses, [{
+        pos: 'n',
+        example: [],
+        definition_text: 'ឈ្មោះ​ខែ​ទី ១២ តាម​ចន្ទគតិ : ខែ​កត្តិក ។',
+        pronunciation: 'ក័ត-ដឹក',
+        origin: ['បា.']
+    }]);
+});
+
+test('splits blank-line senses and keeps a bracketed ឧ. as the interjection pos', () => {
+    const senses = structureDefinition(
+        raw('ង៉េវ​ៗង៉េវ​ៗ  ( គុ. )  ដែល​មាន​សូរ​ខ្សេវ : សំឡេង​ង៉េវ​ៗ ។ \n\n ( ឧ.  )  សូរ​ឮ : និយាយ​ង៉េវ​ៗ ។'),
+        'ង៉េវ​ៗ'
+    );
+    assert.deepStrictEqual(senses.map((s) => s.pos), ['adj', 'interj']);
+    assert.deepStrictEqual(senses.map((s) => s.example), [[], []]);
+    assert.strictEqual(senses[1].definition_text, 'សូរ​ឮ : និយាយ​ង៉េវ​ៗ ។');
+});
+
+test('moves ឧ. examples out of the gloss', () => {
+    const senses = structureDefinition(
+        raw('កថាភាគ(កៈ-ថា-ភាគ) ន. ចំពូក, វគ្គ\nឧ. អ្នកនិពន្ធ បាន ចែក ជា ៥ កថាភាគ។'),
+        'កថាភាគ'
+    );
+    assert.deepStrictEqual(senses, [{
+        pos: 'n',
+        example: ['អ្នកនិពន្ធ បាន ចែក ជា ៥ កថាភាគ។'],
+        definition_text: 'ចំពូក, វគ្គ',
+        pronunciation: 'កៈ-ថា-ភាគ'
+    }]);
+});
+
+test('splits numbered senses and sentences that start a new pos', () => {
+    const numbered = structureDefinition(raw('ក ( ន. ) ន័យ​ទី​មួយ\n២. ន័យ​ទី​ពីរ'), 'ក');
+    assert.deepStrictEqual(numbered.map((s) => s.definition_text), ['ន័យ​ទី​មួយ', 'ន័យ​ទី​ពីរ']);
+
+    const inline = structureDefinition(raw('អ ( គុ. )  ច្រើន ។ ន. ឈ្មោះ​សំខ្យា ។'), 'អ');
+    assert.deepStrictEqual(inline.map((s) => s.pos), ['adj', 'n']);
+});
+
+test('entries without a pos marker keep their text', () => {
+    const [sense] = structureDefinition(raw('កល់កែ(ម. ព. កូវកែ) ។'), 'កល់កែ');
+    assert.deepStrictEqual(sense, { pos: '', example: [], definition_text: '(ម. ព. កូវកែ) ។' });
+    assert.strictEqual(isStructured(sense), true);
+    assert.strictEqual(isStructured(raw('x')), false);
+});
+
+test('migrating a scraped file gives the senses a fresh parse of its page gives', async () => {
+    const { parseKhKh } = require('../src/parsers');
+    const migrateKhKh = require('../src/migrate_kh_kh');
+    // A sense that is only an example, one that is only the headword, and a real one
+    const text = 'ផ្កាផ្កា  ( ន. )  ឧ. ផ្កាឈូក \n\n ( កិ. )  ផ្កា \n\n ( គុ. )  ដែលរីក ។';
+    const page = '<html><head><title>ផ្កា dictionary word translated to Khmer (Cambodian)</title></head><body>' +
+        '<table><tr><td><div class="khbat13">អត្ថន័យ  : </div></td></tr></table>' +
+        `<table><tr><td class="khbat12">${text}</td></tr></table></body></html>`;
+
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'migrate-kh-kh-'));
+    const log = console.log;
+    try {
+        await fs.writeJson(path.join(dir, 'a.json'), {
+            word: 'ផ្កា', type: 'kh_kh', definitions: [raw(text)], synonyms: [], antonyms: [], similar_words: [], sound: null
+        });
+        console.log = () => {};
+        const report = await migrateKhKh(false, dir);
+        console.log = log;
+
+        const migrated = await fs.readJson(path.join(dir, 'a.json'));
+        assert.deepStrictEqual(migrated.definitions, parseKhKh(page).definitions);
+        assert.deepStrictEqual(migrated.definitions, [{ pos: 'adj', example: [], definition_text: 'ដែលរីក ។' }]);
+        assert.deepStrictEqual([report.migrated, report.senses], [1, 1]);
+    } finally {
+        console.log = log;
+        await fs.remove(dir);
+    }
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { Logger, LogWriter, RUN_ID } = require('../src/logger');
+const { queryLogs, listRuns, parseSince } = require('../src/log_query');
+
+async function withLogDir(fn) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'scrape-logs-'));
+    try {
+        await fn(dir);
+    } finally {
+        await fs.remove(dir);
+    }
+}
+
+test('logger writes JSON lines with run id and fields', () => withLogDir(async (dir) => {
+    const writer = new LogWriter({ dir });
+    const log = new Logger({ component: 'test' }, { writer, level: 'debug' });
+
+    log.info('Scraping (en_kh): hello', { mode: 'en_kh', word: 'hello', url: 'http://x/?gword=hello' });
+    log.error('Error scraping hello', { mode: 'en_kh', word: 'hello', duration_ms: 12, error: new Error('socket hang up') });
+    await log.close();
+
+    const lines = (await fs.readFile(writer.file, 'utf-8')).trim().split('\n').map((l) => JSON.parse(l));
+    assert.strictEqual(lines.length, 2);
+    assert.strictEqual(lines[0].run_id, RUN_ID);
+    assert.strictEqual(lines[0].component, 'test');
+    assert.strictEqual(lines[0].url, 'http://x/?gword=hello');
+    assert.strictEqual(lines[1].level, 'error');
+    assert.strictEqual(lines[1].error, 'socket hang up');
+    assert.strictEqual(lines[1].duration_ms, 12);
+}));
+
+test('log files rotate when they reach maxBytes', () => withLogDir(async (dir) => {
+    const writer = new LogWriter({ dir, maxBytes: 300 });
+    const log = new Logger({}, { writer });
+
+    for (let i = 0; i < 10; i++) log.info(`entry ${i}`, { word: `w${i}` });
+    await log.close();
+
+    const files = LogWriter.files(dir);
+    assert.ok(files.length > 1);
+    for (const file of files) {
+        assert.ok((await fs.stat(path.join(dir, file))).size <= 300);
+    }
+
+    const entries = await queryLogs({ limit: 100 }, dir);
+    assert.deepStrictEqual(entries.map((e) => e.msg), Array.from({ length: 10 }, (_, i) => `entry ${i}`));
+}));
+
+test('moveTo sends the following entries to another directory', () => withLogDir(async (dir) => {
+    const first = path.join(dir, 'first');
+    const second = path.join(dir, 'second');
+    const writer = new LogWriter({ dir: first });
+    const log = new Logger({}, { writer }).child({ component: 'child' });
+
+    log.info('one');
+    writer.moveTo(second);
+    log.info('two');
+    await log.close();
+
+    assert.deepStrictEqual((await queryLogs({}, first)).map((e) => e.msg), ['one']);
+    assert.deepStrictEqual((await queryLogs({}, second)).map((e) => e.msg), ['two']);
+}));
+
+test('queryLogs filters by level, mode, word and run', () => withLogDir(async (dir) => {
+    const lines = [
+        { ts: '2025-01-01T00:00:00.000Z', level: 'error', run_id: 'old', msg: 'a', mode: 'kh_en' },
+        { ts: '2025-01-02T00:00:00.000Z', level: 'info', run_id: 'new', msg: 'b', mode: 'kh_en', word: 'សង' },
+        { ts: '2025-01-02T00:00:01.000Z', level: 'error', run_id: 'new', msg: 'c', mode: 'kh_en', word: 'សង' },
+        { ts: '2025-01-02T00:00:02.000Z', level: 'error', run_id: 'new', msg: 'd', mode: 'en_kh' }
+    ];
+    await fs.writeFile(path.join(dir, 'scraping-2025-01-01.jsonl'), lines.map((l) => JSON.stringify(l)).join('\n') + '\n');
+
+    const msgs = async (filter) => (await queryLogs(filter, dir)).map((e) => e.msg);
+    assert.deepStrictEqual(await msgs({ level: 'error', mode: 'kh_en', run: 'last' }), ['c']);
+    assert.deepStrictEqual(await msgs({ level: 'warn' }), ['a', 'c', 'd']);
+    assert.deepStrictEqual(await msgs({ word: 'សង' }), ['b', 'c']);
+    assert.deepStrictEqual(await msgs({ since: '2025-01-02T00:00:01Z' }), ['c', 'd']);
+    assert.deepStrictEqual(await msgs({ limit: 1 }), ['d']);
+
+    const runs = await listRuns(dir);
+    assert.deepStrictEqual(runs.map((r) => [r.run_id, r.entries, r.errors]), [['old', 1, 1], ['new', 3, 2]]);
+}));
+
+test('parseSince accepts relative durations', () => {
+    const now = Date.parse('2025-01-02T00:00:00Z');
+    assert.strictEqual(parseSince('2h', now), now - 2 * 3600 * 1000);
+    assert.strictEqual(parseSince('30m', now), now - 30 * 60 * 1000);
+    assert.throws(() => parseSince('yesterday', now));
+});
@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { MediaStore, looksLike } = require('../src/media_store');
+const { RequestScheduler } = require('../src/scheduler');
+const { logger, LogWriter } = require('../src/logger');
+
+// Download failures are logged; keep them out of the repository's logs/
+const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-logs-'));
+logger.writer.moveTo(logDir);
+test.after(async () => {
+    await logger.close();
+    await fs.remove(logDir);
+});
+
+const PNG = Buffer.concat([Buffer.from('89504e470d0a1a0a', 'hex'), Buffer.from('image data')]);
+// Two MPEG-2 Layer III frames (128 kbps, 22050 Hz, mono), 417 bytes each
+const MP3 = Buffer.concat([0, 1].map(() => Buffer.concat([Buffer.from('fff3c0c4', 'hex'), Buffer.alloc(413)])));
+
+// Serves PNG/MP3 bytes; /flaky.png cuts the body short the first time
+function mediaServer() {
+    const hits = {};
+    const server = http.createServer((req, res) => {
+        hits[req.url] = (hits[req.url] || 0) + 1;
+        if (req.url === '/error.png') {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            return res.end('<html>Not found</html>');
+        }
+        if (req.url === '/missing.png') {
+            res.writeHead(404);
+            return res.end();
+        }
+        const body = req.url.endsWith('.mp3') ? MP3 : PNG;
+        res.writeHead(200, {
+            'Content-Type': req.url.endsWith('.mp3') ? 'audio/mpeg' : 'image/png',
+            'Content-Length': body.length
+        });
+        if (req.url === '/flaky.png' && hits[req.url] === 1) {
+            res.write(body.subarray(0, 4));
+            return res.destroy();
+        }
+        res.end(body);
+    });
+    return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve({ server, hits })));
+}
+
+async function withStore(fn) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'media-'));
+    const { server, hits } = await mediaServer();
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const scheduler = new RequestScheduler({ requestsPerSecond: 1000, burst: 1000, maxRetries: 0 });
+    try {
+        const store = await new MediaStore(dir, { http: scheduler, retryDelay: 1 }).load();
+        await fn(store, { dir, base, hits });
+    } finally {
+        server.close();
+        await fs.remove(dir);
+    }
+}
+
+test('looksLike checks the leading bytes of images and sounds', () => {
+    assert.strictEqual(looksLike('images', PNG), true);
+    assert.strictEqual(looksLike('sounds', MP3), true);
+    assert.strictEqual(looksLike('sounds', Buffer.from('ID3\u0004')), true);
+    assert.strictEqual(looksLike('images', Buffer.from('<htm')), false);
+    assert.strictEqual(looksLike('sounds', PNG), false);
+});
+
+test('truncated MP3s are not accepted', () => withStore(async (store, { dir, base }) => {
+    await fs.outputFile(path.join(dir, 'sounds/cut.mp3'), MP3.subarray(0, 600));
+    assert.match((await store.adopt(`${base}/cut.mp3`, 'sounds/cut.mp3')).error, /not a valid/i);
+}));
+
+test('downloads are validated, retried and recorded with checksums', () => withStore(async (store, { dir, base, hits }) => {
+    const record = await store.ensure(`${base}/flaky.png`, 'images/flaky.png');
+    assert.strictEqual(hits['/flaky.png'], 2);
+    assert.strictEqual(record.bytes, PNG.length);
+    assert.strictEqual(record.sha256, crypto.createHash('sha256').update(PNG).digest('hex'));
+    assert.strictEqual(record.content_type, 'image/png');
+    assert.deepStrictEqual(await fs.readFile(path.join(dir, 'images/flaky.png')), PNG);
+
+    // Already verified: no second download
+    await store.ensure(`${base}/flaky.png`, 'images/flaky.png');
+    assert.strictEqual(hits['/flaky.png'], 2);
+
+    const html = await store.ensure(`${base}/error.png`, 'images/error.png');
+    assert.match(html.error, /Content-Type "text\/html"/);
+    assert.strictEqual(hits['/error.png'], 3);
+    const missing = await store.ensure(`${base}/missing.png`, 'images/missing.png');
+    assert.match(missing.error, /404/);
+    assert.strictEqual(hits['/missing.png'], 1);
+
+    assert.strictEqual(await fs.pathExists(path.join(dir, 'images/error.png')), false);
+    assert.deepStrictEqual(await fs.readdir(path.join(dir, 'images')), ['flaky.png']);
+
+    await store.writing;
+    const manifest = await fs.readJson(path.join(dir, 'media_manifest.json'));
+    assert.deepStrictEqual(Object.keys(manifest.files).sort(), ['images/error.png', 'images/flaky.png', 'images/missing.png']);
+}));
+
+test('scan records existing media and repair re-downloads bad files', () => withStore(async (store, { dir, base, hits }) => {
+    await fs.outputJson(path.join(dir, 'en_kh', 'hello.json'), {
+        word: 'hello',
+        sound_url: `${base}/hello.mp3`,
+        local_sound_path: 'sounds/hello.mp3',
+        definitions: [
+            { khmer_image_url: `${base}/1.png`, local_image_path: 'images/1.png' },
+            { khmer_image_url: `${base}/2.png`, local_image_path: 'images/2.png' }
+        ]
+    });
+    await fs.outputFile(path.join(dir, 'sounds/hello.mp3'), MP3);
+    await fs.outputFile(path.join(dir, 'images/1.png'), PNG);
+    await fs.outputFile(path.join(dir, 'images/2.png'), '<html>Error</html>');
+
+    assert.deepStrictEqual(await store.scan(), { added: 3, failed: 1 });
+    await fs.appendFile(path.join(dir, 'images/1.png'), 'junk');
+    await fs.remove(path.join(dir, 'sounds/hello.mp3'));
+
+    const problems = (await store.check()).map(({ record, problem }) => [record.path, problem]);
+    assert.deepStrictEqual(problems.sort(), [['images/1.png', 'corrupt'], ['images/2.png', 'failed'], ['sounds/hello.mp3', 'missing']]);
+
+    const { checked, repaired, failed } = await store.repair();
+    assert.strictEqual(checked, 3);
+    assert.strictEqual(repaired.length, 3);
+    assert.deepStrictEqual(failed, []);
+    assert.deepStrictEqual(await store.check(), []);
+    assert.deepStrictEqual(await fs.readFile(path.join(dir, 'images/2.png')), PNG);
+    assert.strictEqual(hits['/hello.mp3'], 1);
+}));
+
+test('a failed manifest write is logged', () => withStore(async (store, { dir }) => {
+    store.file = path.join(dir, 'missing', 'media_manifest.json');
+    const error = console.error;
+    console.error = () => {};
+    try {
+        await store.save();
+    } finally {
+        console.error = error;
+    }
+    await logger.close();
+    const lines = [];
+    for (const log of LogWriter.files(logDir)) {
+        const text = await fs.readFile(path.join(logDir, log), 'utf-8');
+        lines.push(...text.trim().split('\n').map((line) => JSON.parse(line)));
+    }
+    const failed = lines.find((line) => line.component === 'media' && line.file === store.file);
+    assert.strictEqual(failed.level, 'error');
+    assert.match(failed.msg, /^Failed to save .*media_manifest.json: ENOENT/);
+}));
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { parseMp3, parseFrameHeader } = require('../src/mp3');
+const { buildAudioManifest } = require('../src/audio_manifest');
+
+// MPEG-1 Layer III, 128 kbps, 44100 Hz, stereo: 417 bytes, 1152 samples
+const HEADER = Buffer.from('fffb9064', 'hex');
+const frame = () => Buffer.concat([HEADER, Buffer.alloc(413)]);
+const frames = (n) => Buffer.concat(Array.from({ length: n }, frame));
+
+// A LAME "Info" frame saying the encoder wrote `count` audio frames
+function infoFrame(count) {
+    const buf = frame();
+    buf.write('Info', 4 + 32, 'latin1');
+    buf.writeUInt32BE(1, 4 + 32 + 4);
+    buf.writeUInt32BE(count, 4 + 32 + 8);
+    return buf;
+}
+
+function id3v2(bodySize) {
+    const tag = Buffer.alloc(10 + bodySize);
+    tag.write('ID3\u0004', 0, 'latin1');
+    tag[9] = bodySize & 0x7f;
+    tag[8] = (bodySize >> 7) & 0x7f;
+    return tag;
+}
+
+test('frame headers give bitrate, sample rate and frame length', () => {
+    assert.deepStrictEqual(parseFrameHeader(HEADER, 0), {
+        version: 1, layer: 3, bitrate: 128, sampleRate: 44100, channels: 2, samples: 1152, length: 417, sideInfo: 32
+    });
+    // MPEG-2 mono, as the site's pronunciations are encoded
+    const mpeg2 = parseFrameHeader(Buffer.from('fff3c0c4', 'hex'), 0);
+    assert.deepStrictEqual([mpeg2.version, mpeg2.sampleRate, mpeg2.channels, mpeg2.samples, mpeg2.length], [2, 22050, 1, 576, 417]);
+    assert.strictEqual(parseFrameHeader(Buffer.from('fffbf064', 'hex'), 0), null);
+    assert.strictEqual(parseFrameHeader(Buffer.from('<htm'), 0), null);
+});
+
+test('parseMp3 measures complete files and flags broken ones', () => {
+    const mp3 = parseMp3(Buffer.concat([id3v2(300), infoFrame(100), frames(100), Buffer.alloc(128, 'TAG')]));
+    assert.strictEqual(mp3.status, 'ok');
+    assert.strictEqual(mp3.frames, 100);
+    assert.strictEqual(mp3.duration_ms, Math.round((100 * 1152 * 1000) / 44100));
+    assert.strictEqual(mp3.bitrate, 128);
+
+    assert.strictEqual(parseMp3(frames(10).subarray(0, 417 * 10 - 20)).status, 'truncated');
+    const short = parseMp3(Buffer.concat([infoFrame(100), frames(60)]));
+    assert.strictEqual(short.status, 'truncated');
+    assert.match(short.problem, /60 of the 100 frames/);
+
+    assert.strictEqual(parseMp3(Buffer.from('<!DOCTYPE html><html><body>404</body></html>')).status, 'html');
+    assert.strictEqual(parseMp3(Buffer.alloc(0)).status, 'empty');
+    assert.strictEqual(parseMp3(Buffer.alloc(2000, 7)).status, 'invalid');
+});
+
+test('the audio manifest describes sounds and lists words missing theirs', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'audio-'));
+    try {
+        await fs.outputFile(path.join(dir, 'sounds/hello.mp3'), frames(20));
+        await fs.outputFile(path.join(dir, 'sounds/cut.mp3'), frames(20).subarray(0, 5000));
+        const entry = (word, extra) => fs.outputJson(path.join(dir, 'en_kh', `${word}.json`), { word, definitions: [], ...extra });
+        await entry('hello', { sound_url: 'http://x/hello.mp3', local_sound_path: 'sounds/hello.mp3' });
+        await entry('wand', { sound_url: 'http://x/wand.mp3', local_sound_path: 'sounds/wand.mp3' });
+        await entry('quiet', {});
+
+        const manifest = await buildAudioManifest({ dataDir: dir });
+        assert.strictEqual(manifest.files['sounds/hello.mp3'].status, 'ok');
+        assert.strictEqual(manifest.files['sounds/hello.mp3'].frames, 20);
+        assert.strictEqual(manifest.files['sounds/cut.mp3'].status, 'truncated');
+        assert.deepStrictEqual(manifest.missing, [
+            { word: 'wand', file: 'en_kh/wand.json', sound_url: 'http://x/wand.mp3', local_sound_path: 'sounds/wand.mp3' }
+        ]);
+        assert.deepStrictEqual(await fs.readJson(path.join(dir, 'audio_manifest.json')), manifest);
+    } finally {
+        await fs.remove(dir);
+    }
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeText, editDistance, closestWords } = require('../src/normalize');
+
+test('normalizeText removes zero-width characters and folds English case', () => {
+    assert.strictEqual(normalizeText('ក\u200bខ\u200d'), 'កខ');
+    assert.strictEqual(normalizeText('  Drug   Store\n'), 'drug store');
+    assert.strictEqual(normalizeText(''), '');
+    assert.strictEqual(normalizeText(undefined), '');
+});
+
+test('normalizeText puts Khmer marks in one order however they were typed', () => {
+    // Vowel typed before the subscript, as in the scraped headword
+    assert.strictEqual(normalizeText('ភត្តុទេ្ទសកៈ'), 'ភត្តុទ្ទេសកៈ');
+    // Coeng Ro goes after the other subscripts
+    assert.strictEqual(normalizeText('ស្រ្តី'), 'ស្ត្រី');
+    // Nikahit after the vowel
+    assert.strictEqual(normalizeText('ដំុ'), 'ដុំ');
+    // Register shifter before the vowel
+    assert.strictEqual(normalizeText('បី៊'), 'ប៊ី');
+
+    const key = normalizeText('ភត្តុទ្ទេសកៈ');
+    assert.strictEqual(normalizeText(key), key);
+});
+
+test('normalizeText replaces deprecated and legacy Khmer forms', () => {
+    assert.strictEqual(normalizeText('ឲ្យ'), 'ឱ្យ');
+    assert.strictEqual(normalizeText('ឤ'), 'អា');
+    assert.strictEqual(normalizeText('កេា'), 'កោ');
+    assert.strictEqual(normalizeText('ក\u17b4'), 'ក');
+});
+
+test('editDistance counts swaps as one edit and stops at max', () => {
+    assert.strictEqual(editDistance('hello', 'hello'), 0);
+    assert.strictEqual(editDistance('hello', 'hlelo'), 1);
+    assert.strictEqual(editDistance('kitten', 'sitting'), 3);
+    assert.strictEqual(editDistance('kitten', 'sitting', 1), 2);
+    assert.strictEqual(editDistance('ទឹក', 'ទឹប'), 1);
+});
+
+test('closestWords suggests the nearest headwords, none for very short queries', () => {
+    const candidates = ['hello', 'help', 'yellow', 'world', 'ទឹក'].map((word) => ({ word }));
+
+    assert.deepStrictEqual(
+        closestWords('Helo', candidates).map((c) => [c.word, c.distance]),
+        [['help', 1], ['hello', 1]]
+    );
+    assert.deepStrictEqual(closestWords('xyzzy', candidates), []);
+    assert.deepStrictEqual(closestWords('he', candidates), []);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { optimizeImages, variantPath, scaledSize } = require('../src/optimize_images');
+const { logger, LogWriter } = require('../src/logger');
+
+// Failed images are logged; keep them out of the repository's logs/
+const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-images-logs-'));
+logger.writer.moveTo(logDir);
+test.after(async () => {
+    await logger.close();
+    await fs.remove(logDir);
+});
+
+test('variants follow the Flutter asset layout and halve the 2x original', () => {
+    assert.strictEqual(variantPath('images/123.png', 1, 'webp'), 'images_optimized/123.webp');
+    assert.strictEqual(variantPath('images/123.png', 2, 'webp'), 'images_optimized/2.0x/123.webp');
+    assert.strictEqual(variantPath('images/123.png', 2, 'png'), 'images_optimized/2.0x/123.png');
+
+    assert.deepStrictEqual(scaledSize({ width: 121, height: 39 }, 2), { width: 121, height: 39 });
+    assert.deepStrictEqual(scaledSize({ width: 121, height: 39 }, 1), { width: 61, height: 20 });
+    assert.deepStrictEqual(scaledSize({ width: 1, height: 1 }, 1), { width: 1, height: 1 });
+});
+
+test('images are trimmed into 1x and 2x WebP variants once, and re-runs leave them alone', async () => {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'optimize-images-'));
+    try {
+        // 60x20 of black text on a 100x40 white page
+        const ink = await sharp({ create: { width: 60, height: 20, channels: 3, background: '#000000' } }).png().toBuffer();
+        await fs.ensureDir(path.join(dataDir, 'images'));
+        await sharp({ create: { width: 100, height: 40, channels: 3, background: '#ffffff' } })
+            .composite([{ input: ink, left: 20, top: 10 }])
+            .png()
+            .toFile(path.join(dataDir, 'images', '1.png'));
+        const file = path.join(dataDir, 'en_kh', 'happy.json');
+        await fs.outputJson(file, {
+            word: 'happy',
+            type: 'en_kh',
+            definitions: [
+                { pos: 'adj', example: '', local_image_path: 'images/1.png' },
+                { pos: 'adj', example: '', local_image_path: 'images/1.png' },
+                { pos: 'adj', example: '', local_image_path: 'images/2.png' }
+            ]
+        });
+
+        const first = await optimizeImages({ dataDir });
+        assert.deepStrictEqual(
+            [first.images, first.optimized, first.unchanged, first.missing, first.failed, first.entries],
+            [1, 1, 0, 1, 0, 1]
+        );
+        const oneX = path.join(dataDir, 'images_optimized', '1.webp');
+        const twoX = path.join(dataDir, 'images_optimized', '2.0x', '1.webp');
+        assert.deepStrictEqual(
+            await Promise.all([oneX, twoX].map(async (f) => {
+                const { format, width, height } = await sharp(f).metadata();
+                return { format, width, height };
+            })),
+            [{ format: 'webp', width: 30, height: 10 }, { format: 'webp', width: 60, height: 20 }]
+        );
+        const [sized] = (await fs.readJson(file)).definitions;
+        assert.deepStrictEqual(sized, {
+            pos: 'adj', example: '', local_image_path: 'images/1.png',
+            optimized_image_path: 'images_optimized/1.webp', image_width: 30, image_height: 10
+        });
+        assert.deepStrictEqual(first.outputBytes, { '1x': (await fs.stat(oneX)).size, '2x': (await fs.stat(twoX)).size });
+
+        const written = [(await fs.stat(oneX)).mtimeMs, (await fs.stat(twoX)).mtimeMs, (await fs.stat(file)).mtimeMs];
+        const second = await optimizeImages({ dataDir });
+        assert.deepStrictEqual([second.optimized, second.unchanged, second.entries], [0, 1, 0]);
+        assert.deepStrictEqual([(await fs.stat(oneX)).mtimeMs, (await fs.stat(twoX)).mtimeMs, (await fs.stat(file)).mtimeMs], written);
+    } finally {
+        await fs.remove(dataDir);
+    }
+});
+
+test('an image sharp cannot read is counted and logged', async () => {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'optimize-images-'));
+    try {
+        await fs.outputFile(path.join(dataDir, 'images', '1.png'), 'not a png');
+        await fs.outputJson(path.join(dataDir, 'en_kh', 'happy.json'), {
+            word: 'happy',
+            type: 'en_kh',
+            definitions: [{ pos: 'adj', example: '', local_image_path: 'images/1.png' }]
+        });
+
+        const error = console.error;
+        console.error = () => {};
+        let report;
+        try {
+            report = await optimizeImages({ dataDir });
+        } finally {
+            console.error = error;
+        }
+        assert.deepStrictEqual([report.images, report.optimized, report.failed, report.entries], [1, 0, 1, 0]);
+
+        await logger.close();
+        const [log] = LogWriter.files(logDir);
+        const lines = (await fs.readFile(path.join(logDir, log), 'utf-8')).trim().split('\n').map((line) => JSON.parse(line));
+        const failed = lines.find((line) => line.component === 'images');
+        assert.strictEqual(failed.level, 'error');
+        assert.strictEqual(failed.source, 'images/1.png');
+        assert.match(failed.msg, /^Failed to optimize images\/1.png: /);
+    } finally {
+        await fs.remove(dataDir);
+    }
+});
@@ -0,0 +1,53 @@
+/**
+ * Offline regression suite for the HTML parsers.
+ *
+ * Every test/fixtures/<mode>/<word>.html is a recorded index.php page and the
+ * sibling <word>.json is the entry we expect the parser to produce (null for
+ * "word not found" pages). A page without its JSON fails; run with
+ * UPDATE_FIXTURES=1 to write the snapshots of new pages or rewrite them after
+ * an intentional parser change, then review the diff.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { parseEnKh, parseKhKh, parseKhEn } = require('../src/parsers');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const PARSERS = { en_kh: parseEnKh, kh_kh: parseKhKh, kh_en: parseKhEn };
+const UPDATE = process.env.UPDATE_FIXTURES === '1';
+
+for (const [mode, parse] of Object.entries(PARSERS)) {
+    const modeDir = path.join(FIXTURES_DIR, mode);
+    if (!fs.existsSync(modeDir)) continue;
+
+    const pages = fs.readdirSync(modeDir).filter((f) => f.endsWith('.html'));
+
+    for (const page of pages) {
+        const name = path.basename(page, '.html');
+        const expectedFile = path.join(modeDir, `${name}.json`);
+
+        test(`${mode}: ${name}`, () => {
+            const html = fs.readFileSync(path.join(modeDir, page), 'utf-8');
+            const actual = parse(html);
+
+            if (UPDATE) {
+                fs.writeJsonSync(expectedFile, actual, { spaces: 2 });
+                return;
+            }
+            // A new page has no snapshot yet: write it on purpose and review it
+            assert.ok(
+                fs.existsSync(expectedFile),
+                `${path.relative(process.cwd(), expectedFile)} is missing; run UPDATE_FIXTURES=1 npm test and check it`
+            );
+
+            assert.deepStrictEqual(actual, fs.readJsonSync(expectedFile));
+        });
+    }
+}
+
+test('parsers use the given word over the page title', () => {
+    const html = fs.readFileSync(path.join(FIXTURES_DIR, 'kh_en', 'សង.html'), 'utf-8');
+    assert.strictEqual(parseKhEn(html, ' សង ').word, 'សង');
+});
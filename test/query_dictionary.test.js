@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// query_dictionary.js opens the configured database when it loads
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'query-dictionary-'));
+const dbFile = path.join(dataDir, 'dictionary.db');
+process.env.DICT_DB = dbFile;
+const { buildDatabase } = require('../src/convert_to_sqlite');
+const dictionary = require('../src/query_dictionary');
+
+function entry(word, type, definitions) {
+    return { word, type, definitions, synonyms: [], antonyms: [], similar_words: [] };
+}
+
+test.before(async () => {
+    const entries = [
+        entry('fast', 'en_kh', [{ pos: 'adj', example: 'a fast car' }]),
+        entry('faster', 'en_kh', [{ pos: 'adj', example: 'even quicker' }]),
+        entry('breakfast', 'en_kh', [{ pos: 'n', example: 'eggs for breakfast' }]),
+        entry('quick', 'en_kh', [{ pos: 'adj', example: 'she is a fast learner who reads every book she can find' }]),
+        entry('រហ័ស', 'kh_en', [{ pos: '', example: '', definition_text: 'fast' }]),
+        entry('fat', 'en_kh', [{ pos: 'adj', example: 'a fat cat' }]),
+        entry('រហ័ស', 'kh_kh', [{ pos: 'adj', example: '', definition_text: 'ឆាប់' }]),
+        entry('រហូត', 'kh_en', [{ pos: '', example: '', definition_text: 'until' }])
+    ];
+    for (const [i, e] of entries.entries()) {
+        await fs.outputJson(path.join(dataDir, e.type, `${i}.json`), e);
+    }
+    const log = console.log;
+    console.log = () => {};
+    try {
+        await buildDatabase({ dataDir, dbFile });
+    } finally {
+        console.log = log;
+    }
+    await dictionary.openDatabase(dbFile);
+});
+
+test.after(async () => {
+    await new Promise((resolve) => dictionary.db.close(resolve));
+    await fs.remove(dataDir);
+});
+
+test('search ranks the exact word, then prefixes, then containing words, then definitions by bm25', async () => {
+    const result = await dictionary.search('Fast');
+    assert.strictEqual(result.query, 'fast');
+    assert.strictEqual(result.total, 5);
+    // bm25 puts the one-word definition before the long example, which also counts half
+    assert.deepStrictEqual(
+        result.results.map((r) => [r.word, r.match]),
+        [['fast', 'exact'], ['faster', 'prefix'], ['breakfast', 'contained'], ['រហ័ស', 'definition'], ['quick', 'definition']]
+    );
+    assert.deepStrictEqual(result.results[0].definitions.map((d) => d.example), ['a fast car']);
+    assert.deepStrictEqual(result.suggestions, []);
+
+    const kh = await dictionary.search('fast', { type: 'kh_en' });
+    assert.deepStrictEqual(kh.results.map((r) => r.word), ['រហ័ស']);
+    assert.strictEqual(kh.total, 1);
+});
+
+test('search pages through the ranking and suggests words when nothing matches exactly', async () => {
+    const second = await dictionary.search('fast', { page: 2, pageSize: 2 });
+    assert.deepStrictEqual([second.total, second.page, second.pageSize], [5, 2, 2]);
+    assert.deepStrictEqual(second.results.map((r) => r.word), ['breakfast', 'រហ័ស']);
+    const last = await dictionary.search('fast', { page: 3, pageSize: 2 });
+    assert.deepStrictEqual(last.results.map((r) => r.word), ['quick']);
+    assert.deepStrictEqual((await dictionary.search('fast', { page: 4, pageSize: 2 })).results, []);
+
+    // Under three characters only headwords match
+    assert.deepStrictEqual((await dictionary.search('fa')).results.map((r) => r.word), ['fat', 'fast', 'faster']);
+
+    const typo = await dictionary.search('fsat');
+    assert.strictEqual(typo.total, 0);
+    assert.deepStrictEqual(typo.suggestions.map((s) => s.word), ['fast', 'fat']);
+});
+
+test('autocomplete lists headwords by prefix in key order, once per spelling', async () => {
+    assert.deepStrictEqual(await dictionary.autocomplete('FA'), [
+        { word: 'fast', types: ['en_kh'] },
+        { word: 'faster', types: ['en_kh'] },
+        { word: 'fat', types: ['en_kh'] }
+    ]);
+    assert.deepStrictEqual((await dictionary.autocomplete('fa', { limit: 2 })).map((r) => r.word), ['fast', 'faster']);
+
+    // A zero-width space typed in the prefix doesn't matter; both dictionaries of a word are listed
+    const khmer = await dictionary.autocomplete('រ\u200bហ');
+    assert.deepStrictEqual(khmer.map((r) => [r.word, r.types.sort()]), [['រហូត', ['kh_en']], ['រហ័ស', ['kh_en', 'kh_kh']]]);
+    assert.deepStrictEqual(await dictionary.autocomplete('រហ', { type: 'kh_kh' }), [{ word: 'រហ័ស', types: ['kh_kh'] }]);
+
+    assert.deepStrictEqual(await dictionary.autocomplete(' '), []);
+    assert.deepStrictEqual(await dictionary.autocomplete('fastest'), []);
+});
+
+test('getWordComplete returns the word asked for or nothing, never the best other match', async () => {
+    const fast = await dictionary.getWordComplete(' FAST ');
+    assert.strictEqual(fast.word, 'fast');
+    assert.deepStrictEqual(fast.definitions.map((d) => d.example), ['a fast car']);
+    assert.strictEqual((await dictionary.getWordComplete('រហ័ស', 'kh_kh')).type, 'kh_kh');
+
+    // "fas" only starts words and "learner" only appears in a definition
+    assert.strictEqual(await dictionary.getWordComplete('fas'), null);
+    assert.strictEqual(await dictionary.getWordComplete('learner'), null);
+    assert.strictEqual(await dictionary.getWordComplete('fast', 'kh_kh'), null);
+});
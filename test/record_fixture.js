@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+
+/**
+ * Record a live index.php page as a parser fixture.
+ *
+ * Usage: node test/record_fixture.js <word> <mode>
+ *   mode: 1 (En-Kh), 2 (Kh-Kh), 3 (Kh-En)
+ *
+ * The page is saved to test/fixtures/<mode>/<word>.html; run
+ * `UPDATE_FIXTURES=1 npm test` afterwards to write its expected JSON, then
+ * check the snapshot by hand.
+ */
+
+const axios = require('axios');
+const fs = require('fs-extra');
+const path = require('path');
+const { BASE_URL, modeDir } = require('../src/parsers');
+
+(async () => {
+    const word = process.argv[2];
+    const mode = parseInt(process.argv[3] || '1', 10);
+    if (!word) {
+        console.log('Usage: node test/record_fixture.js <word> <mode>');
+        process.exit(1);
+    }
+
+    const url = `${BASE_URL}/index.php?gcm=${mode}&gword=${encodeURIComponent(word.trim())}`;
+    const { data } = await axios.get(url, { responseType: 'arraybuffer' });
+
+    const dest = path.join(__dirname, 'fixtures', modeDir(mode), `${word.trim()}.html`);
+    await fs.outputFile(dest, data.toString('utf-8'));
+    console.log(`Recorded ${url} -> ${path.relative(process.cwd(), dest)}`);
+})().catch((err) => {
+    console.error(`Failed to record fixture: ${err.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,249 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { groupRows, contentChecksum, diffSnapshots, patchChanges, patchColumns, mediaPaths, diffMedia } = require('../src/changeset');
+const { ZipWriter, readZip } = require('../src/zip');
+
+const columns = {
+    definitions: patchColumns('definitions', ['id', 'word_id', 'pos', 'definition_text', 'local_image_path', 'optimized_image_path']),
+    glosses: patchColumns('glosses', ['id', 'word_id', 'definition_id', 'gloss', 'gloss_key']),
+    synonyms: patchColumns('synonyms', ['id', 'word_id', 'synonym']),
+    antonyms: patchColumns('antonyms', ['id', 'word_id', 'antonym']),
+    similar_words: patchColumns('similar_words', ['id', 'word_id', 'similar_word']),
+    relations: patchColumns('relations', ['id', 'word_id', 'kind', 'target', 'target_key', 'target_id', 'inferred']),
+    audio: ['path', 'bytes', 'status']
+};
+
+// The same dictionary as two databases number it
+function release({ offset, neck = 'neck', withSad = true }) {
+    const words = [
+        { id: offset + 1, word: 'happy', type: 'en_kh', word_key: 'happy', sound: 'sounds/happy.mp3' },
+        { id: offset + 2, word: '\u1780', type: 'kh_en', word_key: '\u1780', sound: null }
+    ];
+    if (withSad) words.push({ id: offset + 3, word: 'sad', type: 'en_kh', word_key: 'sad', sound: null });
+    return groupRows({
+        words,
+        definitions: [
+            { id: offset + 10, word_id: offset + 1, pos: 'adj', definition_text: '', local_image_path: 'images/1.png', optimized_image_path: 'images_optimized/1.webp' },
+            { id: offset + 11, word_id: offset + 2, pos: '', definition_text: `${neck}, first consonant`, local_image_path: '', optimized_image_path: null }
+        ],
+        glosses: [
+            { id: offset + 20, word_id: offset + 2, definition_id: offset + 11, gloss: neck, gloss_key: neck },
+            { id: offset + 21, word_id: offset + 2, definition_id: offset + 11, gloss: 'first consonant', gloss_key: 'first consonant' }
+        ],
+        synonyms: [{ id: offset + 30, word_id: offset + 1, synonym: 'glad' }],
+        relations: [
+            { id: offset + 40, word_id: offset + 1, kind: 'synonym', target: 'glad', target_key: 'glad', target_id: null, inferred: 0 },
+            { id: offset + 41, word_id: offset + 2, kind: 'similar', target: 'happy', target_key: 'happy', target_id: offset + 1, inferred: 1 }
+        ],
+        audio: [{ path: 'sounds/happy.mp3', bytes: 4096, status: 'ok' }]
+    }, columns);
+}
+
+test('snapshots compare by content, not by row IDs', () => {
+    const a = release({ offset: 0 });
+    const b = release({ offset: 500 });
+    assert.strictEqual(contentChecksum(a), contentChecksum(b));
+    assert.strictEqual(a.inferred, true);
+    // The gloss names its definition by position under the word
+    assert.deepStrictEqual(a.words.get('kh_en\t\u1780').content.glosses, [[0, 'neck', 'neck'], [0, 'first consonant', 'first consonant']]);
+    // Inferred reverse links are redone on apply, not shipped
+    assert.deepStrictEqual(a.words.get('kh_en\t\u1780').content.relations, []);
+
+    const diff = diffSnapshots(a, b);
+    assert.deepStrictEqual(diff.words, { added: [], changed: [], removed: [] });
+    assert.deepStrictEqual(diff.audio, { upserted: [], removed: [] });
+    assert.notStrictEqual(contentChecksum(a, new Set(['en_kh\tsad'])), contentChecksum(a));
+});
+
+test('a changeset carries the new rows of changed words and the keys of removed ones', () => {
+    const from = release({ offset: 0 });
+    const to = release({ offset: 100, neck: 'throat', withSad: false });
+    to.words.set('en_kh\tjoyful', release({ offset: 200 }).words.get('en_kh\thappy'));
+    to.audio.set('sounds/happy.mp3', ['sounds/happy.mp3', 5000, 'ok']);
+
+    const diff = diffSnapshots(from, to);
+    assert.deepStrictEqual(diff.words, { added: ['en_kh\tjoyful'], changed: ['kh_en\t\u1780'], removed: ['en_kh\tsad'] });
+    assert.deepStrictEqual(diff.rows.glosses, { added: 2, removed: 2 });
+    assert.deepStrictEqual(diff.audio, { upserted: ['sounds/happy.mp3'], removed: [] });
+
+    const changes = patchChanges(diff, to, columns);
+    assert.deepStrictEqual(changes.words.removed, [['sad', 'en_kh']]);
+    assert.deepStrictEqual(changes.words.upserted[1].word, ['\u1780', 'kh_en', '\u1780', null]);
+    assert.deepStrictEqual(changes.words.upserted[1].definitions, [['', 'throat, first consonant', '', null]]);
+    assert.deepStrictEqual(changes.columns.glosses, ['definition', 'gloss', 'gloss_key']);
+    assert.strictEqual(changes.inferred, true);
+
+    assert.deepStrictEqual(mediaPaths(from, columns), ['images/1.png', 'images_optimized/1.webp', 'images_optimized/2.0x/1.webp', 'sounds/happy.mp3']);
+    assert.deepStrictEqual(
+        diffMedia({ 'images/1.png': 'a', 'images/2.png': 'b' }, { 'images/1.png': 'c', 'images/3.png': 'd' }),
+        { added: ['images/3.png'], changed: ['images/1.png'], removed: ['images/2.png'] }
+    );
+});
+
+test('readZip reads back what ZipWriter wrote and checks CRCs', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zip-read-'));
+    try {
+        const file = path.join(dir, 'patch.zip');
+        const zip = new ZipWriter(file);
+        await zip.add('changes.json', Buffer.from(JSON.stringify({ words: 'x'.repeat(500) })));
+        await zip.add('media/images/1.png', Buffer.from('PNG'), { compress: false });
+        await zip.close();
+
+        const files = await readZip(file);
+        assert.deepStrictEqual([...files.keys()], ['changes.json', 'media/images/1.png']);
+        assert.strictEqual(files.get('media/images/1.png').toString(), 'PNG');
+
+        const buf = await fs.readFile(file);
+        buf[buf.indexOf('PNG')] = 0x58;
+        await fs.writeFile(file, buf);
+        await assert.rejects(readZip(file), /media\/images\/1.png fails its CRC check/);
+    } finally {
+        await fs.remove(dir);
+    }
+});
+
+// A data directory as the crawler and optimize_images.js leave it
+async function writeData(dataDir, { entries, media }) {
+    await fs.emptyDir(path.join(dataDir, 'en_kh'));
+    await fs.emptyDir(path.join(dataDir, 'kh_en'));
+    for (const entry of entries) {
+        await fs.writeJson(path.join(dataDir, entry.type, `${entry.word}.json`), {
+            synonyms: [], antonyms: [], similar_words: [], ...entry
+        });
+    }
+    for (const [file, content] of Object.entries(media)) {
+        await fs.outputFile(path.join(dataDir, file), content);
+    }
+}
+
+test('a release drops user data and a patch upgrades a copy of it to the next release', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'release-'));
+    const { buildDatabase } = require('../src/convert_to_sqlite');
+    const { createRelease, createPatch } = require('../src/release');
+    const { applyPatch, readSnapshot, readMeta } = require('../src/apply_patch');
+    const SqliteDatabase = require('../src/sqlite');
+    const withDb = async (file, fn) => {
+        const db = await new SqliteDatabase(file).open();
+        try {
+            return await fn(db);
+        } finally {
+            await db.close();
+        }
+    };
+    const image = (file) => ({ pos: 'adj', example: '', local_image_path: file });
+
+    try {
+        const dataDir = path.join(dir, 'data');
+        const dbFile = path.join(dataDir, 'dictionary.db');
+        const releasesDir = path.join(dataDir, 'releases');
+        const log = console.log;
+        console.log = () => {};
+
+        let first, second, patch;
+        try {
+            await writeData(dataDir, {
+                entries: [
+                    { word: 'happy', type: 'en_kh', definitions: [image('images/1.png')], local_sound_path: 'sounds/happy.mp3' },
+                    { word: 'sad', type: 'en_kh', definitions: [image('images/2.png')] },
+                    { word: 'gloomy', type: 'en_kh', definitions: [{ pos: 'adj', example: 'A gloomy day.' }] },
+                    { word: '\u1780', type: 'kh_en', definitions: [{ pos: '', example: '', definition_text: 'neck' }] }
+                ],
+                media: { 'images/1.png': 'one', 'images/2.png': 'two', 'sounds/happy.mp3': 'mp3' }
+            });
+            await buildDatabase({ dataDir, dbFile });
+            await withDb(dbFile, (db) => db.run("UPDATE words SET isFavorite = 1 WHERE word = 'happy'"));
+            first = await createRelease({ dbFile, dataDir, releasesDir });
+
+            // happy gets a new image and loses its sound, sad and gloomy are gone, glad is new
+            await writeData(dataDir, {
+                entries: [
+                    { word: 'happy', type: 'en_kh', definitions: [image('images/1.png')] },
+                    { word: 'glad', type: 'en_kh', definitions: [image('images/3.png')] },
+                    { word: '\u1780', type: 'kh_en', definitions: [{ pos: '', example: '', definition_text: 'throat' }] }
+                ],
+                media: { 'images/1.png': 'one, redrawn', 'images/3.png': 'three' }
+            });
+            await buildDatabase({ dataDir, dbFile, prune: true });
+            second = await createRelease({ dbFile, dataDir, releasesDir });
+            patch = await createPatch(1, 2, { dataDir, releasesDir });
+        } finally {
+            console.log = log;
+        }
+
+        // VACUUM INTO copy without the build bookkeeping and the builder's favorites, stamped with its version
+        assert.strictEqual(first.version, 1);
+        assert.strictEqual(second.previous, 1);
+        assert.deepStrictEqual(first.missingMedia, []);
+        assert.deepStrictEqual(Object.keys(first.media), ['images/1.png', 'images/2.png', 'sounds/happy.mp3']);
+        const firstDb = path.join(releasesDir, '1', 'dictionary.db');
+        await withDb(firstDb, async (db) => {
+            assert.deepStrictEqual(await db.get('SELECT COUNT(*) AS n FROM sources'), { n: 0 });
+            assert.deepStrictEqual(await db.get('SELECT SUM(isFavorite) + SUM(isHistory) AS n FROM words'), { n: 0 });
+            const meta = await readMeta(db);
+            assert.strictEqual(meta.version, '1');
+            assert.strictEqual(meta.content_checksum, first.content_checksum);
+        });
+        assert.deepStrictEqual(patch.manifest.words, { added: 1, changed: 2, removed: 2 });
+        assert.deepStrictEqual(patch.manifest.media, {
+            added: ['images/3.png'], changed: ['images/1.png'], removed: ['images/2.png', 'sounds/happy.mp3']
+        });
+
+        // The app's copy: the user starred sad, which the new release drops
+        const app = path.join(dir, 'app');
+        const appDb = path.join(app, 'dictionary.db');
+        await fs.copy(firstDb, appDb);
+        for (const [file, content] of Object.entries({ 'images/1.png': 'one', 'images/2.png': 'two', 'sounds/happy.mp3': 'mp3' })) {
+            await fs.outputFile(path.join(app, file), content);
+        }
+        await withDb(appDb, (db) => db.run("UPDATE words SET isFavorite = 1 WHERE word = 'sad'"));
+
+        const report = await applyPatch(appDb, patch.file);
+        assert.deepStrictEqual(report, { from: 1, to: 2, upserted: 3, removed: 1, kept: 1, media: { written: 2, removed: 1 } });
+        await withDb(appDb, async (db) => {
+            const kept = new Set(['en_kh\tsad']);
+            assert.strictEqual(contentChecksum(await readSnapshot(db), kept), second.content_checksum);
+            const meta = await readMeta(db);
+            assert.strictEqual(meta.version, '2');
+            assert.strictEqual(meta.kept_words, JSON.stringify([...kept]));
+            assert.deepStrictEqual(
+                await db.all('SELECT word, isFavorite FROM words ORDER BY word'),
+                [{ word: 'glad', isFavorite: 0 }, { word: 'happy', isFavorite: 0 }, { word: 'sad', isFavorite: 1 }, { word: '\u1780', isFavorite: 0 }]
+            );
+        });
+        assert.strictEqual(await fs.readFile(path.join(app, 'images/1.png'), 'utf-8'), 'one, redrawn');
+        assert.strictEqual(await fs.readFile(path.join(app, 'images/3.png'), 'utf-8'), 'three');
+        // The kept word still shows its image; the sound nobody uses is gone
+        assert.strictEqual(await fs.pathExists(path.join(app, 'images/2.png')), true);
+        assert.strictEqual(await fs.pathExists(path.join(app, 'sounds/happy.mp3')), false);
+
+        await assert.rejects(applyPatch(appDb, patch.file), /is release 2, the patch upgrades release 1/);
+
+        // A patch whose result does not check out leaves the database and the media as they were
+        const files = await readZip(patch.file);
+        const manifest = JSON.parse(files.get('manifest.json'));
+        manifest.to.checksum = 'not-release-2';
+        const bad = path.join(dir, 'bad.zip');
+        const zip = new ZipWriter(bad);
+        for (const [name, data] of files) {
+            await zip.add(name, name === 'manifest.json' ? Buffer.from(JSON.stringify(manifest)) : data);
+        }
+        await zip.close();
+
+        const fresh = path.join(dir, 'fresh');
+        await fs.copy(firstDb, path.join(fresh, 'dictionary.db'));
+        await assert.rejects(
+            applyPatch(path.join(fresh, 'dictionary.db'), bad),
+            /does not match release 2 after patching; nothing was changed/
+        );
+        await withDb(path.join(fresh, 'dictionary.db'), async (db) => {
+            assert.strictEqual((await readMeta(db)).version, '1');
+            assert.strictEqual(contentChecksum(await readSnapshot(db)), first.content_checksum);
+        });
+        assert.deepStrictEqual(await fs.readdir(fresh), ['dictionary.db']);
+    } finally {
+        await fs.remove(dir);
+    }
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RequestScheduler, isTransient, parseRetryAfter } = require('../src/scheduler');
+
+function httpError(status, headers = {}) {
+    const err = new Error(`Request failed with status code ${status}`);
+    err.response = { status, headers };
+    return err;
+}
+
+function fastScheduler(http, options = {}) {
+    return new RequestScheduler({
+        http,
+        requestsPerSecond: 1000,
+        burst: 1000,
+        baseDelay: 1,
+        maxDelay: 20,
+        ...options
+    });
+}
+
+test('isTransient retries timeouts, 429 and 5xx but not 404', () => {
+    assert.strictEqual(isTransient(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' })), true);
+    assert.strictEqual(isTransient(httpError(503)), true);
+    assert.strictEqual(isTransient(httpError(429)), true);
+    assert.strictEqual(isTransient(httpError(404)), false);
+    assert.strictEqual(isTransient(Object.assign(new Error('dns'), { code: 'ENOTFOUND' })), false);
+});
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+    const now = Date.parse('2025-01-01T00:00:00Z');
+    assert.strictEqual(parseRetryAfter('3', now), 3000);
+    assert.strictEqual(parseRetryAfter('Wed, 01 Jan 2025 00:00:05 GMT', now), 5000);
+    assert.strictEqual(parseRetryAfter(undefined, now), null);
+    assert.strictEqual(parseRetryAfter('soon', now), null);
+});
+
+test('request retries transient failures until it succeeds', async () => {
+    let calls = 0;
+    const scheduler = fastScheduler(async () => {
+        calls++;
+        if (calls < 3) throw httpError(502);
+        return { status: 200, data: 'ok' };
+    });
+
+    const response = await scheduler.get('http://example.test/');
+    assert.strictEqual(response.data, 'ok');
+    assert.strictEqual(calls, 3);
+});
+
+test('request gives up after maxRetries and reports the attempts', async () => {
+    const scheduler = fastScheduler(async () => { throw httpError(500); }, { maxRetries: 2 });
+
+    await assert.rejects(scheduler.get('http://example.test/'), (err) => {
+        assert.strictEqual(err.attempts, 3);
+        return true;
+    });
+});
+
+test('request does not retry permanent failures', async () => {
+    let calls = 0;
+    const scheduler = fastScheduler(async () => { calls++; throw httpError(404); });
+
+    await assert.rejects(scheduler.get('http://example.test/'));
+    assert.strictEqual(calls, 1);
+});
+
+test('request honours Retry-After on 429', async () => {
+    let calls = 0;
+    const scheduler = fastScheduler(async () => {
+        calls++;
+        if (calls === 1) throw httpError(429, { 'retry-after': '0.05' });
+        return { status: 200 };
+    }, { maxDelay: 1000 });
+
+    const started = Date.now();
+    await scheduler.get('http://example.test/');
+    assert.ok(Date.now() - started >= 45);
+});
+
+test('never runs more than `concurrency` requests at once', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const scheduler = fastScheduler(async () => {
+        inFlight++;
+        peak = Math.max(peak, inFlight);
+        await new Promise((r) => setTimeout(r, 10));
+        inFlight--;
+        return { status: 200 };
+    }, { concurrency: 2 });
+
+    await Promise.all(Array.from({ length: 6 }, () => scheduler.get('http://example.test/')));
+    assert.strictEqual(peak, 2);
+});
+
+test('token bucket limits the request rate', async () => {
+    const scheduler = fastScheduler(async () => ({ status: 200 }), {
+        concurrency: 10,
+        requestsPerSecond: 50,
+        burst: 1
+    });
+
+    const started = Date.now();
+    await Promise.all(Array.from({ length: 5 }, () => scheduler.get('http://example.test/')));
+    // First request is free, the other four wait ~20ms each
+    assert.ok(Date.now() - started >= 70);
+});
@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const http = require('http');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { DictionaryServer } = require('../src/server');
+
+// Stands in for src/query_dictionary.js so the test doesn't need a database
+function fakeDictionary() {
+    const hello = {
+        id: 1,
+        word: 'hello',
+        type: 'en_kh',
+        sound: 'sounds/hello.mp3',
+        isFavorite: 0,
+        match: 'exact',
+        definitions: [{ pos: 'interj', definition_text: '', local_image_path: 'images/1.png' }],
+        synonyms: ['hi'],
+        antonyms: [],
+        similar_words: ['hallo']
+    };
+    return {
+        flags: [],
+        getStats: async () => ({ totalWords: 1 }),
+        search: async (q, options) => ({ query: q, ...options, total: 0, results: [] }),
+        suggest: async () => [{ id: 1, word: 'hello', type: 'en_kh', distance: 1 }],
+        reverseLookup: async (q, limit) => [{ q, limit }],
+        getWordComplete: async (word) => (word === 'hello' ? hello : null),
+        async setWordFlag(id, flag, value) {
+            this.flags.push([id, flag, value]);
+            return true;
+        }
+    };
+}
+
+async function withServer(options, fn) {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dict-server-'));
+    await fs.outputFile(path.join(dataDir, 'images', '1.png'), 'PNG');
+    const dictionary = fakeDictionary();
+    const server = new DictionaryServer({ dictionary, dataDir, ...options });
+    const port = await server.start(0);
+    const client = axios.create({ baseURL: `http://127.0.0.1:${port}`, validateStatus: () => true });
+    try {
+        await fn(client, dictionary);
+    } finally {
+        await server.close();
+        await fs.remove(dataDir);
+    }
+}
+
+test('JSON routes answer with ETags and 404 suggestions', () => withServer({}, async (client) => {
+    let res = await client.get('/words/en_kh/hello');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers['access-control-allow-origin'], undefined);
+    assert.strictEqual(res.data.sound_url, '/media/sounds/hello.mp3');
+    assert.strictEqual(res.data.definitions[0].image_url, '/media/images/1.png');
+
+    const etag = res.headers.etag;
+    res = await client.get('/words/en_kh/hello', { headers: { 'If-None-Match': etag } });
+    assert.strictEqual(res.status, 304);
+
+    res = await client.get('/words/en_kh/hello/similar');
+    assert.deepStrictEqual(res.data, ['hallo']);
+
+    res = await client.get('/words/en_kh/helo');
+    assert.strictEqual(res.status, 404);
+    assert.strictEqual(res.data.suggestions[0].word, 'hello');
+
+    res = await client.get('/search', { params: { q: 'run', type: 'en_kh', page: 2, limit: 500 } });
+    assert.deepStrictEqual(res.data, { query: 'run', type: 'en_kh', page: 2, pageSize: 100, total: 0, results: [] });
+
+    assert.strictEqual((await client.get('/search')).status, 400);
+    assert.strictEqual((await client.get('/search?q=a&type=fr_kh')).status, 400);
+    assert.strictEqual((await client.get('/nothing')).status, 404);
+
+}));
+
+test('CORS is off by default and only a named origin may write', async () => {
+    await withServer({}, async (client) => {
+        const res = await client.options('/words/en_kh/hello/favorite');
+        assert.strictEqual(res.status, 204);
+        assert.strictEqual(res.headers['access-control-allow-origin'], undefined);
+        assert.strictEqual(res.headers['access-control-allow-methods'], undefined);
+    });
+
+    await withServer({ cors: '*' }, async (client) => {
+        assert.strictEqual((await client.get('/stats')).headers['access-control-allow-origin'], '*');
+        const res = await client.options('/words/en_kh/hello/favorite');
+        assert.strictEqual(res.headers['access-control-allow-methods'], 'GET, HEAD, OPTIONS');
+    });
+
+    await withServer({ cors: 'http://localhost:3000' }, async (client) => {
+        const res = await client.options('/words/en_kh/hello/favorite');
+        assert.strictEqual(res.headers['access-control-allow-origin'], 'http://localhost:3000');
+        assert.strictEqual(res.headers.vary, 'Origin');
+        assert.match(res.headers['access-control-allow-methods'], /PUT, DELETE/);
+    });
+});
+
+test('limits must be positive and are capped at the page size', () => withServer({}, async (client) => {
+    for (const limit of ['-1', '0', '-5', 'all', '2.5']) {
+        assert.strictEqual((await client.get('/search', { params: { q: 'run', limit } })).status, 400, limit);
+        assert.strictEqual((await client.get('/english', { params: { q: 'run', limit } })).status, 400, limit);
+    }
+    assert.deepStrictEqual((await client.get('/english', { params: { q: 'run', limit: 1000 } })).data, [{ q: 'run', limit: 100 }]);
+    assert.deepStrictEqual((await client.get('/english', { params: { q: 'run' } })).data, [{ q: 'run', limit: 50 }]);
+}));
+
+test('media files are served with caching and without path traversal', () => withServer({}, async (client) => {
+    let res = await client.get('/media/images/1.png');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers['content-type'], 'image/png');
+    assert.strictEqual(res.data, 'PNG');
+
+    res = await client.get('/media/images/1.png', { headers: { 'If-None-Match': res.headers.etag } });
+    assert.strictEqual(res.status, 304);
+
+    assert.strictEqual((await client.get('/media/images/2.png')).status, 404);
+    assert.strictEqual((await client.get('/media/images/..%2F..%2Fetc%2Fpasswd')).status, 404);
+    assert.strictEqual((await client.get('/media/en_kh/hello.json')).status, 404);
+}));
+
+test('a download the client aborts is finished with, not left pending', { timeout: 10000 }, async () => {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dict-server-'));
+    await fs.outputFile(path.join(dataDir, 'sounds', 'long.mp3'), Buffer.alloc(8 * 1024 * 1024));
+    const server = new DictionaryServer({ dictionary: fakeDictionary(), dataDir });
+    let sent;
+    const sendFile = server.sendFile.bind(server);
+    server.sendFile = (...args) => (sent = sendFile(...args));
+    const port = await server.start(0);
+    try {
+        await new Promise((resolve, reject) => {
+            const req = http.get(`http://127.0.0.1:${port}/media/sounds/long.mp3`, (res) => {
+                res.once('data', () => {
+                    req.destroy();
+                    resolve();
+                });
+            });
+            req.on('error', () => {});
+            req.on('close', resolve);
+            setTimeout(() => reject(new Error('no response')), 5000);
+        });
+        await sent;
+    } finally {
+        await server.close();
+        await fs.remove(dataDir);
+    }
+});
+
+test('favorites can be set unless the server is read-only', async () => {
+    await withServer({}, async (client, dictionary) => {
+        const res = await client.put('/words/en_kh/hello/favorite');
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.data.isFavorite, true);
+        await client.delete('/words/en_kh/hello/history');
+        assert.deepStrictEqual(dictionary.flags, [[1, 'isFavorite', true], [1, 'isHistory', false]]);
+    });
+
+    await withServer({ readOnly: true, cors: 'http://localhost:3000' }, async (client, dictionary) => {
+        assert.strictEqual((await client.put('/words/en_kh/hello/favorite')).status, 403);
+        assert.deepStrictEqual(dictionary.flags, []);
+        const res = await client.options('/stats');
+        assert.doesNotMatch(res.headers['access-control-allow-methods'], /PUT/);
+    });
+
+    await assert.rejects(new DictionaryServer({ dictionary: {} }).start(0, '0.0.0.0'), /read-only/);
+});
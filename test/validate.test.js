@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { checkSchema, validateDataset, rescrapeQueue, ENTRY_SCHEMA } = require('../src/validate');
+
+const entry = (word, type, extra = {}) => ({
+    word,
+    type,
+    definitions: [{ pos: 'n', example: '', definition_text: 'a definition' }],
+    synonyms: [],
+    antonyms: [],
+    similar_words: [],
+    sound: null,
+    ...extra
+});
+
+test('checkSchema reports wrong types, unknown fields and bad media paths', () => {
+    assert.deepStrictEqual(checkSchema(entry('hello', 'en_kh'), ENTRY_SCHEMA), []);
+    // Migrated kh_kh senses keep their examples in a list
+    assert.deepStrictEqual(checkSchema(entry('ក', 'kh_kh', {
+        definitions: [{ pos: null, example: ['ឧ. ...'], definition_text: 'x', origin: ['បា.'] }]
+    }), ENTRY_SCHEMA), []);
+
+    const errors = checkSchema({
+        word: '',
+        type: 'fr_kh',
+        definitions: [{ pos: 'n', local_image_path: '../secret.png', colour: 'red' }],
+        synonyms: 'none',
+        antonyms: [],
+        sound: null
+    }, ENTRY_SCHEMA);
+    assert.deepStrictEqual(errors.map((e) => `${e.path} ${e.message}`), [
+        '$ is missing "similar_words"',
+        '$.word should not be empty',
+        '$.type should be one of en_kh, kh_kh, kh_en',
+        '$.definitions[0].local_image_path should match ^images/[^/]+$',
+        '$.definitions[0].colour is not an entry field',
+        '$.synonyms should be array'
+    ]);
+});
+
+test('validateDataset applies the content rules and queues what a re-scrape can fix', async () => {
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'validate-data-'));
+    try {
+        const write = (file, data) => fs.outputJson(path.join(dataDir, file), data);
+        await fs.outputFile(path.join(dataDir, 'images', '1.png'), 'PNG');
+        await fs.outputFile(path.join(dataDir, 'sounds', 'b.mp3'), '');
+
+        await write('en_kh/a.json', entry('a', 'en_kh', {
+            definitions: [{ pos: 'n', example: '', khmer_image_url: 'http://x/1.png', local_image_path: 'images/1.png' }]
+        }));
+        await write('en_kh/b.json', entry('b', 'en_kh', { definitions: [], local_sound_path: 'sounds/b.mp3' }));
+        await write('en_kh/c.json', entry('c', 'kh_en', {
+            definitions: [{ pos: 'n', khmer_image_url: 'http://x/2.png', local_image_path: 'images/2.png' }]
+        }));
+        await write('kh_en/ទឹក.json', entry('ទឹក', 'kh_en', {
+            definitions: [{ pos: 'n', definition_text: 'ទឹក' }, { pos: 'n', definition_text: 'ទឹកដី' }]
+        }));
+        await fs.outputFile(path.join(dataDir, 'kh_en', 'broken.json'), '{');
+
+        const report = await validateDataset({ dataDir });
+        assert.strictEqual(report.files, 5);
+        assert.strictEqual(report.invalid_files, 4);
+        assert.deepStrictEqual(
+            report.issues.map((i) => `${i.file} ${i.rule} ${i.severity}`),
+            [
+                'en_kh/b.json no_definitions error',
+                'en_kh/b.json empty_media error',
+                'en_kh/c.json type_mismatch error',
+                'en_kh/c.json missing_media error',
+                'kh_en/broken.json schema error',
+                'kh_en/ទឹក.json definition_is_headword warning',
+                'kh_en/ទឹក.json khmer_translation error',
+                'kh_en/ទឹក.json khmer_translation error'
+            ]
+        );
+
+        assert.deepStrictEqual(rescrapeQueue(report), [
+            { word: 'b', mode: 1, type: 'en_kh', file: 'en_kh/b.json', rules: ['no_definitions', 'empty_media'] },
+            { word: 'c', mode: 1, type: 'en_kh', file: 'en_kh/c.json', rules: ['type_mismatch', 'missing_media'] }
+        ]);
+    } finally {
+        await fs.remove(dataDir);
+    }
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { reachable, shortestPath } = require('../src/word_graph');
+
+// happy(1) -synonym-> glad(2) -synonym-> pleased(3) -similar-> please(4);
+// sad(5) -antonym-> happy(1); 6 is on its own
+const RELATIONS = [[1, 2, 'synonym'], [2, 3, 'synonym'], [3, 4, 'similar'], [5, 1, 'antonym']];
+
+// Edges in both directions, like query_dictionary.js reads them
+function neighbours(calls = []) {
+    return async (ids) => {
+        calls.push([...ids]);
+        return RELATIONS.flatMap(([from, to, kind]) => [
+            ...(ids.includes(from) ? [{ from_id: from, to_id: to, kind }] : []),
+            ...(ids.includes(to) ? [{ from_id: to, to_id: from, kind }] : [])
+        ]);
+    };
+}
+
+test('reachable finds words within the hop limit, nearest first', async () => {
+    const calls = [];
+    assert.deepStrictEqual(await reachable(1, 2, neighbours(calls)), [
+        { id: 2, distance: 1, kind: 'synonym' },
+        { id: 5, distance: 1, kind: 'antonym' },
+        { id: 3, distance: 2, kind: 'synonym' }
+    ]);
+    // One query per level
+    assert.deepStrictEqual(calls, [[1], [2, 5]]);
+    assert.deepStrictEqual(await reachable(6, 3, neighbours()), []);
+});
+
+test('shortestPath follows relations in either direction', async () => {
+    assert.deepStrictEqual(await shortestPath(5, 4, 6, neighbours()), [
+        { id: 5, kind: null },
+        { id: 1, kind: 'antonym' },
+        { id: 2, kind: 'synonym' },
+        { id: 3, kind: 'synonym' },
+        { id: 4, kind: 'similar' }
+    ]);
+    assert.deepStrictEqual(await shortestPath(1, 1, 6, neighbours()), [{ id: 1, kind: null }]);
+    assert.strictEqual(await shortestPath(5, 4, 3, neighbours()), null);
+    assert.strictEqual(await shortestPath(1, 6, 6, neighbours()), null);
+});
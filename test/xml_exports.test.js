@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { parseDtd, loadDtd, validateXml, escapeXml } = require('../src/xml');
+const { teiDocument } = require('../src/tei');
+const { xdxfDocument } = require('../src/xdxf');
+const { exportXml } = require('../src/export');
+
+const happy = {
+    word: 'happy',
+    type: 'en_kh',
+    definitions: [
+        { pos: 'adj', example: 'happy to see you', khmer_image_url: 'http://x/imgukh/1.png', local_image_path: 'images/1.png' },
+        { pos: 'adj', example: '', khmer_text: 'សប្បាយ' }
+    ],
+    synonyms: ['lucky'],
+    antonyms: ['sad & blue'],
+    similar_words: [],
+    sound_url: 'http://x/happy.mp3',
+    id: 'a19dcef0175c',
+    source_url: 'http://www.english-khmer.com/index.php?gcm=1&gword=happy',
+    saved_at: '2024-05-01T10:00:00.000Z'
+};
+const lucky = { word: 'lucky', type: 'en_kh', definitions: [], synonyms: [], antonyms: [], similar_words: [], id: '8f5944fb4ae3', source_url: 'http://x/lucky' };
+const book = { title: 'Test', description: 'Test data', source: 'http://x', from: 'en', to: 'km', entries: [happy, lucky] };
+
+test('the validator reports what breaks a DTD', () => {
+    const dtd = parseDtd(`
+        <!ELEMENT list (item+, note?)>
+        <!ATTLIST list kind (a | b) #REQUIRED>
+        <!ELEMENT item (#PCDATA)>
+        <!ATTLIST item xml:id ID #IMPLIED>
+        <!ELEMENT note EMPTY>`);
+    const errors = (xml) => validateXml(xml, dtd).map((e) => e.message);
+
+    assert.deepStrictEqual(errors('<?xml version="1.0"?>\n<list kind="a"><item xml:id="i1">x &amp; y</item><note/></list>'), []);
+    assert.deepStrictEqual(errors('<list kind="c"><item>x</item></list>'), ['list/@kind="c" is not one of a, b']);
+    assert.deepStrictEqual(errors('<list><item>x</item></list>'), ['<list> is missing required attribute kind']);
+    assert.deepStrictEqual(errors('<list kind="a"><note/><item>x</item></list>'), ['<list> content (note, item) does not match (item+, note?)']);
+    assert.deepStrictEqual(errors('<list kind="a"><item xml:id="i">x</item><item xml:id="i">y</item></list>'), ['Duplicate ID "i"']);
+    assert.deepStrictEqual(errors('<list kind="a"><item>x & y</item></list>'), ['Unescaped &']);
+    assert.deepStrictEqual(errors('<list kind="a">\n<item>x</note></list>'), ['Unexpected </note>, <item> is open']);
+    assert.strictEqual(validateXml('<list kind="a">\n<item>x</item>\ntext</list>', dtd)[0].line, 3);
+    assert.strictEqual(escapeXml('a\u0001<b>'), 'a&lt;b&gt;');
+});
+
+test('TEI Lex-0 and XDXF documents match the shipped schemas', async () => {
+    const tei = teiDocument(book);
+    assert.deepStrictEqual(validateXml(tei, await loadDtd(path.join(__dirname, '..', 'src', 'tei_lex0.dtd'))), []);
+    assert.match(tei, /<entry xml:id="e-a19dcef0175c" xml:lang="en">/);
+    assert.match(tei, /<graphic url="http:\/\/x\/imgukh\/1.png" mimeType="image\/png"\/>/);
+    assert.match(tei, /<cit type="translationEquivalent" xml:lang="km"><quote>សប្បាយ<\/quote><\/cit>/);
+    assert.match(tei, /<xr type="synonymy"><ref type="entry" target="#e-8f5944fb4ae3">lucky<\/ref><\/xr>/);
+    assert.match(tei, /<xr type="antonymy"><ref type="entry">sad &amp; blue<\/ref><\/xr>/);
+    assert.match(tei, /<note type="source"><ptr target="[^"]*gcm=1&amp;gword=happy"\/><date when="2024-05-01T10:00:00.000Z"\/><\/note>/);
+
+    const xdxf = xdxfDocument(book);
+    assert.deepStrictEqual(validateXml(xdxf, await loadDtd(path.join(__dirname, '..', 'src', 'xdxf.dtd'))), []);
+    assert.match(xdxf, /<xdxf lang_from="ENG" lang_to="KHM" format="logical" revision="034">/);
+    assert.match(xdxf, /<sr><kref type="syn">lucky<\/kref><kref type="ant">sad &amp; blue<\/kref><\/sr>/);
+    assert.match(xdxf, /<co>Source: <iref href="[^"]*gword=happy">.*<\/iref>, saved 2024-05-01<\/co>/);
+});
+
+test('exportXml writes one document per dictionary with page URLs', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'xml-exports-'));
+    try {
+        await fs.outputJson(path.join(dir, 'kh_en', 'a.json'), {
+            word: 'ក',
+            type: 'kh_en',
+            definitions: [{ pos: '', example: '', definition_text: 'neck, first consonant' }],
+            synonyms: [],
+            antonyms: [],
+            similar_words: []
+        });
+        const result = await exportXml('tei', 'kh_en', { dataDir: dir, outDir: path.join(dir, 'out') });
+        assert.deepStrictEqual(result.errors, []);
+        assert.strictEqual(result.words, 1);
+        assert.strictEqual(path.basename(result.file), 'khmer-english.tei.xml');
+
+        const xml = await fs.readFile(result.file, 'utf8');
+        assert.match(xml, /<quote>neck<\/quote><\/cit>\n\s*<cit type="translationEquivalent" xml:lang="en"><quote>first consonant<\/quote>/);
+        assert.match(xml, /gcm=3&amp;gword=%E1%9E%80/);
+    } finally {
+        await fs.remove(dir);
+    }
+});
@@ -6,19 +6,12 @@
  */
 
 const DictionaryScraper = require('./src/scraper');
-const fs = require('fs-extra');
-const path = require('path');
-
-const PID_FILE = path.join(__dirname, 'worker_pid.txt');
-const LOG_FILE = path.join(__dirname, 'scraping_log.txt');
+const { logger, RUN_ID } = require('./src/logger');
+const { queryLogs } = require('./src/log_query');
 
 async function testLogging() {
     console.log('=== Testing Logging System ===\n');
     
-    // Write PID
-    await fs.writeFile(PID_FILE, process.pid.toString());
-    console.log(`✓ Worker PID written to worker_pid.txt: ${process.pid}`);
-    
     // Initialize scraper
     const scraper = new DictionaryScraper();
     await scraper.init();
@@ -44,22 +37,16 @@ async function testLogging() {
         await new Promise(r => setTimeout(r, 500));
     }
     
+    await scraper.close();
+    await logger.close();
+
     console.log('\n--- Checking Log Files ---');
     
-    // Check PID file
-    if (await fs.pathExists(PID_FILE)) {
-        const pid = await fs.readFile(PID_FILE, 'utf-8');
-        console.log(`✓ worker_pid.txt exists with PID: ${pid.trim()}`);
-    }
-    
-    // Check log file
-    if (await fs.pathExists(LOG_FILE)) {
-        const logContent = await fs.readFile(LOG_FILE, 'utf-8');
-        const lines = logContent.trim().split('\n');
-        console.log(`✓ scraping_log.txt exists with ${lines.length} log entries`);
-        console.log('\n--- Last 5 Log Entries ---');
-        lines.slice(-5).forEach(line => console.log(line));
-    }
+    // Check this run's entries
+    const entries = await queryLogs({ run: RUN_ID, level: 'debug' });
+    console.log(`✓ Run ${RUN_ID} wrote ${entries.length} log entries`);
+    console.log('\n--- Last 5 Log Entries ---');
+    entries.slice(-5).forEach(entry => console.log(JSON.stringify(entry)));
     
     console.log('\n=== Test Complete ===');
 }